@@ -1,7 +1,35 @@
-import React, { useEffect, useMemo, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { Document, Page, pdfjs } from 'react-pdf';
+import 'react-pdf/dist/esm/Page/TextLayer.css';
+import 'react-pdf/dist/esm/Page/AnnotationLayer.css';
 import axios from 'axios';
 import { v4 as uuidv4 } from 'uuid';
+import RecentProjects from './components/RecentProjects.jsx';
+import BatchView from './components/BatchView.jsx';
+import MergeView from './components/MergeView.jsx';
+import PhotoOcrView from './components/PhotoOcrView.jsx';
+import SearchPanel from './components/SearchPanel.jsx';
+import { OUTLINE_FORMATS, exportOutline, formatFromFileName, importOutline, pickItemProperties, toPayload } from './lib/outlineFormats.js';
+import { indentNode, moveNode, outdentNode, shiftNode } from './lib/treeOps.js';
+import useUndoableState from './lib/useUndoableState.js';
+import { describeOcrSkipped, followJob } from './lib/jobs.js';
+import { highlightText, searchDocument } from './lib/pdfSearch.js';
+import usePageSizes from './lib/usePageSizes.js';
+import ThumbnailStrip from './components/ThumbnailStrip.jsx';
+import ContinuousViewer from './components/ContinuousViewer.jsx';
+import PageLabelsEditor from './components/PageLabelsEditor.jsx';
+import PageOrganizer from './components/PageOrganizer.jsx';
+import { pageMapping, remapTree, toPagesPayload } from './lib/pagePlan.js';
+import MarkupLayer from './components/MarkupLayer.jsx';
+import AnnotationsPanel from './components/AnnotationsPanel.jsx';
+import { ANNOTATION_TOOLS, readExistingAnnotations, remapAnnotations, toAnnotationsPayload } from './lib/annotations.js';
+import FormFieldsPanel from './components/FormFieldsPanel.jsx';
+import { changedValues, initialValues } from './lib/forms.js';
+import MetadataPanel from './components/MetadataPanel.jsx';
+import { changedMetadata, initialMetadata } from './lib/metadata.js';
+import OutputProtection from './components/OutputProtection.jsx';
+import { DEFAULT_PROTECTION, hasProtection, protectionProblem } from './lib/protection.js';
+import { labelsFromRanges, normalizeRanges, pageFromLabel, rangesFromLabels } from './lib/pageLabels.js';
 
 pdfjs.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjs.version}/pdf.worker.min.js`;
 
@@ -9,6 +37,22 @@ function classNames(...classes) {
     return classes.filter(Boolean).join(' ');
 }
 
+const DEST_MODE_LABELS = {
+    '': 'Top of page (viewer default)',
+    fit: 'Fit page',
+    fitWidth: 'Fit width',
+    xyz: 'Position and zoom',
+};
+
+function treeDepth(nodes) {
+    return nodes.reduce((max, n) => Math.max(max, 1 + treeDepth(n.children || [])), 0);
+}
+
+// Inputs keep their native undo; app shortcuts should not hijack it there
+function isTextField(el) {
+    return Boolean(el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.isContentEditable));
+}
+
 function Modal({ open, title, children, onClose, onConfirm, confirmText = 'Save', confirmDisabled = false }) {
     if (!open) return null;
     return (
@@ -45,6 +89,17 @@ function Toasts({ toasts, dismiss }) {
                 <div key={t.id} className={classNames('rounded-md px-4 py-2 shadow-md text-sm', t.type === 'error' ? 'bg-red-600 text-white' : 'bg-gray-900 text-white')}>
                     <div className="flex items-center gap-3">
                         <span className="flex-1">{t.message}</span>
+                        {t.action && (
+                            <button
+                                className="rounded px-2 py-0.5 font-medium text-indigo-300 hover:bg-white/10 hover:text-indigo-200"
+                                onClick={() => {
+                                    t.action.onClick();
+                                    dismiss(t.id);
+                                }}
+                            >
+                                {t.action.label}
+                            </button>
+                        )}
                         <button className="text-white/70 hover:text-white" onClick={() => dismiss(t.id)}>
                             ×
                         </button>
@@ -55,12 +110,51 @@ function Toasts({ toasts, dismiss }) {
     );
 }
 
-function BookmarkNode({ node, depth = 0, onAddChild, onRemove, onEdit, onGo }) {
+const BOOKMARK_DRAG_TYPE = 'application/x-bookmark-id';
+
+function dropPositionFor(e) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const offset = (e.clientY - rect.top) / rect.height;
+    if (offset < 0.25) return 'before';
+    if (offset > 0.75) return 'after';
+    return 'inside';
+}
+
+function BookmarkNode({ node, depth = 0, pageLabel, onAddChild, onRemove, onEdit, onGo, onMove, onKeyMove }) {
+    const label = pageLabel(node.page);
     const [open, setOpen] = useState(true);
+    const [dropPosition, setDropPosition] = useState(null);
     return (
         <div className={classNames('group rounded-md', depth > 0 ? 'ml-3' : '')}>
             <div
-                className="flex items-start gap-2 rounded-md border border-gray-200 bg-white p-2 hover:border-gray-300 hover:bg-gray-50 dark:border-gray-700 dark:bg-gray-800 dark:hover:bg-gray-700 cursor-pointer transition-colors"
+                data-bookmark-id={node.id}
+                draggable
+                onDragStart={(e) => {
+                    e.stopPropagation();
+                    e.dataTransfer.setData(BOOKMARK_DRAG_TYPE, node.id);
+                    e.dataTransfer.effectAllowed = 'move';
+                }}
+                onDragOver={(e) => {
+                    if (!e.dataTransfer.types.includes(BOOKMARK_DRAG_TYPE)) return;
+                    e.preventDefault();
+                    e.stopPropagation();
+                    setDropPosition(dropPositionFor(e));
+                }}
+                onDragLeave={() => setDropPosition(null)}
+                onDrop={(e) => {
+                    const draggedId = e.dataTransfer.getData(BOOKMARK_DRAG_TYPE);
+                    setDropPosition(null);
+                    if (!draggedId) return;
+                    e.preventDefault();
+                    e.stopPropagation();
+                    onMove(draggedId, node.id, dropPositionFor(e));
+                }}
+                className={classNames(
+                    'flex items-start gap-2 rounded-md border bg-white p-2 hover:border-gray-300 hover:bg-gray-50 dark:bg-gray-800 dark:hover:bg-gray-700 cursor-pointer transition-colors',
+                    dropPosition === 'inside' ? 'border-indigo-400 bg-indigo-50 dark:border-indigo-500' : 'border-gray-200 dark:border-gray-700',
+                    dropPosition === 'before' ? 'shadow-[inset_0_2px_0_0_rgb(99,102,241)]' : '',
+                    dropPosition === 'after' ? 'shadow-[inset_0_-2px_0_0_rgb(99,102,241)]' : ''
+                )}
                 onClick={() => onGo(node.page)}
                 role="button"
                 tabIndex={0}
@@ -68,6 +162,12 @@ function BookmarkNode({ node, depth = 0, onAddChild, onRemove, onEdit, onGo }) {
                     if (e.key === 'Enter' || e.key === ' ') {
                         e.preventDefault();
                         onGo(node.page);
+                    } else if (e.key === 'Tab') {
+                        e.preventDefault();
+                        onKeyMove(node.id, e.shiftKey ? 'outdent' : 'indent');
+                    } else if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+                        e.preventDefault();
+                        onKeyMove(node.id, e.key === 'ArrowUp' ? 'up' : 'down');
                     }
                 }}
             >
@@ -82,8 +182,22 @@ function BookmarkNode({ node, depth = 0, onAddChild, onRemove, onEdit, onGo }) {
                     {open ? '▾' : '▸'}
                 </button>
                 <div className="min-w-0 flex-1">
-                    <div className="truncate font-medium text-gray-800 dark:text-gray-100" title={`Go to page ${node.page}`}>{node.title}</div>
-                    <div className="mt-0.5 text-xs text-gray-500 dark:text-gray-400">Page {node.page}</div>
+                    <div
+                        className={classNames('truncate text-gray-800 dark:text-gray-100', node.bold ? 'font-bold' : 'font-medium', node.italic ? 'italic' : '')}
+                        style={node.color ? { color: node.color } : undefined}
+                        title={`Go to page ${label}`}
+                    >
+                        {node.title}
+                    </div>
+                    <div className="mt-0.5 text-xs text-gray-500 dark:text-gray-400">
+                        Page {label}
+                        {label !== String(node.page) && <span className="text-gray-400 dark:text-gray-500"> · #{node.page}</span>}
+                        {node.pageDeleted && (
+                            <span className="ml-2 text-amber-700 dark:text-amber-400" title="Its page was deleted in the page organizer; edit the bookmark to pick a new page">
+                                ⚠ page deleted
+                            </span>
+                        )}
+                    </div>
                 </div>
                 <div className="flex items-center gap-1 opacity-0 transition-opacity group-hover:opacity-100">
                     <button className="rounded px-2 py-1 text-xs text-emerald-700 hover:bg-emerald-50" onClick={(e) => { e.stopPropagation(); onAddChild(node.id); }}>Add</button>
@@ -98,10 +212,13 @@ function BookmarkNode({ node, depth = 0, onAddChild, onRemove, onEdit, onGo }) {
                             key={child.id}
                             node={child}
                             depth={depth + 1}
+                            pageLabel={pageLabel}
                             onAddChild={onAddChild}
                             onRemove={onRemove}
                             onEdit={onEdit}
                             onGo={onGo}
+                            onMove={onMove}
+                            onKeyMove={onKeyMove}
                         />
                     ))}
                 </div>
@@ -110,11 +227,40 @@ function BookmarkNode({ node, depth = 0, onAddChild, onRemove, onEdit, onGo }) {
     );
 }
 
+function OutlinePreview({ items, depth = 0 }) {
+    return (
+        <ul className={classNames('space-y-1', depth > 0 ? 'ml-4 mt-1' : '')}>
+            {items.map((item, i) => (
+                <li key={`${depth}-${i}`}>
+                    <div className="flex items-baseline gap-2 text-sm">
+                        <span className="min-w-0 flex-1 truncate text-gray-800 dark:text-gray-100">{item.title}</span>
+                        <span className="shrink-0 text-xs text-gray-500 dark:text-gray-400">
+                            p. {item.page}
+                            {item.printedPage && String(item.printedPage) !== String(item.page) ? ` (printed ${item.printedPage})` : ''}
+                        </span>
+                    </div>
+                    {item.children && item.children.length > 0 && <OutlinePreview items={item.children} depth={depth + 1} />}
+                </li>
+            ))}
+        </ul>
+    );
+}
+
 export default function App() {
     const [file, setFile] = useState(null);
     const [fileId, setFileId] = useState(null);
     const [numPages, setNumPages] = useState(null);
-    const [tree, setTree] = useState([]);
+    const {
+        value: tree,
+        set: setTree,
+        reset: resetTree,
+        remap: remapTreeHistory,
+        undo: undoTree,
+        redo: redoTree,
+        isLatest: isLatestTreeChange,
+        undoLabel,
+        redoLabel,
+    } = useUndoableState([]);
     const [pageView, setPageView] = useState(1);
     const [scale, setScale] = useState(1.0);
     const [isUploading, setIsUploading] = useState(false);
@@ -127,14 +273,74 @@ export default function App() {
     const [editingId, setEditingId] = useState(null);
     const [formTitle, setFormTitle] = useState('');
     const [formPage, setFormPage] = useState('1');
+    const [formProps, setFormProps] = useState({}); // color, bold, italic, open, dest
+    const [pickingDest, setPickingDest] = useState(false);
+    const [searchQuery, setSearchQuery] = useState('');
+    const [search, setSearch] = useState({ query: '', hits: [], truncated: false });
+    const [activeHit, setActiveHit] = useState(null);
+    const [isSearching, setIsSearching] = useState(false);
+    const [pdfDoc, setPdfDoc] = useState(null);
+    const [showThumbnails, setShowThumbnails] = useState(() => localStorage.getItem('viewerThumbnails') !== 'false');
+    const [viewMode, setViewMode] = useState(() => localStorage.getItem('viewerMode') || 'single'); // single | continuous
     const [toasts, setToasts] = useState([]);
     const [theme, setTheme] = useState('light'); // light | dark
     const [originalName, setOriginalName] = useState(null);
-    const [activeTab, setActiveTab] = useState('bookmarks'); // bookmarks | dummy
-    const [selectedPhoto, setSelectedPhoto] = useState(null);
-    const [uploadedImage, setUploadedImage] = useState(null);
+    const [activeTab, setActiveTab] = useState('bookmarks'); // bookmarks | batch | merge | photo
+    const [proposal, setProposal] = useState(null); // { title, description, bookmarks }
+    const [proposalShift, setProposalShift] = useState(0);
+    const [isDetecting, setIsDetecting] = useState(false);
+    const [ocrEnabled, setOcrEnabled] = useState(false);
+    const [preserveOrder, setPreserveOrder] = useState(false);
+    const [processingStatus, setProcessingStatus] = useState('');
+    const [splitLevel, setSplitLevel] = useState(1);
+    const [pageLabelRanges, setPageLabelRanges] = useState([]);
+    const [pageLabelsChanged, setPageLabelsChanged] = useState(false); // only edited labels are written back
+    const [pageLabelsDraft, setPageLabelsDraft] = useState(null); // ranges being edited in the modal
+    const [pageInput, setPageInput] = useState(null); // what is typed in the page box until Enter/blur
+    const [organizing, setOrganizing] = useState(false);
+    const [isApplyingPages, setIsApplyingPages] = useState(false);
+    const [annotations, setAnnotations] = useState([]); // drawn in the app, written by processing
+    const [existingAnnotations, setExistingAnnotations] = useState([]); // already in the file, read-only
+    const [annotationTool, setAnnotationTool] = useState(''); // '' | highlight | note | ink
+    const [annotationColors, setAnnotationColors] = useState(() => Object.fromEntries(Object.entries(ANNOTATION_TOOLS).map(([tool, { color }]) => [tool, color])));
+    const [selectedAnnotationId, setSelectedAnnotationId] = useState(null);
+    const [sidePanel, setSidePanel] = useState('bookmarks'); // bookmarks | annotations | form | metadata
+    const [formFields, setFormFields] = useState([]); // AcroForm fields of the upload, as the server lists them
+    const [formValues, setFormValues] = useState({}); // field name -> value being edited
+    const [flattenForm, setFlattenForm] = useState(false);
+    const [documentMetadata, setDocumentMetadata] = useState(null); // properties of the upload, as the server reads them
+    const [metadataEdits, setMetadataEdits] = useState({}); // property -> value typed in the panel
+    const [lockedUpload, setLockedUpload] = useState(null); // { id, originalName, unlocking, error } while the upload waits for its password
+    const [passwordDraft, setPasswordDraft] = useState('');
+    const [protectOutput, setProtectOutput] = useState(false);
+    const [outputProtection, setOutputProtection] = useState(DEFAULT_PROTECTION);
+    const metadataValues = useMemo(() => (documentMetadata ? { ...initialMetadata(documentMetadata), ...metadataEdits } : null), [documentMetadata, metadataEdits]);
+    const metadataChanges = useMemo(() => (documentMetadata ? changedMetadata(documentMetadata, metadataValues) : {}), [documentMetadata, metadataValues]);
+    const pageLabels = useMemo(() => labelsFromRanges(pageLabelRanges, numPages), [pageLabelRanges, numPages]);
+    const pageLabel = useCallback((p) => (pageLabels && pageLabels[p - 1]) || String(p), [pageLabels]);
+    const [projectId, setProjectId] = useState(null);
+    const [recentProjects, setRecentProjects] = useState([]);
+    const [saveState, setSaveState] = useState('idle'); // idle | saving | saved | error
+    const [importErrors, setImportErrors] = useState(null); // { fileName, errors }
+    const [autoGenOpen, setAutoGenOpen] = useState(false);
+    const [autoGenDepth, setAutoGenDepth] = useState('3');
+    const [autoGenRatio, setAutoGenRatio] = useState('1.15');
 
     const fileUrlRef = useRef(null);
+    const pdfPasswordRef = useRef(null); // password of the open file, once the server accepted it
+    const passwordCallbackRef = useRef(null); // pdf.js waiting for that password
+    const projectIdRef = useRef(null); // projectId for saves that outlive the render that started them
+    const projectCreateRef = useRef(null); // the project create request in flight
+    const latestTreeRef = useRef(tree);
+    const treeEditedRef = useRef(false); // the user changed the bookmarks since the file was opened
+    const outlineImportRef = useRef(null); // upload whose existing outline was imported (or is being)
+    const focusBookmarkRef = useRef(null);
+    const pageProxiesRef = useRef(new Map()); // rendered pdf.js pages by page number
+    const pageTextCacheRef = useRef(new Map());
+    const searchRunRef = useRef(0);
+    const searchInputRef = useRef(null);
+    projectIdRef.current = projectId;
+    latestTreeRef.current = tree;
 
     // For monolithic apps: use localhost in development, relative URLs in production
     const BACKEND_BASE_URL = import.meta.env.VITE_BACKEND_URL ||
@@ -144,9 +350,9 @@ export default function App() {
     console.log('Environment:', import.meta.env.MODE);
     console.log('Backend URL:', BACKEND_BASE_URL || 'Using relative URLs (same domain)');
 
-    function showToast(message, type = 'info', timeoutMs = 3000) {
+    function showToast(message, type = 'info', timeoutMs = 3000, action = null) {
         const id = uuidv4();
-        const toast = { id, message, type };
+        const toast = { id, message, type, action };
         setToasts((t) => [...t, toast]);
         window.setTimeout(() => dismissToast(id), timeoutMs);
     }
@@ -154,19 +360,55 @@ export default function App() {
         setToasts((t) => t.filter((x) => x.id !== id));
     }
 
-    function createNode(title, page) {
-        return { id: uuidv4(), title, page: Number(page), children: [] };
+    function createNode(title, page, props = {}) {
+        return { id: uuidv4(), title, page: Number(page), ...pickItemProperties(props), children: [] };
+    }
+
+    function fromPlainTree(items, shift = 0) {
+        return items.map((item) => {
+            const page = Math.max(1, Math.min(numPages || Infinity, (Number(item.page) || 1) + shift));
+            const node = createNode(item.title, page, item);
+            node.children = Array.isArray(item.children) ? fromPlainTree(item.children, shift) : [];
+            return node;
+        });
+    }
+
+    function shiftPlainTree(items, shift) {
+        return items.map((item) => ({
+            ...item,
+            page: Math.max(1, Math.min(numPages || Infinity, (Number(item.page) || 1) + shift)),
+            children: Array.isArray(item.children) ? shiftPlainTree(item.children, shift) : [],
+        }));
+    }
+
+    // Clears the viewer, edits, project and password state of the open document before another one is
+    // opened; the new one starts with `tree` and, when it is a saved project, `projectId`
+    function resetDocumentState({ tree: initialTree = [], projectId: openedProjectId = null } = {}) {
+        setIsPdfLoading(true);
+        setOrganizing(false);
+        setAnnotations([]);
+        setSelectedAnnotationId(null);
+        setFormValues({});
+        setMetadataEdits({});
+        resetTree(initialTree);
+        setNumPages(null);
+        setPageView(1);
+        setScale(1.0);
+        setProjectId(openedProjectId);
+        setSaveState(openedProjectId ? 'saved' : 'idle');
+        projectCreateRef.current = null;
+        treeEditedRef.current = false;
+        outlineImportRef.current = null;
+        setLockedUpload(null);
+        setPasswordDraft('');
+        pdfPasswordRef.current = null;
+        passwordCallbackRef.current = null;
     }
 
     async function uploadPdf(selectedFile) {
         try {
             setIsUploading(true);
-            // Reset viewer and bookmarks when a new file is selected
-            setIsPdfLoading(true);
-            setTree([]);
-            setNumPages(null);
-            setPageView(1);
-            setScale(1.0);
+            resetDocumentState();
             setFileId(null);
             setOriginalName(null);
             setFile(selectedFile);
@@ -175,6 +417,11 @@ export default function App() {
             const resp = await axios.post(`${BACKEND_BASE_URL}/api/upload`, fd, {
                 headers: { 'Content-Type': 'multipart/form-data' },
             });
+            if (resp.data.passwordRequired) {
+                setPasswordDraft('');
+                setLockedUpload({ id: resp.data.id, originalName: resp.data.originalName || selectedFile?.name || 'document.pdf', unlocking: false, error: null });
+                return;
+            }
             setFileId(resp.data.id);
             setOriginalName(resp.data.originalName || selectedFile?.name || 'document.pdf');
             if (fileUrlRef.current) URL.revokeObjectURL(fileUrlRef.current);
@@ -182,12 +429,165 @@ export default function App() {
             showToast('PDF uploaded');
         } catch (err) {
             console.error(err);
-            showToast('Failed to upload PDF', 'error', 5000);
+            showToast(err.response?.data?.error || 'Failed to upload PDF', 'error', 5000);
+        } finally {
+            setIsUploading(false);
+        }
+    }
+
+    // Sends the typed password to the server, which decrypts its copy for processing, then hands it
+    // to pdf.js so the viewer opens the local file too
+    async function unlockUpload() {
+        const upload = lockedUpload;
+        if (!upload || upload.unlocking || !passwordDraft) return;
+        setLockedUpload({ ...upload, unlocking: true, error: null });
+        try {
+            await axios.post(`${BACKEND_BASE_URL}/api/files/${encodeURIComponent(upload.id)}/unlock`, { password: passwordDraft });
+        } catch (err) {
+            console.error(err);
+            setLockedUpload({ ...upload, unlocking: false, error: err.response?.status === 403 ? 'Incorrect password' : 'Could not unlock the PDF' });
+            return;
+        }
+        pdfPasswordRef.current = passwordDraft;
+        if (passwordCallbackRef.current) passwordCallbackRef.current(passwordDraft);
+        passwordCallbackRef.current = null;
+        setPasswordDraft('');
+        setLockedUpload(null);
+        setFileId(upload.id);
+        setOriginalName(upload.originalName);
+        showToast('PDF unlocked');
+    }
+
+    function cancelUnlock() {
+        setLockedUpload(null);
+        setPasswordDraft('');
+        passwordCallbackRef.current = null;
+        setIsPdfLoading(false);
+        setFile(null);
+        showToast('The PDF needs its password to be opened', 'error');
+    }
+
+    // pdf.js asks for the password of an encrypted file; it is only answered once the server accepted it
+    function onDocumentPassword(callback, reason) {
+        if (reason === pdfjs.PasswordResponses.NEED_PASSWORD && pdfPasswordRef.current !== null) {
+            callback(pdfPasswordRef.current);
+            return;
+        }
+        if (reason === pdfjs.PasswordResponses.INCORRECT_PASSWORD) showToast('The viewer could not open the PDF with this password', 'error', 5000);
+        passwordCallbackRef.current = callback;
+    }
+
+    async function refreshProjects() {
+        try {
+            const resp = await axios.get(`${BACKEND_BASE_URL}/api/projects`);
+            setRecentProjects(resp.data.projects || []);
+        } catch (err) {
+            console.error('Could not load projects', err);
+        }
+    }
+
+    async function openProject(id) {
+        try {
+            setIsUploading(true);
+            const { data: project } = await axios.get(`${BACKEND_BASE_URL}/api/projects/${id}`);
+            if (!project.fileAvailable) {
+                showToast('The PDF for this project is no longer on the server', 'error', 5000);
+                return;
+            }
+            const resp = await axios.get(`${BACKEND_BASE_URL}/api/files/${encodeURIComponent(project.fileId)}`, { responseType: 'blob' });
+            const projectFile = new File([resp.data], project.originalName || 'document.pdf', { type: 'application/pdf' });
+            resetDocumentState({ tree: project.tree || [], projectId: project.id });
+            setFile(projectFile);
+            setFileId(project.fileId);
+            setOriginalName(project.originalName);
+            if (fileUrlRef.current) URL.revokeObjectURL(fileUrlRef.current);
+            fileUrlRef.current = URL.createObjectURL(projectFile);
+            showToast(`Opened “${project.name}”`);
+        } catch (err) {
+            console.error(err);
+            showToast('Failed to open project', 'error', 5000);
+        } finally {
+            setIsUploading(false);
+        }
+    }
+
+    // Opens a PDF the server already stored as an upload (e.g. photos converted in the Photo tab)
+    async function openUploadedFile({ id, originalName: name }) {
+        try {
+            setIsUploading(true);
+            const resp = await axios.get(`${BACKEND_BASE_URL}/api/files/${encodeURIComponent(id)}`, { responseType: 'blob' });
+            const uploadedFile = new File([resp.data], name || 'document.pdf', { type: 'application/pdf' });
+            resetDocumentState();
+            setFile(uploadedFile);
+            setFileId(id);
+            setOriginalName(uploadedFile.name);
+            if (fileUrlRef.current) URL.revokeObjectURL(fileUrlRef.current);
+            fileUrlRef.current = URL.createObjectURL(uploadedFile);
+            setActiveTab('bookmarks');
+            showToast(`Created “${uploadedFile.name}”`);
+        } catch (err) {
+            console.error(err);
+            showToast('Failed to open the created PDF', 'error', 5000);
         } finally {
             setIsUploading(false);
         }
     }
 
+    async function renameProject(id, name) {
+        try {
+            await axios.patch(`${BACKEND_BASE_URL}/api/projects/${id}`, { name });
+            refreshProjects();
+        } catch (err) {
+            console.error(err);
+            showToast('Failed to rename project', 'error');
+        }
+    }
+
+    async function deleteProject(id) {
+        try {
+            await axios.delete(`${BACKEND_BASE_URL}/api/projects/${id}`);
+            if (id === projectId) setProjectId(null);
+            refreshProjects();
+            showToast('Project deleted');
+        } catch (err) {
+            console.error(err);
+            showToast('Failed to delete project', 'error');
+        }
+    }
+
+    // Sends the latest tree: creates the project on the first save, updates it afterwards. Only one
+    // create may be in flight; saves made meanwhile wait for it and then update the new project.
+    async function saveProject() {
+        setSaveState('saving');
+        try {
+            while (projectCreateRef.current) await projectCreateRef.current.catch(() => null);
+            if (projectIdRef.current) {
+                await axios.patch(`${BACKEND_BASE_URL}/api/projects/${projectIdRef.current}`, { tree: latestTreeRef.current });
+            } else {
+                const create = axios.post(`${BACKEND_BASE_URL}/api/projects`, {
+                    fileId,
+                    originalName,
+                    tree: latestTreeRef.current,
+                });
+                projectCreateRef.current = create;
+                try {
+                    const { data } = await create;
+                    // A file opened meanwhile dropped this create; its project must not take over
+                    if (projectCreateRef.current === create) {
+                        projectIdRef.current = data.id;
+                        setProjectId(data.id);
+                    }
+                } finally {
+                    if (projectCreateRef.current === create) projectCreateRef.current = null;
+                }
+            }
+            setSaveState('saved');
+        } catch (err) {
+            console.error('Autosave failed', err);
+            setSaveState('error');
+        }
+    }
+
     const onFileChange = async (e) => {
         const f = e.target.files?.[0];
         if (!f) return;
@@ -199,58 +599,32 @@ export default function App() {
     };
 
     async function onDocumentLoadSuccess(pdf) {
+        setPdfDoc(pdf);
+        pageProxiesRef.current = new Map();
+        pageTextCacheRef.current = new Map();
+        setNumPages(pdf?.numPages || 1);
+        setPageView(1);
+        setIsPdfLoading(false);
+        setPageLabelsChanged(false);
         try {
-            const totalPages = pdf?.numPages || 1;
-            setNumPages(totalPages);
-            setPageView(1);
-            setIsPdfLoading(false);
-
-            // If the PDF already has an outline, import it as initial tree (only if tree is empty)
-            if (tree.length === 0 && typeof pdf.getOutline === 'function') {
-                const outlineItems = await pdf.getOutline();
-                if (Array.isArray(outlineItems) && outlineItems.length > 0) {
-                    async function destToPageNumber(documentProxy, dest) {
-                        try {
-                            if (!dest) return null;
-                            let explicit = dest;
-                            if (typeof dest === 'string') {
-                                explicit = await documentProxy.getDestination(dest);
-                            }
-                            if (Array.isArray(explicit)) {
-                                const [ref] = explicit;
-                                if (ref && typeof ref === 'object' && typeof documentProxy.getPageIndex === 'function') {
-                                    const idx = await documentProxy.getPageIndex(ref);
-                                    return Number(idx) + 1;
-                                }
-                            }
-                            return null;
-                        } catch {
-                            return null;
-                        }
-                    }
-
-                    async function mapOutline(items) {
-                        const mapped = await Promise.all(items.map(async (it) => {
-                            const page = await destToPageNumber(pdf, it.dest);
-                            const safePage = page && page >= 1 && page <= totalPages ? page : 1;
-                            const title = (it.title || '').trim() || 'Untitled';
-                            const node = createNode(title, safePage);
-                            const children = Array.isArray(it.items) && it.items.length > 0 ? await mapOutline(it.items) : [];
-                            node.children = children;
-                            return node;
-                        }));
-                        return mapped;
-                    }
-
-                    const imported = await mapOutline(outlineItems);
-                    if (imported && imported.length > 0) {
-                        setTree(imported);
-                        showToast(`Imported ${imported.length} existing bookmark${imported.length > 1 ? 's' : ''}`);
-                    }
-                }
-            }
+            setPageLabelRanges(rangesFromLabels(await pdf.getPageLabels()));
         } catch (e) {
-            console.error('Outline import failed', e);
+            console.error('Reading page labels failed', e);
+            setPageLabelRanges([]);
+        }
+    }
+
+    // Turns the outline the file already has (as the server reads it) into the bookmark tree, unless
+    // bookmarks were added meanwhile or another file was opened
+    async function importExistingOutline(id) {
+        try {
+            const { data } = await axios.get(`${BACKEND_BASE_URL}/api/v1/files/${encodeURIComponent(id)}/outline`);
+            const bookmarks = data.bookmarks || [];
+            if (bookmarks.length === 0 || outlineImportRef.current !== id || latestTreeRef.current.length > 0) return;
+            resetTree(fromPlainTree(bookmarks));
+            showToast(`Imported ${bookmarks.length} existing bookmark${bookmarks.length > 1 ? 's' : ''}`);
+        } catch (err) {
+            console.error('Outline import failed', err);
         }
     }
 
@@ -271,7 +645,8 @@ export default function App() {
     function openAddRoot() {
         setModalMode('addRoot');
         setFormTitle('');
-        setFormPage(String(pageView));
+        setFormPage(pageLabel(pageView));
+        setFormProps({});
         setModalParentId(null);
         setEditingId(null);
         setModalOpen(true);
@@ -280,7 +655,8 @@ export default function App() {
     function openAddChild(parentId) {
         setModalMode('addChild');
         setFormTitle('');
-        setFormPage(String(pageView));
+        setFormPage(pageLabel(pageView));
+        setFormProps({});
         setModalParentId(parentId);
         setEditingId(null);
         setModalOpen(true);
@@ -289,13 +665,16 @@ export default function App() {
     function openEdit(id) {
         let title = '';
         let page = 1;
+        let props = {};
         findAndOperate(tree, id, (arr, i) => {
             title = arr[i].title;
             page = arr[i].page;
+            props = pickItemProperties(arr[i]);
         });
         setModalMode('edit');
         setFormTitle(title);
-        setFormPage(String(page));
+        setFormPage(pageLabel(page));
+        setFormProps(props);
         setEditingId(id);
         setModalParentId(null);
         setModalOpen(true);
@@ -303,40 +682,255 @@ export default function App() {
 
     function saveModal() {
         const title = (formTitle || '').trim();
-        const page = parseInt(formPage, 10);
-        if (!title || !page || page < 1 || (numPages ? page > numPages : false)) {
+        const page = pageFromLabel(pageLabels, formPage, numPages);
+        if (!title || !page) {
             showToast('Please provide a valid title and page number', 'error');
             return;
         }
         if (modalMode === 'addRoot') {
-            setTree((t) => [...t, createNode(title, page)]);
+            setTree((t) => [...t, createNode(title, page, formProps)], 'Add bookmark');
             showToast('Bookmark added');
         } else if (modalMode === 'addChild' && modalParentId) {
-            const node = createNode(title, page);
+            const node = createNode(title, page, formProps);
             setTree((t) => {
                 const copy = JSON.parse(JSON.stringify(t));
                 findAndOperate(copy, modalParentId, (arr, idx) => {
                     arr[idx].children.push(node);
                 });
                 return copy;
-            });
+            }, 'Add child bookmark');
             showToast('Child bookmark added');
         } else if (modalMode === 'edit' && editingId) {
             setTree((t) => {
                 const copy = JSON.parse(JSON.stringify(t));
                 findAndOperate(copy, editingId, (arr, i) => {
-                    arr[i].title = title;
-                    arr[i].page = page;
+                    const { id, children } = arr[i];
+                    arr[i] = { id, title, page, ...pickItemProperties(formProps), children };
                 });
                 return copy;
-            });
+            }, 'Edit bookmark');
             showToast('Bookmark updated');
         }
         setModalOpen(false);
+        setPickingDest(false);
+    }
+
+    function updateFormDest(patch) {
+        setFormProps((p) => {
+            const mode = patch.mode !== undefined ? patch.mode : p.dest && p.dest.mode;
+            const next = { ...p };
+            if (mode) next.dest = { ...(p.dest || {}), ...patch, mode };
+            else delete next.dest;
+            return next;
+        });
+    }
+
+    // Records the clicked point of the previewed page (in PDF user space) as the bookmark's destination
+    function pickDestination(e, pageNumber) {
+        const page = pageProxiesRef.current.get(pageNumber);
+        if (!pickingDest || !page) return;
+        const rect = e.currentTarget.getBoundingClientRect();
+        const [left, top] = page.getViewport({ scale }).convertToPdfPoint(e.clientX - rect.left, e.clientY - rect.top);
+        updateFormDest({ left: Math.round(left), top: Math.round(top) });
+        setFormPage(pageLabel(pageNumber));
+        setPickingDest(false);
+    }
+
+    // Searches as the user types; a newer search makes older ones stop and drop their results
+    useEffect(() => {
+        const run = ++searchRunRef.current;
+        const query = searchQuery.trim();
+        if (!query || !pdfDoc) {
+            setSearch({ query: '', hits: [], truncated: false });
+            setActiveHit(null);
+            setIsSearching(false);
+            return undefined;
+        }
+        const timer = window.setTimeout(async () => {
+            setIsSearching(true);
+            try {
+                const result = await searchDocument(pdfDoc, query, {
+                    cache: pageTextCacheRef.current,
+                    isCancelled: () => run !== searchRunRef.current,
+                });
+                if (run !== searchRunRef.current) return;
+                setSearch({ query, ...result });
+                setActiveHit(null);
+            } catch (err) {
+                console.error('Search failed', err);
+            } finally {
+                if (run === searchRunRef.current) setIsSearching(false);
+            }
+        }, 250);
+        return () => window.clearTimeout(timer);
+    }, [searchQuery, pdfDoc]);
+
+    function selectHit(index) {
+        setActiveHit(index);
+        setPageView(search.hits[index].page);
+    }
+
+    function openAddFromHit(hit) {
+        setModalMode('addRoot');
+        setFormTitle(hit.title);
+        setFormPage(pageLabel(hit.page));
+        setFormProps({});
+        setModalParentId(null);
+        setEditingId(null);
+        setModalOpen(true);
+    }
+
+    const activeHitTarget = activeHit !== null ? search.hits[activeHit] : null;
+    const renderSearchText = useCallback(
+        ({ str, itemIndex, pageNumber }) => {
+            const active = activeHitTarget && activeHitTarget.page === pageNumber && activeHitTarget.itemIndex === itemIndex;
+            return highlightText(str, search.query, active ? 'pdf-search-hit-active' : '');
+        },
+        [search.query, activeHitTarget]
+    );
+
+    const pageSizes = usePageSizes(pdfDoc);
+    const bookmarkedPages = useMemo(() => {
+        const pages = new Set();
+        const walk = (nodes) => nodes.forEach((n) => {
+            pages.add(Number(n.page));
+            if (n.children) walk(n.children);
+        });
+        walk(tree);
+        return pages;
+    }, [tree]);
+
+    function toggleThumbnails() {
+        setShowThumbnails((v) => {
+            localStorage.setItem('viewerThumbnails', String(!v));
+            return !v;
+        });
+    }
+
+    function changeViewMode(mode) {
+        setViewMode(mode);
+        localStorage.setItem('viewerMode', mode);
+    }
+
+    const annotationsByPage = useMemo(() => {
+        const byPage = new Map();
+        annotations.forEach((a) => byPage.set(a.page, [...(byPage.get(a.page) || []), a]));
+        return byPage;
+    }, [annotations]);
+    const selectedAnnotation = useMemo(
+        () => [...annotations, ...existingAnnotations].find((a) => a.id === selectedAnnotationId) || null,
+        [annotations, existingAnnotations, selectedAnnotationId]
+    );
+
+    // Existing annotations are listed read-only; a newer document stops an older scan
+    useEffect(() => {
+        setExistingAnnotations([]);
+        if (!pdfDoc) return undefined;
+        let cancelled = false;
+        readExistingAnnotations(pdfDoc, { isCancelled: () => cancelled })
+            .then((list) => {
+                if (!cancelled) setExistingAnnotations(list);
+            })
+            .catch((err) => console.error('Reading annotations failed', err));
+        return () => {
+            cancelled = true;
+        };
+    }, [pdfDoc]);
+
+    // Form fields come from the server copy. Edits survive a new copy of the same document
+    // (e.g. after organizing pages) for the fields it still has; a new upload clears them first.
+    useEffect(() => {
+        setFormFields([]);
+        if (!fileId) return undefined;
+        let cancelled = false;
+        axios
+            .get(`${BACKEND_BASE_URL}/api/files/${encodeURIComponent(fileId)}/fields`)
+            .then(({ data }) => {
+                if (cancelled) return;
+                const fields = data.fields || [];
+                setFormFields(fields);
+                setFormValues((edited) => {
+                    const kept = Object.fromEntries(Object.entries(edited).filter(([name]) => fields.some((f) => f.name === name)));
+                    return { ...initialValues(fields), ...kept };
+                });
+                if (fields.length === 0) setSidePanel((panel) => (panel === 'form' ? 'bookmarks' : panel));
+            })
+            .catch((err) => console.error('Reading form fields failed', err));
+        return () => {
+            cancelled = true;
+        };
+    }, [fileId]);
+
+    useEffect(() => {
+        setDocumentMetadata(null);
+        if (!fileId) return undefined;
+        let cancelled = false;
+        axios
+            .get(`${BACKEND_BASE_URL}/api/files/${encodeURIComponent(fileId)}/metadata`)
+            .then(({ data }) => {
+                if (!cancelled) setDocumentMetadata(data);
+            })
+            .catch((err) => console.error('Reading document properties failed', err));
+        return () => {
+            cancelled = true;
+        };
+    }, [fileId]);
+
+    function addAnnotation(annotation) {
+        const id = uuidv4();
+        setAnnotations((list) => [...list, { ...annotation, id }]);
+        setSelectedAnnotationId(id);
+        setSidePanel('annotations');
+    }
+
+    function updateAnnotation(id, patch) {
+        setAnnotations((list) => list.map((a) => (a.id === id ? { ...a, ...patch } : a)));
+    }
+
+    function removeAnnotation(id) {
+        setAnnotations((list) => list.filter((a) => a.id !== id));
+        if (selectedAnnotationId === id) setSelectedAnnotationId(null);
+    }
+
+    function selectAnnotation(annotation) {
+        if (!annotation) return;
+        setSelectedAnnotationId(annotation.id);
+        setSidePanel('annotations');
+        goToPage(annotation.page);
+    }
+
+    function renderViewerPage(pageNumber) {
+        return (
+            <div
+                className={classNames('relative', pickingDest ? 'cursor-crosshair ring-2 ring-indigo-500' : '')}
+                onClick={(e) => pickDestination(e, pageNumber)}
+            >
+                <MarkupLayer
+                    pdf={pdfDoc}
+                    pageNumber={pageNumber}
+                    scale={scale}
+                    tool={pickingDest ? '' : annotationTool}
+                    color={annotationColors[annotationTool]}
+                    annotations={annotationsByPage.get(pageNumber) || []}
+                    selected={selectedAnnotation}
+                    onAdd={addAnnotation}
+                    onSelect={(id) => selectAnnotation(annotations.find((a) => a.id === id))}
+                >
+                    <Page
+                        pageNumber={pageNumber}
+                        scale={scale}
+                        customTextRenderer={search.query ? renderSearchText : undefined}
+                        onLoadSuccess={(page) => { pageProxiesRef.current.set(pageNumber, page); }}
+                        onRenderSuccess={() => setIsPdfLoading(false)}
+                        onRenderError={() => setIsPdfLoading(false)}
+                    />
+                </MarkupLayer>
+            </div>
+        );
     }
 
     const removeNode = (id) => {
-        setTree((t) => {
+        const changeId = setTree((t) => {
             const copy = JSON.parse(JSON.stringify(t));
             const idx = copy.findIndex((n) => n.id === id);
             if (idx !== -1) {
@@ -345,30 +939,128 @@ export default function App() {
             }
             findAndOperate(copy, id, (arr, i) => arr.splice(i, 1));
             return copy;
+        }, 'Remove bookmark');
+        showToast('Bookmark removed', 'info', 6000, {
+            label: 'Undo',
+            onClick: () => {
+                if (isLatestTreeChange(changeId)) undoTree(changeId);
+                else showToast('Other changes were made since; use Undo in the toolbar', 'error');
+            },
         });
-        showToast('Bookmark removed');
     };
 
+    function moveBookmark(id, targetId, position) {
+        setTree((t) => moveNode(t, id, targetId, position), 'Move bookmark');
+    }
+
+    function keyMoveBookmark(id, action) {
+        focusBookmarkRef.current = id;
+        setTree((t) => {
+            if (action === 'indent') return indentNode(t, id);
+            if (action === 'outdent') return outdentNode(t, id);
+            return shiftNode(t, id, action === 'up' ? -1 : 1);
+        }, 'Move bookmark');
+    }
+
+    // Keep keyboard focus on a bookmark after it has been moved
+    useEffect(() => {
+        const id = focusBookmarkRef.current;
+        if (!id) return;
+        focusBookmarkRef.current = null;
+        document.querySelector(`[data-bookmark-id="${id}"]`)?.focus();
+    }, [tree]);
+
     const goToPage = (p) => setPageView(Math.max(1, Math.min(numPages || 1, Number(p) || 1)));
 
+    function commitPageInput() {
+        if (pageInput === null) return;
+        const page = pageFromLabel(pageLabels, pageInput, numPages);
+        if (page) setPageView(page);
+        else showToast(`No page labelled “${pageInput}”`, 'error');
+        setPageInput(null);
+    }
+
+    // Rebuilds the document from the organizer's page plan on the server, then continues on the result
+    // with every bookmark moved to its page's new position. The undo history is remapped the same way,
+    // so earlier edits can still be undone on the organized document.
+    async function applyPagePlan(plan) {
+        setIsApplyingPages(true);
+        try {
+            const { data } = await axios.post(`${BACKEND_BASE_URL}/api/organize`, { id: fileId, pages: toPagesPayload(plan) });
+            const resp = await axios.get(`${BACKEND_BASE_URL}/api/files/${encodeURIComponent(data.id)}`, { responseType: 'blob' });
+            const organizedFile = new File([resp.data], originalName || file?.name || 'document.pdf', { type: 'application/pdf' });
+            const { flagged } = remapTree(tree, plan);
+            const { annotations: movedAnnotations, dropped } = remapAnnotations(annotations, pageMapping(plan));
+            remapTreeHistory((t) => remapTree(t, plan).tree);
+            setAnnotations(movedAnnotations);
+            setSelectedAnnotationId(null);
+            setIsPdfLoading(true);
+            setNumPages(null);
+            setPageView(1);
+            setFile(organizedFile);
+            setFileId(data.id);
+            if (fileUrlRef.current) URL.revokeObjectURL(fileUrlRef.current);
+            fileUrlRef.current = URL.createObjectURL(organizedFile);
+            if (projectId) {
+                axios.patch(`${BACKEND_BASE_URL}/api/projects/${projectId}`, { fileId: data.id }).catch((err) => {
+                    console.error('Updating the project file failed', err);
+                    setSaveState('error');
+                });
+            }
+            setOrganizing(false);
+            if (flagged > 0) {
+                showToast(`Pages updated. ${flagged} bookmark${flagged > 1 ? 's point' : ' points'} at a deleted page and ${flagged > 1 ? 'are' : 'is'} marked ⚠`, 'error', 6000);
+            } else if (dropped > 0) {
+                showToast(`Pages updated. ${dropped} annotation${dropped > 1 ? 's were' : ' was'} on deleted pages and removed`, 'error', 6000);
+            } else {
+                showToast('Pages updated');
+            }
+        } catch (err) {
+            console.error(err);
+            showToast(err.response?.data?.error || 'Failed to update pages', 'error', 5000);
+        } finally {
+            setIsApplyingPages(false);
+        }
+    }
+
+    function applyPageLabels() {
+        const ranges = normalizeRanges(pageLabelsDraft).filter((r) => !numPages || r.startPage <= numPages);
+        setPageLabelRanges(ranges.map(({ startPage, style, prefix, start }) => ({ startPage, style, prefix: prefix || '', start })));
+        setPageLabelsChanged(true);
+        setPageLabelsDraft(null);
+        showToast('Page labels updated; they are saved into the downloaded PDF');
+    }
+
+    function waitForJob(jobId) {
+        return followJob(BACKEND_BASE_URL, jobId, (state) => {
+            setProcessingStatus(`${state.message || 'Processing'} (${state.percent || 0}%)…`);
+        });
+    }
+
     const downloadProcessed = async () => {
         if (!fileId) {
             showToast('Upload a PDF first', 'error');
             return;
         }
         setIsProcessing(true);
+        setProcessingStatus('Queued…');
         try {
-            function strip(node) {
-                const out = { title: node.title, page: node.page };
-                if (node.children && node.children.length) out.children = node.children.map(strip);
-                return out;
-            }
-            const payload = tree.map(strip);
-            const resp = await axios.post(
-                `${BACKEND_BASE_URL}/api/process`,
-                { id: fileId, bookmarks: payload },
-                { responseType: 'blob' }
-            );
+            const payload = toPayload(tree);
+            const formChanges = changedValues(formFields, formValues);
+            const { data: job } = await axios.post(`${BACKEND_BASE_URL}/api/jobs`, {
+                id: fileId,
+                bookmarks: payload,
+                ocr: ocrEnabled,
+                preserveOrder,
+                pageLabels: pageLabelsChanged ? pageLabelRanges : undefined,
+                annotations: annotations.length > 0 ? toAnnotationsPayload(annotations) : undefined,
+                formValues: Object.keys(formChanges).length > 0 ? formChanges : undefined,
+                flattenForm: formFields.length > 0 && flattenForm,
+                metadata: Object.keys(metadataChanges).length > 0 ? metadataChanges : undefined,
+                encryption: protectOutput && hasProtection(outputProtection) ? outputProtection : undefined,
+            });
+            const finished = await waitForJob(job.id);
+            const resp = await axios.get(`${BACKEND_BASE_URL}/api/jobs/${job.id}/download`, { responseType: 'blob' });
             const url = window.URL.createObjectURL(new Blob([resp.data], { type: 'application/pdf' }));
             function makeBookmarkedName(name) {
                 if (!name) return 'bookmarked.pdf';
@@ -385,71 +1077,207 @@ export default function App() {
             a.href = url;
             a.download = downloadName;
             a.click();
-            showToast('Downloaded processed PDF');
+            const ocrSkipped = finished.ocrSkipped || [];
+            if (ocrSkipped.length > 0) {
+                showToast(`Downloaded processed PDF. ${describeOcrSkipped(ocrSkipped)}; they have no searchable text`, 'error', 10000);
+            } else {
+                showToast('Downloaded processed PDF');
+            }
         } catch (err) {
             console.error(err);
-            showToast('Failed to process PDF', 'error', 5000);
+            showToast(err.jobError || 'Failed to process PDF', 'error', 5000);
         } finally {
+            setProcessingStatus('');
             setIsProcessing(false);
         }
     };
 
-    const useSamplePdf = async () => {
+    const downloadSplit = async () => {
+        if (!fileId || tree.length === 0) {
+            showToast('Upload a PDF and add bookmarks first', 'error');
+            return;
+        }
+        setIsProcessing(true);
+        setProcessingStatus('Queued…');
         try {
-            const response = await fetch('/sample.pdf');
-            const blob = await response.blob();
-            const sampleFile = new File([blob], 'sample.pdf', { type: 'application/pdf' });
-            await uploadPdf(sampleFile);
+            const { data: job } = await axios.post(`${BACKEND_BASE_URL}/api/split`, {
+                id: fileId,
+                bookmarks: toPayload(tree),
+                level: Math.min(splitLevel, bookmarkDepth),
+                preserveOrder,
+            });
+            await waitForJob(job.id);
+            const resp = await axios.get(`${BACKEND_BASE_URL}/api/jobs/${job.id}/download`, { responseType: 'blob' });
+            const url = window.URL.createObjectURL(new Blob([resp.data], { type: 'application/zip' }));
+            const base = (originalName || file?.name || 'document.pdf').replace(/\.pdf$/i, '');
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${base} split.zip`;
+            a.click();
+            showToast('Downloaded split PDFs');
         } catch (err) {
             console.error(err);
-            showToast('Could not load sample PDF', 'error');
+            showToast(err.jobError || err.response?.data?.error || 'Failed to split PDF', 'error', 5000);
+        } finally {
+            setProcessingStatus('');
+            setIsProcessing(false);
         }
     };
 
-    const handlePhotoSelect = (e) => {
-        const file = e.target.files?.[0];
-        if (file) {
-            if (file.type.startsWith('image/')) {
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    setSelectedPhoto({
-                        file: file,
-                        url: e.target.result,
-                        name: file.name
-                    });
-                };
-                reader.readAsDataURL(file);
+    // Mail merge: one filled copy of the form per CSV row, with the current bookmarks in each
+    const downloadFormFill = async ({ rows, nameColumn }) => {
+        setIsProcessing(true);
+        setProcessingStatus('Queued…');
+        try {
+            const { data: job } = await axios.post(`${BACKEND_BASE_URL}/api/form-fill`, {
+                id: fileId,
+                rows,
+                nameColumn,
+                flatten: flattenForm,
+                bookmarks: toPayload(tree),
+                preserveOrder,
+            });
+            const finished = await waitForJob(job.id);
+            const resp = await axios.get(`${BACKEND_BASE_URL}/api/jobs/${job.id}/download`, { responseType: 'blob' });
+            const url = window.URL.createObjectURL(new Blob([resp.data], { type: 'application/zip' }));
+            const base = (originalName || file?.name || 'document.pdf').replace(/\.pdf$/i, '');
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${base} filled.zip`;
+            a.click();
+            const failed = (finished.results || []).filter((r) => r.status === 'failed');
+            if (failed.length > 0) {
+                showToast(`Downloaded ZIP; ${failed.length} row${failed.length > 1 ? 's' : ''} failed (first: row ${failed[0].row}, ${failed[0].error})`, 'error', 8000);
             } else {
-                showToast('Please select an image file', 'error');
+                showToast(`Downloaded ${rows.length} filled PDF${rows.length > 1 ? 's' : ''}`);
             }
+        } catch (err) {
+            console.error(err);
+            showToast(err.jobError || err.response?.data?.error || 'Failed to fill the form', 'error', 5000);
+        } finally {
+            setProcessingStatus('');
+            setIsProcessing(false);
         }
     };
 
-    const formatExtractedText = (text) => {
-        if (!text) return '';
-
-        // Split text into lines and clean up
-        const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+    const detectTableOfContents = async () => {
+        if (!fileId) {
+            showToast('Upload a PDF first', 'error');
+            return;
+        }
+        setIsDetecting(true);
+        try {
+            const resp = await axios.post(`${BACKEND_BASE_URL}/api/detect-toc`, { id: fileId });
+            const { found, bookmarks, offset, offsetSource, tocPages } = resp.data;
+            if (!found || !bookmarks || bookmarks.length === 0) {
+                showToast('No table of contents found', 'error');
+                return;
+            }
+            const pagesText = tocPages.length > 1 ? `pages ${tocPages[0]}–${tocPages[tocPages.length - 1]}` : `page ${tocPages[0]}`;
+            const offsetText = offsetSource === 'none'
+                ? 'Printed page numbers are used as-is.'
+                : `Printed page numbers were shifted by ${offset > 0 ? '+' : ''}${offset} (detected from ${offsetSource === 'pageLabels' ? 'page labels' : offsetSource}).`;
+            setProposalShift(0);
+            setProposal({
+                title: 'Detected Table of Contents',
+                description: `Found contents on ${pagesText}. ${offsetText}`,
+                bookmarks,
+            });
+        } catch (err) {
+            console.error(err);
+            showToast(err.response?.data?.error || 'Failed to detect table of contents', 'error', 5000);
+        } finally {
+            setIsDetecting(false);
+        }
+    };
 
-        // Group lines into paragraphs (lines that are close together)
-        const paragraphs = [];
-        let currentParagraph = [];
+    const generateOutlineFromHeadings = async () => {
+        if (!fileId) {
+            showToast('Upload a PDF first', 'error');
+            return;
+        }
+        setAutoGenOpen(false);
+        setIsDetecting(true);
+        try {
+            const resp = await axios.post(`${BACKEND_BASE_URL}/api/generate-outline`, {
+                id: fileId,
+                maxDepth: parseInt(autoGenDepth, 10),
+                minFontRatio: parseFloat(autoGenRatio),
+            });
+            const { bookmarks, levels, bodyFontSize } = resp.data;
+            if (!bookmarks || bookmarks.length === 0) {
+                showToast('No headings found; try a lower font-size ratio', 'error');
+                return;
+            }
+            const levelText = levels
+                .map((l, i) => `H${i + 1} ${l.fontSize}pt${l.bold ? ' bold' : ''}${l.italic ? ' italic' : ''}`)
+                .join(', ');
+            setProposalShift(0);
+            setProposal({
+                title: 'Generated Outline',
+                description: `Body text is ${bodyFontSize}pt. Heading levels: ${levelText}.`,
+                bookmarks,
+            });
+        } catch (err) {
+            console.error(err);
+            showToast(err.response?.data?.error || 'Failed to generate outline', 'error', 5000);
+        } finally {
+            setIsDetecting(false);
+        }
+    };
 
-        lines.forEach((line, index) => {
-            currentParagraph.push(line);
+    function exportBookmarks(format) {
+        const { extension, mimeType } = OUTLINE_FORMATS[format];
+        const base = (originalName || file?.name || 'document').replace(/\.[^/.]+$/, '');
+        const url = URL.createObjectURL(new Blob([exportOutline(tree, format)], { type: mimeType }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${base} bookmarks.${extension}`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
 
-            // If next line is empty or very short, or if this is the last line, end paragraph
-            if (index === lines.length - 1 ||
-                (lines[index + 1] && lines[index + 1].length < 3) ||
-                (lines[index + 1] && lines[index + 1].trim() === '')) {
-                if (currentParagraph.length > 0) {
-                    paragraphs.push(currentParagraph.join(' '));
-                    currentParagraph = [];
-                }
+    async function onImportFileChange(e) {
+        const importFile = e.target.files?.[0];
+        e.target.value = '';
+        if (!importFile) return;
+        try {
+            const text = await importFile.text();
+            const { bookmarks, errors } = importOutline(text, formatFromFileName(importFile.name), { numPages });
+            if (errors.length > 0) {
+                setImportErrors({ fileName: importFile.name, errors });
+                return;
             }
-        });
+            const count = bookmarks.reduce(function countAll(sum, n) { return n.children.reduce(countAll, sum + 1); }, 0);
+            setProposalShift(0);
+            setProposal({
+                title: 'Imported Outline',
+                description: `${count} bookmark${count === 1 ? '' : 's'} read from ${importFile.name}.`,
+                bookmarks,
+            });
+        } catch (err) {
+            console.error(err);
+            showToast('Could not read the outline file', 'error');
+        }
+    }
 
-        return paragraphs.join('\n\n');
+    function acceptProposal() {
+        if (!proposal) return;
+        setTree(fromPlainTree(proposal.bookmarks, proposalShift), 'Replace bookmarks');
+        setProposal(null);
+        showToast('Bookmarks replaced with proposal');
+    }
+
+    const useSamplePdf = async () => {
+        try {
+            const response = await fetch('/sample.pdf');
+            const blob = await response.blob();
+            const sampleFile = new File([blob], 'sample.pdf', { type: 'application/pdf' });
+            await uploadPdf(sampleFile);
+        } catch (err) {
+            console.error(err);
+            showToast('Could not load sample PDF', 'error');
+        }
     };
 
     function onDrop(e) {
@@ -474,15 +1302,29 @@ export default function App() {
 
     useEffect(() => {
         function onKeyDown(e) {
-            if (e.key === 'ArrowLeft') setPageView((p) => Math.max(1, p - 1));
-            if (e.key === 'ArrowRight') setPageView((p) => Math.min(numPages || 1, p + 1));
+            if (e.key === 'ArrowLeft' && !isTextField(e.target)) setPageView((p) => Math.max(1, p - 1));
+            if (e.key === 'ArrowRight' && !isTextField(e.target)) setPageView((p) => Math.min(numPages || 1, p + 1));
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f' && searchInputRef.current) {
+                e.preventDefault();
+                searchInputRef.current.focus();
+                searchInputRef.current.select();
+            }
             if ((e.ctrlKey || e.metaKey) && e.key === '=') setScale((s) => Math.min(3, parseFloat((s + 0.1).toFixed(2))));
             if ((e.ctrlKey || e.metaKey) && (e.key === '-' || e.key === '_')) setScale((s) => Math.max(0.5, parseFloat((s - 0.1).toFixed(2))));
             if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === '0') setScale(1);
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !isTextField(e.target)) {
+                e.preventDefault();
+                if (e.shiftKey) redoTree();
+                else undoTree();
+            }
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'y' && !isTextField(e.target)) {
+                e.preventDefault();
+                redoTree();
+            }
         }
         window.addEventListener('keydown', onKeyDown);
         return () => window.removeEventListener('keydown', onKeyDown);
-    }, [numPages]);
+    }, [numPages, undoTree, redoTree]);
 
     useEffect(() => {
         return () => {
@@ -490,6 +1332,27 @@ export default function App() {
         };
     }, []);
 
+    useEffect(() => {
+        refreshProjects();
+    }, []);
+
+    // Once the server has the upload and the viewer knows its pages, an empty tree starts from the file's own outline
+    useEffect(() => {
+        if (!fileId || !numPages || outlineImportRef.current === fileId) return;
+        outlineImportRef.current = fileId;
+        if (tree.length === 0) importExistingOutline(fileId);
+    }, [fileId, numPages]);
+
+    // Autosave: the first edit creates a project, later edits update it. Bookmarks imported from the
+    // file's own outline are not an edit, so opening a PDF alone never creates a project.
+    useEffect(() => {
+        if (undoLabel || redoLabel) treeEditedRef.current = true;
+        if (!fileId) return undefined;
+        if (!projectId && !treeEditedRef.current) return undefined;
+        const timer = window.setTimeout(() => saveProject(), 800);
+        return () => window.clearTimeout(timer);
+    }, [tree, fileId]);
+
     useEffect(() => {
         // Initialize theme from localStorage or system preference
         const stored = localStorage.getItem('theme');
@@ -521,6 +1384,8 @@ export default function App() {
     }
 
     const canDownload = useMemo(() => Boolean(fileId), [fileId]);
+    const protectionBlocked = protectOutput && Boolean(protectionProblem(outputProtection));
+    const bookmarkDepth = useMemo(() => treeDepth(tree), [tree]);
 
     return (
         <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100 p-6 dark:from-gray-950 dark:to-gray-900">
@@ -571,10 +1436,32 @@ export default function App() {
                                 📚 Bookmarks
                             </button>
                             <button
-                                onClick={() => setActiveTab('dummy')}
+                                onClick={() => setActiveTab('batch')}
+                                className={classNames(
+                                    'whitespace-nowrap border-b-2 py-2 px-1 text-sm font-medium',
+                                    activeTab === 'batch'
+                                        ? 'border-indigo-500 text-indigo-600 dark:text-indigo-400'
+                                        : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300'
+                                )}
+                            >
+                                🗂️ Batch
+                            </button>
+                            <button
+                                onClick={() => setActiveTab('merge')}
                                 className={classNames(
                                     'whitespace-nowrap border-b-2 py-2 px-1 text-sm font-medium',
-                                    activeTab === 'dummy'
+                                    activeTab === 'merge'
+                                        ? 'border-indigo-500 text-indigo-600 dark:text-indigo-400'
+                                        : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300'
+                                )}
+                            >
+                                🧩 Merge
+                            </button>
+                            <button
+                                onClick={() => setActiveTab('photo')}
+                                className={classNames(
+                                    'whitespace-nowrap border-b-2 py-2 px-1 text-sm font-medium',
+                                    activeTab === 'photo'
                                         ? 'border-indigo-500 text-indigo-600 dark:text-indigo-400'
                                         : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300'
                                 )}
@@ -610,6 +1497,12 @@ export default function App() {
                                                     <input type="file" accept="application/pdf" onChange={onFileChange} className="hidden" />
                                                 </label>
                                             </div>
+                                            <RecentProjects
+                                                projects={recentProjects}
+                                                onOpen={openProject}
+                                                onRename={renameProject}
+                                                onDelete={deleteProject}
+                                            />
                                         </div>
                                     ) : (
                                         <div>
@@ -624,13 +1517,17 @@ export default function App() {
                                                     <div className="text-sm text-gray-700 dark:text-gray-200">
                                                         Page
                                                         <input
-                                                            value={pageView}
-                                                            min={1}
-                                                            max={numPages || 1}
-                                                            onChange={(e) => setPageView(Number(e.target.value) || 1)}
+                                                            value={pageInput ?? pageLabel(pageView)}
+                                                            onChange={(e) => setPageInput(e.target.value)}
+                                                            onBlur={commitPageInput}
+                                                            onKeyDown={(e) => {
+                                                                if (e.key === 'Enter') commitPageInput();
+                                                                else if (e.key === 'Escape') setPageInput(null);
+                                                            }}
+                                                            aria-label="Page"
                                                             className="mx-2 w-16 rounded border border-gray-200 px-2 py-1 text-center text-sm dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100"
                                                         />
-                                                        of {numPages || '…'}
+                                                        {pageLabels ? `(${pageView} of ${numPages})` : `of ${numPages || '…'}`}
                                                     </div>
                                                     <button
                                                         className="rounded px-2 py-1 text-sm hover:bg-gray-50 dark:text-gray-200 dark:hover:bg-gray-700"
@@ -645,14 +1542,119 @@ export default function App() {
                                                     <button className="rounded px-2 py-1 text-sm text-gray-700 dark:text-gray-200 dark:hover:bg-gray-700" onClick={() => setScale((s) => Math.min(3, parseFloat((s + 0.1).toFixed(2))))}>+</button>
                                                     <button className="rounded px-2 py-1 text-sm text-gray-700 hover:bg-gray-50 dark:text-gray-200 dark:hover:bg-gray-700" onClick={() => setScale(1)}>Reset</button>
                                                 </div>
+                                                <div className="flex items-center gap-1 rounded-md border border-gray-200 bg-white p-1 dark:border-gray-700 dark:bg-gray-800">
+                                                    <button
+                                                        className={classNames('rounded px-2 py-1 text-sm dark:text-gray-200', showThumbnails ? 'bg-indigo-50 text-indigo-700 dark:bg-indigo-950' : 'text-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700')}
+                                                        onClick={toggleThumbnails}
+                                                        aria-pressed={showThumbnails}
+                                                    >
+                                                        Thumbnails
+                                                    </button>
+                                                    <button
+                                                        className={classNames('rounded px-2 py-1 text-sm dark:text-gray-200', viewMode === 'continuous' ? 'bg-indigo-50 text-indigo-700 dark:bg-indigo-950' : 'text-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700')}
+                                                        onClick={() => changeViewMode(viewMode === 'continuous' ? 'single' : 'continuous')}
+                                                        aria-pressed={viewMode === 'continuous'}
+                                                        title="Scroll through all pages instead of one at a time"
+                                                    >
+                                                        Continuous
+                                                    </button>
+                                                </div>
+                                                <div className="flex items-center gap-1 rounded-md border border-gray-200 bg-white p-1 dark:border-gray-700 dark:bg-gray-800">
+                                                    <button
+                                                        className={classNames('rounded px-2 py-1 text-sm dark:text-gray-200', organizing ? 'bg-indigo-50 text-indigo-700 dark:bg-indigo-950' : 'text-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700')}
+                                                        onClick={() => setOrganizing((v) => !v)}
+                                                        aria-pressed={organizing}
+                                                        disabled={!numPages || isApplyingPages}
+                                                        title="Reorder, rotate, delete and insert pages"
+                                                    >
+                                                        Organize pages
+                                                    </button>
+                                                    <button
+                                                        className={classNames('rounded px-2 py-1 text-sm dark:text-gray-200', pageLabels ? 'text-indigo-700 dark:text-indigo-300' : 'text-gray-700', 'hover:bg-gray-50 dark:hover:bg-gray-700')}
+                                                        onClick={() => setPageLabelsDraft(pageLabelRanges)}
+                                                        title="Number pages the way the printed book does"
+                                                    >
+                                                        Page labels
+                                                    </button>
+                                                </div>
+                                                <div className="flex items-center gap-1 rounded-md border border-gray-200 bg-white p-1 dark:border-gray-700 dark:bg-gray-800">
+                                                    {Object.entries(ANNOTATION_TOOLS).map(([tool, { label, icon }]) => (
+                                                        <button
+                                                            key={tool}
+                                                            className={classNames('rounded px-2 py-1 text-sm dark:text-gray-200', annotationTool === tool ? 'bg-indigo-50 text-indigo-700 dark:bg-indigo-950' : 'text-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700')}
+                                                            onClick={() => setAnnotationTool((t) => (t === tool ? '' : tool))}
+                                                            aria-pressed={annotationTool === tool}
+                                                            disabled={organizing}
+                                                            title={`${label} (click again to stop)`}
+                                                        >
+                                                            <span aria-hidden="true">{icon}</span> {label}
+                                                        </button>
+                                                    ))}
+                                                    {annotationTool && (
+                                                        <input
+                                                            type="color"
+                                                            value={annotationColors[annotationTool]}
+                                                            onChange={(e) => setAnnotationColors((c) => ({ ...c, [annotationTool]: e.target.value }))}
+                                                            className="h-6 w-7 cursor-pointer border-0 bg-transparent p-0"
+                                                            aria-label={`${ANNOTATION_TOOLS[annotationTool].label} color`}
+                                                        />
+                                                    )}
+                                                </div>
                                             </div>
-                                            <div className="flex justify-center">
-                                                <Document key={(file && `${file.name}-${file.size}-${file.lastModified}`) || fileId || 'local'} file={file} onLoadSuccess={onDocumentLoadSuccess} loading={
-                                                    <div className="flex h-[480px] items-center justify-center text-gray-500 dark:text-gray-400">Loading PDF…</div>
-                                                }>
-                                                    <Page pageNumber={pageView} scale={scale} onRenderSuccess={() => setIsPdfLoading(false)} onRenderError={() => setIsPdfLoading(false)} />
-                                                </Document>
-                                            </div>
+                                            <SearchPanel
+                                                inputRef={searchInputRef}
+                                                query={searchQuery}
+                                                onQueryChange={setSearchQuery}
+                                                hits={search.hits}
+                                                truncated={search.truncated}
+                                                isSearching={isSearching}
+                                                activeIndex={activeHit}
+                                                pageLabel={pageLabel}
+                                                onSelect={selectHit}
+                                                onBookmark={openAddFromHit}
+                                            />
+                                            {pickingDest && (
+                                                <div className="mb-3 flex items-center justify-between gap-3 rounded-md border border-indigo-200 bg-indigo-50 px-3 py-2 text-sm text-indigo-800 dark:border-indigo-800 dark:bg-indigo-950 dark:text-indigo-200">
+                                                    <span>Click the spot on the page the bookmark should jump to.</span>
+                                                    <button className="rounded px-2 py-1 hover:bg-indigo-100 dark:hover:bg-indigo-900" onClick={() => setPickingDest(false)}>
+                                                        Cancel
+                                                    </button>
+                                                </div>
+                                            )}
+                                            <Document
+                                                key={(file && `${file.name}-${file.size}-${file.lastModified}`) || fileId || 'local'}
+                                                file={file}
+                                                onLoadSuccess={onDocumentLoadSuccess}
+                                                onPassword={onDocumentPassword}
+                                                className="flex items-start gap-3"
+                                                loading={
+                                                    <div className="flex h-[480px] w-full items-center justify-center text-gray-500 dark:text-gray-400">Loading PDF…</div>
+                                                }
+                                            >
+                                                {organizing && numPages ? (
+                                                    <PageOrganizer
+                                                        numPages={numPages}
+                                                        backendUrl={BACKEND_BASE_URL}
+                                                        showToast={showToast}
+                                                        isApplying={isApplyingPages}
+                                                        onApply={applyPagePlan}
+                                                        onClose={() => setOrganizing(false)}
+                                                    />
+                                                ) : (
+                                                    <>
+                                                        {showThumbnails && pageSizes.length > 0 && (
+                                                            <ThumbnailStrip pageSizes={pageSizes} pageView={pageView} bookmarkedPages={bookmarkedPages} pageLabel={pageLabel} onSelect={goToPage} />
+                                                        )}
+                                                        <div className="min-w-0 flex-1 overflow-x-auto">
+                                                            {viewMode === 'continuous' && pageSizes.length > 0 ? (
+                                                                <ContinuousViewer pageSizes={pageSizes} scale={scale} pageView={pageView} onPageChange={setPageView} renderPage={renderViewerPage} />
+                                                            ) : (
+                                                                <div className="flex justify-center">{renderViewerPage(pageView)}</div>
+                                                            )}
+                                                        </div>
+                                                    </>
+                                                )}
+                                            </Document>
                                         </div>
                                     )}
                                 </div>
@@ -661,47 +1663,217 @@ export default function App() {
                             <aside>
                                 <div className="sticky top-6">
                                     <div className="mb-3 flex items-center justify-between">
-                                        <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Bookmarks</h2>
+                                        <div>
+                                            <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Bookmarks</h2>
+                                            {saveState !== 'idle' && (
+                                                <p className={classNames('text-xs', saveState === 'error' ? 'text-rose-600' : 'text-gray-500 dark:text-gray-400')}>
+                                                    {saveState === 'saving' ? 'Saving…' : saveState === 'error' ? 'Autosave failed' : 'All changes saved'}
+                                                </p>
+                                            )}
+                                        </div>
+                                        <div className="flex items-center gap-1">
+                                            <button
+                                                className="rounded-md border border-gray-300 bg-white px-2 py-1.5 text-sm text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed disabled:opacity-40 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-200 dark:hover:bg-gray-700"
+                                                onClick={() => undoTree()}
+                                                disabled={!undoLabel}
+                                                title={undoLabel ? `Undo ${undoLabel.toLowerCase()} (Ctrl+Z)` : 'Nothing to undo'}
+                                                aria-label="Undo"
+                                            >
+                                                ↶
+                                            </button>
+                                            <button
+                                                className="rounded-md border border-gray-300 bg-white px-2 py-1.5 text-sm text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed disabled:opacity-40 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-200 dark:hover:bg-gray-700"
+                                                onClick={() => redoTree()}
+                                                disabled={!redoLabel}
+                                                title={redoLabel ? `Redo ${redoLabel.toLowerCase()} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                                                aria-label="Redo"
+                                            >
+                                                ↷
+                                            </button>
+                                            <button
+                                                className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-200 dark:hover:bg-gray-700"
+                                                onClick={openAddRoot}
+                                                disabled={!file}
+                                            >
+                                                Add Root Bookmark
+                                            </button>
+                                        </div>
+                                    </div>
+                                    <div className="mb-3 flex flex-wrap items-center gap-2">
+                                        <button
+                                            className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed disabled:opacity-50 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-200 dark:hover:bg-gray-700"
+                                            onClick={detectTableOfContents}
+                                            disabled={!fileId || isDetecting}
+                                        >
+                                            {isDetecting ? 'Detecting…' : 'Detect TOC'}
+                                        </button>
                                         <button
-                                            className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-200 dark:hover:bg-gray-700"
-                                            onClick={openAddRoot}
-                                            disabled={!file}
+                                            className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed disabled:opacity-50 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-200 dark:hover:bg-gray-700"
+                                            onClick={() => setAutoGenOpen(true)}
+                                            disabled={!fileId || isDetecting}
                                         >
-                                            Add Root Bookmark
+                                            Auto-generate
                                         </button>
+                                        <label className={classNames(
+                                            'rounded-md border border-gray-300 bg-white px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-200 dark:hover:bg-gray-700',
+                                            file ? 'cursor-pointer' : 'cursor-not-allowed opacity-50'
+                                        )}>
+                                            Import
+                                            <input type="file" accept=".json,.csv,.txt,application/json,text/csv,text/plain" onChange={onImportFileChange} className="hidden" disabled={!file} />
+                                        </label>
+                                        {tree.length > 0 && (
+                                            <div className="flex items-center gap-1 text-sm text-gray-500 dark:text-gray-400">
+                                                <span>Export:</span>
+                                                {Object.entries(OUTLINE_FORMATS).map(([format, { label }]) => (
+                                                    <button
+                                                        key={format}
+                                                        className="rounded px-2 py-1 text-indigo-700 hover:bg-indigo-50 dark:text-indigo-300 dark:hover:bg-gray-700"
+                                                        onClick={() => exportBookmarks(format)}
+                                                    >
+                                                        {label}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        )}
+                                    </div>
+                                    <div className="mb-2 flex gap-1 rounded-md bg-gray-100 p-1 text-sm dark:bg-gray-900">
+                                        {[
+                                            ['bookmarks', 'Bookmarks'],
+                                            ['annotations', `Annotations${annotations.length + existingAnnotations.length ? ` (${annotations.length + existingAnnotations.length})` : ''}`],
+                                            ...(formFields.length > 0 ? [['form', `Form (${formFields.length})`]] : []),
+                                            ...(documentMetadata ? [['metadata', 'Properties']] : []),
+                                        ].map(([panel, label]) => (
+                                            <button
+                                                key={panel}
+                                                className={classNames(
+                                                    'flex-1 rounded px-2 py-1',
+                                                    sidePanel === panel ? 'bg-white font-medium text-gray-900 shadow-sm dark:bg-gray-700 dark:text-white' : 'text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-200'
+                                                )}
+                                                onClick={() => setSidePanel(panel)}
+                                                aria-pressed={sidePanel === panel}
+                                            >
+                                                {label}
+                                            </button>
+                                        ))}
                                     </div>
                                     <div className="h-[520px] overflow-auto rounded-xl border border-gray-200 bg-white p-3 dark:border-gray-700 dark:bg-gray-800">
-                                        {tree.length === 0 ? (
+                                        {sidePanel === 'form' && formFields.length > 0 ? (
+                                            <FormFieldsPanel
+                                                fields={formFields}
+                                                values={formValues}
+                                                flatten={flattenForm}
+                                                pageLabel={pageLabel}
+                                                disabled={isProcessing}
+                                                onChange={(name, value) => setFormValues((values) => ({ ...values, [name]: value }))}
+                                                onReset={() => setFormValues(initialValues(formFields))}
+                                                onFlattenChange={setFlattenForm}
+                                                onGo={goToPage}
+                                                onBulkFill={downloadFormFill}
+                                            />
+                                        ) : sidePanel === 'metadata' && documentMetadata ? (
+                                            <MetadataPanel
+                                                metadata={documentMetadata}
+                                                values={metadataValues}
+                                                changedCount={Object.keys(metadataChanges).length}
+                                                disabled={isProcessing}
+                                                onChange={(key, value) => setMetadataEdits((edits) => ({ ...edits, [key]: value }))}
+                                                onReset={() => setMetadataEdits({})}
+                                            />
+                                        ) : sidePanel === 'annotations' ? (
+                                            <AnnotationsPanel
+                                                annotations={annotations}
+                                                existing={existingAnnotations}
+                                                selectedId={selectedAnnotationId}
+                                                pageLabel={pageLabel}
+                                                onSelect={selectAnnotation}
+                                                onChange={updateAnnotation}
+                                                onRemove={removeAnnotation}
+                                            />
+                                        ) : tree.length === 0 ? (
                                             <div className="flex h-full items-center justify-center text-sm text-gray-500 dark:text-gray-400">No bookmarks yet</div>
                                         ) : (
                                             <div className="space-y-2">
+                                                <p className="text-xs text-gray-400 dark:text-gray-500">Drag to reorder or nest · Tab / Shift+Tab to indent · Alt+↑/↓ to move</p>
                                                 {tree.map((node) => (
                                                     <BookmarkNode
                                                         key={node.id}
                                                         node={node}
+                                                        pageLabel={pageLabel}
                                                         onAddChild={openAddChild}
                                                         onRemove={removeNode}
                                                         onEdit={openEdit}
                                                         onGo={goToPage}
+                                                        onMove={moveBookmark}
+                                                        onKeyMove={keyMoveBookmark}
                                                     />
                                                 ))}
                                             </div>
                                         )}
                                         <div className="mt-4 space-y-2">
+                                            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={ocrEnabled}
+                                                    onChange={(e) => setOcrEnabled(e.target.checked)}
+                                                    disabled={isProcessing}
+                                                />
+                                                OCR scanned pages (searchable text)
+                                            </label>
+                                            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={preserveOrder}
+                                                    onChange={(e) => setPreserveOrder(e.target.checked)}
+                                                    disabled={isProcessing}
+                                                />
+                                                Keep my bookmark order (don’t sort by page)
+                                            </label>
+                                            <OutputProtection
+                                                enabled={protectOutput}
+                                                value={outputProtection}
+                                                disabled={isProcessing}
+                                                onEnabledChange={setProtectOutput}
+                                                onChange={setOutputProtection}
+                                            />
                                             <button
                                                 className={classNames(
                                                     'w-full rounded-md px-3 py-2 text-white',
-                                                    canDownload ? 'bg-emerald-600 hover:bg-emerald-700' : 'bg-emerald-300 cursor-not-allowed'
+                                                    canDownload && !protectionBlocked ? 'bg-emerald-600 hover:bg-emerald-700' : 'bg-emerald-300 cursor-not-allowed'
                                                 )}
                                                 onClick={downloadProcessed}
-                                                disabled={!canDownload || isProcessing}
+                                                disabled={!canDownload || protectionBlocked || isProcessing}
                                             >
-                                                {isProcessing ? 'Processing…' : 'Download PDF with bookmarks'}
+                                                {isProcessing ? processingStatus || 'Processing…' : 'Download PDF with bookmarks'}
                                             </button>
+                                            {canDownload && tree.length > 0 && (
+                                                <div className="flex items-center gap-2">
+                                                    <select
+                                                        className="rounded-md border border-gray-300 bg-white px-2 py-2 text-sm text-gray-700 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-200"
+                                                        value={Math.min(splitLevel, bookmarkDepth)}
+                                                        onChange={(e) => setSplitLevel(parseInt(e.target.value, 10))}
+                                                        disabled={isProcessing}
+                                                        aria-label="Bookmark level to split at"
+                                                    >
+                                                        {Array.from({ length: bookmarkDepth }, (_, i) => (
+                                                            <option key={i + 1} value={i + 1}>
+                                                                {i === 0 ? 'Top-level' : `Level ${i + 1}`}
+                                                            </option>
+                                                        ))}
+                                                    </select>
+                                                    <button
+                                                        className="flex-1 rounded-md border border-emerald-600 px-3 py-2 text-sm text-emerald-700 hover:bg-emerald-50 disabled:cursor-not-allowed disabled:opacity-50 dark:text-emerald-400 dark:hover:bg-gray-700"
+                                                        onClick={downloadSplit}
+                                                        disabled={isProcessing}
+                                                        title="One PDF per bookmark at this level, downloaded as a ZIP"
+                                                    >
+                                                        Split into PDFs (ZIP)
+                                                    </button>
+                                                </div>
+                                            )}
                                             {tree.length > 0 && (
                                                 <button
                                                     className="w-full rounded-md border border-gray-300 bg-white px-3 py-2 text-sm text-gray-700 hover:bg-gray-50 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-200 dark:hover:bg-gray-700"
-                                                    onClick={() => setTree([])}
+                                                    onClick={() => setTree([], 'Clear all bookmarks')}
                                                 >
                                                     Clear All Bookmarks
                                                 </button>
@@ -711,264 +1883,25 @@ export default function App() {
                                 </div>
                             </aside>
                         </>
+                    ) : activeTab === 'batch' ? (
+                        <BatchView backendUrl={BACKEND_BASE_URL} tree={tree} showToast={showToast} />
+                    ) : activeTab === 'merge' ? (
+                        <MergeView
+                            backendUrl={BACKEND_BASE_URL}
+                            showToast={showToast}
+                            onOpenInEditor={(mergedFile) => {
+                                setActiveTab('bookmarks');
+                                uploadPdf(mergedFile);
+                            }}
+                        />
                     ) : (
-                        /* Dummy Tab Content */
-                        <div className="lg:col-span-3">
-                            <div className="rounded-xl bg-white p-8 shadow-sm ring-1 ring-gray-100 dark:bg-gray-800 dark:ring-gray-700">
-                                <div className="text-center">
-                                    {/* <div className="mx-auto mb-6 flex h-24 w-24 items-center justify-center rounded-full bg-indigo-100 text-4xl dark:bg-indigo-900/30">
-                                            🎯
-                                        </div>
-                                        <h2 className="mb-4 text-3xl font-bold text-gray-900 dark:text-white">Photo Upload & Management</h2>
-                                        <p className="mb-6 text-lg text-gray-600 dark:text-gray-300">
-                                            Select photos from your device and upload them to the server. Perfect for managing your image collection.
-                                        </p> */}
-
-                                    {/* Photo Selection & Upload Feature */}
-                                    <div className="mb-8">
-                                        <div className="text-center mb-8">
-                                            <div className="mx-auto mb-4 flex h-20 w-20 items-center justify-center rounded-full bg-gradient-to-br from-indigo-100 to-purple-100 text-4xl dark:from-indigo-900/30 dark:to-purple-900/30">
-                                                📸
-                                            </div>
-                                            <h3 className="mb-2 text-2xl font-bold text-gray-900 dark:text-white">Upload & Extract Text</h3>
-                                            <p className="text-gray-600 dark:text-gray-300">
-                                                Simply upload an image and we'll extract the text for you automatically
-                                            </p>
-                                        </div>
-
-                                        <div className="mx-auto max-w-4xl">
-                                            {/* Upload Area */}
-                                            <div className="mb-8">
-                                                <label className="group relative block cursor-pointer">
-                                                    <div className={classNames(
-                                                        'relative overflow-hidden rounded-2xl border-2 border-dashed transition-all duration-200',
-                                                        selectedPhoto
-                                                            ? 'border-indigo-400 bg-indigo-50/50 dark:border-indigo-500/70 dark:bg-indigo-950/30'
-                                                            : 'border-gray-300 bg-gray-50 hover:border-indigo-400 hover:bg-indigo-50/50 dark:border-gray-600 dark:bg-gray-800/50 dark:hover:border-indigo-500 dark:hover:bg-indigo-950/30'
-                                                    )}>
-
-                                                        {!selectedPhoto ? (
-                                                            <div className="p-12 text-center">
-                                                                <div className="mx-auto mb-4 flex h-16 w-16 items-center justify-center rounded-full bg-white/80 text-3xl shadow-sm dark:bg-gray-800/80">
-                                                                    📁
-                                                                </div>
-                                                                <h4 className="mb-2 text-lg font-semibold text-gray-900 dark:text-white">
-                                                                    Choose an image to upload
-                                                                </h4>
-                                                                <p className="mb-4 text-gray-600 dark:text-gray-300">
-                                                                    Drag and drop your image here, or click to browse
-                                                                </p>
-                                                                <div className="inline-flex items-center gap-2 rounded-full bg-indigo-100 px-4 py-2 text-sm text-indigo-700 dark:bg-indigo-900/30 dark:text-indigo-300">
-                                                                    <span>📱</span>
-                                                                    <span>JPG, PNG, GIF, WebP up to 10MB</span>
-                                                                </div>
-                                                            </div>
-                                                        ) : (
-                                                            <div className="p-8 text-center">
-                                                                <div className="mx-auto mb-4 flex h-20 w-20 items-center justify-center rounded-full bg-white/80 text-4xl shadow-sm dark:bg-gray-800/80">
-                                                                    ✅
-                                                                </div>
-                                                                <h4 className="mb-2 text-lg font-semibold text-gray-900 dark:text-white">
-                                                                    Image Selected!
-                                                                </h4>
-                                                                <p className="text-gray-600 dark:text-gray-300">
-                                                                    {selectedPhoto.name}
-                                                                </p>
-                                                                <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
-                                                                    Click to change or upload now
-                                                                </p>
-                                                            </div>
-                                                        )}
-
-                                                        <input
-                                                            type="file"
-                                                            accept="image/*"
-                                                            onChange={handlePhotoSelect}
-                                                            className="absolute inset-0 w-full cursor-pointer opacity-0"
-                                                        />
-                                                    </div>
-                                                </label>
-                                            </div>
-
-                                            {/* Upload Button */}
-                                            {selectedPhoto && (
-                                                <div className="text-center mb-8">
-                                                    <button
-                                                        className="group relative inline-flex items-center gap-3 rounded-xl bg-gradient-to-r from-indigo-600 to-purple-600 px-8 py-4 text-lg font-semibold text-white shadow-lg transition-all duration-200 hover:from-indigo-700 hover:to-purple-700 hover:shadow-xl active:scale-95 disabled:opacity-50 disabled:cursor-not-allowed"
-                                                        onClick={async () => {
-                                                            try {
-                                                                setIsUploading(true);
-                                                                const formData = new FormData();
-                                                                formData.append('photo', selectedPhoto.file);
-
-                                                                const response = await axios.post(`${BACKEND_BASE_URL}/api/upload-image`, formData);
-
-                                                                if (response.data.success) {
-                                                                    showToast('Photo uploaded successfully!', 'info');
-                                                                    // Store the uploaded image information
-                                                                    setUploadedImage({
-                                                                        name: response.data.originalName,
-                                                                        uploadedAt: response.data.uploadedAt,
-                                                                        fileSize: response.data.fileSize,
-                                                                        mimeType: response.data.mimeType,
-                                                                        extractedText: response.data.extractedText
-                                                                    });
-                                                                    // Clear the selection after successful upload
-                                                                    setSelectedPhoto(null);
-                                                                } else {
-                                                                    showToast('Upload failed', 'error');
-                                                                }
-                                                            } catch (error) {
-                                                                console.error('Upload error:', error);
-                                                                const errorMessage = error.response?.data?.error || 'Failed to upload photo';
-                                                                showToast(errorMessage, 'error');
-                                                            } finally {
-                                                                setIsUploading(false);
-                                                            }
-                                                        }}
-                                                        disabled={isUploading}
-                                                    >
-                                                        {isUploading ? (
-                                                            <>
-                                                                <div className="h-5 w-5 animate-spin rounded-full border-2 border-white border-t-transparent"></div>
-                                                                <span>Processing Image...</span>
-                                                            </>
-                                                        ) : (
-                                                            <>
-                                                                <span>🚀</span>
-                                                                <span>Extract Text from Image</span>
-                                                            </>
-                                                        )}
-                                                    </button>
-
-                                                    {isUploading && (
-                                                        <div className="mt-4 text-center">
-                                                            <p className="text-sm text-gray-600 dark:text-gray-400">
-                                                                This may take a few moments for text extraction...
-                                                            </p>
-                                                        </div>
-                                                    )}
-                                                </div>
-                                            )}
-                                        </div>
-                                    </div>
-
-                                    {/* Uploaded Images Display */}
-                                    {uploadedImage && (
-                                        <div className="mt-12">
-                                            <div className="text-center mb-8">
-                                                <div className="mx-auto mb-4 flex h-16 w-16 items-center justify-center rounded-full bg-gradient-to-br from-green-100 to-emerald-100 text-3xl dark:from-green-900/30 dark:to-emerald-900/30">
-                                                    ✨
-                                                </div>
-                                                <h3 className="mb-2 text-2xl font-bold text-gray-900 dark:text-white">Text Extraction Complete!</h3>
-                                                <p className="text-gray-600 dark:text-gray-300">
-                                                    Here's the extracted text from your image
-                                                </p>
-                                            </div>
-
-                                            <div className="mx-auto max-w-4xl">
-                                                {/* Extracted Text Display */}
-                                                <div className="rounded-2xl border border-gray-200 bg-white p-8 shadow-sm dark:border-gray-700 dark:bg-gray-800">
-                                                    <h4 className="mb-6 text-xl font-semibold text-gray-900 dark:text-white flex items-center gap-2">
-                                                        <span>📝</span>
-                                                        <span>Extracted Text</span>
-                                                    </h4>
-
-                                                    <div className="space-y-6">
-                                                        {uploadedImage.extractedText ? (
-                                                            <div className="bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-700 dark:to-gray-800 rounded-xl p-6 border">
-                                                                <div className="text-sm text-gray-700 dark:text-gray-300 whitespace-pre-wrap leading-7 text-left font-sans max-h-[400px] overflow-y-auto pr-2 custom-scrollbar">
-                                                                    {formatExtractedText(uploadedImage.extractedText)}
-                                                                </div>
-                                                            </div>
-                                                        ) : (
-                                                            <div className="bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-700 dark:to-gray-800 rounded-xl p-8 border flex items-center justify-center">
-                                                                <div className="text-center">
-                                                                    <div className="text-4xl mb-2">❌</div>
-                                                                    <p className="text-gray-500 dark:text-gray-400 font-medium">
-                                                                        No text could be extracted
-                                                                    </p>
-                                                                    <p className="text-sm text-gray-400 dark:text-gray-500 mt-1">
-                                                                        Try a different image with clearer text
-                                                                    </p>
-                                                                </div>
-                                                            </div>
-                                                        )}
-
-                                                        {uploadedImage.extractedText && (
-                                                            <div className="space-y-4">
-                                                                <div className="text-center">
-                                                                    <div className="inline-flex items-center gap-2 rounded-full bg-green-100 px-4 py-2 text-sm text-green-700 dark:bg-green-900/30 dark:text-green-300">
-                                                                        <span>✅</span>
-                                                                        <span>Text extraction completed successfully!</span>
-                                                                    </div>
-                                                                </div>
-
-                                                                <div className="grid grid-cols-2 gap-4">
-                                                                    <button
-                                                                        onClick={() => {
-                                                                            if (uploadedImage.extractedText) {
-                                                                                navigator.clipboard.writeText(uploadedImage.extractedText);
-                                                                                showToast('Text copied to clipboard!', 'info');
-                                                                            }
-                                                                        }}
-                                                                        className="rounded-xl bg-blue-600 px-6 py-3 text-sm font-medium text-white hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 transition-colors flex items-center justify-center gap-2"
-                                                                        disabled={!uploadedImage.extractedText}
-                                                                    >
-                                                                        📋 Copy Text
-                                                                    </button>
-                                                                    <button
-                                                                        onClick={() => {
-                                                                            if (uploadedImage.extractedText) {
-                                                                                const blob = new Blob([uploadedImage.extractedText], { type: 'text/plain' });
-                                                                                const url = URL.createObjectURL(blob);
-                                                                                const link = document.createElement('a');
-                                                                                link.href = url;
-                                                                                link.download = `${uploadedImage.name.replace(/\.[^/.]+$/, '')}_extracted_text.txt`;
-                                                                                link.click();
-                                                                                URL.revokeObjectURL(url);
-                                                                            }
-                                                                        }}
-                                                                        className="rounded-xl bg-purple-600 px-6 py-3 text-sm font-medium text-white hover:bg-purple-700 dark:bg-purple-500 dark:hover:bg-purple-600 transition-colors flex items-center justify-center gap-2"
-                                                                        disabled={!uploadedImage.extractedText}
-                                                                    >
-                                                                        💾 Save as TXT
-                                                                    </button>
-                                                                </div>
-
-                                                                <div className="text-center">
-                                                                    <button
-                                                                        onClick={() => setUploadedImage(null)}
-                                                                        className="rounded-lg bg-gray-600 px-4 py-2 text-sm font-medium text-white hover:bg-gray-700 dark:bg-gray-500 dark:hover:bg-gray-600 transition-colors"
-                                                                    >
-                                                                        🔄 Process Another Image
-                                                                    </button>
-                                                                </div>
-                                                            </div>
-                                                        )}
-                                                    </div>
-                                                </div>
-                                            </div>
-                                        </div>
-                                    )}
-
-                                    <div className="mt-8">
-                                        <button
-                                            onClick={() => setActiveTab('bookmarks')}
-                                            className="rounded-md bg-indigo-600 px-6 py-3 text-white hover:bg-indigo-700 dark:bg-indigo-500 dark:hover:bg-indigo-600"
-                                        >
-                                            📚 Back to Bookmarks
-                                        </button>
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
+                        <PhotoOcrView backendUrl={BACKEND_BASE_URL} showToast={showToast} onOpenPdf={openUploadedFile} />
                     )}
                 </div>
             </div>
 
             <Modal
-                open={modalOpen}
+                open={modalOpen && !pickingDest}
                 title={modalMode === 'edit' ? 'Edit Bookmark' : modalMode === 'addChild' ? 'Add Child Bookmark' : 'Add Root Bookmark'}
                 onClose={() => setModalOpen(false)}
                 onConfirm={saveModal}
@@ -989,19 +1922,231 @@ export default function App() {
                     <div>
                         <label className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-200">Page</label>
                         <input
-                            type="number"
-                            min={1}
-                            max={numPages || undefined}
                             value={formPage}
                             onChange={(e) => setFormPage(e.target.value)}
                             className="w-40 rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none focus:ring-1 focus:ring-indigo-500 dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100"
                         />
                         {numPages && (
-                            <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">1 – {numPages}</span>
+                            <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                                {!pageLabels
+                                    ? `1 – ${numPages}`
+                                    : pageFromLabel(pageLabels, formPage, numPages)
+                                      ? `physical page ${pageFromLabel(pageLabels, formPage, numPages)} of ${numPages}`
+                                      : 'no page with this label'}
+                            </span>
                         )}
                     </div>
+                    <div className="flex flex-wrap items-center gap-4">
+                        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200">
+                            <input
+                                type="checkbox"
+                                checked={Boolean(formProps.color)}
+                                onChange={(e) => setFormProps((p) => {
+                                    const next = { ...p };
+                                    if (e.target.checked) next.color = '#4f46e5';
+                                    else delete next.color;
+                                    return next;
+                                })}
+                            />
+                            Color
+                        </label>
+                        {formProps.color && (
+                            <input
+                                type="color"
+                                value={formProps.color}
+                                onChange={(e) => setFormProps((p) => ({ ...p, color: e.target.value }))}
+                                className="h-8 w-10 cursor-pointer rounded border border-gray-300 bg-transparent dark:border-gray-700"
+                                aria-label="Bookmark color"
+                            />
+                        )}
+                        <label className="flex items-center gap-2 text-sm font-bold text-gray-700 dark:text-gray-200">
+                            <input type="checkbox" checked={Boolean(formProps.bold)} onChange={(e) => setFormProps((p) => ({ ...p, bold: e.target.checked }))} />
+                            Bold
+                        </label>
+                        <label className="flex items-center gap-2 text-sm italic text-gray-700 dark:text-gray-200">
+                            <input type="checkbox" checked={Boolean(formProps.italic)} onChange={(e) => setFormProps((p) => ({ ...p, italic: e.target.checked }))} />
+                            Italic
+                        </label>
+                        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200" title="Whether the bookmark's children are shown when the PDF is opened">
+                            <input type="checkbox" checked={formProps.open !== false} onChange={(e) => setFormProps((p) => ({ ...p, open: e.target.checked }))} />
+                            Expanded
+                        </label>
+                    </div>
+                    <div>
+                        <label className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-200">Opens at</label>
+                        <select
+                            value={(formProps.dest && formProps.dest.mode) || ''}
+                            onChange={(e) => updateFormDest({ mode: e.target.value })}
+                            className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none focus:ring-1 focus:ring-indigo-500 dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100"
+                        >
+                            {Object.entries(DEST_MODE_LABELS).map(([mode, label]) => (
+                                <option key={mode} value={mode}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    {formProps.dest && (formProps.dest.mode === 'xyz' || formProps.dest.mode === 'fitWidth') && (
+                        <div className="flex flex-wrap items-end gap-3">
+                            {formProps.dest.mode === 'xyz' && (
+                                <div>
+                                    <label className="mb-1 block text-xs text-gray-600 dark:text-gray-300">Zoom %</label>
+                                    <input
+                                        type="number"
+                                        min={10}
+                                        max={6400}
+                                        placeholder="Keep"
+                                        value={formProps.dest.zoom ? Math.round(formProps.dest.zoom * 100) : ''}
+                                        onChange={(e) => updateFormDest({ zoom: e.target.value ? Number(e.target.value) / 100 : null })}
+                                        className="w-24 rounded-md border border-gray-300 px-2 py-1.5 text-sm dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100"
+                                    />
+                                </div>
+                            )}
+                            <div className="text-xs text-gray-500 dark:text-gray-400">
+                                {formProps.dest.top !== null && formProps.dest.top !== undefined
+                                    ? formProps.dest.mode === 'xyz'
+                                        ? `Position ${formProps.dest.left ?? '–'}, ${formProps.dest.top} pt`
+                                        : `Top at ${formProps.dest.top} pt`
+                                    : 'Top of page'}
+                            </div>
+                            <button
+                                className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-200 dark:hover:bg-gray-700"
+                                onClick={() => setPickingDest(true)}
+                                disabled={!file}
+                            >
+                                Pick on page
+                            </button>
+                        </div>
+                    )}
+                </div>
+            </Modal>
+
+            <Modal
+                open={Boolean(lockedUpload)}
+                title="Password Required"
+                onClose={cancelUnlock}
+                onConfirm={unlockUpload}
+                confirmText={lockedUpload?.unlocking ? 'Unlocking…' : 'Unlock'}
+                confirmDisabled={!passwordDraft || Boolean(lockedUpload?.unlocking)}
+            >
+                {lockedUpload && (
+                    <div className="space-y-3">
+                        <p className="text-sm text-gray-600 dark:text-gray-300">{lockedUpload.originalName} is protected. Enter its password to view and bookmark it.</p>
+                        <input
+                            type="password"
+                            autoFocus
+                            autoComplete="current-password"
+                            value={passwordDraft}
+                            onChange={(e) => setPasswordDraft(e.target.value)}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') unlockUpload();
+                            }}
+                            className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none focus:ring-1 focus:ring-indigo-500 dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100"
+                            aria-label="PDF password"
+                        />
+                        {lockedUpload.error && <p className="text-sm text-rose-600 dark:text-rose-400">{lockedUpload.error}</p>}
+                    </div>
+                )}
+            </Modal>
+
+            <Modal
+                open={autoGenOpen}
+                title="Auto-generate from Headings"
+                onClose={() => setAutoGenOpen(false)}
+                onConfirm={generateOutlineFromHeadings}
+                confirmText="Generate"
+                confirmDisabled={!autoGenDepth || !autoGenRatio}
+            >
+                <div className="space-y-3">
+                    <p className="text-sm text-gray-600 dark:text-gray-300">Headings are detected from text that is larger or bolder than the body text.</p>
+                    <div>
+                        <label className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-200">Max depth</label>
+                        <input
+                            type="number"
+                            min={1}
+                            max={6}
+                            value={autoGenDepth}
+                            onChange={(e) => setAutoGenDepth(e.target.value)}
+                            className="w-40 rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none focus:ring-1 focus:ring-indigo-500 dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100"
+                        />
+                    </div>
+                    <div>
+                        <label className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-200">Minimum font-size ratio</label>
+                        <input
+                            type="number"
+                            min={1}
+                            step={0.05}
+                            value={autoGenRatio}
+                            onChange={(e) => setAutoGenRatio(e.target.value)}
+                            className="w-40 rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none focus:ring-1 focus:ring-indigo-500 dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100"
+                        />
+                        <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">× body text size</span>
+                    </div>
                 </div>
             </Modal>
+
+            <Modal
+                open={Boolean(importErrors)}
+                title="Import Failed"
+                onClose={() => setImportErrors(null)}
+                onConfirm={() => setImportErrors(null)}
+                confirmText="OK"
+            >
+                {importErrors && (
+                    <div className="space-y-3">
+                        <p className="text-sm text-gray-600 dark:text-gray-300">
+                            {importErrors.fileName} has {importErrors.errors.length} problem{importErrors.errors.length === 1 ? '' : 's'}. Nothing was imported.
+                        </p>
+                        <ul className="max-h-72 space-y-1 overflow-auto rounded-md border border-rose-200 bg-rose-50 p-3 text-sm text-rose-800 dark:border-rose-900 dark:bg-rose-950/40 dark:text-rose-200">
+                            {importErrors.errors.map((err, i) => (
+                                <li key={i}>
+                                    <span className="font-medium">{err.line ? `Line ${err.line}` : err.path || 'File'}:</span> {err.message}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </Modal>
+
+            <Modal
+                open={Boolean(proposal)}
+                title={proposal?.title || ''}
+                onClose={() => setProposal(null)}
+                onConfirm={acceptProposal}
+                confirmText={tree.length > 0 ? 'Replace bookmarks' : 'Use bookmarks'}
+            >
+                {proposal && (
+                    <div className="space-y-3">
+                        <p className="text-sm text-gray-600 dark:text-gray-300">{proposal.description}</p>
+                        <div className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200">
+                            <label htmlFor="proposal-shift">Adjust pages by</label>
+                            <input
+                                id="proposal-shift"
+                                type="number"
+                                value={proposalShift}
+                                onChange={(e) => setProposalShift(parseInt(e.target.value, 10) || 0)}
+                                className="w-20 rounded-md border border-gray-300 px-2 py-1 text-sm dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100"
+                            />
+                        </div>
+                        <div className="max-h-80 overflow-auto rounded-md border border-gray-200 p-3 dark:border-gray-700">
+                            <OutlinePreview items={proposalShift ? shiftPlainTree(proposal.bookmarks, proposalShift) : proposal.bookmarks} />
+                        </div>
+                        {tree.length > 0 && (
+                            <p className="text-xs text-amber-700 dark:text-amber-400">Accepting replaces your current {tree.length} top-level bookmark{tree.length > 1 ? 's' : ''}.</p>
+                        )}
+                    </div>
+                )}
+            </Modal>
+
+            <Modal
+                open={Boolean(pageLabelsDraft)}
+                title="Page labels"
+                onClose={() => setPageLabelsDraft(null)}
+                onConfirm={applyPageLabels}
+                confirmText="Apply"
+            >
+                {pageLabelsDraft && (
+                    <PageLabelsEditor ranges={pageLabelsDraft} onChange={setPageLabelsDraft} numPages={numPages} currentPage={pageView} />
+                )}
+            </Modal>
         </div>
     );
 }
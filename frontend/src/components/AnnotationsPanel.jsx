@@ -0,0 +1,94 @@
+import React from 'react';
+import { ANNOTATION_TOOLS } from '../lib/annotations.js';
+
+function classNames(...classes) {
+    return classes.filter(Boolean).join(' ');
+}
+
+function typeLabel(a) {
+    const tool = ANNOTATION_TOOLS[a.type];
+    return tool ? `${tool.icon} ${tool.label}` : a.type;
+}
+
+// Lists the annotations drawn in the app (editable) and the ones already in the file (read-only)
+export default function AnnotationsPanel({ annotations, existing, selectedId, pageLabel, onSelect, onChange, onRemove }) {
+    const rows = [...annotations, ...existing].sort((a, b) => a.page - b.page);
+
+    if (rows.length === 0) {
+        return (
+            <div className="flex h-full items-center justify-center px-6 text-center text-sm text-gray-500 dark:text-gray-400">
+                No annotations yet. Pick Highlight, Note or Draw above the page to add one.
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-2">
+            {rows.map((a) => {
+                const selected = a.id === selectedId;
+                return (
+                    <div
+                        key={a.id}
+                        role="button"
+                        tabIndex={0}
+                        onClick={() => onSelect(a)}
+                        onKeyDown={(e) => {
+                            if (e.target === e.currentTarget && (e.key === 'Enter' || e.key === ' ')) {
+                                e.preventDefault();
+                                onSelect(a);
+                            }
+                        }}
+                        className={classNames(
+                            'group cursor-pointer rounded-md border p-2 text-sm',
+                            selected ? 'border-indigo-400 bg-indigo-50 dark:border-indigo-500 dark:bg-indigo-950' : 'border-gray-200 bg-white hover:bg-gray-50 dark:border-gray-700 dark:bg-gray-800 dark:hover:bg-gray-700'
+                        )}
+                    >
+                        <div className="flex items-center gap-2">
+                            {a.color && <span className="inline-block h-3 w-3 rounded-full ring-1 ring-black/10" style={{ backgroundColor: a.color }} />}
+                            <span className="font-medium text-gray-800 dark:text-gray-100">{typeLabel(a)}</span>
+                            <span className="text-xs text-gray-500 dark:text-gray-400">p. {pageLabel(a.page)}</span>
+                            {a.readOnly ? (
+                                <span className="ml-auto rounded bg-gray-100 px-1.5 py-0.5 text-xs text-gray-500 dark:bg-gray-700 dark:text-gray-300" title="Already in the PDF; shown read-only">
+                                    in file
+                                </span>
+                            ) : (
+                                <div className="ml-auto flex items-center gap-1 opacity-0 transition-opacity group-hover:opacity-100" onClick={(e) => e.stopPropagation()}>
+                                    <input
+                                        type="color"
+                                        value={a.color}
+                                        onChange={(e) => onChange(a.id, { color: e.target.value })}
+                                        className="h-5 w-6 cursor-pointer border-0 bg-transparent p-0"
+                                        aria-label="Annotation color"
+                                    />
+                                    <button className="rounded px-2 py-0.5 text-xs text-rose-700 hover:bg-rose-50" onClick={() => onRemove(a.id)}>
+                                        Remove
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                        {a.readOnly ? (
+                            (a.contents || a.author) && (
+                                <p className="mt-1 whitespace-pre-wrap text-xs text-gray-600 dark:text-gray-300">
+                                    {a.author && <span className="font-medium">{a.author}: </span>}
+                                    {a.contents}
+                                </p>
+                            )
+                        ) : selected ? (
+                            <textarea
+                                autoFocus={!a.contents}
+                                value={a.contents || ''}
+                                onChange={(e) => onChange(a.id, { contents: e.target.value })}
+                                onClick={(e) => e.stopPropagation()}
+                                rows={3}
+                                placeholder={a.type === 'note' ? 'Note text' : 'Comment (optional)'}
+                                className="mt-2 w-full rounded-md border border-gray-300 px-2 py-1 text-sm focus:border-indigo-500 focus:outline-none dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100"
+                            />
+                        ) : (
+                            a.contents && <p className="mt-1 truncate text-xs text-gray-600 dark:text-gray-300">{a.contents}</p>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
@@ -0,0 +1,218 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { toPayload } from '../lib/outlineFormats.js';
+import { followJob } from '../lib/jobs.js';
+import { isPdfFile, uploadPdfFile } from '../lib/uploads.js';
+
+const EXAMPLE_TEMPLATE = [
+    { title: 'Summary', find: 'Executive Summary' },
+    { title: 'Results', find: 'Results', children: [{ title: 'Tables', find: 'Table 1' }] },
+    { title: 'Appendix', page: 'last' },
+];
+
+const STATUS_STYLES = {
+    uploading: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200',
+    ready: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200',
+    queued: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200',
+    running: 'bg-indigo-100 text-indigo-700 dark:bg-indigo-900/50 dark:text-indigo-300',
+    done: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/50 dark:text-emerald-300',
+    failed: 'bg-rose-100 text-rose-700 dark:bg-rose-900/50 dark:text-rose-300',
+};
+
+function classNames(...classes) {
+    return classes.filter(Boolean).join(' ');
+}
+
+export default function BatchView({ backendUrl, tree, showToast }) {
+    const [files, setFiles] = useState([]); // { key, name, id, status, error, warnings }
+    const [templateText, setTemplateText] = useState(() => JSON.stringify(EXAMPLE_TEMPLATE, null, 2));
+    const [ocr, setOcr] = useState(false);
+    const [isRunning, setIsRunning] = useState(false);
+    const [status, setStatus] = useState('');
+
+    function updateFile(key, patch) {
+        setFiles((list) => list.map((f) => (f.key === key ? { ...f, ...patch } : f)));
+    }
+
+    async function addFiles(selected) {
+        const added = Array.from(selected || [])
+            .filter(isPdfFile)
+            .map((file) => ({ key: `${file.name}-${file.size}-${file.lastModified}-${Math.random()}`, file, name: file.name, id: null, status: 'uploading', error: null, warnings: [] }));
+        if (added.length === 0) return;
+        setFiles((list) => [...list, ...added]);
+        for (const entry of added) {
+            try {
+                const { id } = await uploadPdfFile(backendUrl, entry.file);
+                updateFile(entry.key, { id, status: 'ready' });
+            } catch (err) {
+                console.error(err);
+                updateFile(entry.key, { status: 'failed', error: err.passwordRequired ? 'Password protected' : err.response?.data?.error || 'Upload failed' });
+            }
+        }
+    }
+
+    // Job results come back in the order the files were submitted
+    function applyResults(submitted, results) {
+        if (!Array.isArray(results)) return;
+        setFiles((list) => list.map((f) => {
+            const index = submitted.findIndex((s) => s.key === f.key);
+            const result = index === -1 ? null : results[index];
+            return result ? { ...f, status: result.status, error: result.error, warnings: result.warnings || [] } : f;
+        }));
+    }
+
+    async function runBatch() {
+        let template;
+        try {
+            template = JSON.parse(templateText);
+            if (!Array.isArray(template) || template.length === 0) throw new Error('expected a non-empty array');
+        } catch (err) {
+            showToast(`Template is not valid: ${err.message}`, 'error', 5000);
+            return;
+        }
+        const submitted = files.filter((f) => f.id && f.status !== 'uploading');
+        if (submitted.length === 0) {
+            showToast('Add at least one PDF first', 'error');
+            return;
+        }
+
+        setIsRunning(true);
+        setStatus('Queued…');
+        const keys = new Set(submitted.map((f) => f.key));
+        setFiles((list) => list.map((f) => (keys.has(f.key) ? { ...f, status: 'queued', error: null, warnings: [] } : f)));
+        try {
+            const { data: job } = await axios.post(`${backendUrl}/api/batches`, {
+                files: submitted.map((f) => ({ id: f.id, name: f.name })),
+                template,
+                ocr,
+            });
+            const finished = await followJob(backendUrl, job.id, (state) => {
+                setStatus(`${state.message || 'Processing'} (${state.percent || 0}%)…`);
+                applyResults(submitted, state.results);
+            });
+            applyResults(submitted, finished.results);
+
+            const resp = await axios.get(`${backendUrl}/api/jobs/${job.id}/download`, { responseType: 'blob' });
+            const url = URL.createObjectURL(new Blob([resp.data], { type: 'application/zip' }));
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = 'bookmarked.zip';
+            a.click();
+            URL.revokeObjectURL(url);
+            const failed = (finished.results || []).filter((r) => r.status === 'failed').length;
+            showToast(failed ? `Downloaded ZIP; ${failed} file${failed > 1 ? 's' : ''} failed` : 'Downloaded ZIP', failed ? 'error' : 'info', 5000);
+        } catch (err) {
+            console.error(err);
+            if (err.state) applyResults(submitted, err.state.results);
+            showToast(err.jobError || err.response?.data?.error || 'Batch processing failed', 'error', 5000);
+        } finally {
+            setStatus('');
+            setIsRunning(false);
+        }
+    }
+
+    return (
+        <div className="lg:col-span-3">
+            <div className="grid gap-6 lg:grid-cols-2">
+                <section className="rounded-xl bg-white p-6 shadow-sm ring-1 ring-gray-100 dark:bg-gray-800 dark:ring-gray-700">
+                    <div className="mb-4 flex items-center justify-between">
+                        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Files</h2>
+                        <div className="flex items-center gap-2">
+                            {files.length > 0 && !isRunning && (
+                                <button className="rounded px-2 py-1 text-xs text-rose-700 hover:bg-rose-50" onClick={() => setFiles([])}>
+                                    Clear
+                                </button>
+                            )}
+                            <label className="cursor-pointer rounded-md bg-indigo-600 px-3 py-2 text-sm font-medium text-white hover:bg-indigo-700">
+                                Add PDFs
+                                <input
+                                    type="file"
+                                    accept="application/pdf"
+                                    multiple
+                                    className="hidden"
+                                    disabled={isRunning}
+                                    onChange={(e) => {
+                                        addFiles(e.target.files);
+                                        e.target.value = '';
+                                    }}
+                                />
+                            </label>
+                        </div>
+                    </div>
+                    {files.length === 0 ? (
+                        <p className="text-sm text-gray-500 dark:text-gray-400">Add the PDFs that share the same structure. Each one gets the outline from the template.</p>
+                    ) : (
+                        <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+                            {files.map((f) => (
+                                <li key={f.key} className="py-2">
+                                    <div className="flex items-center gap-2">
+                                        <span className="min-w-0 flex-1 truncate text-sm text-gray-800 dark:text-gray-100">{f.name}</span>
+                                        <span className={classNames('rounded-full px-2 py-0.5 text-xs font-medium', STATUS_STYLES[f.status])}>{f.status}</span>
+                                        {!isRunning && (
+                                            <button
+                                                className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+                                                aria-label={`Remove ${f.name}`}
+                                                onClick={() => setFiles((list) => list.filter((x) => x.key !== f.key))}
+                                            >
+                                                ×
+                                            </button>
+                                        )}
+                                    </div>
+                                    {f.error && <div className="mt-1 text-xs text-rose-600 dark:text-rose-400">{f.error}</div>}
+                                    {f.warnings.length > 0 && (
+                                        <ul className="mt-1 space-y-0.5 text-xs text-amber-700 dark:text-amber-400">
+                                            {f.warnings.map((w, i) => <li key={i}>{w}</li>)}
+                                        </ul>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </section>
+
+                <section className="rounded-xl bg-white p-6 shadow-sm ring-1 ring-gray-100 dark:bg-gray-800 dark:ring-gray-700">
+                    <div className="mb-2 flex items-center justify-between">
+                        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Outline template</h2>
+                        <button
+                            className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed disabled:opacity-50 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-200 dark:hover:bg-gray-700"
+                            onClick={() => setTemplateText(JSON.stringify(toPayload(tree), null, 2))}
+                            disabled={tree.length === 0}
+                            title="Start from the bookmarks in the editor"
+                        >
+                            Use current bookmarks
+                        </button>
+                    </div>
+                    <p className="mb-2 text-xs text-gray-500 dark:text-gray-400">
+                        JSON bookmarks like an outline export. Besides a fixed <code>page</code>, an entry can use <code>"page": "last"</code> or <code>"last-1"</code>,
+                        or <code>"find": "text"</code> for the first page containing that text, counting from the previous bookmark's page (<code>"occurrence": 2</code> skips a match, e.g. in the contents).
+                        Entries that cannot be resolved are skipped and listed per file.
+                    </p>
+                    <textarea
+                        value={templateText}
+                        onChange={(e) => setTemplateText(e.target.value)}
+                        spellCheck={false}
+                        rows={14}
+                        className="w-full rounded-md border border-gray-300 px-3 py-2 font-mono text-xs focus:border-indigo-500 focus:outline-none focus:ring-1 focus:ring-indigo-500 dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100"
+                    />
+                    <div className="mt-3 flex items-center justify-between gap-3">
+                        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200">
+                            <input type="checkbox" checked={ocr} onChange={(e) => setOcr(e.target.checked)} disabled={isRunning} />
+                            Add OCR text layer
+                        </label>
+                        <button
+                            className={classNames(
+                                'rounded-md px-4 py-2 text-sm font-medium text-white',
+                                isRunning ? 'cursor-not-allowed bg-indigo-300' : 'bg-indigo-600 hover:bg-indigo-700'
+                            )}
+                            onClick={runBatch}
+                            disabled={isRunning}
+                        >
+                            {isRunning ? 'Processing…' : 'Process all & download ZIP'}
+                        </button>
+                    </div>
+                    {status && <div className="mt-2 text-right text-xs text-gray-500 dark:text-gray-400">{status}</div>}
+                </section>
+            </div>
+        </div>
+    );
+}
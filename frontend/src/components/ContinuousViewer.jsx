@@ -0,0 +1,53 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import useVirtualPages from '../lib/useVirtualPages.js';
+
+const GAP = 16;
+// Scroll positions right after a programmatic scroll are not the user picking a page
+const PROGRAMMATIC_SCROLL_MS = 150;
+
+// Scrolls through every page but only mounts the ones near the viewport; must be rendered
+// inside react-pdf's <Document>. `renderPage(pageNumber)` returns the <Page> for a slot.
+// The page under the middle of the viewport is reported through `onPageChange`, and
+// outside changes to `pageView` scroll that page into view.
+export default function ContinuousViewer({ pageSizes, scale, pageView, onPageChange, renderPage }) {
+    const containerRef = useRef(null);
+    const reportedPageRef = useRef(pageView);
+    const heights = useMemo(() => pageSizes.map((s) => Math.round(s.height * scale)), [pageSizes, scale]);
+    const { offsets, totalHeight, first, last, centerIndex, scrollToIndex } = useVirtualPages(containerRef, heights, { gap: GAP, overscan: 1 });
+
+    // Keep the current page in place when it changes from outside or the layout changes (zoom, page sizes)
+    const layoutRef = useRef(null);
+    const ignoreScrollUntilRef = useRef(0);
+    useEffect(() => {
+        const relayout = layoutRef.current !== heights;
+        layoutRef.current = heights;
+        if (pageView === reportedPageRef.current && !relayout) return;
+        reportedPageRef.current = pageView;
+        ignoreScrollUntilRef.current = Date.now() + PROGRAMMATIC_SCROLL_MS;
+        scrollToIndex(pageView - 1);
+    }, [pageView, heights]);
+
+    useEffect(() => {
+        if (heights.length === 0 || Date.now() < ignoreScrollUntilRef.current) return;
+        const page = centerIndex + 1;
+        if (page !== reportedPageRef.current) {
+            reportedPageRef.current = page;
+            onPageChange(page);
+        }
+    }, [centerIndex, heights]);
+
+    const visible = [];
+    for (let i = first; i <= last; i++) visible.push(i);
+
+    return (
+        <div ref={containerRef} className="h-[80vh] w-full overflow-auto custom-scrollbar">
+            <div className="relative mx-auto" style={{ height: totalHeight, width: Math.max(...pageSizes.map((s) => s.width * scale), 0) }}>
+                {visible.map((i) => (
+                    <div key={i + 1} className="absolute left-1/2 -translate-x-1/2 shadow-sm" style={{ top: offsets[i], minHeight: heights[i] }}>
+                        {renderPage(i + 1)}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
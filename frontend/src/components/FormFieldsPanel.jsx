@@ -0,0 +1,201 @@
+import React, { useMemo, useState } from 'react';
+import { changedValues, isFillable, matchColumns, readCsvRows, toFormRows } from '../lib/forms.js';
+
+const inputClass = 'w-full rounded-md border border-gray-300 px-2 py-1 text-sm focus:border-indigo-500 focus:outline-none disabled:opacity-60 dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100';
+
+function classNames(...classes) {
+    return classes.filter(Boolean).join(' ');
+}
+
+const TYPE_LABELS = { signature: 'Signature field', button: 'Button', unknown: 'Unsupported field' };
+
+function FieldInput({ field, value, onChange, disabled }) {
+    const id = `form-field-${field.name}`;
+    if (field.type === 'text') {
+        return field.multiline ? (
+            <textarea id={id} rows={3} value={value ?? ''} maxLength={field.maxLength || undefined} onChange={(e) => onChange(e.target.value)} disabled={disabled} className={inputClass} />
+        ) : (
+            <input id={id} value={value ?? ''} maxLength={field.maxLength || undefined} onChange={(e) => onChange(e.target.value)} disabled={disabled} className={inputClass} />
+        );
+    }
+    if (field.type === 'checkbox') {
+        return (
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200">
+                <input id={id} type="checkbox" checked={Boolean(value)} onChange={(e) => onChange(e.target.checked)} disabled={disabled} />
+                {value ? 'Checked' : 'Unchecked'}
+            </label>
+        );
+    }
+    if (field.type === 'radio') {
+        return (
+            <div className="flex flex-wrap gap-x-3 gap-y-1">
+                {field.options.map((option) => (
+                    <label key={option} className="flex items-center gap-1 text-sm text-gray-700 dark:text-gray-200">
+                        <input type="radio" name={id} checked={value === option} onChange={() => onChange(option)} disabled={disabled} />
+                        {option}
+                    </label>
+                ))}
+                {value && (
+                    <button className="text-xs text-gray-500 hover:underline dark:text-gray-400" onClick={() => onChange('')} disabled={disabled}>
+                        Clear
+                    </button>
+                )}
+            </div>
+        );
+    }
+    if (field.multiSelect) {
+        return (
+            <select
+                id={id}
+                multiple
+                value={Array.isArray(value) ? value : []}
+                onChange={(e) => onChange(Array.from(e.target.selectedOptions, (o) => o.value))}
+                disabled={disabled}
+                className={inputClass}
+            >
+                {field.options.map((option) => (
+                    <option key={option} value={option}>
+                        {option}
+                    </option>
+                ))}
+            </select>
+        );
+    }
+    if (field.editable) {
+        return (
+            <>
+                <input id={id} list={`${id}-options`} value={value ?? ''} onChange={(e) => onChange(e.target.value)} disabled={disabled} className={inputClass} />
+                <datalist id={`${id}-options`}>
+                    {field.options.map((option) => <option key={option} value={option} />)}
+                </datalist>
+            </>
+        );
+    }
+    return (
+        <select id={id} value={value ?? ''} onChange={(e) => onChange(e.target.value)} disabled={disabled} className={inputClass}>
+            <option value="">—</option>
+            {field.options.map((option) => (
+                <option key={option} value={option}>
+                    {option}
+                </option>
+            ))}
+        </select>
+    );
+}
+
+// Edits the AcroForm fields of the open document and starts a CSV mail merge.
+// `onBulkFill({ rows, nameColumn })` receives rows keyed by field name (see lib/forms.js).
+export default function FormFieldsPanel({ fields, values, flatten, pageLabel, disabled, onChange, onReset, onFlattenChange, onGo, onBulkFill }) {
+    const [csv, setCsv] = useState(null); // { fileName, columns, rows, nameColumn }
+    const changed = useMemo(() => changedValues(fields, values), [fields, values]);
+    const changedCount = Object.keys(changed).length;
+    const match = useMemo(() => (csv ? matchColumns(csv.columns, fields) : null), [csv, fields]);
+
+    async function loadCsv(selected) {
+        if (!selected) return;
+        const { columns, rows } = readCsvRows(await selected.text());
+        setCsv({ fileName: selected.name, columns, rows, nameColumn: columns[0] || '' });
+    }
+
+    return (
+        <div className="space-y-3">
+            <div className="flex items-center gap-2">
+                <p className="mr-auto text-sm text-gray-600 dark:text-gray-300">
+                    {fields.length} field{fields.length === 1 ? '' : 's'}
+                    {changedCount > 0 && ` · ${changedCount} changed`}
+                </p>
+                {changedCount > 0 && (
+                    <button className="rounded px-2 py-0.5 text-xs text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700" onClick={onReset} disabled={disabled}>
+                        Reset
+                    </button>
+                )}
+                <label
+                    className={classNames(
+                        'cursor-pointer rounded-md border border-gray-300 bg-white px-2 py-1 text-xs text-gray-700 hover:bg-gray-50 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-200 dark:hover:bg-gray-700',
+                        disabled ? 'pointer-events-none opacity-50' : ''
+                    )}
+                    title="One filled PDF per CSV row; the header row names the fields"
+                >
+                    Fill from CSV…
+                    <input
+                        type="file"
+                        accept=".csv,.tsv,text/csv,text/tab-separated-values"
+                        className="hidden"
+                        onChange={(e) => {
+                            loadCsv(e.target.files?.[0]);
+                            e.target.value = '';
+                        }}
+                    />
+                </label>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200">
+                <input type="checkbox" checked={flatten} onChange={(e) => onFlattenChange(e.target.checked)} disabled={disabled} />
+                Flatten form (values become part of the page and can’t be edited)
+            </label>
+
+            {csv && (
+                <div className="space-y-2 rounded-md border border-indigo-200 bg-indigo-50 p-2 text-sm dark:border-indigo-900 dark:bg-indigo-950">
+                    <p className="font-medium text-gray-800 dark:text-gray-100">
+                        {csv.fileName}: {csv.rows.length} row{csv.rows.length === 1 ? '' : 's'}
+                    </p>
+                    <p className="text-xs text-gray-600 dark:text-gray-300">
+                        {Object.keys(match.matches).length} of {csv.columns.length} columns match a field.
+                        {match.unmatchedColumns.length > 0 && ` Ignored: ${match.unmatchedColumns.join(', ')}.`}
+                        {match.unfilledFields.length > 0 && ` Not in the CSV: ${match.unfilledFields.join(', ')}.`}
+                    </p>
+                    <label className="flex items-center gap-2 text-xs text-gray-700 dark:text-gray-200">
+                        Name files after
+                        <select
+                            value={csv.nameColumn}
+                            onChange={(e) => setCsv({ ...csv, nameColumn: e.target.value })}
+                            className="rounded border border-gray-300 px-1 py-0.5 text-xs dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100"
+                        >
+                            <option value="">row number</option>
+                            {csv.columns.map((column) => (
+                                <option key={column} value={column}>
+                                    {column}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    <div className="flex gap-2">
+                        <button
+                            className="flex-1 rounded-md bg-indigo-600 px-2 py-1 text-xs font-medium text-white hover:bg-indigo-700 disabled:cursor-not-allowed disabled:bg-indigo-300"
+                            onClick={() => onBulkFill({ rows: toFormRows(csv.rows, match.matches, csv.nameColumn), nameColumn: csv.nameColumn || null })}
+                            disabled={disabled || csv.rows.length === 0 || Object.keys(match.matches).length === 0}
+                        >
+                            Download {csv.rows.length} filled PDF{csv.rows.length === 1 ? '' : 's'} (ZIP)
+                        </button>
+                        <button className="rounded-md px-2 py-1 text-xs text-gray-600 hover:bg-white dark:text-gray-300 dark:hover:bg-gray-800" onClick={() => setCsv(null)}>
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <div className="space-y-2">
+                {fields.map((field) => (
+                    <div key={field.name} className="rounded-md border border-gray-200 p-2 dark:border-gray-700">
+                        <div className="mb-1 flex items-center gap-2">
+                            <label htmlFor={`form-field-${field.name}`} className="truncate text-sm font-medium text-gray-800 dark:text-gray-100" title={field.name}>
+                                {field.name}
+                                {field.required && <span className="text-rose-600"> *</span>}
+                            </label>
+                            {field.name in changed && <span className="h-1.5 w-1.5 shrink-0 rounded-full bg-indigo-500" title="Changed" />}
+                            {field.page && (
+                                <button className="ml-auto shrink-0 text-xs text-gray-500 hover:underline dark:text-gray-400" onClick={() => onGo(field.page)}>
+                                    p. {pageLabel(field.page)}
+                                </button>
+                            )}
+                        </div>
+                        {isFillable(field) ? (
+                            <FieldInput field={field} value={values[field.name]} onChange={(value) => onChange(field.name, value)} disabled={disabled} />
+                        ) : (
+                            <p className="text-xs text-gray-500 dark:text-gray-400">{TYPE_LABELS[field.type] || 'Read-only'}</p>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,190 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { INK_WIDTH, annotationBounds } from '../lib/annotations.js';
+
+// Ink points closer than this (in screen pixels) to the previous one are skipped
+const MIN_INK_STEP = 2;
+
+// Client rects of a text selection come one per text span; join the ones on the same line
+function mergeLineRects(rects) {
+    const sorted = rects.slice().sort((a, b) => a.top - b.top || a.left - b.left);
+    const lines = [];
+    sorted.forEach((r) => {
+        const line = lines.find((l) => Math.abs(l.top - r.top) < 3 && Math.abs(l.bottom - r.bottom) < 3 && r.left <= l.right + 3);
+        if (line) {
+            line.left = Math.min(line.left, r.left);
+            line.right = Math.max(line.right, r.right);
+        } else {
+            lines.push({ top: r.top, bottom: r.bottom, left: r.left, right: r.right });
+        }
+    });
+    return lines;
+}
+
+// Wraps a rendered <Page> with the annotations drawn in the app and the active tool:
+// 'highlight' marks the selected text (or a dragged box on scanned pages), 'note' places a sticky
+// note where clicked and 'ink' draws freehand strokes. New annotations go to `onAdd` in PDF user space.
+export default function MarkupLayer({ pdf, pageNumber, scale, tool, color, annotations, selected, onAdd, onSelect, children }) {
+    const wrapperRef = useRef(null);
+    const dragStartRef = useRef(null);
+    const [viewport, setViewport] = useState(null);
+    const [stroke, setStroke] = useState(null); // screen points of the ink stroke being drawn
+
+    useEffect(() => {
+        if (!pdf) return undefined;
+        let cancelled = false;
+        pdf.getPage(pageNumber).then((page) => {
+            if (!cancelled) setViewport(page.getViewport({ scale }));
+        }).catch(() => {});
+        return () => {
+            cancelled = true;
+        };
+    }, [pdf, pageNumber, scale]);
+
+    function localPoint(e) {
+        const rect = wrapperRef.current.getBoundingClientRect();
+        return [e.clientX - rect.left, e.clientY - rect.top];
+    }
+
+    function toPdfRect(left, top, right, bottom) {
+        const [x1, y1] = viewport.convertToPdfPoint(left, top);
+        const [x2, y2] = viewport.convertToPdfPoint(right, bottom);
+        return [x1, y1, x2, y2].map((n) => Math.round(n * 100) / 100);
+    }
+
+    function finishHighlight(e) {
+        const start = dragStartRef.current;
+        dragStartRef.current = null;
+        if (!viewport || !start) return;
+        const box = wrapperRef.current.getBoundingClientRect();
+        const selection = window.getSelection();
+        if (selection && !selection.isCollapsed && wrapperRef.current.contains(selection.anchorNode)) {
+            const rects = mergeLineRects(
+                Array.from(selection.getRangeAt(0).getClientRects())
+                    .filter((r) => r.width > 1 && r.height > 1 && r.left < box.right && r.right > box.left && r.top < box.bottom && r.bottom > box.top)
+                    .map((r) => ({ top: r.top - box.top, bottom: r.bottom - box.top, left: r.left - box.left, right: r.right - box.left }))
+            );
+            selection.removeAllRanges();
+            if (rects.length > 0) {
+                onAdd({ type: 'highlight', page: pageNumber, color, rects: rects.map((r) => toPdfRect(r.left, r.top, r.right, r.bottom)) });
+            }
+            return;
+        }
+        // Nothing selected (e.g. a scanned page without text): highlight the dragged box instead
+        const end = localPoint(e);
+        if (Math.abs(end[0] - start[0]) > 4 && Math.abs(end[1] - start[1]) > 4) {
+            const rect = toPdfRect(Math.min(start[0], end[0]), Math.min(start[1], end[1]), Math.max(start[0], end[0]), Math.max(start[1], end[1]));
+            onAdd({ type: 'highlight', page: pageNumber, color, rects: [rect] });
+        }
+    }
+
+    function onOverlayPointerDown(e) {
+        if (!viewport) return;
+        if (tool === 'note') {
+            const [x, y] = viewport.convertToPdfPoint(...localPoint(e));
+            onAdd({ type: 'note', page: pageNumber, color, x: Math.round(x), y: Math.round(y), contents: '' });
+        } else if (tool === 'ink') {
+            e.currentTarget.setPointerCapture(e.pointerId);
+            setStroke([localPoint(e)]);
+        }
+    }
+
+    function onOverlayPointerMove(e) {
+        if (tool !== 'ink' || !stroke) return;
+        const point = localPoint(e);
+        const last = stroke[stroke.length - 1];
+        if (Math.hypot(point[0] - last[0], point[1] - last[1]) >= MIN_INK_STEP) setStroke([...stroke, point]);
+    }
+
+    function onOverlayPointerUp() {
+        if (tool !== 'ink' || !stroke) return;
+        if (stroke.length >= 2) {
+            const path = stroke.map((p) => viewport.convertToPdfPoint(...p).map((n) => Math.round(n * 100) / 100));
+            onAdd({ type: 'ink', page: pageNumber, color, width: INK_WIDTH, paths: [path] });
+        }
+        setStroke(null);
+    }
+
+    function viewRect(rect) {
+        const [x1, y1] = viewport.convertToViewportPoint(rect[0], rect[1]);
+        const [x2, y2] = viewport.convertToViewportPoint(rect[2], rect[3]);
+        return { x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
+    }
+
+    const drawing = tool === 'note' || tool === 'ink';
+    // Own annotations are clickable only while no tool is active, so they never get in the way of drawing
+    const shapeEvents = tool ? 'none' : 'auto';
+
+    return (
+        <div
+            ref={wrapperRef}
+            className="relative"
+            onMouseDown={tool === 'highlight' ? (e) => { dragStartRef.current = localPoint(e); } : undefined}
+            onMouseUp={tool === 'highlight' ? finishHighlight : undefined}
+        >
+            {children}
+            {viewport && (
+                <svg
+                    className="absolute left-0 top-0"
+                    width={viewport.width}
+                    height={viewport.height}
+                    style={{ pointerEvents: drawing ? 'auto' : 'none', cursor: drawing ? 'crosshair' : undefined, touchAction: drawing ? 'none' : undefined }}
+                    onPointerDown={drawing ? onOverlayPointerDown : undefined}
+                    onPointerMove={drawing ? onOverlayPointerMove : undefined}
+                    onPointerUp={drawing ? onOverlayPointerUp : undefined}
+                >
+                    {annotations.map((a) => {
+                        const select = (e) => {
+                            e.stopPropagation();
+                            onSelect(a.id);
+                        };
+                        if (a.type === 'highlight') {
+                            return (
+                                <g key={a.id} onClick={select} style={{ pointerEvents: shapeEvents, cursor: 'pointer', mixBlendMode: 'multiply' }}>
+                                    {a.rects.map((r, i) => <rect key={i} {...viewRect(r)} fill={a.color} fillOpacity={0.4} />)}
+                                </g>
+                            );
+                        }
+                        if (a.type === 'note') {
+                            const [x, y] = viewport.convertToViewportPoint(a.x, a.y);
+                            return (
+                                <g key={a.id} onClick={select} style={{ pointerEvents: shapeEvents, cursor: 'pointer' }}>
+                                    <rect x={x} y={y} width={20} height={20} rx={3} fill={a.color} stroke="rgba(0,0,0,0.35)" />
+                                    <text x={x + 10} y={y + 14} textAnchor="middle" fontSize={12}>✎</text>
+                                    {a.contents && <title>{a.contents}</title>}
+                                </g>
+                            );
+                        }
+                        return (
+                            <g key={a.id} onClick={select} style={{ pointerEvents: shapeEvents, cursor: 'pointer' }}>
+                                {a.paths.map((path, i) => (
+                                    <polyline
+                                        key={i}
+                                        points={path.map((p) => viewport.convertToViewportPoint(p[0], p[1]).join(',')).join(' ')}
+                                        fill="none"
+                                        stroke={a.color}
+                                        strokeWidth={a.width * scale}
+                                        strokeLinecap="round"
+                                        strokeLinejoin="round"
+                                    />
+                                ))}
+                            </g>
+                        );
+                    })}
+                    {stroke && (
+                        <polyline
+                            points={stroke.map((p) => p.join(',')).join(' ')}
+                            fill="none"
+                            stroke={color}
+                            strokeWidth={INK_WIDTH * scale}
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                        />
+                    )}
+                    {selected && selected.page === pageNumber && (
+                        <rect {...viewRect(annotationBounds(selected))} fill="none" stroke="#6366f1" strokeWidth={2} strokeDasharray="4 3" />
+                    )}
+                </svg>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,230 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { followJob } from '../lib/jobs.js';
+import { isPdfFile, uploadPdfFile } from '../lib/uploads.js';
+
+const FILE_DRAG_TYPE = 'application/x-merge-file';
+
+function classNames(...classes) {
+    return classes.filter(Boolean).join(' ');
+}
+
+function moveItem(list, from, to) {
+    if (from === to || to < 0 || to >= list.length) return list;
+    const copy = list.slice();
+    const [item] = copy.splice(from, 1);
+    copy.splice(to, 0, item);
+    return copy;
+}
+
+export default function MergeView({ backendUrl, showToast, onOpenInEditor }) {
+    const [files, setFiles] = useState([]); // { key, file, name, title, id, status, error }
+    const [isMerging, setIsMerging] = useState(false);
+    const [status, setStatus] = useState('');
+    const [dragKey, setDragKey] = useState(null);
+
+    function updateFile(key, patch) {
+        setFiles((list) => list.map((f) => (f.key === key ? { ...f, ...patch } : f)));
+    }
+
+    async function addFiles(selected) {
+        const added = Array.from(selected || [])
+            .filter(isPdfFile)
+            .map((file) => ({
+                key: `${file.name}-${file.size}-${file.lastModified}-${Math.random()}`,
+                file,
+                name: file.name,
+                title: file.name.replace(/\.pdf$/i, ''),
+                id: null,
+                status: 'uploading',
+                error: null,
+            }));
+        if (added.length === 0) return;
+        setFiles((list) => [...list, ...added]);
+        for (const entry of added) {
+            try {
+                const { id } = await uploadPdfFile(backendUrl, entry.file);
+                updateFile(entry.key, { id, status: 'ready' });
+            } catch (err) {
+                console.error(err);
+                updateFile(entry.key, { status: 'failed', error: err.passwordRequired ? 'Password protected' : err.response?.data?.error || 'Upload failed' });
+            }
+        }
+    }
+
+    function moveFile(key, direction) {
+        setFiles((list) => {
+            const index = list.findIndex((f) => f.key === key);
+            return moveItem(list, index, index + direction);
+        });
+    }
+
+    function dropOn(targetKey) {
+        if (!dragKey) return;
+        setFiles((list) => moveItem(list, list.findIndex((f) => f.key === dragKey), list.findIndex((f) => f.key === targetKey)));
+        setDragKey(null);
+    }
+
+    const ready = files.length >= 2 && files.every((f) => f.status === 'ready');
+
+    async function merge(openAfter) {
+        if (!ready) {
+            showToast('Add at least two PDFs and wait for the uploads to finish', 'error');
+            return;
+        }
+        setIsMerging(true);
+        setStatus('Queued…');
+        try {
+            const { data: job } = await axios.post(`${backendUrl}/api/merge`, {
+                files: files.map((f) => ({ id: f.id, name: f.title.trim() || f.name })),
+            });
+            await followJob(backendUrl, job.id, (state) => setStatus(`${state.message || 'Merging'} (${state.percent || 0}%)…`));
+            const resp = await axios.get(`${backendUrl}/api/jobs/${job.id}/download`, { responseType: 'blob' });
+            const blob = new Blob([resp.data], { type: 'application/pdf' });
+            if (openAfter) {
+                onOpenInEditor(new File([blob], 'merged.pdf', { type: 'application/pdf' }));
+            } else {
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = 'merged.pdf';
+                a.click();
+                URL.revokeObjectURL(url);
+                showToast('Downloaded merged PDF');
+            }
+            // The server drops merged uploads once they are used
+            setFiles([]);
+        } catch (err) {
+            console.error(err);
+            showToast(err.jobError || err.response?.data?.error || 'Merge failed', 'error', 5000);
+        } finally {
+            setStatus('');
+            setIsMerging(false);
+        }
+    }
+
+    return (
+        <div className="lg:col-span-3">
+            <section className="rounded-xl bg-white p-6 shadow-sm ring-1 ring-gray-100 dark:bg-gray-800 dark:ring-gray-700">
+                <div className="mb-4 flex items-center justify-between">
+                    <div>
+                        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Merge PDFs</h2>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                            Files are joined in this order. Each one gets a top-level bookmark with its own bookmarks nested underneath.
+                        </p>
+                    </div>
+                    <label className="cursor-pointer rounded-md bg-indigo-600 px-3 py-2 text-sm font-medium text-white hover:bg-indigo-700">
+                        Add PDFs
+                        <input
+                            type="file"
+                            accept="application/pdf"
+                            multiple
+                            className="hidden"
+                            disabled={isMerging}
+                            onChange={(e) => {
+                                addFiles(e.target.files);
+                                e.target.value = '';
+                            }}
+                        />
+                    </label>
+                </div>
+
+                {files.length === 0 ? (
+                    <p className="rounded-md border border-dashed border-gray-300 p-6 text-center text-sm text-gray-500 dark:border-gray-700 dark:text-gray-400">
+                        Add the chapter PDFs you want to combine.
+                    </p>
+                ) : (
+                    <ol className="space-y-2">
+                        {files.map((f, i) => (
+                            <li
+                                key={f.key}
+                                draggable={!isMerging}
+                                onDragStart={(e) => {
+                                    e.dataTransfer.setData(FILE_DRAG_TYPE, f.key);
+                                    e.dataTransfer.effectAllowed = 'move';
+                                    setDragKey(f.key);
+                                }}
+                                onDragEnd={() => setDragKey(null)}
+                                onDragOver={(e) => {
+                                    if (!e.dataTransfer.types.includes(FILE_DRAG_TYPE)) return;
+                                    e.preventDefault();
+                                }}
+                                onDrop={(e) => {
+                                    e.preventDefault();
+                                    dropOn(f.key);
+                                }}
+                                className={classNames(
+                                    'flex items-center gap-3 rounded-md border bg-white p-2 dark:bg-gray-800',
+                                    dragKey === f.key ? 'border-indigo-400 opacity-60' : 'border-gray-200 dark:border-gray-700'
+                                )}
+                            >
+                                <span className="cursor-grab select-none px-1 text-gray-400" aria-hidden="true">⋮⋮</span>
+                                <span className="w-6 text-right text-xs text-gray-500 dark:text-gray-400">{i + 1}.</span>
+                                <div className="min-w-0 flex-1">
+                                    <input
+                                        value={f.title}
+                                        onChange={(e) => updateFile(f.key, { title: e.target.value })}
+                                        disabled={isMerging}
+                                        aria-label={`Bookmark title for ${f.name}`}
+                                        className="w-full rounded border border-transparent px-2 py-1 text-sm text-gray-800 hover:border-gray-200 focus:border-indigo-500 focus:outline-none dark:bg-gray-800 dark:text-gray-100 dark:hover:border-gray-700"
+                                    />
+                                    <div className="truncate px-2 text-xs text-gray-500 dark:text-gray-400">
+                                        {f.name}
+                                        {f.status === 'uploading' && ' · uploading…'}
+                                        {f.error && <span className="text-rose-600 dark:text-rose-400"> · {f.error}</span>}
+                                    </div>
+                                </div>
+                                <div className="flex items-center gap-1">
+                                    <button
+                                        className="rounded px-2 py-1 text-sm text-gray-600 hover:bg-gray-50 disabled:opacity-30 dark:text-gray-300 dark:hover:bg-gray-700"
+                                        onClick={() => moveFile(f.key, -1)}
+                                        disabled={isMerging || i === 0}
+                                        aria-label={`Move ${f.name} up`}
+                                    >
+                                        ↑
+                                    </button>
+                                    <button
+                                        className="rounded px-2 py-1 text-sm text-gray-600 hover:bg-gray-50 disabled:opacity-30 dark:text-gray-300 dark:hover:bg-gray-700"
+                                        onClick={() => moveFile(f.key, 1)}
+                                        disabled={isMerging || i === files.length - 1}
+                                        aria-label={`Move ${f.name} down`}
+                                    >
+                                        ↓
+                                    </button>
+                                    <button
+                                        className="rounded px-2 py-1 text-xs text-rose-700 hover:bg-rose-50 disabled:opacity-30"
+                                        onClick={() => setFiles((list) => list.filter((x) => x.key !== f.key))}
+                                        disabled={isMerging}
+                                    >
+                                        Remove
+                                    </button>
+                                </div>
+                            </li>
+                        ))}
+                    </ol>
+                )}
+
+                <div className="mt-4 flex flex-wrap items-center justify-end gap-2">
+                    {status && <span className="mr-auto text-xs text-gray-500 dark:text-gray-400">{status}</span>}
+                    <button
+                        className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed disabled:opacity-50 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-200 dark:hover:bg-gray-700"
+                        onClick={() => merge(true)}
+                        disabled={!ready || isMerging}
+                    >
+                        Merge & edit bookmarks
+                    </button>
+                    <button
+                        className={classNames(
+                            'rounded-md px-4 py-2 text-sm font-medium text-white',
+                            !ready || isMerging ? 'cursor-not-allowed bg-indigo-300' : 'bg-indigo-600 hover:bg-indigo-700'
+                        )}
+                        onClick={() => merge(false)}
+                        disabled={!ready || isMerging}
+                    >
+                        {isMerging ? 'Merging…' : 'Merge & download'}
+                    </button>
+                </div>
+            </section>
+        </div>
+    );
+}
@@ -0,0 +1,95 @@
+import React from 'react';
+import { PAGE_LAYOUTS, PAGE_MODES } from '../lib/metadata.js';
+
+const inputClass = 'w-full rounded-md border border-gray-300 px-2 py-1 text-sm focus:border-indigo-500 focus:outline-none disabled:opacity-60 dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100';
+
+const FIELDS = [
+    ['title', 'Title'],
+    ['author', 'Author', 'Separate several authors with ;'],
+    ['subject', 'Subject'],
+    ['keywords', 'Keywords', 'Separate keywords with commas'],
+    ['language', 'Language', 'A language tag such as en-US or de'],
+];
+
+function formatDate(iso) {
+    return iso ? new Date(iso).toLocaleString() : '—';
+}
+
+// Edits the document properties (Info dictionary and XMP) and how viewers open the file.
+// `metadata` is what the server read; `values` what processing will write.
+export default function MetadataPanel({ metadata, values, changedCount, disabled, onChange, onReset }) {
+    const xmp = metadata.xmp;
+
+    return (
+        <div className="space-y-3">
+            <div className="flex items-center gap-2">
+                <p className="mr-auto text-sm text-gray-600 dark:text-gray-300">
+                    {xmp ? 'Info dictionary and XMP' : 'Info dictionary (no XMP)'}
+                    {changedCount > 0 && ` · ${changedCount} change${changedCount === 1 ? '' : 's'}`}
+                </p>
+                {changedCount > 0 && (
+                    <button className="rounded px-2 py-0.5 text-xs text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700" onClick={onReset} disabled={disabled}>
+                        Reset
+                    </button>
+                )}
+            </div>
+
+            {FIELDS.map(([key, label, hint]) => (
+                <div key={key}>
+                    <label htmlFor={`metadata-${key}`} className="mb-1 block text-sm font-medium text-gray-800 dark:text-gray-100">
+                        {label}
+                    </label>
+                    <input id={`metadata-${key}`} value={values[key]} placeholder={hint} onChange={(e) => onChange(key, e.target.value)} disabled={disabled} className={inputClass} />
+                    {xmp && xmp[key] && xmp[key] !== metadata[key] && (
+                        <p className="mt-0.5 truncate text-xs text-amber-700 dark:text-amber-300" title={xmp[key]}>
+                            XMP says: {xmp[key]}
+                        </p>
+                    )}
+                </div>
+            ))}
+
+            <div className="space-y-2 border-t border-gray-200 pt-3 dark:border-gray-700">
+                <p className="text-sm font-medium text-gray-800 dark:text-gray-100">When the file is opened</p>
+                <label className="block text-xs text-gray-600 dark:text-gray-300">
+                    Show
+                    <select value={values.pageMode} onChange={(e) => onChange('pageMode', e.target.value)} disabled={disabled} className={`${inputClass} mt-0.5`}>
+                        {Object.entries(PAGE_MODES).map(([mode, label]) => (
+                            <option key={mode} value={mode}>
+                                {label}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label className="block text-xs text-gray-600 dark:text-gray-300">
+                    Page layout
+                    <select value={values.pageLayout} onChange={(e) => onChange('pageLayout', e.target.value)} disabled={disabled} className={`${inputClass} mt-0.5`}>
+                        {Object.entries(PAGE_LAYOUTS).map(([layout, label]) => (
+                            <option key={layout} value={layout}>
+                                {label}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200">
+                    <input type="checkbox" checked={values.displayDocTitle} onChange={(e) => onChange('displayDocTitle', e.target.checked)} disabled={disabled} />
+                    Show the title instead of the file name
+                </label>
+            </div>
+
+            <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 border-t border-gray-200 pt-3 text-xs text-gray-500 dark:border-gray-700 dark:text-gray-400">
+                <dt>Created</dt>
+                <dd>{formatDate(metadata.creationDate)}</dd>
+                <dt>Modified</dt>
+                <dd>{formatDate(metadata.modificationDate)}</dd>
+                <dt>Creator</dt>
+                <dd className="truncate" title={metadata.creator || ''}>
+                    {metadata.creator || '—'}
+                </dd>
+                <dt>Producer</dt>
+                <dd className="truncate" title={metadata.producer || ''}>
+                    {metadata.producer || '—'}
+                </dd>
+            </dl>
+        </div>
+    );
+}
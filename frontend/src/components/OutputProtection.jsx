@@ -0,0 +1,66 @@
+import React from 'react';
+import { protectionProblem } from '../lib/protection.js';
+
+const inputClass = 'w-full rounded-md border border-gray-300 px-2 py-1 text-sm focus:border-indigo-500 focus:outline-none disabled:opacity-60 dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100';
+
+const PERMISSION_LABELS = [
+    ['print', 'Printing'],
+    ['copy', 'Copying text and images'],
+    ['modify', 'Editing, comments and form filling'],
+];
+
+// Password and permission settings for the downloaded PDF (AES-256). `value` is sent as the
+// `encryption` option of processing when enabled.
+export default function OutputProtection({ enabled, value, disabled, onEnabledChange, onChange }) {
+    const problem = protectionProblem(value);
+
+    return (
+        <div className="space-y-2">
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200">
+                <input type="checkbox" checked={enabled} onChange={(e) => onEnabledChange(e.target.checked)} disabled={disabled} />
+                Protect the downloaded PDF
+            </label>
+            {enabled && (
+                <div className="space-y-2 rounded-md border border-gray-200 p-2 dark:border-gray-700">
+                    <label className="block text-xs text-gray-600 dark:text-gray-300">
+                        Password to open (optional)
+                        <input
+                            type="password"
+                            autoComplete="new-password"
+                            value={value.userPassword}
+                            onChange={(e) => onChange({ ...value, userPassword: e.target.value })}
+                            disabled={disabled}
+                            className={`${inputClass} mt-0.5`}
+                        />
+                    </label>
+                    <label className="block text-xs text-gray-600 dark:text-gray-300">
+                        Owner password, to lift the restrictions (optional)
+                        <input
+                            type="password"
+                            autoComplete="new-password"
+                            value={value.ownerPassword}
+                            onChange={(e) => onChange({ ...value, ownerPassword: e.target.value })}
+                            disabled={disabled}
+                            className={`${inputClass} mt-0.5`}
+                        />
+                    </label>
+                    {problem && <p className="text-xs text-rose-600 dark:text-rose-400">{problem}</p>}
+                    <div className="space-y-1">
+                        <p className="text-xs text-gray-600 dark:text-gray-300">Allow</p>
+                        {PERMISSION_LABELS.map(([flag, label]) => (
+                            <label key={flag} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200">
+                                <input
+                                    type="checkbox"
+                                    checked={value.permissions[flag]}
+                                    onChange={(e) => onChange({ ...value, permissions: { ...value.permissions, [flag]: e.target.checked } })}
+                                    disabled={disabled}
+                                />
+                                {label}
+                            </label>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,108 @@
+import React, { useMemo } from 'react';
+import { PAGE_LABEL_STYLES, formatPageLabel, normalizeRanges } from '../lib/pageLabels.js';
+
+const inputClass = 'rounded border border-gray-300 px-2 py-1 text-sm focus:border-indigo-500 focus:outline-none dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100';
+
+// Edits page label ranges ({ startPage, style, prefix, start }); each range runs until the next one starts
+export default function PageLabelsEditor({ ranges, onChange, numPages, currentPage }) {
+    const sorted = useMemo(() => normalizeRanges(ranges), [ranges]);
+
+    function update(index, patch) {
+        onChange(ranges.map((r, i) => (i === index ? { ...r, ...patch } : r)));
+    }
+
+    function addRange() {
+        const taken = new Set(ranges.map((r) => Number(r.startPage)));
+        let startPage = ranges.length === 0 ? 1 : currentPage;
+        while (taken.has(startPage) && startPage < (numPages || 1)) startPage++;
+        onChange([...ranges, { startPage, style: 'D', prefix: '', start: 1 }]);
+    }
+
+    function endPageOf(range) {
+        const next = sorted.find((r) => r.startPage > range.startPage);
+        return next ? next.startPage - 1 : numPages;
+    }
+
+    return (
+        <div className="space-y-3">
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+                Number pages the way the printed book does, e.g. roman numerals for the front matter. Pages are typed and shown by their label everywhere; use #15 for physical page 15.
+            </p>
+            {ranges.length === 0 ? (
+                <p className="rounded-md border border-dashed border-gray-300 p-3 text-center text-sm text-gray-500 dark:border-gray-700 dark:text-gray-400">
+                    Pages are numbered 1 – {numPages || '…'}.
+                </p>
+            ) : (
+                <div className="space-y-2">
+                    <div className="grid grid-cols-[4rem_1fr_4.5rem_3.5rem_auto] gap-2 text-xs font-medium text-gray-500 dark:text-gray-400">
+                        <span>From page</span>
+                        <span>Style</span>
+                        <span>Prefix</span>
+                        <span>Start</span>
+                        <span />
+                    </div>
+                    {ranges.map((range, i) => {
+                        const normalized = sorted.find((r) => r.startPage === parseInt(range.startPage, 10));
+                        const end = normalized ? endPageOf(normalized) : null;
+                        return (
+                            <div key={i}>
+                                <div className="grid grid-cols-[4rem_1fr_4.5rem_3.5rem_auto] items-center gap-2">
+                                    <input
+                                        type="number"
+                                        min={1}
+                                        max={numPages || undefined}
+                                        value={range.startPage}
+                                        onChange={(e) => update(i, { startPage: e.target.value })}
+                                        className={inputClass}
+                                        aria-label="First physical page"
+                                    />
+                                    <select value={range.style} onChange={(e) => update(i, { style: e.target.value })} className={inputClass} aria-label="Numbering style">
+                                        {Object.entries(PAGE_LABEL_STYLES).map(([value, label]) => (
+                                            <option key={value} value={value}>
+                                                {label}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <input
+                                        value={range.prefix}
+                                        onChange={(e) => update(i, { prefix: e.target.value })}
+                                        className={inputClass}
+                                        placeholder="A-"
+                                        aria-label="Prefix"
+                                    />
+                                    <input
+                                        type="number"
+                                        min={1}
+                                        value={range.start}
+                                        onChange={(e) => update(i, { start: e.target.value })}
+                                        disabled={!range.style}
+                                        className={inputClass}
+                                        aria-label="Start number"
+                                    />
+                                    <button
+                                        className="rounded px-2 py-1 text-xs text-rose-700 hover:bg-rose-50"
+                                        onClick={() => onChange(ranges.filter((_, j) => j !== i))}
+                                    >
+                                        Remove
+                                    </button>
+                                </div>
+                                {normalized && end >= normalized.startPage && (
+                                    <div className="mt-0.5 text-xs text-gray-400 dark:text-gray-500">
+                                        Pages {normalized.startPage}–{end}: {formatPageLabel(normalized, normalized.startPage)}
+                                        {end > normalized.startPage && ` … ${formatPageLabel(normalized, end)}`}
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+            <button
+                className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-200 dark:hover:bg-gray-700"
+                onClick={addRange}
+            >
+                Add range
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,210 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Page, pdfjs } from 'react-pdf';
+import { createPlan, isUnchanged, planEntry } from '../lib/pagePlan.js';
+import { isPdfFile, uploadPdfFile } from '../lib/uploads.js';
+
+const THUMB_SIZE = 120;
+const PAGE_DRAG_TYPE = 'application/x-organizer-page';
+
+function classNames(...classes) {
+    return classes.filter(Boolean).join(' ');
+}
+
+// Renders the page only once its card scrolls near the viewport
+function LazyThumb({ entry, pdf }) {
+    const ref = useRef(null);
+    const [visible, setVisible] = useState(false);
+
+    useEffect(() => {
+        const el = ref.current;
+        if (!el || visible) return undefined;
+        const observer = new IntersectionObserver(([e]) => e.isIntersecting && setVisible(true), { rootMargin: '200px' });
+        observer.observe(el);
+        return () => observer.disconnect();
+    }, [visible]);
+
+    return (
+        <div ref={ref} className="flex items-center justify-center overflow-hidden bg-gray-50 dark:bg-gray-900" style={{ width: THUMB_SIZE, height: THUMB_SIZE }}>
+            {visible && (
+                <div style={{ transform: `rotate(${entry.rotate}deg)` }} className="transition-transform">
+                    <Page
+                        {...(pdf ? { pdf } : {})}
+                        pageNumber={entry.page}
+                        height={THUMB_SIZE - 8}
+                        renderTextLayer={false}
+                        renderAnnotationLayer={false}
+                        loading={<div style={{ width: (THUMB_SIZE - 8) * 0.75, height: THUMB_SIZE - 8 }} />}
+                    />
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Page organizer for the open document; must be rendered inside react-pdf's <Document>.
+// Pages of inserted PDFs are uploaded right away and rendered from their own pdf.js documents.
+// `onApply(plan)` receives the final page plan (see lib/pagePlan.js).
+export default function PageOrganizer({ numPages, backendUrl, showToast, isApplying, onApply, onClose }) {
+    const [plan, setPlan] = useState(() => createPlan(numPages));
+    const [selectedKey, setSelectedKey] = useState(null);
+    const [dragKey, setDragKey] = useState(null);
+    const [inserted, setInserted] = useState({}); // fileId -> { name, pdf }
+    const [isInserting, setIsInserting] = useState(false);
+    const insertedRef = useRef(inserted);
+    insertedRef.current = inserted;
+
+    useEffect(() => () => Object.values(insertedRef.current).forEach(({ pdf }) => pdf.destroy()), []);
+
+    function rotate(key, delta) {
+        setPlan((list) => list.map((e) => (e.key === key ? { ...e, rotate: (e.rotate + delta + 360) % 360 } : e)));
+    }
+
+    function remove(key) {
+        setPlan((list) => list.filter((e) => e.key !== key));
+        if (selectedKey === key) setSelectedKey(null);
+    }
+
+    function move(fromKey, toKey) {
+        setPlan((list) => {
+            const from = list.findIndex((e) => e.key === fromKey);
+            const to = list.findIndex((e) => e.key === toKey);
+            if (from < 0 || to < 0 || from === to) return list;
+            const copy = list.slice();
+            const [entry] = copy.splice(from, 1);
+            copy.splice(to, 0, entry);
+            return copy;
+        });
+    }
+
+    function step(key, direction) {
+        const index = plan.findIndex((e) => e.key === key);
+        const target = plan[index + direction];
+        if (target) move(key, target.key);
+    }
+
+    async function insertPdf(selected) {
+        if (!selected) return;
+        if (!isPdfFile(selected)) {
+            showToast('Please select a PDF file', 'error');
+            return;
+        }
+        setIsInserting(true);
+        try {
+            const [{ id }, pdf] = await Promise.all([
+                uploadPdfFile(backendUrl, selected),
+                selected.arrayBuffer().then((data) => pdfjs.getDocument({ data }).promise),
+            ]);
+            setInserted((map) => ({ ...map, [id]: { name: selected.name, pdf } }));
+            const entries = Array.from({ length: pdf.numPages }, (_, i) => planEntry(i + 1, id));
+            setPlan((list) => {
+                const at = selectedKey ? list.findIndex((e) => e.key === selectedKey) + 1 : list.length;
+                return [...list.slice(0, at), ...entries, ...list.slice(at)];
+            });
+            showToast(`Inserted ${pdf.numPages} page${pdf.numPages > 1 ? 's' : ''} from ${selected.name}`);
+        } catch (err) {
+            console.error(err);
+            showToast(err.passwordRequired ? err.message : err.response?.data?.error || 'Failed to insert PDF', 'error', 5000);
+        } finally {
+            setIsInserting(false);
+        }
+    }
+
+    const keptCount = new Set(plan.filter((e) => !e.fileId).map((e) => e.page)).size;
+    const unchanged = isUnchanged(plan, numPages);
+    const buttonClass = 'rounded px-1.5 py-0.5 text-xs text-gray-600 hover:bg-gray-100 disabled:opacity-30 dark:text-gray-300 dark:hover:bg-gray-700';
+
+    return (
+        <div className="w-full">
+            <div className="mb-3 flex flex-wrap items-center gap-2">
+                <p className="mr-auto text-sm text-gray-600 dark:text-gray-300">
+                    {plan.length} page{plan.length === 1 ? '' : 's'}
+                    {numPages - keptCount > 0 && ` · ${numPages - keptCount} deleted`}
+                    {plan.some((e) => e.fileId) && ` · ${plan.filter((e) => e.fileId).length} inserted`}
+                    <span className="ml-2 text-xs text-gray-400 dark:text-gray-500">Drag to reorder · select a page to insert after it</span>
+                </p>
+                <label className={classNames('cursor-pointer rounded-md border border-gray-300 bg-white px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-200 dark:hover:bg-gray-700', isInserting || isApplying ? 'pointer-events-none opacity-50' : '')}>
+                    {isInserting ? 'Inserting…' : 'Insert pages from PDF…'}
+                    <input
+                        type="file"
+                        accept="application/pdf"
+                        className="hidden"
+                        onChange={(e) => {
+                            insertPdf(e.target.files?.[0]);
+                            e.target.value = '';
+                        }}
+                    />
+                </label>
+                <button
+                    className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-200 dark:hover:bg-gray-700"
+                    onClick={() => setPlan(createPlan(numPages))}
+                    disabled={unchanged || isApplying}
+                >
+                    Reset
+                </button>
+                <button
+                    className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-200 dark:hover:bg-gray-700"
+                    onClick={onClose}
+                    disabled={isApplying}
+                >
+                    Cancel
+                </button>
+                <button
+                    className={classNames(
+                        'rounded-md px-3 py-1.5 text-sm font-medium text-white',
+                        unchanged || plan.length === 0 || isApplying ? 'cursor-not-allowed bg-indigo-300' : 'bg-indigo-600 hover:bg-indigo-700'
+                    )}
+                    onClick={() => onApply(plan)}
+                    disabled={unchanged || plan.length === 0 || isApplying}
+                >
+                    {isApplying ? 'Applying…' : 'Apply changes'}
+                </button>
+            </div>
+
+            <div className="grid max-h-[80vh] grid-cols-[repeat(auto-fill,minmax(136px,1fr))] gap-3 overflow-auto p-1 custom-scrollbar">
+                {plan.map((entry, i) => {
+                    const source = entry.fileId ? inserted[entry.fileId] : null;
+                    return (
+                        <div
+                            key={entry.key}
+                            draggable={!isApplying}
+                            onDragStart={(e) => {
+                                e.dataTransfer.setData(PAGE_DRAG_TYPE, entry.key);
+                                e.dataTransfer.effectAllowed = 'move';
+                                setDragKey(entry.key);
+                            }}
+                            onDragEnd={() => setDragKey(null)}
+                            onDragOver={(e) => {
+                                if (!e.dataTransfer.types.includes(PAGE_DRAG_TYPE)) return;
+                                e.preventDefault();
+                            }}
+                            onDrop={(e) => {
+                                e.preventDefault();
+                                if (dragKey) move(dragKey, entry.key);
+                                setDragKey(null);
+                            }}
+                            onClick={() => setSelectedKey(selectedKey === entry.key ? null : entry.key)}
+                            className={classNames(
+                                'flex cursor-grab flex-col items-center rounded-md border bg-white p-1.5 dark:bg-gray-800',
+                                selectedKey === entry.key ? 'border-indigo-500 ring-2 ring-indigo-200 dark:ring-indigo-900' : 'border-gray-200 dark:border-gray-700',
+                                dragKey === entry.key ? 'opacity-50' : ''
+                            )}
+                        >
+                            <LazyThumb entry={entry} pdf={source?.pdf} />
+                            <div className="mt-1 w-full truncate text-center text-xs text-gray-600 dark:text-gray-300" title={source ? `${source.name}, page ${entry.page}` : `Page ${entry.page}`}>
+                                {i + 1}
+                                <span className="text-gray-400 dark:text-gray-500"> · {source ? `${source.name} p. ${entry.page}` : `was ${entry.page}`}</span>
+                            </div>
+                            <div className="mt-1 flex items-center gap-0.5" onClick={(e) => e.stopPropagation()}>
+                                <button className={buttonClass} onClick={() => step(entry.key, -1)} disabled={i === 0} aria-label="Move earlier">◀</button>
+                                <button className={buttonClass} onClick={() => rotate(entry.key, -90)} aria-label="Rotate left">⟲</button>
+                                <button className={buttonClass} onClick={() => rotate(entry.key, 90)} aria-label="Rotate right">⟳</button>
+                                <button className={buttonClass} onClick={() => step(entry.key, 1)} disabled={i === plan.length - 1} aria-label="Move later">▶</button>
+                                <button className="rounded px-1.5 py-0.5 text-xs text-rose-700 hover:bg-rose-50" onClick={() => remove(entry.key)} aria-label="Delete page">✕</button>
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
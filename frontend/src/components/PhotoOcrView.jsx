@@ -0,0 +1,539 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import axios from 'axios';
+
+// Words Tesseract is less sure about than this (0-100) are highlighted for review
+const DEFAULT_CONFIDENCE_THRESHOLD = 70;
+
+function classNames(...classes) {
+    return classes.filter(Boolean).join(' ');
+}
+
+function isImageFile(file) {
+    return file.type.startsWith('image/');
+}
+
+// Rebuilds plain text from the (possibly corrected) words: lines by newline, paragraphs by a blank line
+function wordsToText(words) {
+    let text = '';
+    words.forEach((word, i) => {
+        const prev = words[i - 1];
+        if (prev) text += prev.paragraph !== word.paragraph ? '\n\n' : prev.line !== word.line ? '\n' : ' ';
+        text += word.text;
+    });
+    return text;
+}
+
+const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+// Smallest crop side, as a fraction of the photo
+const MIN_CROP = 0.05;
+
+function clamp(n, min, max) {
+    return Math.min(max, Math.max(min, n));
+}
+
+// Moves the whole crop ('move') or the edges named by a corner handle ('nw', 'se', ...) by dx/dy fractions
+function dragCrop(crop, handle, dx, dy) {
+    if (handle === 'move') {
+        return { ...crop, x: clamp(crop.x + dx, 0, 1 - crop.width), y: clamp(crop.y + dy, 0, 1 - crop.height) };
+    }
+    let left = crop.x;
+    let top = crop.y;
+    let right = crop.x + crop.width;
+    let bottom = crop.y + crop.height;
+    if (handle.includes('w')) left = clamp(left + dx, 0, right - MIN_CROP);
+    if (handle.includes('e')) right = clamp(right + dx, left + MIN_CROP, 1);
+    if (handle.includes('n')) top = clamp(top + dy, 0, bottom - MIN_CROP);
+    if (handle.includes('s')) bottom = clamp(bottom + dy, top + MIN_CROP, 1);
+    return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+function downloadText(text, name) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Crop box over the upright photo; the page turn (`photo.rotate`) is applied after cropping
+function CropEditor({ photo, onChange, onClose }) {
+    const boxRef = useRef(null);
+    const crop = photo.crop || FULL_CROP;
+
+    function startDrag(e, handle) {
+        e.preventDefault();
+        e.stopPropagation();
+        const box = boxRef.current.getBoundingClientRect();
+        const start = { x: e.clientX, y: e.clientY };
+        function move(ev) {
+            onChange(dragCrop(crop, handle, (ev.clientX - start.x) / box.width, (ev.clientY - start.y) / box.height));
+        }
+        function stop() {
+            window.removeEventListener('pointermove', move);
+            window.removeEventListener('pointerup', stop);
+        }
+        window.addEventListener('pointermove', move);
+        window.addEventListener('pointerup', stop);
+    }
+
+    return (
+        <div className="rounded-2xl border border-gray-200 bg-white p-4 dark:border-gray-700 dark:bg-gray-800">
+            <div className="mb-2 flex items-center gap-2 text-left">
+                <p className="mr-auto truncate text-sm font-medium text-gray-800 dark:text-gray-100">Crop {photo.file.name}</p>
+                <button className="rounded px-2 py-0.5 text-xs text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700" onClick={() => onChange(null)} disabled={!photo.crop}>
+                    Reset
+                </button>
+                <button className="rounded bg-indigo-600 px-2 py-0.5 text-xs font-medium text-white hover:bg-indigo-700" onClick={onClose}>
+                    Done
+                </button>
+            </div>
+            <div ref={boxRef} className="relative mx-auto w-fit touch-none select-none overflow-hidden">
+                <img src={photo.url} alt={photo.file.name} className="block max-h-[480px] w-auto" draggable={false} />
+                <div
+                    className="absolute cursor-move border-2 border-indigo-500"
+                    style={{
+                        left: `${crop.x * 100}%`,
+                        top: `${crop.y * 100}%`,
+                        width: `${crop.width * 100}%`,
+                        height: `${crop.height * 100}%`,
+                        boxShadow: '0 0 0 9999px rgba(0,0,0,0.45)',
+                    }}
+                    onPointerDown={(e) => startDrag(e, 'move')}
+                >
+                    {['nw', 'ne', 'sw', 'se'].map((handle) => (
+                        <span
+                            key={handle}
+                            className={classNames(
+                                'absolute h-3 w-3 rounded-sm border border-white bg-indigo-500',
+                                handle[0] === 'n' ? '-top-1.5' : '-bottom-1.5',
+                                handle[1] === 'w' ? '-left-1.5' : '-right-1.5',
+                                handle === 'nw' || handle === 'se' ? 'cursor-nwse-resize' : 'cursor-nesw-resize'
+                            )}
+                            onPointerDown={(e) => startDrag(e, handle)}
+                        />
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function ImageResult({ result, threshold, selected, onSelect, onCorrect }) {
+    const [size, setSize] = useState(null);
+    const [draft, setDraft] = useState('');
+    const inputRef = useRef(null);
+    const doubtful = (w) => !w.corrected && w.confidence < threshold;
+    const doubtfulCount = result.words.filter(doubtful).length;
+    const selectedWord = selected === null ? null : result.words[selected];
+
+    useEffect(() => {
+        if (!selectedWord) return;
+        setDraft(selectedWord.text);
+        inputRef.current?.focus();
+        inputRef.current?.select();
+    }, [selectedWord]);
+
+    function commit() {
+        if (!selectedWord) return;
+        const text = draft.trim();
+        if (text) onCorrect(selected, text);
+        onSelect(null);
+    }
+
+    function selectNextDoubtful() {
+        const next = result.words.findIndex((w, i) => i > (selected ?? -1) && doubtful(w));
+        onSelect(next === -1 ? null : next);
+    }
+
+    return (
+        <div className="rounded-2xl border border-gray-200 bg-white p-4 shadow-sm dark:border-gray-700 dark:bg-gray-800">
+            <div className="mb-3 flex flex-wrap items-center gap-2 text-left">
+                <h4 className="mr-auto truncate font-semibold text-gray-900 dark:text-white" title={result.originalName}>
+                    {result.originalName}
+                </h4>
+                <span className="text-xs text-gray-500 dark:text-gray-400">
+                    {result.confidence}% confidence · {doubtfulCount} word{doubtfulCount === 1 ? '' : 's'} to review
+                </span>
+                {doubtfulCount > 0 && (
+                    <button className="rounded-md border border-amber-400 px-2 py-1 text-xs text-amber-700 hover:bg-amber-50 dark:text-amber-300 dark:hover:bg-gray-700" onClick={selectNextDoubtful}>
+                        Next to review
+                    </button>
+                )}
+            </div>
+            <div className="grid gap-4 lg:grid-cols-2">
+                <div className="relative self-start overflow-hidden rounded-lg border border-gray-200 dark:border-gray-700">
+                    <img
+                        src={result.url}
+                        alt={result.originalName}
+                        className="block h-auto w-full"
+                        onLoad={(e) => setSize({ width: e.currentTarget.naturalWidth, height: e.currentTarget.naturalHeight })}
+                    />
+                    {size && (
+                        <svg className="absolute inset-0 h-full w-full" viewBox={`0 0 ${size.width} ${size.height}`} preserveAspectRatio="none">
+                            {result.words.map((w, i) => {
+                                if (!doubtful(w) && i !== selected) return null;
+                                const { x0, y0, x1, y1 } = w.bbox;
+                                return (
+                                    <rect
+                                        key={i}
+                                        x={x0}
+                                        y={y0}
+                                        width={x1 - x0}
+                                        height={y1 - y0}
+                                        fill={i === selected ? 'rgba(99,102,241,0.25)' : 'rgba(250,204,21,0.35)'}
+                                        stroke={i === selected ? '#6366f1' : '#d97706'}
+                                        strokeWidth={Math.max(1, size.width / 600)}
+                                        style={{ cursor: 'pointer' }}
+                                        onClick={() => onSelect(i)}
+                                    >
+                                        <title>{`${w.text} (${Math.round(w.confidence)}%)`}</title>
+                                    </rect>
+                                );
+                            })}
+                        </svg>
+                    )}
+                </div>
+                <div className="text-left">
+                    {selectedWord && (
+                        <div className="mb-2 flex items-center gap-2 rounded-md bg-indigo-50 p-2 dark:bg-indigo-950">
+                            <span className="text-xs text-gray-600 dark:text-gray-300">{Math.round(selectedWord.confidence)}%</span>
+                            <input
+                                ref={inputRef}
+                                value={draft}
+                                onChange={(e) => setDraft(e.target.value)}
+                                onKeyDown={(e) => {
+                                    if (e.key === 'Enter') commit();
+                                    if (e.key === 'Escape') onSelect(null);
+                                }}
+                                className="flex-1 rounded border border-gray-300 px-2 py-1 text-sm focus:border-indigo-500 focus:outline-none dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100"
+                                aria-label="Corrected word"
+                            />
+                            <button className="rounded bg-indigo-600 px-2 py-1 text-xs font-medium text-white hover:bg-indigo-700" onClick={commit}>
+                                Correct
+                            </button>
+                        </div>
+                    )}
+                    {result.words.length === 0 ? (
+                        <p className="text-sm text-gray-500 dark:text-gray-400">No text could be extracted. Try a sharper image or another language.</p>
+                    ) : (
+                        <div className="max-h-[400px] overflow-y-auto whitespace-pre-wrap rounded-lg border border-gray-200 bg-gray-50 p-3 text-sm leading-7 text-gray-700 custom-scrollbar dark:border-gray-700 dark:bg-gray-900 dark:text-gray-300">
+                            {result.words.map((w, i) => {
+                                const prev = result.words[i - 1];
+                                const gap = !prev ? '' : prev.paragraph !== w.paragraph ? '\n\n' : prev.line !== w.line ? '\n' : ' ';
+                                return (
+                                    <React.Fragment key={i}>
+                                        {gap}
+                                        <span
+                                            onClick={() => onSelect(i)}
+                                            title={`${Math.round(w.confidence)}%`}
+                                            className={classNames(
+                                                'cursor-pointer rounded px-0.5',
+                                                i === selected ? 'bg-indigo-200 dark:bg-indigo-800' : doubtful(w) ? 'bg-yellow-200 dark:bg-yellow-700/60' : w.corrected ? 'bg-emerald-100 dark:bg-emerald-900/50' : 'hover:bg-gray-200 dark:hover:bg-gray-700'
+                                            )}
+                                        >
+                                            {w.text}
+                                        </span>
+                                    </React.Fragment>
+                                );
+                            })}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Photo tab: OCR of one or more images in the chosen languages, with doubtful words highlighted
+// over the image so they can be corrected before the text is copied. The same photos can instead
+// become a searchable PDF, handed to `onOpenPdf({ id, originalName })` like a fresh upload.
+export default function PhotoOcrView({ backendUrl, showToast, onOpenPdf }) {
+    const [photos, setPhotos] = useState([]); // { key, file, url, crop, rotate }
+    const [cropping, setCropping] = useState(null); // photo key
+    const [deskew, setDeskew] = useState(true);
+    const [isConverting, setIsConverting] = useState(false);
+    const [catalog, setCatalog] = useState({ languages: [], offline: true });
+    const [languages, setLanguages] = useState(() => (localStorage.getItem('ocrLanguages') || 'eng').split('+'));
+    const [results, setResults] = useState([]); // per image: { originalName, url, confidence, words }
+    const [selection, setSelection] = useState(null); // { image, word }
+    const [threshold, setThreshold] = useState(DEFAULT_CONFIDENCE_THRESHOLD);
+    const [isExtracting, setIsExtracting] = useState(false);
+    const [dragOver, setDragOver] = useState(false);
+    const urlsRef = useRef([]);
+
+    useEffect(() => {
+        axios
+            .get(`${backendUrl}/api/ocr-languages`)
+            .then(({ data }) => setCatalog(data))
+            .catch((err) => console.error('Could not load OCR languages', err));
+    }, [backendUrl]);
+
+    useEffect(() => () => urlsRef.current.forEach((url) => URL.revokeObjectURL(url)), []);
+
+    const available = useMemo(() => new Set(catalog.languages.map((l) => l.code)), [catalog]);
+    const chosen = languages.filter((code) => available.has(code));
+    const allText = useMemo(() => results.map((r) => wordsToText(r.words)).filter(Boolean).join('\n\n'), [results]);
+
+    function objectUrl(file) {
+        const url = URL.createObjectURL(file);
+        urlsRef.current.push(url);
+        return url;
+    }
+
+    function addPhotos(selected) {
+        const files = Array.from(selected || []);
+        const images = files.filter(isImageFile);
+        if (images.length < files.length) showToast('Only image files can be added', 'error');
+        setPhotos((list) => [...list, ...images.map((file) => ({ key: `${file.name}-${file.size}-${file.lastModified}-${Math.random()}`, file, url: objectUrl(file), crop: null, rotate: 0 }))]);
+    }
+
+    function updatePhoto(key, changes) {
+        setPhotos((list) => list.map((p) => (p.key === key ? { ...p, ...changes } : p)));
+    }
+
+    function movePhoto(index, delta) {
+        setPhotos((list) => {
+            const next = [...list];
+            const [photo] = next.splice(index, 1);
+            next.splice(index + delta, 0, photo);
+            return next;
+        });
+    }
+
+    function removePhoto(key) {
+        setPhotos((list) => list.filter((x) => x.key !== key));
+        if (cropping === key) setCropping(null);
+    }
+
+    function toggleLanguage(code) {
+        const next = chosen.includes(code) ? chosen.filter((c) => c !== code) : [...chosen, code];
+        setLanguages(next);
+        if (next.length > 0) localStorage.setItem('ocrLanguages', next.join('+'));
+    }
+
+    async function extract() {
+        setIsExtracting(true);
+        try {
+            const fd = new FormData();
+            photos.forEach((p) => fd.append('photos', p.file));
+            fd.append('languages', chosen.join('+'));
+            const { data } = await axios.post(`${backendUrl}/api/upload-image`, fd);
+            setResults(data.images.map((img, i) => ({ ...img, url: photos[i].url })));
+            setSelection(null);
+            setPhotos([]);
+            setCropping(null);
+            showToast(`Extracted text from ${data.images.length} image${data.images.length > 1 ? 's' : ''}`);
+        } catch (err) {
+            console.error('OCR error', err);
+            showToast(err.response?.data?.details || err.response?.data?.error || 'Failed to extract text', 'error', 5000);
+        } finally {
+            setIsExtracting(false);
+        }
+    }
+
+    async function createPdf() {
+        setIsConverting(true);
+        try {
+            const fd = new FormData();
+            photos.forEach((p) => fd.append('photos', p.file));
+            fd.append('languages', chosen.join('+'));
+            fd.append('pages', JSON.stringify(photos.map((p) => ({ crop: p.crop, rotate: p.rotate }))));
+            fd.append('deskew', String(deskew));
+            const { data } = await axios.post(`${backendUrl}/api/images-to-pdf`, fd);
+            setPhotos([]);
+            setCropping(null);
+            onOpenPdf(data);
+        } catch (err) {
+            console.error('Images to PDF error', err);
+            showToast(err.response?.data?.details || err.response?.data?.error || 'Failed to create PDF', 'error', 5000);
+        } finally {
+            setIsConverting(false);
+        }
+    }
+
+    function correctWord(image, word, text) {
+        setResults((list) => list.map((r, i) => (i === image ? { ...r, words: r.words.map((w, j) => (j === word ? { ...w, text, corrected: true } : w)) } : r)));
+    }
+
+    function copyText() {
+        navigator.clipboard.writeText(allText);
+        showToast('Text copied to clipboard!');
+    }
+
+    return (
+        <div className="lg:col-span-3">
+            <div className="rounded-xl bg-white p-8 shadow-sm ring-1 ring-gray-100 dark:bg-gray-800 dark:ring-gray-700">
+                <div className="mb-6 text-center">
+                    <h3 className="mb-2 text-2xl font-bold text-gray-900 dark:text-white">📸 Extract Text from Photos</h3>
+                    <p className="text-gray-600 dark:text-gray-300">
+                        Add one or more images, pick the languages they are written in and review the words OCR was unsure about, or turn the photos into a searchable PDF.
+                    </p>
+                </div>
+
+                <div className="mx-auto max-w-4xl space-y-4">
+                    <div>
+                        <p className="mb-2 text-sm font-medium text-gray-700 dark:text-gray-200">Languages</p>
+                        <div className="flex flex-wrap gap-2">
+                            {catalog.languages.map((l) => (
+                                <button
+                                    key={l.code}
+                                    onClick={() => toggleLanguage(l.code)}
+                                    className={classNames(
+                                        'rounded-full border px-3 py-1 text-sm',
+                                        chosen.includes(l.code)
+                                            ? 'border-indigo-500 bg-indigo-50 text-indigo-700 dark:bg-indigo-950 dark:text-indigo-300'
+                                            : 'border-gray-300 text-gray-600 hover:bg-gray-50 dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-700'
+                                    )}
+                                    aria-pressed={chosen.includes(l.code)}
+                                >
+                                    {l.name}
+                                </button>
+                            ))}
+                        </div>
+                        {!catalog.offline && (
+                            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">No language packs are installed on the server; English is downloaded on first use.</p>
+                        )}
+                    </div>
+
+                    <label
+                        className={classNames(
+                            'block cursor-pointer rounded-2xl border-2 border-dashed p-8 text-center transition-colors',
+                            dragOver ? 'border-indigo-500 bg-indigo-50 dark:bg-indigo-950/30' : 'border-gray-300 bg-gray-50 hover:border-indigo-400 dark:border-gray-600 dark:bg-gray-800/50'
+                        )}
+                        onDragOver={(e) => {
+                            e.preventDefault();
+                            setDragOver(true);
+                        }}
+                        onDragLeave={() => setDragOver(false)}
+                        onDrop={(e) => {
+                            e.preventDefault();
+                            setDragOver(false);
+                            addPhotos(e.dataTransfer.files);
+                        }}
+                    >
+                        <p className="font-medium text-gray-900 dark:text-white">Drop images here, or click to browse</p>
+                        <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">JPG, PNG, GIF, WebP up to 10MB each</p>
+                        <input
+                            type="file"
+                            accept="image/*"
+                            multiple
+                            className="hidden"
+                            onChange={(e) => {
+                                addPhotos(e.target.files);
+                                e.target.value = '';
+                            }}
+                        />
+                    </label>
+
+                    {photos.length > 0 && (
+                        <>
+                            <div className="flex flex-wrap gap-3">
+                                {photos.map((p, i) => (
+                                    <div key={p.key} className="w-24 text-center">
+                                        <button
+                                            className={classNames(
+                                                'group relative flex h-24 w-24 items-center justify-center overflow-hidden rounded-lg border bg-gray-50 dark:bg-gray-900',
+                                                cropping === p.key ? 'border-indigo-500 ring-2 ring-indigo-300' : 'border-gray-200 dark:border-gray-700'
+                                            )}
+                                            onClick={() => setCropping(cropping === p.key ? null : p.key)}
+                                            title="Crop"
+                                        >
+                                            <img src={p.url} alt={p.file.name} className="max-h-full max-w-full" style={{ transform: `rotate(${p.rotate}deg)` }} />
+                                            <span className="absolute left-1 top-1 rounded bg-white/90 px-1 text-xs text-gray-700">{i + 1}</span>
+                                            {p.crop && <span className="absolute bottom-1 left-1 rounded bg-indigo-600 px-1 text-[10px] text-white">cropped</span>}
+                                        </button>
+                                        <div className="mt-1 flex justify-center gap-0.5 text-xs text-gray-600 dark:text-gray-300">
+                                            <button className="rounded px-1 hover:bg-gray-100 disabled:opacity-30 dark:hover:bg-gray-700" onClick={() => movePhoto(i, -1)} disabled={i === 0} aria-label="Move earlier">
+                                                ◀
+                                            </button>
+                                            <button className="rounded px-1 hover:bg-gray-100 dark:hover:bg-gray-700" onClick={() => updatePhoto(p.key, { rotate: (p.rotate + 270) % 360 })} aria-label="Rotate left">
+                                                ⟲
+                                            </button>
+                                            <button className="rounded px-1 hover:bg-gray-100 dark:hover:bg-gray-700" onClick={() => updatePhoto(p.key, { rotate: (p.rotate + 90) % 360 })} aria-label="Rotate right">
+                                                ⟳
+                                            </button>
+                                            <button
+                                                className="rounded px-1 hover:bg-gray-100 disabled:opacity-30 dark:hover:bg-gray-700"
+                                                onClick={() => movePhoto(i, 1)}
+                                                disabled={i === photos.length - 1}
+                                                aria-label="Move later"
+                                            >
+                                                ▶
+                                            </button>
+                                            <button className="rounded px-1 text-rose-700 hover:bg-rose-50 dark:text-rose-300 dark:hover:bg-gray-700" onClick={() => removePhoto(p.key)} aria-label={`Remove ${p.file.name}`}>
+                                                ✕
+                                            </button>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                            {photos.some((p) => p.key === cropping) && (
+                                <CropEditor
+                                    photo={photos.find((p) => p.key === cropping)}
+                                    onChange={(crop) => updatePhoto(cropping, { crop })}
+                                    onClose={() => setCropping(null)}
+                                />
+                            )}
+                            <div className="flex flex-wrap items-center justify-end gap-3">
+                                <label className="mr-auto flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200" title="Straighten slightly tilted pages before they are added to the PDF">
+                                    <input type="checkbox" checked={deskew} onChange={(e) => setDeskew(e.target.checked)} />
+                                    Straighten pages
+                                </label>
+                                <button
+                                    className="rounded-xl border border-indigo-600 px-6 py-3 font-semibold text-indigo-700 hover:bg-indigo-50 disabled:cursor-not-allowed disabled:opacity-50 dark:text-indigo-300 dark:hover:bg-gray-700"
+                                    onClick={createPdf}
+                                    disabled={isConverting || isExtracting || chosen.length === 0}
+                                >
+                                    {isConverting ? 'Creating PDF…' : 'Create searchable PDF'}
+                                </button>
+                                <button
+                                    className="rounded-xl bg-indigo-600 px-6 py-3 font-semibold text-white hover:bg-indigo-700 disabled:cursor-not-allowed disabled:opacity-50"
+                                    onClick={extract}
+                                    disabled={isExtracting || isConverting || chosen.length === 0}
+                                >
+                                    {isExtracting ? 'Extracting…' : `Extract text from ${photos.length} image${photos.length > 1 ? 's' : ''}`}
+                                </button>
+                            </div>
+                        </>
+                    )}
+                </div>
+
+                {results.length > 0 && (
+                    <div className="mt-8 space-y-4">
+                        <div className="flex flex-wrap items-center gap-3">
+                            <label className="mr-auto flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200">
+                                Highlight words below
+                                <input type="range" min={0} max={100} step={5} value={threshold} onChange={(e) => setThreshold(Number(e.target.value))} />
+                                <span className="w-10 text-right">{threshold}%</span>
+                            </label>
+                            <button className="rounded-xl bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700" onClick={copyText} disabled={!allText}>
+                                📋 Copy Text
+                            </button>
+                            <button
+                                className="rounded-xl bg-purple-600 px-4 py-2 text-sm font-medium text-white hover:bg-purple-700"
+                                onClick={() => downloadText(allText, `${results[0].originalName.replace(/\.[^/.]+$/, '')}_extracted_text.txt`)}
+                                disabled={!allText}
+                            >
+                                💾 Save as TXT
+                            </button>
+                            <button className="rounded-xl bg-gray-600 px-4 py-2 text-sm font-medium text-white hover:bg-gray-700" onClick={() => setResults([])}>
+                                🔄 Start over
+                            </button>
+                        </div>
+                        {results.map((result, i) => (
+                            <ImageResult
+                                key={i}
+                                result={result}
+                                threshold={threshold}
+                                selected={selection && selection.image === i ? selection.word : null}
+                                onSelect={(word) => setSelection(word === null ? null : { image: i, word })}
+                                onCorrect={(word, text) => correctWord(i, word, text)}
+                            />
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+
+function formatWhen(iso) {
+    const date = new Date(iso);
+    if (Number.isNaN(date.getTime())) return '';
+    return date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+export default function RecentProjects({ projects, onOpen, onRename, onDelete }) {
+    const [renamingId, setRenamingId] = useState(null);
+    const [draftName, setDraftName] = useState('');
+
+    if (!projects || projects.length === 0) return null;
+
+    function startRename(project) {
+        setRenamingId(project.id);
+        setDraftName(project.name);
+    }
+
+    function commitRename() {
+        const name = draftName.trim();
+        if (name) onRename(renamingId, name);
+        setRenamingId(null);
+    }
+
+    return (
+        <div className="mt-6 w-full max-w-md text-left">
+            <h3 className="mb-2 text-sm font-medium text-gray-700 dark:text-gray-200">Recent projects</h3>
+            <ul className="divide-y divide-gray-100 rounded-md border border-gray-200 bg-white dark:divide-gray-700 dark:border-gray-700 dark:bg-gray-800">
+                {projects.map((p) => (
+                    <li key={p.id} className="group flex items-center gap-2 px-3 py-2">
+                        {renamingId === p.id ? (
+                            <input
+                                autoFocus
+                                value={draftName}
+                                onChange={(e) => setDraftName(e.target.value)}
+                                onBlur={commitRename}
+                                onKeyDown={(e) => {
+                                    if (e.key === 'Enter') commitRename();
+                                    if (e.key === 'Escape') setRenamingId(null);
+                                }}
+                                className="min-w-0 flex-1 rounded border border-gray-300 px-2 py-1 text-sm dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100"
+                            />
+                        ) : (
+                            <button className="min-w-0 flex-1 text-left" onClick={() => onOpen(p.id)}>
+                                <div className="truncate text-sm font-medium text-gray-800 hover:text-indigo-600 dark:text-gray-100 dark:hover:text-indigo-400">{p.name}</div>
+                                <div className="text-xs text-gray-500 dark:text-gray-400">
+                                    {p.bookmarkCount} bookmark{p.bookmarkCount === 1 ? '' : 's'} · {formatWhen(p.updatedAt)}
+                                </div>
+                            </button>
+                        )}
+                        <div className="flex items-center gap-1 opacity-0 transition-opacity group-hover:opacity-100">
+                            <button className="rounded px-2 py-1 text-xs text-amber-700 hover:bg-amber-50" onClick={() => startRename(p)}>Rename</button>
+                            <button className="rounded px-2 py-1 text-xs text-rose-700 hover:bg-rose-50" onClick={() => onDelete(p.id)}>Delete</button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
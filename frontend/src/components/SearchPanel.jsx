@@ -0,0 +1,77 @@
+import React from 'react';
+
+function classNames(...classes) {
+    return classes.filter(Boolean).join(' ');
+}
+
+export default function SearchPanel({ inputRef, query, onQueryChange, hits, truncated, isSearching, activeIndex, pageLabel = String, onSelect, onBookmark }) {
+    const hasQuery = query.trim().length > 0;
+
+    function step(direction) {
+        if (hits.length === 0) return;
+        const current = activeIndex === null ? (direction > 0 ? -1 : 0) : activeIndex;
+        onSelect((current + direction + hits.length) % hits.length);
+    }
+
+    return (
+        <div className="mb-3 rounded-md border border-gray-200 bg-white dark:border-gray-700 dark:bg-gray-800">
+            <div className="flex items-center gap-2 p-1">
+                <input
+                    ref={inputRef}
+                    type="search"
+                    value={query}
+                    onChange={(e) => onQueryChange(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') {
+                            e.preventDefault();
+                            step(e.shiftKey ? -1 : 1);
+                        } else if (e.key === 'Escape') {
+                            onQueryChange('');
+                        }
+                    }}
+                    placeholder="Search text (Ctrl+F)"
+                    className="min-w-0 flex-1 rounded border border-gray-200 px-2 py-1 text-sm dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100"
+                />
+                <span className="w-28 text-right text-xs text-gray-500 dark:text-gray-400">
+                    {isSearching
+                        ? 'Searching…'
+                        : hasQuery
+                            ? hits.length === 0
+                                ? 'No matches'
+                                : `${activeIndex === null ? '–' : activeIndex + 1} of ${hits.length}${truncated ? '+' : ''}`
+                            : ''}
+                </span>
+                <button className="rounded px-2 py-1 text-sm hover:bg-gray-50 disabled:opacity-40 dark:text-gray-200 dark:hover:bg-gray-700" onClick={() => step(-1)} disabled={hits.length === 0} aria-label="Previous match">↑</button>
+                <button className="rounded px-2 py-1 text-sm hover:bg-gray-50 disabled:opacity-40 dark:text-gray-200 dark:hover:bg-gray-700" onClick={() => step(1)} disabled={hits.length === 0} aria-label="Next match">↓</button>
+            </div>
+            {hits.length > 0 && (
+                <ul className="max-h-56 divide-y divide-gray-100 overflow-y-auto border-t border-gray-100 custom-scrollbar dark:divide-gray-700 dark:border-gray-700">
+                    {hits.map((hit, i) => (
+                        <li
+                            key={`${hit.page}-${hit.itemIndex}-${i}`}
+                            className={classNames('group flex items-center gap-2 px-2 py-1.5', i === activeIndex ? 'bg-indigo-50 dark:bg-indigo-950/50' : '')}
+                        >
+                            <button className="min-w-0 flex-1 text-left" onClick={() => onSelect(i)}>
+                                <span className="mr-2 text-xs font-medium text-gray-500 dark:text-gray-400">p. {pageLabel(hit.page)}</span>
+                                <span className="text-sm text-gray-700 dark:text-gray-200">
+                                    {hit.snippet.before && '…'}{hit.snippet.before}
+                                    <mark className="rounded bg-yellow-200 px-0.5 text-gray-900">{hit.snippet.match}</mark>
+                                    {hit.snippet.after}{hit.snippet.after && '…'}
+                                </span>
+                            </button>
+                            <button
+                                className={classNames(
+                                    'whitespace-nowrap rounded px-2 py-1 text-xs text-emerald-700 transition-opacity hover:bg-emerald-50 group-hover:opacity-100 focus:opacity-100',
+                                    i === activeIndex ? 'opacity-100' : 'opacity-0'
+                                )}
+                                onClick={() => onBookmark(hit)}
+                            >
+                                Add bookmark here
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
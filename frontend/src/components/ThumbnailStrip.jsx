@@ -0,0 +1,75 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { Page } from 'react-pdf';
+import useVirtualPages from '../lib/useVirtualPages.js';
+
+const THUMB_WIDTH = 96;
+const LABEL_HEIGHT = 20;
+const GAP = 12;
+
+function classNames(...classes) {
+    return classes.filter(Boolean).join(' ');
+}
+
+// Virtualized page thumbnails; must be rendered inside react-pdf's <Document>.
+// Pages that already have a bookmark get a marker so gaps in coverage stand out.
+export default function ThumbnailStrip({ pageSizes, pageView, bookmarkedPages, pageLabel = String, onSelect }) {
+    const containerRef = useRef(null);
+    const heights = useMemo(
+        () => pageSizes.map((s) => Math.round((THUMB_WIDTH * s.height) / s.width) + LABEL_HEIGHT),
+        [pageSizes]
+    );
+    const { offsets, totalHeight, first, last, scrollToIndex } = useVirtualPages(containerRef, heights, { gap: GAP, overscan: 3 });
+
+    useEffect(() => {
+        scrollToIndex(pageView - 1, 'nearest');
+    }, [pageView, heights]);
+
+    const visible = [];
+    for (let i = first; i <= last; i++) visible.push(i);
+
+    return (
+        <div ref={containerRef} className="h-[80vh] w-32 shrink-0 overflow-y-auto pr-1 custom-scrollbar" aria-label="Page thumbnails">
+            <div className="relative" style={{ height: totalHeight }}>
+                {visible.map((i) => {
+                    const pageNumber = i + 1;
+                    const bookmarked = bookmarkedPages.has(pageNumber);
+                    return (
+                        <button
+                            key={pageNumber}
+                            onClick={() => onSelect(pageNumber)}
+                            className="absolute left-0 right-0 flex flex-col items-center"
+                            style={{ top: offsets[i], height: heights[i] }}
+                            title={bookmarked ? `Page ${pageLabel(pageNumber)} (bookmarked)` : `Page ${pageLabel(pageNumber)}`}
+                        >
+                            <div
+                                className={classNames(
+                                    'relative overflow-hidden rounded-sm bg-white ring-1',
+                                    pageNumber === pageView ? 'ring-2 ring-indigo-500' : 'ring-gray-200 dark:ring-gray-700'
+                                )}
+                            >
+                                <Page
+                                    pageNumber={pageNumber}
+                                    width={THUMB_WIDTH}
+                                    renderTextLayer={false}
+                                    renderAnnotationLayer={false}
+                                    loading={<div style={{ width: THUMB_WIDTH, height: heights[i] - LABEL_HEIGHT }} />}
+                                />
+                                {bookmarked && (
+                                    <span className="absolute right-1 top-0 text-sm leading-none text-indigo-600" aria-hidden="true">🔖</span>
+                                )}
+                            </div>
+                            <span
+                                className={classNames(
+                                    'mt-0.5 text-xs',
+                                    pageNumber === pageView ? 'font-medium text-indigo-600 dark:text-indigo-400' : 'text-gray-500 dark:text-gray-400'
+                                )}
+                            >
+                                {pageLabel(pageNumber)}
+                            </span>
+                        </button>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,80 @@
+// Annotations drawn in the app live in PDF user space of their page, so they stay put at any zoom:
+//   { id, type: 'highlight', page, rects: [[x1, y1, x2, y2]], color, contents }
+//   { id, type: 'note', page, x, y, color, contents }   (x, y is the note's top-left corner)
+//   { id, type: 'ink', page, paths: [[[x, y], …]], width, color, contents }
+
+export const ANNOTATION_TOOLS = {
+    highlight: { label: 'Highlight', icon: '🖍️', color: '#ffeb3b' },
+    note: { label: 'Note', icon: '💬', color: '#ffc107' },
+    ink: { label: 'Draw', icon: '✏️', color: '#dc2626' },
+};
+
+export const INK_WIDTH = 2;
+
+// Annotation subtypes that carry review markup; links, form widgets and popups are left out
+const MARKUP_SUBTYPES = new Set([
+    'Text', 'FreeText', 'Highlight', 'Underline', 'StrikeOut', 'Squiggly', 'Ink',
+    'Square', 'Circle', 'Line', 'Polygon', 'PolyLine', 'Stamp', 'Caret', 'FileAttachment',
+]);
+
+// Reads the markup annotations already in the document, page by page. They are shown read-only:
+// { id, type, page, rect, contents, author, readOnly: true }.
+export async function readExistingAnnotations(pdf, { isCancelled = () => false } = {}) {
+    const out = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        if (isCancelled()) return out;
+        const page = await pdf.getPage(pageNumber);
+        const annotations = await page.getAnnotations({ intent: 'display' });
+        annotations.forEach((a, i) => {
+            if (!MARKUP_SUBTYPES.has(a.subtype)) return;
+            out.push({
+                id: `file-${pageNumber}-${a.id || i}`,
+                type: a.subtype,
+                page: pageNumber,
+                rect: a.rect,
+                contents: a.contentsObj?.str || '',
+                author: a.titleObj?.str || '',
+                readOnly: true,
+            });
+        });
+    }
+    return out;
+}
+
+export function toAnnotationsPayload(annotations) {
+    return annotations.map(({ id, type, page, rects, x, y, paths, width, color, contents }) => ({
+        id, type, page, rects, x, y, paths, width, color, contents,
+    }));
+}
+
+// Moves annotations along with their pages after the page organizer ran; the ones on deleted
+// pages are dropped. `newPage` maps old page numbers to new ones. Returns { annotations, dropped }.
+export function remapAnnotations(annotations, newPage) {
+    const kept = [];
+    annotations.forEach((a) => {
+        const page = newPage.get(a.page);
+        if (page) kept.push({ ...a, page });
+    });
+    return { annotations: kept, dropped: annotations.length - kept.length };
+}
+
+// Bounding box of an annotation in PDF user space, for outlining it on the page
+export function annotationBounds(a) {
+    if (a.rect) return a.rect;
+    if (a.type === 'highlight') {
+        return [
+            Math.min(...a.rects.map((r) => r[0])),
+            Math.min(...a.rects.map((r) => r[1])),
+            Math.max(...a.rects.map((r) => r[2])),
+            Math.max(...a.rects.map((r) => r[3])),
+        ];
+    }
+    if (a.type === 'note') return [a.x, a.y - 24, a.x + 24, a.y];
+    const points = a.paths.flat();
+    return [
+        Math.min(...points.map((p) => p[0])),
+        Math.min(...points.map((p) => p[1])),
+        Math.max(...points.map((p) => p[0])),
+        Math.max(...points.map((p) => p[1])),
+    ];
+}
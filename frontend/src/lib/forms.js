@@ -0,0 +1,78 @@
+import { parseCsv } from './outlineFormats.js';
+
+// Field types the server can fill; buttons and signatures are only listed
+export const FILLABLE_TYPES = ['text', 'checkbox', 'radio', 'dropdown', 'optionList'];
+
+export function isFillable(field) {
+    return FILLABLE_TYPES.includes(field.type) && !field.readOnly;
+}
+
+export function initialValues(fields) {
+    return Object.fromEntries(fields.map((f) => [f.name, f.value]));
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a ?? '') === JSON.stringify(b ?? '');
+}
+
+// Only the values edited in the app are sent, so untouched fields keep their appearance in the file
+export function changedValues(fields, values) {
+    const changed = {};
+    fields.forEach((f) => {
+        if (isFillable(f) && f.name in values && !sameValue(values[f.name], f.value)) changed[f.name] = values[f.name];
+    });
+    return changed;
+}
+
+// Spreadsheets in many locales save CSV with semicolons; the header row tells which one is used
+function detectDelimiter(text) {
+    const header = text.split(/\r?\n/, 1)[0];
+    const count = (ch) => header.split(ch).length - 1;
+    return ['\t', ';', ','].reduce((best, ch) => (count(ch) > count(best) ? ch : best), ',');
+}
+
+// Reads a mail-merge CSV: the first row names the columns, every further row is one filled copy.
+// Returns { columns, rows } with each row an object keyed by column name.
+export function readCsvRows(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const [header, ...lines] = parseCsv(source, detectDelimiter(source));
+    if (!header) return { columns: [], rows: [] };
+    const columns = header.cells.map((c) => c.trim());
+    const rows = lines.map(({ cells }) => {
+        const row = {};
+        columns.forEach((column, i) => {
+            if (column) row[column] = (cells[i] || '').trim();
+        });
+        return row;
+    });
+    return { columns: columns.filter(Boolean), rows };
+}
+
+// Pairs CSV columns with form fields by name, ignoring case and surrounding spaces.
+// Returns { matches: { column: fieldName }, unmatchedColumns, unfilledFields }.
+export function matchColumns(columns, fields) {
+    const byKey = new Map(fields.filter(isFillable).map((f) => [f.name.trim().toLowerCase(), f.name]));
+    const matches = {};
+    columns.forEach((column) => {
+        const name = byKey.get(column.trim().toLowerCase());
+        if (name) matches[column] = name;
+    });
+    const matchedFields = new Set(Object.values(matches));
+    return {
+        matches,
+        unmatchedColumns: columns.filter((c) => !matches[c]),
+        unfilledFields: fields.filter((f) => isFillable(f) && !matchedFields.has(f.name)).map((f) => f.name),
+    };
+}
+
+// Rows for /api/form-fill: matched columns renamed to their field, plus the column that names the files
+export function toFormRows(rows, matches, nameColumn) {
+    return rows.map((row) => {
+        const out = {};
+        Object.entries(matches).forEach(([column, name]) => {
+            out[name] = row[column];
+        });
+        if (nameColumn && !(nameColumn in out)) out[nameColumn] = row[nameColumn];
+        return out;
+    });
+}
@@ -0,0 +1,32 @@
+// Follows a processing job over Server-Sent Events until it finishes.
+// `onUpdate` gets every intermediate state; a failed job rejects with `jobError` and the final `state`.
+export function followJob(backendUrl, jobId, onUpdate = () => {}) {
+    return new Promise((resolve, reject) => {
+        const source = new EventSource(`${backendUrl}/api/jobs/${jobId}/events`);
+        source.onmessage = (e) => {
+            const state = JSON.parse(e.data);
+            if (state.status === 'done') {
+                source.close();
+                resolve(state);
+            } else if (state.status === 'failed') {
+                source.close();
+                reject(Object.assign(new Error(state.error), { jobError: state.error, state }));
+            } else {
+                onUpdate(state);
+            }
+        };
+        source.onerror = () => {
+            source.close();
+            reject(new Error('Lost connection to processing job'));
+        };
+    });
+}
+
+// Names the pages of a job's `ocrSkipped` ({ page, reason }) grouped by reason,
+// e.g. "OCR skipped pages 2, 5 (no scanned image on the page); 7 (no text was recognized in the scan)"
+export function describeOcrSkipped(skipped) {
+    const byReason = new Map();
+    skipped.forEach(({ page, reason }) => byReason.set(reason, [...(byReason.get(reason) || []), page]));
+    const groups = Array.from(byReason, ([reason, pages]) => `${pages.join(', ')} (${reason})`);
+    return `OCR skipped page${skipped.length > 1 ? 's' : ''} ${groups.join('; ')}`;
+}
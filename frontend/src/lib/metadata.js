@@ -0,0 +1,47 @@
+// What a viewer shows when it opens the file (catalog /PageMode); '' leaves it to the viewer
+export const PAGE_MODES = {
+    '': 'Viewer default',
+    UseOutlines: 'Bookmarks panel',
+    UseThumbs: 'Page thumbnails',
+    UseNone: 'Page only',
+    FullScreen: 'Full screen',
+    UseOC: 'Layers panel',
+    UseAttachments: 'Attachments panel',
+};
+
+// How pages are laid out (catalog /PageLayout)
+export const PAGE_LAYOUTS = {
+    '': 'Viewer default',
+    SinglePage: 'Single page',
+    OneColumn: 'Continuous',
+    TwoPageLeft: 'Two pages',
+    TwoPageRight: 'Two pages, cover alone',
+    TwoColumnLeft: 'Two pages, continuous',
+    TwoColumnRight: 'Two pages, continuous, cover alone',
+};
+
+export const TEXT_FIELDS = ['title', 'author', 'subject', 'keywords', 'language'];
+const EDITABLE_FIELDS = [...TEXT_FIELDS, 'pageMode', 'pageLayout', 'displayDocTitle'];
+
+// Values the panel starts from: what the server read, except that a file without a page mode opens
+// with its bookmarks showing, which is what this app writes them for
+export function initialMetadata(metadata) {
+    const values = {};
+    TEXT_FIELDS.forEach((key) => {
+        values[key] = metadata[key] || '';
+    });
+    values.pageMode = metadata.pageMode || 'UseOutlines';
+    values.pageLayout = metadata.pageLayout || '';
+    values.displayDocTitle = Boolean(metadata.displayDocTitle);
+    return values;
+}
+
+// Only what differs from the file goes to processing ('' becomes null for the catalog names)
+export function changedMetadata(metadata, values) {
+    const changed = {};
+    EDITABLE_FIELDS.forEach((key) => {
+        const before = key === 'displayDocTitle' ? Boolean(metadata[key]) : metadata[key] || '';
+        if (values[key] !== before) changed[key] = (key === 'pageMode' || key === 'pageLayout') && !values[key] ? null : values[key];
+    });
+    return changed;
+}
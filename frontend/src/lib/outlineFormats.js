@@ -0,0 +1,257 @@
+// Import and export of bookmark outlines.
+// Supported formats:
+//   json - the same {title, page, children} payload sent to /api/process, including item properties
+//   csv  - level,title,page rows (level 0 is top level)
+//   txt  - the server's printed outline lines: "page|--|title", one dash per level
+
+export const OUTLINE_FORMATS = {
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    txt: { label: 'Text', extension: 'txt', mimeType: 'text/plain' },
+};
+
+export const DEST_MODES = ['fit', 'fitWidth', 'xyz'];
+
+function finiteOrNull(value) {
+    const n = Number(value);
+    return value === null || value === undefined || value === '' || !Number.isFinite(n) ? null : n;
+}
+
+// Optional outline item properties; defaults (no color, regular text, expanded, top of page) are left out
+export function pickItemProperties(item) {
+    const out = {};
+    if (typeof item.color === 'string' && /^#[0-9a-f]{6}$/i.test(item.color)) out.color = item.color.toLowerCase();
+    if (item.bold) out.bold = true;
+    if (item.italic) out.italic = true;
+    if (item.open === false) out.open = false;
+    if (item.dest && DEST_MODES.includes(item.dest.mode)) {
+        const { mode } = item.dest;
+        out.dest = { mode };
+        if (mode === 'fitWidth' || mode === 'xyz') out.dest.top = finiteOrNull(item.dest.top);
+        if (mode === 'xyz') {
+            out.dest.left = finiteOrNull(item.dest.left);
+            out.dest.zoom = finiteOrNull(item.dest.zoom);
+        }
+    }
+    return out;
+}
+
+export function toPayload(nodes) {
+    return nodes.map((node) => {
+        const out = { title: node.title, page: node.page, ...pickItemProperties(node) };
+        if (node.children && node.children.length) out.children = toPayload(node.children);
+        return out;
+    });
+}
+
+function flatten(nodes, depth = 0, rows = []) {
+    nodes.forEach((n) => {
+        rows.push({ depth, title: n.title, page: n.page });
+        if (n.children && n.children.length) flatten(n.children, depth + 1, rows);
+    });
+    return rows;
+}
+
+function csvCell(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function exportOutline(nodes, format) {
+    if (format === 'json') return `${JSON.stringify(toPayload(nodes), null, 2)}\n`;
+    const rows = flatten(nodes);
+    if (format === 'csv') {
+        return ['level,title,page', ...rows.map((r) => [r.depth, csvCell(r.title), r.page].join(','))].join('\r\n') + '\r\n';
+    }
+    return rows.map((r) => `${r.page}|${'-'.repeat(r.depth)}|${r.title.replace(/\n/g, ' ')}`).join('\n') + '\n';
+}
+
+export function formatFromFileName(name) {
+    const ext = (name || '').split('.').pop().toLowerCase();
+    if (ext === 'json') return 'json';
+    if (ext === 'csv') return 'csv';
+    return 'txt';
+}
+
+function checkPage(raw, numPages) {
+    const page = Number(raw);
+    if (!Number.isInteger(page) || page < 1) return `page "${raw}" is not a positive whole number`;
+    if (numPages && page > numPages) return `page ${page} is beyond the last page (${numPages})`;
+    return null;
+}
+
+function lineFromOffset(text, offset) {
+    return text.slice(0, offset).split('\n').length;
+}
+
+// Builds the nested tree from flat rows, reporting depth jumps against the row's line number
+function nestRows(rows, errors) {
+    const root = [];
+    const stack = [];
+    rows.forEach((row) => {
+        const parentDepth = stack.length - 1;
+        if (row.depth > parentDepth + 1) {
+            errors.push({ line: row.line, message: `level ${row.depth} cannot follow level ${Math.max(parentDepth, 0)}; nest one level at a time` });
+            return;
+        }
+        const node = { title: row.title, page: row.page, children: [] };
+        stack.length = row.depth;
+        if (row.depth === 0) root.push(node);
+        else stack[row.depth - 1].children.push(node);
+        stack.push(node);
+    });
+    return root;
+}
+
+// RFC 4180 rows with their starting line numbers (quoted cells may span lines)
+export function parseCsv(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                if (ch === '\n') line++;
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push({ line: rowLine, cells: row });
+            row = [];
+            cell = '';
+            line++;
+            rowLine = line;
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push({ line: rowLine, cells: row });
+    }
+    return rows.filter((r) => r.cells.some((c) => c.trim() !== ''));
+}
+
+function importCsv(text, numPages, errors) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) return [];
+    let columns = { level: 0, title: 1, page: 2 };
+    const header = rows[0].cells.map((c) => c.trim().toLowerCase());
+    if (header.includes('title') && header.includes('page')) {
+        columns = { level: header.indexOf('level'), title: header.indexOf('title'), page: header.indexOf('page') };
+        rows.shift();
+    }
+    const parsed = [];
+    rows.forEach(({ line, cells }) => {
+        const rawLevel = columns.level === -1 ? '0' : (cells[columns.level] || '').trim();
+        const title = (cells[columns.title] || '').trim();
+        const rawPage = (cells[columns.page] || '').trim();
+        const depth = Number(rawLevel);
+        if (!Number.isInteger(depth) || depth < 0) {
+            errors.push({ line, message: `level "${rawLevel}" must be 0 or a positive whole number` });
+            return;
+        }
+        if (!title) {
+            errors.push({ line, message: 'title is empty' });
+            return;
+        }
+        const pageError = checkPage(rawPage, numPages);
+        if (pageError) {
+            errors.push({ line, message: pageError });
+            return;
+        }
+        parsed.push({ line, depth, title, page: Number(rawPage) });
+    });
+    return nestRows(parsed, errors);
+}
+
+function importText(text, numPages, errors) {
+    const parsed = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const line = i + 1;
+        if (!raw.trim()) return;
+        const match = raw.trim().match(/^(-?\d+)\|(-*)\|(.*)$/);
+        if (!match) {
+            errors.push({ line, message: 'expected "page|--|title"' });
+            return;
+        }
+        const [, rawPage, dashes, rawTitle] = match;
+        const title = rawTitle.trim();
+        if (!title) {
+            errors.push({ line, message: 'title is empty' });
+            return;
+        }
+        const pageError = checkPage(rawPage, numPages);
+        if (pageError) {
+            errors.push({ line, message: pageError });
+            return;
+        }
+        parsed.push({ line, depth: dashes.length, title, page: Number(rawPage) });
+    });
+    return nestRows(parsed, errors);
+}
+
+function importJson(text, numPages, errors) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        const position = /position (\d+)/.exec(err.message);
+        errors.push({ line: position ? lineFromOffset(text, Number(position[1])) : null, message: `invalid JSON: ${err.message}` });
+        return [];
+    }
+    const items = Array.isArray(data) ? data : data && Array.isArray(data.bookmarks) ? data.bookmarks : null;
+    if (!items) {
+        errors.push({ line: 1, message: 'expected an array of bookmarks' });
+        return [];
+    }
+    function walk(list, path) {
+        return list.map((item, i) => {
+            const where = `${path}[${i}]`;
+            if (!item || typeof item !== 'object') {
+                errors.push({ line: null, path: where, message: 'bookmark must be an object' });
+                return null;
+            }
+            const title = typeof item.title === 'string' ? item.title.trim() : '';
+            if (!title) errors.push({ line: null, path: where, message: 'title is empty' });
+            const pageError = checkPage(item.page, numPages);
+            if (pageError) errors.push({ line: null, path: where, message: pageError });
+            if (item.children !== undefined && !Array.isArray(item.children)) {
+                errors.push({ line: null, path: where, message: 'children must be an array' });
+            }
+            const children = Array.isArray(item.children) ? walk(item.children, `${where}.children`) : [];
+            return { title, page: Number(item.page), ...pickItemProperties(item), children };
+        }).filter(Boolean);
+    }
+    return walk(items, 'bookmarks');
+}
+
+// Returns { bookmarks, errors }; each error has a 1-based `line` (or a JSON `path`) and a message
+export function importOutline(text, format, { numPages } = {}) {
+    const errors = [];
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    let bookmarks;
+    if (format === 'json') bookmarks = importJson(source, numPages, errors);
+    else if (format === 'csv') bookmarks = importCsv(source, numPages, errors);
+    else bookmarks = importText(source, numPages, errors);
+    if (errors.length === 0 && bookmarks.length === 0) {
+        errors.push({ line: null, message: 'the file contains no bookmarks' });
+    }
+    errors.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+    return { bookmarks: errors.length === 0 ? bookmarks : [], errors };
+}
@@ -0,0 +1,147 @@
+// Page label ranges ({ startPage, style, prefix, start }) map physical pages to the numbers printed in
+// the book. Styles follow the PDF PageLabels tree; '' shows the prefix alone.
+export const PAGE_LABEL_STYLES = {
+    D: '1, 2, 3',
+    r: 'i, ii, iii',
+    R: 'I, II, III',
+    a: 'a, b, c',
+    A: 'A, B, C',
+    '': 'Prefix only',
+};
+
+const ROMAN_NUMERALS = [
+    [1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+    [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i'],
+];
+
+function toRoman(n) {
+    let rest = n;
+    let out = '';
+    for (const [value, numeral] of ROMAN_NUMERALS) {
+        while (rest >= value) {
+            out += numeral;
+            rest -= value;
+        }
+    }
+    return out;
+}
+
+function fromRoman(str) {
+    const s = str.toLowerCase();
+    let total = 0;
+    let i = 0;
+    for (const [value, numeral] of ROMAN_NUMERALS) {
+        while (s.startsWith(numeral, i)) {
+            total += value;
+            i += numeral.length;
+        }
+    }
+    return i === s.length && total > 0 && toRoman(total) === s ? total : null;
+}
+
+// a..z, then aa..zz, aaa..zzz (PDF 32000 table 159)
+function toLetters(n) {
+    return String.fromCharCode(97 + ((n - 1) % 26)).repeat(Math.floor((n - 1) / 26) + 1);
+}
+
+function fromLetters(str) {
+    const s = str.toLowerCase();
+    if (!/^([a-z])\1*$/.test(s)) return null;
+    return (s.length - 1) * 26 + (s.charCodeAt(0) - 96);
+}
+
+function formatNumber(style, n) {
+    if (style === 'D') return String(n);
+    if (style === 'r') return toRoman(n);
+    if (style === 'R') return toRoman(n).toUpperCase();
+    if (style === 'a') return toLetters(n);
+    if (style === 'A') return toLetters(n).toUpperCase();
+    return '';
+}
+
+export function normalizeRanges(ranges) {
+    const byPage = new Map();
+    ranges.forEach((r) => {
+        const startPage = parseInt(r.startPage, 10);
+        if (startPage >= 1) byPage.set(startPage, { ...r, startPage, start: Math.max(1, parseInt(r.start, 10) || 1) });
+    });
+    return Array.from(byPage.values()).sort((a, b) => a.startPage - b.startPage);
+}
+
+export function formatPageLabel(range, pageNumber) {
+    return `${range.prefix || ''}${formatNumber(range.style, range.start + pageNumber - range.startPage)}`;
+}
+
+// Label of every page, or null when there are no ranges. Pages before the first range use their
+// physical number, as viewers do.
+export function labelsFromRanges(ranges, numPages) {
+    const sorted = normalizeRanges(ranges);
+    if (sorted.length === 0 || !numPages) return null;
+    const labels = [];
+    let current = null;
+    for (let page = 1; page <= numPages; page++) {
+        while (sorted.length > 0 && sorted[0].startPage <= page) current = sorted.shift();
+        labels.push(current ? formatPageLabel(current, page) : String(page));
+    }
+    return labels;
+}
+
+// Ways a single label could start a range: a trailing decimal, roman or letter number, or a bare prefix.
+// Roman and letter numbers must not be glued to a letter, so "Index" is not "Inde" + 10.
+function candidateRanges(label, startPage) {
+    const out = [];
+    const decimal = /^(.*?)(\d+)$/.exec(label);
+    if (decimal) out.push({ startPage, style: 'D', prefix: decimal[1], start: parseInt(decimal[2], 10) });
+    const roman = /^(.*?[^a-zA-Z])?([ivxlcdm]+|[IVXLCDM]+)$/.exec(label);
+    const romanValue = roman && fromRoman(roman[2]);
+    if (romanValue) out.push({ startPage, style: roman[2] === roman[2].toLowerCase() ? 'r' : 'R', prefix: roman[1] || '', start: romanValue });
+    const letters = /^(.*?[^a-zA-Z])?(([a-zA-Z])\3*)$/.exec(label);
+    if (letters) {
+        out.push({ startPage, style: letters[2] === letters[2].toLowerCase() ? 'a' : 'A', prefix: letters[1] || '', start: fromLetters(letters[2]) });
+    }
+    out.push({ startPage, style: '', prefix: label, start: 1 });
+    return out;
+}
+
+// Recovers editable ranges from the per-page labels pdf.js reports (PDFDocumentProxy.getPageLabels()).
+// Each new range takes whichever reading of its first label explains the most following pages.
+export function rangesFromLabels(labels) {
+    if (!Array.isArray(labels) || labels.length === 0) return [];
+    const ranges = [];
+    let page = 1;
+    while (page <= labels.length) {
+        let best = null;
+        let bestLength = 0;
+        for (const candidate of candidateRanges(labels[page - 1] || '', page)) {
+            let length = 0;
+            while (page + length <= labels.length && formatPageLabel(candidate, page + length) === labels[page + length - 1]) length++;
+            if (length > bestLength) {
+                best = candidate;
+                bestLength = length;
+            }
+        }
+        ranges.push(best);
+        page += Math.max(1, bestLength);
+    }
+    // Plain 1, 2, 3… numbering carries no information
+    if (ranges.length === 1 && ranges[0].style === 'D' && !ranges[0].prefix && ranges[0].start === 1) return [];
+    return ranges;
+}
+
+// Physical page for what the user typed: an exact label first, then a case-insensitive one,
+// then "#15" or a bare number as a physical page. Returns null when nothing matches.
+export function pageFromLabel(labels, input, numPages) {
+    const text = String(input ?? '').trim();
+    if (!text) return null;
+    if (labels) {
+        const exact = labels.indexOf(text);
+        if (exact >= 0) return exact + 1;
+        const lower = text.toLowerCase();
+        const loose = labels.findIndex((l) => l.toLowerCase() === lower);
+        if (loose >= 0) return loose + 1;
+    }
+    const physical = /^#?(\d+)$/.exec(text);
+    if (!physical) return null;
+    const page = parseInt(physical[1], 10);
+    return page >= 1 && (!numPages || page <= numPages) ? page : null;
+}
@@ -0,0 +1,65 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// A page plan lists the pages of the organized document in order. Each entry is
+// { key, page, rotate, fileId? }: `page` of the open document (or of the inserted upload `fileId`),
+// turned clockwise by `rotate` degrees.
+
+export function createPlan(numPages) {
+    return Array.from({ length: numPages || 0 }, (_, i) => ({ key: uuidv4(), page: i + 1, rotate: 0 }));
+}
+
+export function planEntry(page, fileId) {
+    return { key: uuidv4(), page, rotate: 0, ...(fileId ? { fileId } : {}) };
+}
+
+export function isUnchanged(plan, numPages) {
+    return plan.length === numPages && plan.every((e, i) => !e.fileId && e.page === i + 1 && !e.rotate);
+}
+
+export function toPagesPayload(plan) {
+    return plan.map(({ page, rotate, fileId }) => ({ page, rotate, ...(fileId ? { fileId } : {}) }));
+}
+
+// Old page number -> new page number for every page of the open document that survives `plan`
+export function pageMapping(plan) {
+    const newPage = new Map();
+    plan.forEach((e, i) => {
+        if (!e.fileId && !newPage.has(e.page)) newPage.set(e.page, i + 1);
+    });
+    return newPage;
+}
+
+// Moves every bookmark to where its page ends up in `plan`. Bookmarks whose page was deleted get
+// `pageDeleted: true` and point at the next surviving page (or the last one). The flag stays until the
+// bookmark is edited. Returns { tree, flagged }.
+export function remapTree(nodes, plan) {
+    const newPage = pageMapping(plan);
+    const survivors = Array.from(newPage.keys()).sort((a, b) => a - b);
+    let flagged = 0;
+
+    function fallback(page) {
+        const next = survivors.find((p) => p > page);
+        if (next !== undefined) return newPage.get(next);
+        const previous = survivors.filter((p) => p < page).pop();
+        return previous !== undefined ? newPage.get(previous) : 1;
+    }
+
+    function walk(list) {
+        return list.map((node) => {
+            const page = Number(node.page);
+            const mapped = newPage.get(page);
+            const next = { ...node, children: walk(node.children || []) };
+            if (mapped) {
+                next.page = mapped;
+            } else {
+                next.page = fallback(page);
+                next.pageDeleted = true;
+                flagged++;
+            }
+            return next;
+        });
+    }
+
+    const tree = walk(nodes);
+    return { tree, flagged };
+}
@@ -0,0 +1,101 @@
+// Full-text search over a pdf.js document.
+// Page text is built from getTextContent() items in order, so a match can be traced back
+// to the item index that react-pdf passes to `customTextRenderer`.
+
+const SNIPPET_CONTEXT = 40;
+const MAX_TITLE_LENGTH = 120;
+
+async function getPageText(pdf, pageNumber, cache) {
+    if (cache && cache.has(pageNumber)) return cache.get(pageNumber);
+    const page = await pdf.getPage(pageNumber);
+    const content = await page.getTextContent();
+    let text = '';
+    const offsets = [];
+    content.items.forEach((item) => {
+        offsets.push(text.length);
+        text += item.str || '';
+        if (item.hasEOL) text += '\n';
+    });
+    const entry = { text, offsets };
+    if (cache) cache.set(pageNumber, entry);
+    return entry;
+}
+
+function itemIndexAt(offsets, offset) {
+    let lo = 0;
+    let hi = offsets.length - 1;
+    while (lo < hi) {
+        const mid = Math.ceil((lo + hi) / 2);
+        if (offsets[mid] <= offset) lo = mid;
+        else hi = mid - 1;
+    }
+    return lo;
+}
+
+function collapse(text) {
+    return text.replace(/\s+/g, ' ');
+}
+
+function oneLine(text) {
+    return collapse(text).trim();
+}
+
+// Contents entries make good titles once the dot leader and page number are gone
+function titleFromLine(line) {
+    return line.replace(/\s*(?:\.\s*){3,}\d*$/, '').trim();
+}
+
+// Returns { hits, truncated }; each hit has page, itemIndex, snippet { before, match, after } and a
+// suggested bookmark title (the line the match is on). `cache` (a Map) keeps page text between searches.
+export async function searchDocument(pdf, query, { cache, maxHits = 200, isCancelled = () => false } = {}) {
+    const needle = query.trim().toLowerCase();
+    const hits = [];
+    if (!pdf || !needle) return { hits, truncated: false };
+
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        if (isCancelled()) return { hits, truncated: false };
+        const { text, offsets } = await getPageText(pdf, pageNumber, cache);
+        const haystack = text.toLowerCase();
+        let from = 0;
+        let at;
+        while ((at = haystack.indexOf(needle, from)) !== -1) {
+            if (hits.length >= maxHits) return { hits, truncated: true };
+            const end = at + needle.length;
+            const lineStart = text.lastIndexOf('\n', at) + 1;
+            const lineEnd = text.indexOf('\n', end);
+            const line = oneLine(text.slice(lineStart, lineEnd === -1 ? text.length : lineEnd));
+            hits.push({
+                page: pageNumber,
+                itemIndex: itemIndexAt(offsets, at),
+                snippet: {
+                    before: collapse(text.slice(Math.max(0, at - SNIPPET_CONTEXT), at)).trimStart(),
+                    match: text.slice(at, end),
+                    after: collapse(text.slice(end, end + SNIPPET_CONTEXT)).trimEnd(),
+                },
+                title: (line.length > MAX_TITLE_LENGTH ? oneLine(text.slice(at, end)) : titleFromLine(line)) || query.trim(),
+            });
+            from = end;
+        }
+    }
+    return { hits, truncated: false };
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+// HTML for one text layer item with every occurrence of `query` wrapped in <mark>
+export function highlightText(str, query, className = '') {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return escapeHtml(str);
+    const lower = str.toLowerCase();
+    let html = '';
+    let from = 0;
+    let at;
+    while ((at = lower.indexOf(needle, from)) !== -1) {
+        html += escapeHtml(str.slice(from, at));
+        html += `<mark class="pdf-search-hit ${className}">${escapeHtml(str.slice(at, at + needle.length))}</mark>`;
+        from = at + needle.length;
+    }
+    return html + escapeHtml(str.slice(from));
+}
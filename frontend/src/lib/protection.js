@@ -0,0 +1,20 @@
+// Settings for encrypting the downloaded PDF; sent as the `encryption` option of processing.
+// Every permission left unticked is denied to readers who only have the open password.
+export const DEFAULT_PROTECTION = { userPassword: '', ownerPassword: '', permissions: { print: true, copy: true, modify: true } };
+
+function isRestricted(protection) {
+    return Object.values(protection.permissions).some((allowed) => !allowed);
+}
+
+// Whether `protection` asks the server for anything: a password, or at least one denied permission
+export function hasProtection(protection) {
+    return Boolean(protection.userPassword || protection.ownerPassword || isRestricted(protection));
+}
+
+// Why the server would refuse these settings, or null
+export function protectionProblem(protection) {
+    if (protection.ownerPassword && protection.ownerPassword === protection.userPassword && isRestricted(protection)) {
+        return 'Use a different owner password, or anyone who can open the file can lift the restrictions.';
+    }
+    return null;
+}
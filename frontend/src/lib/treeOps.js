@@ -0,0 +1,78 @@
+// Immutable helpers for moving bookmarks around the tree.
+// Every function returns a new tree and leaves the input untouched.
+
+function clone(nodes) {
+    return JSON.parse(JSON.stringify(nodes));
+}
+
+// Returns { list, index } for the sibling list holding `id`, or null
+function locate(nodes, id) {
+    for (let i = 0; i < nodes.length; i++) {
+        if (nodes[i].id === id) return { list: nodes, index: i };
+        const found = locate(nodes[i].children || [], id);
+        if (found) return found;
+    }
+    return null;
+}
+
+function containsId(node, id) {
+    return (node.children || []).some((c) => c.id === id || containsId(c, id));
+}
+
+export function findNode(nodes, id) {
+    const found = locate(nodes, id);
+    return found ? found.list[found.index] : null;
+}
+
+// position: 'before' | 'after' | 'inside' (appended as the last child of target)
+export function moveNode(nodes, id, targetId, position) {
+    if (id === targetId) return nodes;
+    const dragged = findNode(nodes, id);
+    if (!dragged || containsId(dragged, targetId)) return nodes;
+
+    const copy = clone(nodes);
+    const source = locate(copy, id);
+    const [node] = source.list.splice(source.index, 1);
+    const target = locate(copy, targetId);
+    if (!target) return nodes;
+    if (position === 'inside') {
+        const parent = target.list[target.index];
+        parent.children = [...(parent.children || []), node];
+    } else {
+        target.list.splice(position === 'after' ? target.index + 1 : target.index, 0, node);
+    }
+    return copy;
+}
+
+// Makes the node the last child of its previous sibling
+export function indentNode(nodes, id) {
+    const found = locate(nodes, id);
+    if (!found || found.index === 0) return nodes;
+    return moveNode(nodes, id, found.list[found.index - 1].id, 'inside');
+}
+
+// Moves the node out of its parent, placing it right after that parent
+export function outdentNode(nodes, id) {
+    const parent = findParent(nodes, id);
+    if (!parent) return nodes;
+    return moveNode(nodes, id, parent.id, 'after');
+}
+
+// Returns the parent node, null for top-level nodes, or undefined when `id` is not in the tree
+export function findParent(nodes, id, parent = null) {
+    for (const n of nodes) {
+        if (n.id === id) return parent;
+        const found = findParent(n.children || [], id, n);
+        if (found !== undefined) return found;
+    }
+    return undefined;
+}
+
+// Swaps the node with its previous (-1) or next (+1) sibling
+export function shiftNode(nodes, id, direction) {
+    const found = locate(nodes, id);
+    if (!found) return nodes;
+    const next = found.index + direction;
+    if (next < 0 || next >= found.list.length) return nodes;
+    return moveNode(nodes, id, found.list[next].id, direction < 0 ? 'before' : 'after');
+}
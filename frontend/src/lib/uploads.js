@@ -0,0 +1,19 @@
+import axios from 'axios';
+
+// Uploads one PDF and resolves to the server's { id, originalName }. Files that need a password are
+// rejected with `err.passwordRequired` set; only the editor can ask for one.
+export async function uploadPdfFile(backendUrl, file) {
+    const fd = new FormData();
+    fd.append('pdf', file);
+    const resp = await axios.post(`${backendUrl}/api/upload`, fd, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    if (resp.data.passwordRequired) {
+        throw Object.assign(new Error(`${file.name} is password protected; open it in the editor to unlock it first`), { passwordRequired: true });
+    }
+    return resp.data;
+}
+
+export function isPdfFile(file) {
+    return file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+}
@@ -0,0 +1,33 @@
+import { useEffect, useState } from 'react';
+
+// Page sizes in PDF points (rotation applied) for laying out pages before they render.
+// Until every page is measured, unknown pages assume the first page's size.
+export default function usePageSizes(pdf) {
+    const [sizes, setSizes] = useState([]);
+
+    useEffect(() => {
+        let cancelled = false;
+        setSizes([]);
+        if (!pdf) return undefined;
+
+        (async () => {
+            const measured = [];
+            for (let n = 1; n <= pdf.numPages; n++) {
+                const page = await pdf.getPage(n);
+                if (cancelled) return;
+                const { width, height } = page.getViewport({ scale: 1 });
+                measured.push({ width, height });
+                if (n === 1 || n === pdf.numPages || n % 50 === 0) {
+                    const fallback = measured[0];
+                    setSizes(Array.from({ length: pdf.numPages }, (_, i) => measured[i] || fallback));
+                }
+            }
+        })().catch((err) => console.error('Failed to measure pages', err));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [pdf]);
+
+    return sizes;
+}
@@ -0,0 +1,80 @@
+import { useCallback, useRef, useState } from 'react';
+
+// State with an undo/redo history. `set(updater, label)` records a command and returns its id;
+// `reset(value)` replaces the state and clears the history (e.g. when a new file is opened);
+// `remap(fn)` rewrites the state and every value in the history (e.g. when the pages are reordered).
+export default function useUndoableState(initial, { limit = 100 } = {}) {
+    const [history, setHistory] = useState({ past: [], present: initial, future: [] });
+    const historyRef = useRef(history);
+    const nextIdRef = useRef(1);
+    historyRef.current = history;
+
+    const set = useCallback((updater, label = 'Edit') => {
+        const id = nextIdRef.current++;
+        setHistory((h) => {
+            const next = typeof updater === 'function' ? updater(h.present) : updater;
+            if (next === h.present) return h;
+            return {
+                past: [...h.past, { id, label, value: h.present }].slice(-limit),
+                present: next,
+                future: [],
+            };
+        });
+        return id;
+    }, [limit]);
+
+    const reset = useCallback((value) => {
+        setHistory({ past: [], present: value, future: [] });
+    }, []);
+
+    const remap = useCallback((fn) => {
+        setHistory((h) => ({
+            past: h.past.map((entry) => ({ ...entry, value: fn(entry.value) })),
+            present: fn(h.present),
+            future: h.future.map((entry) => ({ ...entry, value: fn(entry.value) })),
+        }));
+    }, []);
+
+    // With `expectedId` the undo only happens if that command is still the most recent one
+    const undo = useCallback((expectedId) => {
+        setHistory((h) => {
+            const last = h.past[h.past.length - 1];
+            if (!last || (expectedId && last.id !== expectedId)) return h;
+            return {
+                past: h.past.slice(0, -1),
+                present: last.value,
+                future: [{ id: last.id, label: last.label, value: h.present }, ...h.future],
+            };
+        });
+    }, []);
+
+    const redo = useCallback(() => {
+        setHistory((h) => {
+            const [next, ...rest] = h.future;
+            if (!next) return h;
+            return {
+                past: [...h.past, { id: next.id, label: next.label, value: h.present }],
+                present: next.value,
+                future: rest,
+            };
+        });
+    }, []);
+
+    const isLatest = useCallback((id) => {
+        const { past } = historyRef.current;
+        return past.length > 0 && past[past.length - 1].id === id;
+    }, []);
+
+    const { past, present, future } = history;
+    return {
+        value: present,
+        set,
+        reset,
+        remap,
+        undo,
+        redo,
+        isLatest,
+        undoLabel: past.length > 0 ? past[past.length - 1].label : null,
+        redoLabel: future.length > 0 ? future[0].label : null,
+    };
+}
@@ -0,0 +1,68 @@
+import { useEffect, useMemo, useState } from 'react';
+
+// Windowing for a vertical list of pages with known heights: only indexes inside the
+// scrolled viewport (plus `overscan` on each side) need to be rendered.
+export default function useVirtualPages(containerRef, heights, { gap = 0, overscan = 1 } = {}) {
+    const [viewport, setViewport] = useState({ top: 0, height: 0 });
+
+    const offsets = useMemo(() => {
+        const out = [];
+        let y = 0;
+        heights.forEach((h) => {
+            out.push(y);
+            y += h + gap;
+        });
+        return out;
+    }, [heights, gap]);
+    const totalHeight = heights.length ? offsets[offsets.length - 1] + heights[heights.length - 1] : 0;
+
+    useEffect(() => {
+        const el = containerRef.current;
+        if (!el) return undefined;
+        const update = () => setViewport({ top: el.scrollTop, height: el.clientHeight });
+        update();
+        el.addEventListener('scroll', update, { passive: true });
+        const observer = new ResizeObserver(update);
+        observer.observe(el);
+        return () => {
+            el.removeEventListener('scroll', update);
+            observer.disconnect();
+        };
+    }, [containerRef]);
+
+    // Index of the last page starting at or above `y`
+    function indexAt(y) {
+        let lo = 0;
+        let hi = offsets.length - 1;
+        while (lo < hi) {
+            const mid = Math.ceil((lo + hi) / 2);
+            if (offsets[mid] <= y) lo = mid;
+            else hi = mid - 1;
+        }
+        return Math.max(0, lo);
+    }
+
+    const first = offsets.length ? Math.max(0, indexAt(viewport.top) - overscan) : 0;
+    const last = offsets.length ? Math.min(offsets.length - 1, indexAt(viewport.top + viewport.height) + overscan) : -1;
+
+    return {
+        offsets,
+        totalHeight,
+        first,
+        last,
+        // The page under the middle of the viewport
+        centerIndex: offsets.length ? indexAt(viewport.top + viewport.height / 2) : 0,
+        scrollToIndex(index, align = 'start') {
+            const el = containerRef.current;
+            if (!el || offsets[index] === undefined) return;
+            if (align === 'nearest') {
+                const top = offsets[index];
+                const bottom = top + heights[index];
+                if (top >= el.scrollTop && bottom <= el.scrollTop + el.clientHeight) return;
+                el.scrollTop = top < el.scrollTop ? top : bottom - el.clientHeight;
+            } else {
+                el.scrollTop = offsets[index];
+            }
+        },
+    };
+}
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const { PDFDocument, PDFArray, PDFHexString, PDFName, PDFString } = require('pdf-lib');
+const { parseColor } = require('./outlineItems');
+
+const ANNOTATION_TYPES = ['highlight', 'note', 'ink'];
+const DEFAULT_COLORS = { highlight: [1, 0.92, 0.23], note: [1, 0.76, 0.03], ink: [0.86, 0.15, 0.15] };
+// Annotation flags (PDF 32000 table 165): show the annotation when the page is printed
+const PRINT_FLAG = 4;
+// Side of the square a sticky note occupies on the page
+const NOTE_SIZE = 24;
+const HIGHLIGHT_OPACITY = 0.4;
+
+function finite(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function toRect(values) {
+  const nums = Array.isArray(values) ? values.map(finite) : [];
+  if (nums.length !== 4 || nums.some((n) => n === null)) return null;
+  const [x1, y1, x2, y2] = nums;
+  return [Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)];
+}
+
+function toPath(points) {
+  const list = (Array.isArray(points) ? points : [])
+    .map((p) => (Array.isArray(p) ? [finite(p[0]), finite(p[1])] : [null, null]))
+    .filter(([x, y]) => x !== null && y !== null);
+  return list.length >= 2 ? list : null;
+}
+
+function boundsOf(rects) {
+  return [
+    Math.min(...rects.map((r) => r[0])),
+    Math.min(...rects.map((r) => r[1])),
+    Math.max(...rects.map((r) => r[2])),
+    Math.max(...rects.map((r) => r[3])),
+  ];
+}
+
+// Keeps the annotations that can be written: known type, existing page and usable geometry.
+// Coordinates are PDF user space of their page ({ type, page, contents, color } plus
+// `rects` for highlights, `x`/`y` for notes and `paths`/`width` for ink).
+function normalizeAnnotations(annotations, numPages) {
+  return (Array.isArray(annotations) ? annotations : [])
+    .map((a) => {
+      const page = parseInt(a && a.page, 10);
+      if (!a || !ANNOTATION_TYPES.includes(a.type) || !page || page < 1 || page > numPages) return null;
+      const base = {
+        type: a.type,
+        page,
+        id: typeof a.id === 'string' ? a.id : null,
+        contents: typeof a.contents === 'string' ? a.contents : '',
+        color: parseColor(a.color) || DEFAULT_COLORS[a.type],
+      };
+      if (a.type === 'highlight') {
+        const rects = (Array.isArray(a.rects) ? a.rects : []).map(toRect).filter(Boolean);
+        return rects.length > 0 ? { ...base, rects } : null;
+      }
+      if (a.type === 'note') {
+        const x = finite(a.x);
+        const y = finite(a.y);
+        return x !== null && y !== null ? { ...base, x, y } : null;
+      }
+      const paths = (Array.isArray(a.paths) ? a.paths : []).map(toPath).filter(Boolean);
+      const width = finite(a.width);
+      return paths.length > 0 ? { ...base, paths, width: width && width > 0 ? Math.min(width, 50) : 2 } : null;
+    })
+    .filter(Boolean);
+}
+
+function num(n) {
+  return Number(n.toFixed(2));
+}
+
+function appearance(context, rect, content, resources) {
+  return context.register(context.stream(content, {
+    Type: 'XObject',
+    Subtype: 'Form',
+    BBox: rect,
+    Resources: resources || {},
+  }));
+}
+
+function buildAnnotation(context, pageRef, a) {
+  const [r, g, b] = a.color;
+  const dict = {
+    Type: 'Annot',
+    P: pageRef,
+    C: a.color,
+    F: PRINT_FLAG,
+    M: PDFString.fromDate(new Date()),
+  };
+  if (a.contents) dict.Contents = PDFHexString.fromText(a.contents);
+  if (a.id) dict.NM = PDFHexString.fromText(a.id);
+
+  if (a.type === 'highlight') {
+    const rect = boundsOf(a.rects);
+    // Quadrilaterals go top-left, top-right, bottom-left, bottom-right, as Acrobat writes them
+    dict.Subtype = 'Highlight';
+    dict.Rect = rect;
+    dict.QuadPoints = a.rects.flatMap(([x1, y1, x2, y2]) => [x1, y2, x2, y2, x1, y1, x2, y1]);
+    dict.CA = HIGHLIGHT_OPACITY;
+    const fill = a.rects.map(([x1, y1, x2, y2]) => `${num(x1)} ${num(y1)} ${num(x2 - x1)} ${num(y2 - y1)} re`).join('\n');
+    dict.AP = {
+      N: appearance(context, rect, `/GS0 gs ${r} ${g} ${b} rg\n${fill}\nf`, {
+        ExtGState: { GS0: { Type: 'ExtGState', BM: 'Multiply', ca: HIGHLIGHT_OPACITY, CA: HIGHLIGHT_OPACITY } },
+      }),
+    };
+  } else if (a.type === 'note') {
+    dict.Subtype = 'Text';
+    dict.Rect = [a.x, a.y - NOTE_SIZE, a.x + NOTE_SIZE, a.y];
+    dict.Name = 'Comment';
+    dict.Open = false;
+  } else {
+    const pad = a.width;
+    const points = a.paths.flat();
+    const rect = [
+      Math.min(...points.map((p) => p[0])) - pad,
+      Math.min(...points.map((p) => p[1])) - pad,
+      Math.max(...points.map((p) => p[0])) + pad,
+      Math.max(...points.map((p) => p[1])) + pad,
+    ];
+    dict.Subtype = 'Ink';
+    dict.Rect = rect;
+    dict.InkList = a.paths.map((path) => path.flat());
+    dict.BS = { W: a.width };
+    const strokes = a.paths
+      .map((path) => path.map(([x, y], i) => `${num(x)} ${num(y)} ${i === 0 ? 'm' : 'l'}`).join('\n'))
+      .join('\n');
+    dict.AP = { N: appearance(context, rect, `${a.width} w 1 J 1 j ${r} ${g} ${b} RG\n${strokes}\nS`) };
+  }
+  return context.register(context.obj(dict));
+}
+
+// Adds `annotations` as standard PDF annotations next to the ones each page already has
+async function applyAnnotations(filePath, annotations) {
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(filePath));
+  const pages = pdfDoc.getPages();
+  const list = normalizeAnnotations(annotations, pages.length);
+  if (list.length === 0) return 0;
+
+  const { context } = pdfDoc;
+  list.forEach((a) => {
+    const page = pages[a.page - 1];
+    const ref = buildAnnotation(context, page.ref, a);
+    const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+    if (annots) annots.push(ref);
+    else page.node.set(PDFName.of('Annots'), context.obj([ref]));
+  });
+
+  fs.writeFileSync(filePath, await pdfDoc.save());
+  return list.length;
+}
+
+module.exports = {
+  applyAnnotations,
+  normalizeAnnotations,
+};
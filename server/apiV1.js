@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const { PDFDocument } = require('pdf-lib');
+const { readOutline } = require('./outlineReader');
+const { validateOutline } = require('./outlineValidation');
+const { decryptPdf, normalizeEncryption, prepareUpload } = require('./encryption');
+const { buildOpenApiDocument } = require('./openapi');
+
+const API_VERSION = '1.0.0';
+const BASE_PATH = '/api/v1';
+
+// Errors thrown by the routes; the error handler sends them as { error: { code, message, details } }
+function apiError(status, code, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// pdf.js reports unreadable and locked files with these exception names
+function pdfReadError(err) {
+  if (err && err.name === 'PasswordException') {
+    return apiError(409, 'PASSWORD_REQUIRED', 'the file is password protected; unlock it first');
+  }
+  if (err && err.name === 'InvalidPDFException') return apiError(422, 'INVALID_PDF', 'the file is not a readable PDF');
+  return err;
+}
+
+async function countPages(filePath) {
+  try {
+    const pdfDoc = await PDFDocument.load(fs.readFileSync(filePath), { ignoreEncryption: true, updateMetadata: false });
+    return pdfDoc.getPageCount();
+  } catch (err) {
+    throw apiError(422, 'INVALID_PDF', 'the file is not a readable PDF');
+  }
+}
+
+const fileParam = { id: 'Upload id returned by POST /files' };
+const notFound = { description: 'No upload with this id (FILE_NOT_FOUND)' };
+const invalidId = { description: 'The id is not an upload id (INVALID_FILE_ID)' };
+
+// ===== ROUTES =====
+// Each route is mounted by createApiV1 and described by openApiDocument; `handle(req, res, ctx)` may throw apiErrors
+const ROUTES = [
+  {
+    method: 'post',
+    path: '/files',
+    summary: 'Upload a PDF',
+    description: 'Encrypted files that only restrict permissions are decrypted right away; the others report passwordRequired.',
+    upload: 'pdf',
+    requestBody: { multipart: { pdf: 'The PDF file' } },
+    responses: {
+      201: { description: 'The stored upload', schema: 'Upload' },
+      400: { description: 'No file was sent (BAD_REQUEST) or the upload failed (UPLOAD_ERROR)' },
+      413: { description: 'The file is too large (FILE_TOO_LARGE) or has too many pages (TOO_MANY_PAGES)' },
+      415: { description: 'The file does not start like a PDF (NOT_A_PDF)' },
+      422: { description: 'The PDF cannot be parsed and was quarantined (UNREADABLE_PDF)' },
+    },
+    handle: async (req, res, { uploads, uploadPath }) => {
+      if (!req.file) throw apiError(400, 'BAD_REQUEST', 'send the PDF in the "pdf" field');
+      const { id, numPages } = await uploads.admit(req.file);
+      let protection = { encrypted: false, passwordRequired: false };
+      try {
+        protection = await prepareUpload(uploadPath(id));
+      } catch (err) {
+        console.warn('Could not check upload for encryption', err.message);
+      }
+      res.status(201).json({ id, originalName: req.file.originalname, numPages, ...protection });
+    },
+  },
+  {
+    method: 'get',
+    path: '/files/:id',
+    summary: 'Download an upload',
+    params: fileParam,
+    responses: {
+      200: { description: 'The PDF', file: ['application/pdf'] },
+      400: invalidId,
+      404: notFound,
+    },
+    handle: async (req, res, { uploadPath }) => {
+      res.type('application/pdf').sendFile(uploadPath(req.params.id));
+    },
+  },
+  {
+    method: 'post',
+    path: '/files/:id/unlock',
+    summary: 'Decrypt a password-protected upload',
+    params: fileParam,
+    requestBody: { schema: 'UnlockRequest' },
+    responses: {
+      200: { description: 'The upload is decrypted', schema: 'Upload' },
+      400: invalidId,
+      403: { description: 'Neither the user nor the owner password matches (INCORRECT_PASSWORD)' },
+      404: notFound,
+    },
+    handle: async (req, res, { uploadPath }) => {
+      const filePath = uploadPath(req.params.id);
+      try {
+        await decryptPdf(filePath, req.body && req.body.password);
+      } catch (err) {
+        if (err.code === 'INCORRECT_PASSWORD') throw apiError(403, 'INCORRECT_PASSWORD', 'incorrect password');
+        throw err;
+      }
+      res.json({ id: req.params.id, encrypted: true, passwordRequired: false });
+    },
+  },
+  {
+    method: 'get',
+    path: '/files/:id/outline',
+    summary: "Read an upload's existing bookmarks",
+    description: 'Items whose destination is not a page of this file (e.g. links to other files) use their parent\'s page.',
+    params: fileParam,
+    responses: {
+      200: { description: 'The outline as a bookmark tree', schema: 'Outline' },
+      400: invalidId,
+      404: notFound,
+      409: { description: 'The upload still needs its password (PASSWORD_REQUIRED)' },
+      422: { description: 'The upload is not a readable PDF (INVALID_PDF)' },
+    },
+    handle: async (req, res, { uploadPath }) => {
+      const filePath = uploadPath(req.params.id);
+      let outline;
+      try {
+        outline = await readOutline(filePath);
+      } catch (err) {
+        throw pdfReadError(err);
+      }
+      res.json({ id: req.params.id, ...outline });
+    },
+  },
+  {
+    method: 'post',
+    path: '/outline/validate',
+    summary: 'Check a bookmark tree',
+    description: 'Checks structure, titles, pages and item properties without writing anything. '
+      + 'Pages are checked against the upload given as fileId, or against numPages.',
+    requestBody: { schema: 'ValidateRequest' },
+    responses: {
+      200: { description: 'Every problem found, per bookmark; valid is true when there is none', schema: 'ValidationResult' },
+      400: { description: 'numPages is not a positive whole number (BAD_REQUEST) or fileId is not an upload id (INVALID_FILE_ID)' },
+      404: notFound,
+      422: { description: 'The fileId upload is not a readable PDF (INVALID_PDF)' },
+    },
+    handle: async (req, res, { uploadPath }) => {
+      const { bookmarks, fileId, numPages } = req.body || {};
+      let pages = null;
+      if (fileId !== undefined) {
+        pages = await countPages(uploadPath(fileId));
+      } else if (numPages !== undefined) {
+        if (!Number.isInteger(numPages) || numPages < 1) throw apiError(400, 'BAD_REQUEST', 'numPages must be a positive whole number');
+        pages = numPages;
+      }
+      res.json({ ...validateOutline(bookmarks, { numPages: pages }), numPages: pages });
+    },
+  },
+  {
+    method: 'post',
+    path: '/jobs',
+    summary: 'Bookmark an upload in the background',
+    description: 'Validates the bookmarks like POST /outline/validate, then queues processing. '
+      + 'Poll GET /jobs/{jobId} and fetch the result from GET /jobs/{jobId}/download.',
+    requestBody: { schema: 'ProcessRequest' },
+    responses: {
+      202: { description: 'The queued job', schema: 'Job' },
+      400: { description: 'Invalid bookmarks (VALIDATION_FAILED, details lists the problems), options (BAD_REQUEST) or fileId (INVALID_FILE_ID)' },
+      404: notFound,
+      422: { description: 'The upload is not a readable PDF (INVALID_PDF)' },
+    },
+    handle: async (req, res, { uploadPath, jobQueue }) => {
+      const body = req.body || {};
+      const { fileId, ocr, preserveOrder, pageLabels, annotations, formValues, flattenForm, metadata } = body;
+      const filePath = uploadPath(fileId);
+      const bookmarks = body.bookmarks === undefined ? [] : body.bookmarks;
+      const outline = validateOutline(bookmarks, { numPages: await countPages(filePath) });
+      if (!outline.valid) throw apiError(400, 'VALIDATION_FAILED', 'the bookmarks are not valid', outline.errors);
+      let encryption;
+      try {
+        encryption = normalizeEncryption(body.encryption);
+      } catch (err) {
+        throw apiError(400, 'BAD_REQUEST', err.message);
+      }
+
+      const job = jobQueue.submit({
+        id: fileId,
+        bookmarks,
+        ocr: Boolean(ocr),
+        preserveOrder: Boolean(preserveOrder),
+        pageLabels: Array.isArray(pageLabels) ? pageLabels : undefined,
+        annotations: Array.isArray(annotations) ? annotations : undefined,
+        formValues: isPlainObject(formValues) ? formValues : undefined,
+        flattenForm: Boolean(flattenForm),
+        metadata: isPlainObject(metadata) ? metadata : undefined,
+      }, { secrets: encryption ? { encryption } : {} });
+      res.status(202).json(job);
+    },
+  },
+  {
+    method: 'get',
+    path: '/jobs/:jobId',
+    summary: 'Get the state of a job',
+    params: { jobId: 'Job id returned by POST /jobs' },
+    responses: {
+      200: { description: 'The job', schema: 'Job' },
+      404: { description: 'No job with this id (JOB_NOT_FOUND)' },
+    },
+    handle: async (req, res, { jobQueue }) => {
+      const job = jobQueue.get(req.params.jobId);
+      if (!job) throw apiError(404, 'JOB_NOT_FOUND', 'job not found');
+      res.json(job);
+    },
+  },
+  {
+    method: 'get',
+    path: '/jobs/:jobId/download',
+    summary: 'Download the result of a finished job',
+    params: { jobId: 'Job id returned by POST /jobs' },
+    responses: {
+      200: { description: 'The bookmarked PDF, or a ZIP for jobs that write several files (split, batch, form fill)', file: ['application/pdf', 'application/zip'] },
+      404: { description: 'No job with this id (JOB_NOT_FOUND)' },
+      409: { description: 'The job is not done yet or failed (JOB_NOT_FINISHED)' },
+    },
+    handle: async (req, res, { jobQueue }) => {
+      const job = jobQueue.get(req.params.jobId);
+      if (!job) throw apiError(404, 'JOB_NOT_FOUND', 'job not found');
+      const outputPath = jobQueue.getOutputPath(job.id);
+      if (!outputPath) throw apiError(409, 'JOB_NOT_FINISHED', `job is ${job.status}`);
+      const isZip = path.extname(outputPath) === '.zip';
+      res.set('Content-Disposition', `attachment; filename="${isZip ? 'bookmarked.zip' : 'bookmarked.pdf'}"`);
+      res.type(isZip ? 'application/zip' : 'application/pdf').sendFile(outputPath);
+    },
+  },
+];
+
+function openApiDocument() {
+  return buildOpenApiDocument(ROUTES, { title: 'PDF Bookmark API', version: API_VERSION, basePath: BASE_PATH });
+}
+
+// ===== ERRORS =====
+// Sends every error as { error: { code, message, details } }. Mount it after the router as well, so
+// body parser failures on /api/v1 (which happen before the router runs) get the same shape.
+function handleApiError(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  let error;
+  if (err instanceof multer.MulterError) {
+    error = err.code === 'LIMIT_FILE_SIZE'
+      ? apiError(413, 'FILE_TOO_LARGE', 'the file is too large')
+      : apiError(400, 'UPLOAD_ERROR', err.message);
+  } else if (err.type === 'entity.parse.failed') {
+    error = apiError(400, 'INVALID_JSON', 'the request body is not valid JSON');
+  } else if (err.type === 'entity.too.large') {
+    error = apiError(413, 'PAYLOAD_TOO_LARGE', 'the request body is too large');
+  } else if (Number.isInteger(err.status) && typeof err.code === 'string') {
+    error = err;
+  } else {
+    console.error('API error', err);
+    error = apiError(500, 'INTERNAL_ERROR', 'unexpected server error');
+  }
+  res.status(error.status).json({ error: { code: error.code, message: error.message, ...(error.details && { details: error.details }) } });
+}
+
+// The /api/v1 router. `upload` is the multer instance for PDFs, `uploads` the upload guard that admits
+// them and resolves ids (its errors already carry status and code); `jobQueue` runs processing jobs
+// the same way as /api/jobs.
+function createApiV1({ upload, uploads, jobQueue }) {
+  const router = express.Router();
+  const ctx = { uploads, uploadPath: uploads.resolve, jobQueue };
+  ROUTES.forEach((route) => {
+    const middleware = route.upload ? [upload.single(route.upload)] : [];
+    router[route.method](route.path, ...middleware, (req, res, next) => {
+      Promise.resolve()
+        .then(() => route.handle(req, res, ctx))
+        .catch(next);
+    });
+  });
+
+  const document = openApiDocument();
+  router.get('/openapi.json', (req, res) => res.json(document));
+
+  router.use((req, res, next) => {
+    next(apiError(404, 'NOT_FOUND', `no route for ${req.method} ${req.baseUrl}${req.path}`));
+  });
+  router.use(handleApiError);
+  return router;
+}
+
+module.exports = {
+  ROUTES,
+  createApiV1,
+  handleApiError,
+  openApiDocument,
+};
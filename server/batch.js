@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const { processPdf } = require('./process');
+const { resolveTemplate } = require('./template');
+const { safeUnlink, writeZip } = require('./files');
+
+function bookmarkedName(name, used) {
+  const base = path.parse(path.basename(name || 'document.pdf')).name || 'document';
+  let candidate = `${base} bookmarked.pdf`;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${base} bookmarked (${n}).pdf`;
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// Applies one outline template to every file and zips the bookmarked PDFs into `outputPath`.
+// A file that fails is reported in its result and left out of the ZIP; the batch only fails when none succeed.
+// `files` are { id, name, filePath }; `onProgress` receives the job update including per-file `results`.
+async function processBatch({
+  files,
+  template,
+  ocr = false,
+  preserveOrder = false,
+  outputPath,
+  onProgress = () => {},
+}) {
+  const workDir = path.dirname(outputPath);
+  const usedNames = new Set();
+  const results = files.map(({ id, name }) => ({ id, name: name || id, status: 'queued', error: null, warnings: [] }));
+  const entries = [];
+
+  const report = (index, message) => onProgress({
+    stage: 'batch',
+    percent: Math.round((index / files.length) * 100),
+    message,
+    results,
+  });
+
+  try {
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      const result = results[i];
+      result.status = 'running';
+      report(i, `Processing ${result.name} (${i + 1} of ${files.length})`);
+      try {
+        if (!file.filePath || !fs.existsSync(file.filePath)) throw new Error('file not found');
+        const { bookmarks, warnings } = await resolveTemplate(file.filePath, template);
+        result.warnings = warnings;
+        if (bookmarks.length === 0) throw new Error('no template entry could be resolved');
+
+        const filePath = path.join(workDir, `${i}.pdf`);
+        const processed = await processPdf({ filePath: file.filePath, outputPath: filePath, bookmarks, ocr, preserveOrder });
+        processed.ocrSkipped.forEach(({ page, reason }) => result.warnings.push(`OCR skipped page ${page}: ${reason}`));
+        entries.push({ filePath, name: bookmarkedName(result.name, usedNames) });
+        result.outputName = entries[entries.length - 1].name;
+        result.status = 'done';
+      } catch (err) {
+        result.status = 'failed';
+        result.error = err.message || 'processing error';
+      }
+      report(i + 1, `Finished ${i + 1} of ${files.length}`);
+    }
+
+    if (entries.length === 0) throw new Error('no file in the batch could be processed');
+    report(files.length, 'Creating ZIP');
+    await writeZip(outputPath, entries);
+    return results;
+  } finally {
+    entries.forEach((e) => safeUnlink(e.filePath));
+  }
+}
+
+module.exports = {
+  processBatch,
+};
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { parseArgs } = require('util');
+const { PDFDocument } = require('pdf-lib');
+const { buildPrintedOutline } = require('./outline');
+const { removeOutline } = require('./outlineItems');
+
+// Exit status for each kind of failure, so scripts can tell them apart without parsing messages
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  INPUT_NOT_FOUND: 3,
+  INPUT_INVALID: 3,
+  INPUT_ENCRYPTED: 3,
+  OUTLINE_NOT_FOUND: 4,
+  OUTLINE_INVALID: 4,
+};
+
+const USAGE = `Usage: bookmark-pdf <command> [options]
+
+Commands:
+  apply <input.pdf> <outline-file|-> -o <output.pdf>
+      Replace the outline of input.pdf with the bookmarks in outline-file ("-" reads stdin)
+  dump <input.pdf> [-o <file>]
+      Print the outline of input.pdf (to stdout unless -o is given)
+  strip <input.pdf> -o <output.pdf>
+      Write input.pdf without its outline
+
+Options:
+  -o, --output <file>    Where to write the result
+  -f, --format <format>  Outline file format: json, csv or txt (apply: from the file
+                         extension, txt for stdin; dump: json or txt, default json)
+      --keep-order       apply: keep the file's bookmark order instead of sorting by page
+      --json             Print results and errors as JSON
+  -h, --help             Show this help
+
+Exit codes:
+  0 success, 1 unexpected failure, 2 usage error,
+  3 input PDF missing, unreadable or encrypted, 4 outline file missing or invalid
+`;
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f' },
+  'keep-order': { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+// The app's own import rules (an ES module shared with the frontend), so a file exported from the UI
+// reads the same here
+const OUTLINE_FORMATS_MODULE = pathToFileURL(path.join(__dirname, '../frontend/src/lib/outlineFormats.js')).href;
+
+// pdf.js prints warnings with console.log while it loads (e.g. "Cannot polyfill DOMMatrix" when the
+// optional canvas package is missing), before any verbosity option applies. Stdout carries the
+// command's output, so the modules that load pdf.js are required with those warnings sent to stderr.
+function loadPdfModules() {
+  const { log } = console;
+  console.log = console.error;
+  try {
+    return { ...require('./outlineReader'), ...require('./process') };
+  } finally {
+    console.log = log;
+  }
+}
+
+function cliError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+function countBookmarks(nodes) {
+  return nodes.reduce((sum, n) => sum + 1 + countBookmarks(n.children || []), 0);
+}
+
+// Loads the input with pdf-lib, which every command writes with, and returns its page count
+async function readInput(filePath) {
+  if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    throw cliError('INPUT_NOT_FOUND', `${filePath}: no such file`);
+  }
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(fs.readFileSync(filePath), { ignoreEncryption: true, updateMetadata: false });
+  } catch (err) {
+    throw cliError('INPUT_INVALID', `${filePath}: not a readable PDF (${err.message})`);
+  }
+  if (pdfDoc.isEncrypted) throw cliError('INPUT_ENCRYPTED', `${filePath}: the file is encrypted; decrypt it first`);
+  return pdfDoc.getPageCount();
+}
+
+function readOutlineSource(source) {
+  if (source === '-') return fs.readFileSync(0, 'utf8');
+  if (!fs.existsSync(source)) throw cliError('OUTLINE_NOT_FOUND', `${source}: no such file`);
+  return fs.readFileSync(source, 'utf8');
+}
+
+function requireArgs(positionals, count, command) {
+  if (positionals.length !== count) {
+    throw cliError('USAGE', `${command} takes ${count} argument${count === 1 ? '' : 's'}, got ${positionals.length}`);
+  }
+}
+
+function requireOutput(values, command) {
+  if (!values.output) throw cliError('USAGE', `${command} needs --output <file>`);
+  return values.output;
+}
+
+// ===== COMMANDS =====
+
+async function applyCommand(positionals, values) {
+  requireArgs(positionals, 2, 'apply');
+  const [input, source] = positionals;
+  const outputPath = requireOutput(values, 'apply');
+  const { OUTLINE_FORMATS, formatFromFileName, importOutline } = await import(OUTLINE_FORMATS_MODULE);
+  const formats = Object.keys(OUTLINE_FORMATS);
+  const format = values.format || formatFromFileName(source === '-' ? '' : source);
+  if (!formats.includes(format)) {
+    throw cliError('USAGE', `unknown outline format "${format}" (use ${formats.join(', ')})`);
+  }
+
+  const { processPdf } = loadPdfModules();
+  const numPages = await readInput(input);
+  const { bookmarks, errors } = importOutline(readOutlineSource(source), format, { numPages });
+  if (errors.length > 0) {
+    const name = source === '-' ? 'stdin' : source;
+    throw cliError('OUTLINE_INVALID', `${name} has ${errors.length} problem${errors.length === 1 ? '' : 's'}`, errors);
+  }
+
+  await processPdf({ filePath: input, outputPath, bookmarks, preserveOrder: values['keep-order'] });
+  const count = countBookmarks(bookmarks);
+  return {
+    result: { command: 'apply', output: outputPath, bookmarks: count },
+    message: `Wrote ${count} bookmark${count === 1 ? '' : 's'} to ${outputPath}`,
+  };
+}
+
+async function dumpCommand(positionals, values) {
+  requireArgs(positionals, 1, 'dump');
+  const [input] = positionals;
+  const format = values.format || 'json';
+  if (format !== 'json' && format !== 'txt') throw cliError('USAGE', `dump writes json or txt, not "${format}"`);
+
+  const { readOutline } = loadPdfModules();
+  await readInput(input);
+  const { numPages, bookmarks } = await readOutline(input);
+  const text = format === 'json'
+    ? `${JSON.stringify({ numPages, bookmarks }, null, 2)}\n`
+    : `${bookmarks.length > 0 ? buildPrintedOutline(bookmarks) : ''}\n`;
+
+  if (!values.output) return { data: text };
+  fs.writeFileSync(values.output, text);
+  const count = countBookmarks(bookmarks);
+  return {
+    result: { command: 'dump', output: values.output, bookmarks: count },
+    message: `Wrote ${count} bookmark${count === 1 ? '' : 's'} to ${values.output}`,
+  };
+}
+
+async function stripCommand(positionals, values) {
+  requireArgs(positionals, 1, 'strip');
+  const [input] = positionals;
+  const outputPath = requireOutput(values, 'strip');
+
+  await readInput(input);
+  if (outputPath !== input) fs.copyFileSync(input, outputPath);
+  const removed = await removeOutline(outputPath);
+  return {
+    result: { command: 'strip', output: outputPath, removed },
+    message: `Removed ${removed} bookmark${removed === 1 ? '' : 's'}; wrote ${outputPath}`,
+  };
+}
+
+const COMMANDS = {
+  apply: applyCommand,
+  dump: dumpCommand,
+  strip: stripCommand,
+};
+
+// ===== ENTRY =====
+
+// Runs the command in `argv` (without node and the script) and returns the exit code.
+// Results go to `stdout`, errors to `stderr` as "bookmark-pdf: CODE: message" (or JSON with --json).
+async function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let json = argv.includes('--json');
+
+  function report(err) {
+    const code = EXIT_CODES[err.code] !== undefined ? err.code : 'FAILED';
+    if (json) {
+      stderr.write(`${JSON.stringify({ ok: false, error: { code, message: err.message, details: err.details } })}\n`);
+    } else {
+      stderr.write(`bookmark-pdf: ${code}: ${err.message}\n`);
+      (err.details || []).forEach((d) => {
+        stderr.write(`  ${d.line ? `line ${d.line}` : d.path || 'file'}: ${d.message}\n`);
+      });
+      if (code === 'USAGE') stderr.write('Run "bookmark-pdf --help" for usage.\n');
+    }
+    return EXIT_CODES[code];
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    return report(cliError('USAGE', err.message));
+  }
+  const { values, positionals } = parsed;
+  json = values.json;
+  const [command, ...rest] = positionals;
+
+  if (values.help || !command) {
+    (values.help ? stdout : stderr).write(USAGE);
+    return values.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+  if (!COMMANDS[command]) return report(cliError('USAGE', `unknown command "${command}"`));
+
+  try {
+    const { data, result, message } = await COMMANDS[command](rest, values);
+    if (data !== undefined) stdout.write(data);
+    else stdout.write(json ? `${JSON.stringify({ ok: true, ...result })}\n` : `${message}\n`);
+    return EXIT_CODES.OK;
+  } catch (err) {
+    return report(err);
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  main,
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const crypto = require('crypto');
+// pdf-lib can't read or write encrypted files; this fork adds both and is only used here
+const { PDFDocument, PDFDict, PDFInvalidObject, PDFName, PDFRawStream, EncryptedPDFError } = require('@cantoo/pdf-lib');
+
+// Permission flags the output can grant; every one left out is denied
+const PERMISSIONS = ['print', 'copy', 'modify'];
+
+function passwordError() {
+  const err = new Error('Incorrect password');
+  err.code = 'INCORRECT_PASSWORD';
+  return err;
+}
+
+// Loads `bytes` with `password` and returns the document without its encryption. The original
+// xref streams (which still name the /Encrypt dictionary; never encrypted, so the decryption
+// garbles them into invalid objects) and that dictionary are dropped, so the saved file is read
+// as a plain one and keeps no password hashes. Garbling those xref streams also loses the trailer's
+// /Info, so it is taken from a parse without the password.
+async function loadDecrypted(bytes, password) {
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(bytes, { password, updateMetadata: false });
+  } catch (err) {
+    if (/password/i.test(err.message || '')) throw passwordError();
+    throw err;
+  }
+  const { context } = pdfDoc;
+  if (!context.trailerInfo.Info) {
+    const encrypted = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+    const { Info } = encrypted.context.trailerInfo;
+    if (Info && context.lookup(Info) instanceof PDFDict) context.trailerInfo.Info = Info;
+  }
+  context.enumerateIndirectObjects().forEach(([ref, object]) => {
+    if (object instanceof PDFInvalidObject) {
+      context.delete(ref);
+      return;
+    }
+    const dict = object instanceof PDFRawStream ? object.dict : object;
+    if (!(dict instanceof PDFDict)) return;
+    const isXref = object instanceof PDFRawStream && dict.get(PDFName.of('Type')) === PDFName.of('XRef');
+    const isSecurityHandler = dict.has(PDFName.of('Filter')) && dict.has(PDFName.of('O')) && dict.has(PDFName.of('U'));
+    if (isXref || isSecurityHandler) context.delete(ref);
+  });
+  return pdfDoc;
+}
+
+// Checks a fresh upload. Files that only restrict permissions (empty user password) are decrypted
+// right away; the rest stay as they are until `decryptPdf` gets the password.
+// Returns { encrypted, passwordRequired }.
+async function prepareUpload(filePath) {
+  const bytes = fs.readFileSync(filePath);
+  try {
+    await PDFDocument.load(bytes, { updateMetadata: false });
+    return { encrypted: false, passwordRequired: false };
+  } catch (err) {
+    if (!(err instanceof EncryptedPDFError)) return { encrypted: false, passwordRequired: false };
+  }
+  try {
+    await decryptPdf(filePath, '');
+    return { encrypted: true, passwordRequired: false };
+  } catch (err) {
+    if (err.code !== 'INCORRECT_PASSWORD') throw err;
+    return { encrypted: true, passwordRequired: true };
+  }
+}
+
+// Replaces the encrypted file at `filePath` with a decrypted copy; throws an INCORRECT_PASSWORD error
+// when neither the user nor the owner password matches
+async function decryptPdf(filePath, password) {
+  const pdfDoc = await loadDecrypted(fs.readFileSync(filePath), String(password || ''));
+  fs.writeFileSync(filePath, await pdfDoc.save({ useObjectStreams: false }));
+}
+
+// Normalizes { userPassword, ownerPassword, permissions: { print, copy, modify } }; null when the
+// options would neither ask for a password nor restrict anything
+function normalizeEncryption(options) {
+  if (!options || typeof options !== 'object') return null;
+  const userPassword = typeof options.userPassword === 'string' ? options.userPassword : '';
+  const ownerPassword = typeof options.ownerPassword === 'string' ? options.ownerPassword : '';
+  const granted = options.permissions && typeof options.permissions === 'object' ? options.permissions : {};
+  const permissions = {};
+  PERMISSIONS.forEach((flag) => {
+    permissions[flag] = granted[flag] !== false;
+  });
+  const restricted = PERMISSIONS.some((flag) => !permissions[flag]);
+  if (!userPassword && !ownerPassword && !restricted) return null;
+  if (ownerPassword && ownerPassword === userPassword && restricted) {
+    throw new Error('encryption: the owner password must differ from the user password for permissions to apply');
+  }
+  return { userPassword, ownerPassword, permissions };
+}
+
+// Encrypts `filePath` in place with AES-256. Without an owner password a random one is used,
+// so the permission flags still hold for everyone who opens the file.
+async function encryptPdf(filePath, options) {
+  const encryption = normalizeEncryption(options);
+  if (!encryption) return;
+  const { userPassword, ownerPassword, permissions } = encryption;
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(filePath), { updateMetadata: false });
+  pdfDoc.encrypt({
+    userPassword,
+    ownerPassword: ownerPassword || crypto.randomBytes(24).toString('base64'),
+    permissions: {
+      printing: permissions.print ? 'highResolution' : false,
+      copying: permissions.copy,
+      modifying: permissions.modify,
+      annotating: permissions.modify,
+      fillingForms: permissions.modify,
+      documentAssembly: permissions.modify,
+      contentAccessibility: true,
+    },
+  });
+  fs.writeFileSync(filePath, await pdfDoc.save());
+}
+
+module.exports = {
+  PERMISSIONS,
+  decryptPdf,
+  encryptPdf,
+  normalizeEncryption,
+  prepareUpload,
+};
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const archiver = require('archiver');
+
+// Longest name part of a generated file name, before any prefix and the extension
+const MAX_NAME_LENGTH = 100;
+
+function safeUnlink(filePath) {
+  try {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  } catch (e) {
+    console.warn('Failed to delete file', filePath, e.message);
+  }
+}
+
+// Turns a title into something usable as a file name inside a ZIP
+function cleanFileName(name, fallback = 'Untitled') {
+  const clean = String(name || '')
+    .replace(/[\\/:*?"<>|\u0000-\u001f]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '')
+    .slice(0, MAX_NAME_LENGTH)
+    .trim();
+  return clean || fallback;
+}
+
+// Zips `entries` ({ filePath, name }) into `outputPath`
+function writeZip(outputPath, entries) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(outputPath);
+    const archive = archiver('zip');
+    output.on('close', resolve);
+    archive.on('error', reject);
+    archive.pipe(output);
+    entries.forEach(({ filePath, name }) => archive.file(filePath, { name }));
+    archive.finalize();
+  });
+}
+
+module.exports = {
+  cleanFileName,
+  safeUnlink,
+  writeZip,
+};
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const {
+  PDFDocument,
+  PDFButton,
+  PDFCheckBox,
+  PDFDropdown,
+  PDFOptionList,
+  PDFRadioGroup,
+  PDFSignature,
+  PDFTextField,
+} = require('pdf-lib');
+
+// Spreadsheet-style values that tick a checkbox; anything else unticks it
+const CHECKED_VALUES = ['true', 'yes', 'y', 'on', '1', 'x', 'checked'];
+
+function fieldType(field) {
+  if (field instanceof PDFTextField) return 'text';
+  if (field instanceof PDFCheckBox) return 'checkbox';
+  if (field instanceof PDFRadioGroup) return 'radio';
+  if (field instanceof PDFDropdown) return 'dropdown';
+  if (field instanceof PDFOptionList) return 'optionList';
+  if (field instanceof PDFSignature) return 'signature';
+  if (field instanceof PDFButton) return 'button';
+  return 'unknown';
+}
+
+// Maps every annotation dictionary to the page (1-based) whose /Annots lists it; widgets
+// don't always carry their /P entry
+function widgetPages(pdfDoc) {
+  const pages = new Map();
+  pdfDoc.getPages().forEach((page, i) => {
+    const annots = page.node.Annots();
+    if (!annots) return;
+    for (let j = 0; j < annots.size(); j++) pages.set(annots.lookup(j), i + 1);
+  });
+  return pages;
+}
+
+function describeField(field, pages) {
+  const type = fieldType(field);
+  const widget = field.acroField.getWidgets()[0];
+  const info = {
+    name: field.getName(),
+    type,
+    value: null,
+    options: null,
+    readOnly: field.isReadOnly() || !['text', 'checkbox', 'radio', 'dropdown', 'optionList'].includes(type),
+    required: field.isRequired(),
+    page: (widget && pages.get(widget.dict)) || null,
+  };
+  if (type === 'text') {
+    info.value = field.getText() || '';
+    info.multiline = field.isMultiline();
+    info.maxLength = field.getMaxLength() || null;
+  } else if (type === 'checkbox') {
+    info.value = field.isChecked();
+  } else if (type === 'radio') {
+    info.value = field.getSelected() || '';
+    info.options = field.getOptions();
+  } else if (type === 'dropdown' || type === 'optionList') {
+    const selected = field.getSelected();
+    info.options = field.getOptions();
+    info.multiSelect = field.isMultiselect();
+    info.editable = type === 'dropdown' && field.isEditable();
+    info.value = info.multiSelect ? selected : selected[0] || '';
+  }
+  return info;
+}
+
+// Lists the AcroForm fields of `filePath`:
+// [{ name, type, value, options, readOnly, required, page, ... }] in the order the form lists them.
+async function readFormFields(filePath) {
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(filePath));
+  const pages = widgetPages(pdfDoc);
+  return pdfDoc.getForm().getFields().map((field) => describeField(field, pages));
+}
+
+function choiceList(value, multiSelect) {
+  if (Array.isArray(value)) return value.map(String).filter(Boolean);
+  const text = value === null || value === undefined ? '' : String(value);
+  // A CSV cell can't hold a list, so multi-select values come separated by semicolons
+  const list = multiSelect ? text.split(';') : [text];
+  return list.map((v) => v.trim()).filter(Boolean);
+}
+
+function setFieldValue(field, value) {
+  const type = fieldType(field);
+  if (type === 'text') {
+    field.setText(value === null || value === undefined ? '' : String(value));
+  } else if (type === 'checkbox') {
+    if (value === true || CHECKED_VALUES.includes(String(value).trim().toLowerCase())) field.check();
+    else field.uncheck();
+  } else if (type === 'radio') {
+    const [choice] = choiceList(value, false);
+    if (!choice) field.clear();
+    else if (!field.getOptions().includes(choice)) throw new Error(`"${choice}" is not one of its options`);
+    else field.select(choice);
+  } else if (type === 'dropdown' || type === 'optionList') {
+    const choices = choiceList(value, field.isMultiselect());
+    const editable = type === 'dropdown' && field.isEditable();
+    const unknown = editable ? undefined : choices.find((c) => !field.getOptions().includes(c));
+    if (unknown) throw new Error(`"${unknown}" is not one of its options`);
+    if (choices.length === 0) field.clear();
+    else field.select(field.isMultiselect() ? choices : choices[0]);
+  } else {
+    throw new Error(`${type} fields can't be filled`);
+  }
+}
+
+// Writes `values` ({ fieldName: value }) into the form of `filePath` in place. Names that aren't
+// fields of the form are skipped and returned as `ignored`. With `flatten` the fields are burned
+// into the page content so the result can no longer be edited.
+async function fillForm(filePath, values, { flatten = false } = {}) {
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(filePath));
+  const form = pdfDoc.getForm();
+  const byName = new Map(form.getFields().map((f) => [f.getName(), f]));
+  const ignored = [];
+  let filled = 0;
+
+  Object.entries(values || {}).forEach(([name, value]) => {
+    const field = byName.get(name);
+    if (!field) {
+      ignored.push(name);
+      return;
+    }
+    try {
+      setFieldValue(field, value);
+      filled++;
+    } catch (err) {
+      throw new Error(`field "${name}": ${err.message}`);
+    }
+  });
+
+  try {
+    form.updateFieldAppearances();
+  } catch (err) {
+    throw new Error(`form appearance could not be updated: ${err.message}`);
+  }
+  if (flatten) form.flatten();
+  fs.writeFileSync(filePath, await pdfDoc.save());
+  return { filled, ignored };
+}
+
+module.exports = {
+  fillForm,
+  readFormFields,
+};
@@ -0,0 +1,132 @@
+const { openPdf, getDocumentLines } = require('./pdfText');
+
+const DEFAULT_MAX_DEPTH = 3;
+const DEFAULT_MIN_FONT_RATIO = 1.15;
+const MAX_HEADING_LENGTH = 120;
+
+function bodyFontSize(pages) {
+  const weights = new Map();
+  pages.forEach((lines) => {
+    lines.forEach((l) => {
+      weights.set(l.fontSize, (weights.get(l.fontSize) || 0) + l.text.length);
+    });
+  });
+  let best = null;
+  weights.forEach((w, size) => {
+    if (best === null || w > weights.get(best)) best = size;
+  });
+  return best || 0;
+}
+
+// Running headers/footers repeat on most pages and would otherwise look like headings
+function repeatedLines(pages) {
+  const seen = new Map();
+  pages.forEach((lines) => {
+    new Set(lines.map((l) => l.text.toLowerCase())).forEach((t) => seen.set(t, (seen.get(t) || 0) + 1));
+  });
+  const threshold = Math.max(3, Math.ceil(pages.length / 2));
+  return new Set([...seen].filter(([, count]) => count >= threshold).map(([t]) => t));
+}
+
+function styleKey(line) {
+  return `${line.fontSize}|${line.bold ? 'b' : ''}${line.italic ? 'i' : ''}`;
+}
+
+function collectCandidates(pages, { bodySize, minFontRatio }) {
+  const skip = repeatedLines(pages);
+  const candidates = [];
+  pages.forEach((lines, pageIndex) => {
+    lines.forEach((line) => {
+      const text = line.text;
+      if (!text || text.length > MAX_HEADING_LENGTH) return;
+      if (/^[\d\s.,\-–/]+$/.test(text)) return;
+      if (skip.has(text.toLowerCase())) return;
+      const larger = line.fontSize >= bodySize * minFontRatio;
+      const boldAtBodySize = line.bold && line.fontSize >= bodySize && text.length <= 80;
+      if (!larger && !boldAtBodySize) return;
+
+      // Headings that wrap onto a second line come through as two lines with the same style
+      const prev = candidates[candidates.length - 1];
+      if (
+        prev
+        && prev.page === pageIndex + 1
+        && prev.style === styleKey(line)
+        && prev.y - line.y <= line.fontSize * 1.6
+      ) {
+        prev.title = `${prev.title} ${text}`;
+        prev.y = line.y;
+        return;
+      }
+      candidates.push({
+        title: text,
+        page: pageIndex + 1,
+        y: line.y,
+        fontSize: line.fontSize,
+        bold: line.bold,
+        italic: line.italic,
+        style: styleKey(line),
+      });
+    });
+  });
+  return candidates;
+}
+
+// One heading level per font size, largest first. Weight and style don't start levels of their own,
+// so a bold and a regular heading of the same size are siblings; a level is described as bold (italic)
+// when most of its headings are.
+function rankLevels(candidates) {
+  const bySize = new Map();
+  candidates.forEach((c) => {
+    const level = bySize.get(c.fontSize) || { fontSize: c.fontSize, count: 0, bold: 0, italic: 0 };
+    level.count += 1;
+    if (c.bold) level.bold += 1;
+    if (c.italic) level.italic += 1;
+    bySize.set(c.fontSize, level);
+  });
+  return [...bySize.values()]
+    .sort((a, b) => b.fontSize - a.fontSize)
+    .map(({ fontSize, count, bold, italic }) => ({ fontSize, bold: bold * 2 > count, italic: italic * 2 > count }));
+}
+
+function buildTree(headings) {
+  const root = [];
+  const stack = [];
+  headings.forEach((h) => {
+    const node = { title: h.title, page: h.page, children: [] };
+    while (stack.length > 0 && stack[stack.length - 1].level >= h.level) stack.pop();
+    if (stack.length === 0) root.push(node);
+    else stack[stack.length - 1].node.children.push(node);
+    stack.push({ level: h.level, node });
+  });
+  return root;
+}
+
+async function generateHeadingOutline(filePath, options = {}) {
+  const maxDepth = Math.max(1, Math.min(6, parseInt(options.maxDepth, 10) || DEFAULT_MAX_DEPTH));
+  const minFontRatio = Math.max(1, parseFloat(options.minFontRatio) || DEFAULT_MIN_FONT_RATIO);
+
+  const doc = await openPdf(filePath);
+  try {
+    const pages = await getDocumentLines(doc, { withFonts: true });
+    const bodySize = bodyFontSize(pages);
+    const candidates = collectCandidates(pages, { bodySize, minFontRatio });
+    const levels = rankLevels(candidates);
+    const headings = candidates
+      .map((c) => ({ ...c, level: levels.findIndex((l) => l.fontSize === c.fontSize) }))
+      .filter((c) => c.level < maxDepth);
+
+    return {
+      bodyFontSize: bodySize,
+      levels: levels.slice(0, maxDepth),
+      bookmarks: buildTree(headings),
+    };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+module.exports = {
+  generateHeadingOutline,
+  DEFAULT_MAX_DEPTH,
+  DEFAULT_MIN_FONT_RATIO,
+};
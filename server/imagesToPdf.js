@@ -0,0 +1,125 @@
+const fs = require('fs');
+const { PDFDocument, StandardFonts, degrees } = require('pdf-lib');
+const { addInvisibleText, collectWords } = require('./ocr');
+const { createOcrWorker, resolveLanguages } = require('./tessdata');
+
+// Pages are sized to fit A4 in the photo's own orientation
+const A4_SHORT = 595.28;
+const A4_LONG = 841.89;
+
+// EXIF orientation of a JPEG (1 = stored upright), read from its APP1 segment
+function jpegOrientation(buf) {
+  try {
+    if (buf.readUInt16BE(0) !== 0xffd8) return 1;
+    let offset = 2;
+    while (offset + 4 <= buf.length) {
+      const marker = buf.readUInt16BE(offset);
+      if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) return 1;
+      if (marker === 0xffe1 && buf.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+        const tiff = offset + 10;
+        const little = buf.toString('latin1', tiff, tiff + 2) === 'II';
+        const u16 = (o) => (little ? buf.readUInt16LE(o) : buf.readUInt16BE(o));
+        const u32 = (o) => (little ? buf.readUInt32LE(o) : buf.readUInt32BE(o));
+        const ifd = tiff + u32(tiff + 4);
+        for (let i = 0; i < u16(ifd); i++) {
+          const entry = ifd + 2 + i * 12;
+          if (u16(entry) === 0x0112) return u16(entry + 8);
+        }
+        return 1;
+      }
+      offset += 2 + buf.readUInt16BE(offset + 2);
+    }
+  } catch (e) {
+    // truncated or odd EXIF: treat as upright
+  }
+  return 1;
+}
+
+// Tesseract applies EXIF rotation and the deskew angle to its own copy of the image; the
+// original file is only embedded when it already looks exactly like that copy
+async function embedPageImage(pdfDoc, imagePath, data) {
+  if (!data.rotateRadians) {
+    const original = fs.readFileSync(imagePath);
+    const isJpeg = original.length > 2 && original.readUInt16BE(0) === 0xffd8;
+    const isPng = original.length > 8 && original.toString('latin1', 1, 4) === 'PNG';
+    if (isJpeg && jpegOrientation(original) === 1) return pdfDoc.embedJpg(original);
+    if (isPng) return pdfDoc.embedPng(original);
+  }
+  return pdfDoc.embedPng(Buffer.from(data.imageColor.split(',')[1], 'base64'));
+}
+
+// Crop as fractions of the image ({ x, y, width, height }, top-left origin); the whole image when missing
+function normalizeCrop(crop) {
+  const c = crop || {};
+  const clamp = (n, min, max) => Math.min(max, Math.max(min, Number.isFinite(Number(n)) ? Number(n) : min));
+  const x = clamp(c.x, 0, 0.95);
+  const y = clamp(c.y, 0, 0.95);
+  const width = c.width === undefined ? 1 - x : clamp(c.width, 0.05, 1 - x);
+  const height = c.height === undefined ? 1 - y : clamp(c.height, 0.05, 1 - y);
+  return { x, y, width, height };
+}
+
+// Builds a searchable PDF from photographed pages, in order. Each image is deskewed by Tesseract
+// (`deskew`), cropped to `crop`, turned by `rotate` (multiple of 90) and gets its OCR text as an
+// invisible layer. `images` are { path, crop, rotate }. Returns per-image
+// { confidence, deskewDegrees } in the same order.
+async function imagesToPdf({ images, languages, deskew = true, outputPath, onProgress = () => {} }) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const worker = await createOcrWorker(resolveLanguages(languages));
+  const results = [];
+
+  try {
+    for (let i = 0; i < images.length; i++) {
+      onProgress({ image: i + 1, total: images.length });
+      const { data } = await worker.recognize(
+        images[i].path,
+        { rotateAuto: deskew },
+        { text: false, blocks: true, imageColor: true }
+      );
+      const image = await embedPageImage(pdfDoc, images[i].path, data);
+      const crop = normalizeCrop(images[i].crop);
+      const cropWidth = image.width * crop.width;
+      const cropHeight = image.height * crop.height;
+      const scale = Math.min(A4_LONG / Math.max(cropWidth, cropHeight), A4_SHORT / Math.min(cropWidth, cropHeight));
+
+      const page = pdfDoc.addPage([cropWidth * scale, cropHeight * scale]);
+      // The page box cuts the image down to the crop
+      const rect = {
+        x: -image.width * crop.x * scale,
+        y: (crop.y + crop.height - 1) * image.height * scale,
+        width: image.width * scale,
+        height: image.height * scale,
+      };
+      page.drawImage(image, rect);
+
+      const left = image.width * crop.x;
+      const top = image.height * crop.y;
+      const words = collectWords(data.blocks).filter(({ bbox }) => {
+        const cx = (bbox.x0 + bbox.x1) / 2;
+        const cy = (bbox.y0 + bbox.y1) / 2;
+        return cx >= left && cx <= left + cropWidth && cy >= top && cy <= top + cropHeight;
+      });
+      if (words.length > 0) {
+        const fontKey = page.node.newFontDictionary(font.name, font.ref);
+        addInvisibleText(page, font, fontKey, words, { width: image.width, height: image.height, rect });
+      }
+      const rotate = ((Math.round((Number(images[i].rotate) || 0) / 90) * 90) % 360 + 360) % 360;
+      if (rotate) page.setRotation(degrees(rotate));
+
+      results.push({
+        confidence: Math.round(data.confidence || 0),
+        deskewDegrees: Math.round(((data.rotateRadians || 0) * 180) / Math.PI * 10) / 10,
+      });
+    }
+  } finally {
+    await worker.terminate();
+  }
+
+  fs.writeFileSync(outputPath, await pdfDoc.save());
+  return results;
+}
+
+module.exports = {
+  imagesToPdf,
+};
@@ -3,9 +3,27 @@ const express = require('express');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
-const { outlinePdf } = require('@lillallol/outline-pdf');
-const Tesseract = require('tesseract.js');
+const { detectToc } = require('./toc');
+const { generateHeadingOutline } = require('./headings');
+const { processPdf } = require('./process');
+const { processBatch } = require('./batch');
+const { mergePdfs } = require('./merge');
+const { splitPdf } = require('./split');
+const { organizePdf } = require('./organize');
+const { readFormFields } = require('./forms');
+const { readMetadata } = require('./metadata');
+const { decryptPdf, normalizeEncryption, prepareUpload } = require('./encryption');
+const { ocrImages } = require('./ocr');
+const { imagesToPdf } = require('./imagesToPdf');
+const { listLanguages, resolveLanguages } = require('./tessdata');
+const { fillFormRows } = require('./mailMerge');
+const { createJobQueue } = require('./jobs');
+const { createProjectStore } = require('./projects');
+const { safeUnlink } = require('./files');
+const { createApiV1, handleApiError } = require('./apiV1');
+const { createUploadGuard, isFileId } = require('./uploadGuard');
 
 const app = express();
 app.use(cors());
@@ -13,15 +31,31 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // ===== CONFIG =====
-const uploadDir = path.join(__dirname, '../uploads'); // now one level up (root/uploads)
-const imageUploadDir = path.join(__dirname, '../uploads/images'); // separate directory for images
+const uploadDir = process.env.UPLOAD_DIR ? path.resolve(process.env.UPLOAD_DIR) : path.join(__dirname, '../uploads'); // root/uploads by default
+const imageUploadDir = path.join(uploadDir, 'images'); // separate directory for images
+const jobsDir = path.join(uploadDir, 'jobs'); // queued processing jobs and their output
+const quarantineDir = path.join(uploadDir, 'quarantine'); // uploads pdf-lib could not parse, kept for inspection
+const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, '../data');
+const projectsDir = path.join(dataDir, 'projects'); // saved bookmark projects (not swept)
 if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
 if (!fs.existsSync(imageUploadDir)) fs.mkdirSync(imageUploadDir, { recursive: true });
 
 const KEEP_AFTER_PROCESS = process.env.KEEP_AFTER_PROCESS === 'true';
 const UPLOAD_TTL_HOURS = parseInt(process.env.UPLOAD_TTL_HOURS || '6', 10);
+const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES || '100', 10);
+const MAX_FORM_ROWS = parseInt(process.env.MAX_FORM_ROWS || '500', 10);
+const MAX_OCR_IMAGES = parseInt(process.env.MAX_OCR_IMAGES || '20', 10);
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB || '200', 10);
+const MAX_UPLOAD_PAGES = parseInt(process.env.MAX_UPLOAD_PAGES || '5000', 10);
+const QUARANTINE_TTL_HOURS = parseInt(process.env.QUARANTINE_TTL_HOURS || '72', 10);
 
-const upload = multer({ dest: uploadDir });
+const upload = multer({
+  dest: uploadDir,
+  limits: {
+    fileSize: MAX_UPLOAD_MB * 1024 * 1024,
+  },
+});
+const uploads = createUploadGuard({ uploadDir, quarantineDir, maxPages: MAX_UPLOAD_PAGES });
 const imageUpload = multer({
   dest: imageUploadDir,
   fileFilter: (req, file, cb) => {
@@ -37,105 +71,209 @@ const imageUpload = multer({
   }
 });
 
-// ===== HELPERS =====
-function safeUnlink(filePath) {
+// Sends the guard's INVALID_FILE_ID (400) or FILE_NOT_FOUND (404) error for `id`; returns the upload's path
+// or null when the response was sent
+function resolveUpload(res, id) {
   try {
-    if (filePath && fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-    }
-  } catch (e) {
-    console.warn('Failed to delete file', filePath, e.message);
+    return uploads.resolve(id);
+  } catch (err) {
+    res.status(err.status).json({ error: err.message, code: err.code });
+    return null;
   }
 }
 
-function sortBookmarksByPage(nodes = []) {
-  return nodes
-    .slice()
-    .sort((a, b) => (Number(a.page) || 0) - (Number(b.page) || 0))
-    .map((n) => ({
-      ...n,
-      children: Array.isArray(n.children) ? sortBookmarksByPage(n.children) : [],
-    }));
+// ===== PROJECTS =====
+const projects = createProjectStore({ dir: projectsDir });
+
+// Uploads that belong to a saved project outlive processing and the TTL sweep
+function releaseUpload(id) {
+  if (KEEP_AFTER_PROCESS || projects.referencedFiles().has(id)) return;
+  safeUnlink(path.join(uploadDir, id));
 }
 
-function buildPrintedOutline(bookmarks, depth = 0, lines = []) {
-  bookmarks.forEach((b) => {
-    const page = parseInt(b.page, 10) || 1;
-    const title = (b.title || '').replace(/\n/g, ' ');
-    const depthMarkers = '-'.repeat(depth);
-    lines.push(`${page}|${depthMarkers}|${title}`);
-    if (Array.isArray(b.children) && b.children.length > 0) {
-      buildPrintedOutline(b.children, depth + 1, lines);
+// ===== JOBS =====
+const jobQueue = createJobQueue({
+  dir: jobsDir,
+  run: async (job, onProgress) => {
+    if (job.input.type === 'batch') {
+      const { files, template, ocr, preserveOrder } = job.input;
+      await processBatch({
+        files: files.map((f) => ({ ...f, filePath: path.join(uploadDir, f.id) })),
+        template,
+        ocr,
+        preserveOrder,
+        outputPath: job.outputPath,
+        onProgress,
+      });
+      files.forEach((f) => releaseUpload(f.id));
+      return;
     }
-  });
-  return lines.join('\n');
-}
+    if (job.input.type === 'merge') {
+      const { files } = job.input;
+      await mergePdfs({
+        files: files.map((f) => ({ ...f, filePath: path.join(uploadDir, f.id) })),
+        outputPath: job.outputPath,
+        onProgress,
+      });
+      files.forEach((f) => releaseUpload(f.id));
+      return;
+    }
+    if (job.input.type === 'split') {
+      const { id, bookmarks, level, preserveOrder } = job.input;
+      const filePath = path.join(uploadDir, id);
+      if (!fs.existsSync(filePath)) throw new Error('file not found');
+      await splitPdf({ filePath, outputPath: job.outputPath, bookmarks, level, preserveOrder, onProgress });
+      releaseUpload(id);
+      return;
+    }
+    if (job.input.type === 'formFill') {
+      const { id, rows, nameColumn, flatten, bookmarks, preserveOrder } = job.input;
+      const filePath = path.join(uploadDir, id);
+      if (!fs.existsSync(filePath)) throw new Error('file not found');
+      await fillFormRows({ filePath, outputPath: job.outputPath, rows, nameColumn, flatten, bookmarks, preserveOrder, onProgress });
+      releaseUpload(id);
+      return;
+    }
+    const { id, bookmarks, ocr, preserveOrder, pageLabels, annotations, formValues, flattenForm, metadata, encryption } = job.input;
+    const filePath = path.join(uploadDir, id);
+    if (!fs.existsSync(filePath)) throw new Error('file not found');
+    await processPdf({
+      filePath,
+      outputPath: job.outputPath,
+      bookmarks,
+      ocr,
+      preserveOrder,
+      pageLabels,
+      annotations,
+      formValues,
+      flattenForm,
+      metadata,
+      encryption,
+      onProgress,
+    });
+    releaseUpload(id);
+  },
+});
 
 // ===== API ROUTES =====
-app.post('/api/upload', upload.single('pdf'), (req, res) => {
-  if (!req.file) return res.status(400).json({ error: 'no file' });
-  const oldPath = req.file.path;
-  const newPath = path.join(uploadDir, req.file.filename + '.pdf');
-  fs.renameSync(oldPath, newPath);
-  res.json({ id: req.file.filename + '.pdf', originalName: req.file.originalname });
+// Versioned API for integrations: JSON errors as { error: { code, message } }, OpenAPI at /api/v1/openapi.json
+app.use('/api/v1', createApiV1({ upload, uploads, jobQueue }), handleApiError);
+
+// `passwordRequired` uploads can only be used once /api/files/:id/unlock got their password.
+// Rejected files answer with a `code`: NOT_A_PDF (415), UNREADABLE_PDF (422, quarantined),
+// TOO_MANY_PAGES or FILE_TOO_LARGE (413).
+app.post('/api/upload', upload.single('pdf'), async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'no file', code: 'NO_FILE' });
+  let admitted;
+  try {
+    admitted = await uploads.admit(req.file);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Upload error', err);
+    return res.status(500).json({ error: err.message || 'upload error' });
+  }
+  const newPath = path.join(uploadDir, admitted.id);
+  let protection = { encrypted: false, passwordRequired: false };
+  try {
+    protection = await prepareUpload(newPath);
+  } catch (err) {
+    console.warn('Could not check upload for encryption', err.message);
+  }
+  res.json({ id: admitted.id, originalName: req.file.originalname, numPages: admitted.numPages, ...protection });
 });
 
-app.post('/api/upload-image', imageUpload.single('photo'), async (req, res) => {
+// Available OCR languages for the photo tab; `offline` is false when no traineddata pack is installed
+app.get('/api/ocr-languages', (req, res) => {
+  res.json(listLanguages());
+});
+
+// Extracts text from one or more photos ('photos' fields, or a single 'photo') in the given
+// `languages` ('eng+deu'). Besides the joined text, every image comes back with its words,
+// their pixel bounding boxes and confidence, so the client can flag doubtful words.
+app.post('/api/upload-image', imageUpload.fields([{ name: 'photo', maxCount: 1 }, { name: 'photos', maxCount: MAX_OCR_IMAGES }]), async (req, res) => {
+  const files = [...((req.files && req.files.photo) || []), ...((req.files && req.files.photos) || [])];
   try {
-    if (!req.file) {
+    if (files.length === 0) {
       return res.status(400).json({ error: 'No image file provided' });
     }
-
-    // Get file extension from original filename
-    const originalName = req.file.originalname;
-    const fileExtension = path.extname(originalName);
-
-    // Create new filename with timestamp to avoid conflicts
-    const timestamp = Date.now();
-    const newFilename = `img_${timestamp}${fileExtension}`;
-    const oldPath = req.file.path;
-    const newPath = path.join(imageUploadDir, newFilename);
-
-    // Rename the file to include proper extension
-    fs.renameSync(oldPath, newPath);
-
-    // Extract text from the image using Tesseract.js
-    let extractedText = '';
-    try {
-      const result = await Tesseract.recognize(newPath, 'eng', {
-        logger: m => console.log(m)
-      });
-      extractedText = result.data.text.trim();
-    } catch (ocrError) {
-      console.error('OCR error:', ocrError);
-      extractedText = 'Text extraction failed';
+    if (files.length > MAX_OCR_IMAGES) {
+      return res.status(400).json({ error: `At most ${MAX_OCR_IMAGES} images per request` });
     }
 
-    // Delete the image file after text extraction (since user only needs the text)
+    let languages;
     try {
-      fs.unlinkSync(newPath);
-      console.log(`Deleted processed image: ${newFilename}`);
-    } catch (deleteError) {
-      console.warn(`Failed to delete image ${newFilename}:`, deleteError.message);
+      languages = resolveLanguages(req.body.languages);
+    } catch (langError) {
+      return res.status(400).json({ error: langError.message });
     }
 
-    // Return success response with file info and extracted text
+    const results = await ocrImages({ paths: files.map((f) => f.path), languages });
+    const images = files.map((f, i) => ({
+      originalName: f.originalname,
+      fileSize: f.size,
+      mimeType: f.mimetype,
+      ...results[i],
+    }));
+
     res.json({
       success: true,
       message: 'Image processed and text extracted successfully',
-      originalName: originalName,
-      fileSize: req.file.size,
-      mimeType: req.file.mimetype,
+      languages,
       uploadedAt: new Date().toISOString(),
-      extractedText: extractedText
+      extractedText: images.map((img) => img.text).filter(Boolean).join('\n\n'),
+      images,
     });
-
   } catch (error) {
-    console.error('Image upload error:', error);
+    console.error('Image OCR error:', error);
     res.status(500).json({
-      error: 'Failed to upload image',
+      error: 'Failed to extract text',
       details: error.message
     });
+  } finally {
+    // The photos are only needed for text extraction
+    files.forEach((f) => safeUnlink(f.path));
+  }
+});
+
+// Builds a searchable PDF from photographed pages ('photos' fields, in page order) and stores it as
+// a regular upload, so it opens in the editor like /api/upload's files. `pages` is a JSON array with
+// { crop: { x, y, width, height } (fractions), rotate } per photo; `deskew` defaults to true.
+app.post('/api/images-to-pdf', imageUpload.array('photos', MAX_OCR_IMAGES), async (req, res) => {
+  const files = req.files || [];
+  const id = `${crypto.randomBytes(16).toString('hex')}.pdf`;
+  const outputPath = path.join(uploadDir, id);
+  try {
+    if (files.length === 0) return res.status(400).json({ error: 'No image file provided' });
+
+    let languages;
+    let pages = [];
+    try {
+      languages = resolveLanguages(req.body.languages);
+      if (req.body.pages) pages = JSON.parse(req.body.pages);
+    } catch (parseError) {
+      return res.status(400).json({ error: parseError.message });
+    }
+    if (!Array.isArray(pages)) return res.status(400).json({ error: 'pages must be an array' });
+
+    const results = await imagesToPdf({
+      images: files.map((f, i) => ({ path: f.path, crop: pages[i] && pages[i].crop, rotate: pages[i] && pages[i].rotate })),
+      languages,
+      deskew: req.body.deskew !== 'false',
+      outputPath,
+    });
+    const firstName = path.parse(files[0].originalname || 'photos').name || 'photos';
+    res.json({
+      id,
+      originalName: typeof req.body.name === 'string' && req.body.name.trim() ? req.body.name.trim() : `${firstName}.pdf`,
+      numPages: files.length,
+      images: files.map((f, i) => ({ originalName: f.originalname, ...results[i] })),
+    });
+  } catch (error) {
+    safeUnlink(outputPath);
+    console.error('Images to PDF error:', error);
+    res.status(500).json({ error: 'Failed to create PDF', details: error.message });
+  } finally {
+    files.forEach((f) => safeUnlink(f.path));
   }
 });
 
@@ -143,9 +281,10 @@ app.post('/api/upload-image', imageUpload.single('photo'), async (req, res) => {
 app.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
+      return res.status(413).json({
         error: 'File too large',
-        details: 'Maximum file size is 10MB'
+        code: 'FILE_TOO_LARGE',
+        details: `Maximum file size is ${error.field === 'pdf' ? MAX_UPLOAD_MB : 10}MB`
       });
     }
     return res.status(400).json({
@@ -164,56 +303,357 @@ app.use((error, req, res, next) => {
   next(error);
 });
 
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
 app.post('/api/process', async (req, res) => {
   try {
-    const { id, bookmarks } = req.body;
+    const { id, bookmarks, ocr, preserveOrder, pageLabels, annotations, formValues, flattenForm, metadata, encryption } = req.body;
     if (!id) return res.status(400).json({ error: 'missing id' });
-
-    const filePath = path.join(uploadDir, id);
-    if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'file not found' });
-
-    const normalized = Array.isArray(bookmarks) ? sortBookmarksByPage(bookmarks) : [];
-    const printedOutline = normalized.length > 0 ? buildPrintedOutline(normalized) : '';
-
-    if (!printedOutline) {
-      const pdfBytes = fs.readFileSync(filePath);
-      res.set({
-        'Content-Type': 'application/pdf',
-        'Content-Disposition': 'attachment; filename="bookmarked.pdf"',
-      });
-      res.send(Buffer.from(pdfBytes));
-      if (!KEEP_AFTER_PROCESS) {
-        res.on('finish', () => safeUnlink(filePath));
-      }
-      return;
+    let protection;
+    try {
+      protection = normalizeEncryption(encryption);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
     }
 
-    const savePath = path.join(uploadDir, `${path.parse(id).name}-outlined.pdf`);
-    await outlinePdf({
-      loadPath: filePath,
-      savePath,
-      outline: printedOutline,
+    const filePath = resolveUpload(res, id);
+    if (!filePath) return;
+
+    const outputPath = path.join(uploadDir, `${path.parse(id).name}-processed.pdf`);
+    await processPdf({
+      filePath,
+      outputPath,
+      bookmarks,
+      ocr: ocr === true,
+      preserveOrder: Boolean(preserveOrder),
+      pageLabels: Array.isArray(pageLabels) ? pageLabels : undefined,
+      annotations: Array.isArray(annotations) ? annotations : undefined,
+      formValues: isPlainObject(formValues) ? formValues : undefined,
+      flattenForm: Boolean(flattenForm),
+      metadata: isPlainObject(metadata) ? metadata : undefined,
+      encryption: protection || undefined,
     });
 
-    const outlinedPdf = fs.readFileSync(savePath);
+    const outputPdf = fs.readFileSync(outputPath);
     res.set({
       'Content-Type': 'application/pdf',
       'Content-Disposition': 'attachment; filename="bookmarked.pdf"',
     });
-    res.send(Buffer.from(outlinedPdf));
+    res.send(Buffer.from(outputPdf));
 
-    if (!KEEP_AFTER_PROCESS) {
-      res.on('finish', () => {
-        safeUnlink(savePath);
-        safeUnlink(filePath);
-      });
-    }
+    res.on('finish', () => {
+      safeUnlink(outputPath);
+      releaseUpload(id);
+    });
   } catch (err) {
     console.error('Processing error', err);
     return res.status(500).json({ error: err.message || 'processing error' });
   }
 });
 
+// Rebuilds an upload from a page plan ({ fileId?, page, rotate } per output page, fileId defaulting to `id`)
+// and stores the result as a new upload, so bookmarking continues on the organized document
+app.post('/api/organize', async (req, res) => {
+  const { id, pages } = req.body;
+  if (!id) return res.status(400).json({ error: 'missing id' });
+  if (!Array.isArray(pages) || pages.length === 0) return res.status(400).json({ error: 'missing pages' });
+
+  const primary = id;
+  const plan = pages.map((p) => ({
+    source: p && p.fileId ? p.fileId : primary,
+    page: Number(p && p.page),
+    rotate: Number((p && p.rotate) || 0),
+  }));
+  const sources = {};
+  for (const source of new Set([primary, ...plan.map((p) => p.source)])) {
+    const filePath = resolveUpload(res, source);
+    if (!filePath) return;
+    sources[source] = filePath;
+  }
+
+  const newId = `${crypto.randomBytes(16).toString('hex')}.pdf`;
+  const outputPath = path.join(uploadDir, newId);
+  try {
+    const numPages = await organizePdf({ sources, primary, pages: plan, outputPath });
+    res.json({ id: newId, numPages });
+  } catch (err) {
+    safeUnlink(outputPath);
+    const invalid = /^entry \d+:/.test(err.message || '');
+    if (!invalid) console.error('Organize error', err);
+    res.status(invalid ? 400 : 500).json({ error: err.message || 'organize error' });
+  }
+});
+
+app.post('/api/jobs', (req, res) => {
+  const { id, bookmarks, ocr, preserveOrder, pageLabels, annotations, formValues, flattenForm, metadata, encryption } = req.body;
+  if (!id) return res.status(400).json({ error: 'missing id' });
+  if (!resolveUpload(res, id)) return;
+  let protection;
+  try {
+    protection = normalizeEncryption(encryption);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const job = jobQueue.submit({
+    id,
+    bookmarks,
+    ocr: Boolean(ocr),
+    preserveOrder: Boolean(preserveOrder),
+    pageLabels: Array.isArray(pageLabels) ? pageLabels : undefined,
+    annotations: Array.isArray(annotations) ? annotations : undefined,
+    formValues: isPlainObject(formValues) ? formValues : undefined,
+    flattenForm: Boolean(flattenForm),
+    metadata: isPlainObject(metadata) ? metadata : undefined,
+  }, { secrets: protection ? { encryption: protection } : {} });
+  res.status(202).json(job);
+});
+
+// Normalizes a list of { id, name } uploads; returns the first one that is not a valid upload id as
+// `invalid` and the first one that no longer exists as `missing`
+function uploadList(files) {
+  const list = files.map((f) => ({
+    id: f && typeof f.id === 'string' ? f.id : '',
+    name: f && typeof f.name === 'string' ? f.name : null,
+  }));
+  const invalid = list.find((f) => !isFileId(f.id));
+  const missing = list.find((f) => !invalid && !fs.existsSync(path.join(uploadDir, f.id)));
+  return { list, invalid, missing };
+}
+
+// One outline template applied to many uploads; the job's output is a ZIP of the bookmarked PDFs
+app.post('/api/batches', (req, res) => {
+  const { files, template, ocr, preserveOrder } = req.body;
+  if (!Array.isArray(files) || files.length === 0) return res.status(400).json({ error: 'missing files' });
+  if (files.length > MAX_BATCH_FILES) return res.status(400).json({ error: `at most ${MAX_BATCH_FILES} files per batch` });
+  if (!Array.isArray(template) || template.length === 0) return res.status(400).json({ error: 'missing template' });
+
+  const { list: batchFiles, invalid, missing } = uploadList(files);
+  if (invalid) return res.status(400).json({ error: `invalid file id: ${invalid.name || invalid.id}`, code: 'INVALID_FILE_ID' });
+  if (missing) return res.status(404).json({ error: `file not found: ${missing.name || missing.id}` });
+
+  const job = jobQueue.submit(
+    { type: 'batch', files: batchFiles, template, ocr: Boolean(ocr), preserveOrder: Boolean(preserveOrder) },
+    { outputName: 'output.zip' }
+  );
+  res.status(202).json(job);
+});
+
+// Concatenates uploads in the given order with one top-level bookmark per file
+app.post('/api/merge', (req, res) => {
+  const { files } = req.body;
+  if (!Array.isArray(files) || files.length < 2) return res.status(400).json({ error: 'at least two files are needed' });
+  if (files.length > MAX_BATCH_FILES) return res.status(400).json({ error: `at most ${MAX_BATCH_FILES} files per merge` });
+
+  const { list, invalid, missing } = uploadList(files);
+  if (invalid) return res.status(400).json({ error: `invalid file id: ${invalid.name || invalid.id}`, code: 'INVALID_FILE_ID' });
+  if (missing) return res.status(404).json({ error: `file not found: ${missing.name || missing.id}` });
+
+  const job = jobQueue.submit({ type: 'merge', files: list });
+  res.status(202).json(job);
+});
+
+// Cuts an upload into one PDF per bookmark at `level` (1 = top-level), using the same tree as /api/process;
+// the job's output is a ZIP of the pieces
+app.post('/api/split', (req, res) => {
+  const { id, bookmarks, level, preserveOrder } = req.body;
+  if (!id) return res.status(400).json({ error: 'missing id' });
+  if (!Array.isArray(bookmarks) || bookmarks.length === 0) return res.status(400).json({ error: 'missing bookmarks' });
+  const splitLevel = level === undefined ? 1 : Number(level);
+  if (!Number.isInteger(splitLevel) || splitLevel < 1) return res.status(400).json({ error: 'level must be a positive integer' });
+  if (!resolveUpload(res, id)) return;
+
+  const job = jobQueue.submit(
+    { type: 'split', id, bookmarks, level: splitLevel, preserveOrder: Boolean(preserveOrder) },
+    { outputName: 'output.zip' }
+  );
+  res.status(202).json(job);
+});
+
+// Mail merge: fills the upload's form once per row ({ fieldName: value }) and zips the results,
+// naming each PDF after the row's `nameColumn` value
+app.post('/api/form-fill', (req, res) => {
+  const { id, rows, nameColumn, flatten, bookmarks, preserveOrder } = req.body;
+  if (!id) return res.status(400).json({ error: 'missing id' });
+  if (!Array.isArray(rows) || rows.length === 0) return res.status(400).json({ error: 'missing rows' });
+  if (rows.length > MAX_FORM_ROWS) return res.status(400).json({ error: `at most ${MAX_FORM_ROWS} rows per fill` });
+  if (!rows.every(isPlainObject)) return res.status(400).json({ error: 'every row must be an object of field values' });
+  if (!resolveUpload(res, id)) return;
+
+  const job = jobQueue.submit(
+    {
+      type: 'formFill',
+      id,
+      rows,
+      nameColumn: typeof nameColumn === 'string' ? nameColumn : null,
+      flatten: Boolean(flatten),
+      bookmarks: Array.isArray(bookmarks) ? bookmarks : [],
+      preserveOrder: Boolean(preserveOrder),
+    },
+    { outputName: 'output.zip' }
+  );
+  res.status(202).json(job);
+});
+
+app.get('/api/jobs/:jobId', (req, res) => {
+  const job = jobQueue.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+  res.json(job);
+});
+
+// Server-Sent Events stream of job state; closes once the job is done or failed
+app.get('/api/jobs/:jobId/events', (req, res) => {
+  const job = jobQueue.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  const send = (state) => {
+    res.write(`data: ${JSON.stringify(state)}\n\n`);
+    if (state.status === 'done' || state.status === 'failed') res.end();
+  };
+  send(job);
+  if (job.status === 'done' || job.status === 'failed') return;
+
+  const unsubscribe = jobQueue.subscribe(job.id, send);
+  req.on('close', unsubscribe);
+});
+
+app.get('/api/jobs/:jobId/download', (req, res) => {
+  const job = jobQueue.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+  const outputPath = jobQueue.getOutputPath(job.id);
+  if (!outputPath) return res.status(409).json({ error: `job is ${job.status}` });
+
+  const isZip = path.extname(outputPath) === '.zip';
+  res.set({
+    'Content-Type': isZip ? 'application/zip' : 'application/pdf',
+    'Content-Disposition': `attachment; filename="${isZip ? 'bookmarked.zip' : 'bookmarked.pdf'}"`,
+  });
+  res.sendFile(outputPath);
+});
+
+app.get('/api/files/:id', (req, res) => {
+  const filePath = resolveUpload(res, req.params.id);
+  if (!filePath) return;
+  res.type('application/pdf').sendFile(filePath);
+});
+
+// AcroForm fields of an upload with their current values, for the form-filling panel
+app.get('/api/files/:id/fields', async (req, res) => {
+  const filePath = resolveUpload(res, req.params.id);
+  if (!filePath) return;
+  try {
+    res.json({ fields: await readFormFields(filePath) });
+  } catch (err) {
+    console.error('Form field error', err);
+    res.status(500).json({ error: err.message || 'form field error' });
+  }
+});
+
+// Decrypts a password-protected upload in place, so the viewer and every processing step can read it
+app.post('/api/files/:id/unlock', async (req, res) => {
+  const filePath = resolveUpload(res, req.params.id);
+  if (!filePath) return;
+  try {
+    await decryptPdf(filePath, req.body && req.body.password);
+    res.json({ id: req.params.id, passwordRequired: false });
+  } catch (err) {
+    if (err.code === 'INCORRECT_PASSWORD') return res.status(403).json({ error: err.message });
+    console.error('Unlock error', err);
+    res.status(500).json({ error: err.message || 'unlock error' });
+  }
+});
+
+// Document properties and viewer preferences of an upload, for the metadata panel
+app.get('/api/files/:id/metadata', async (req, res) => {
+  const filePath = resolveUpload(res, req.params.id);
+  if (!filePath) return;
+  try {
+    res.json(await readMetadata(filePath));
+  } catch (err) {
+    console.error('Metadata error', err);
+    res.status(500).json({ error: err.message || 'metadata error' });
+  }
+});
+
+// ===== PROJECTS API =====
+app.get('/api/projects', (req, res) => {
+  res.json({ projects: projects.list() });
+});
+
+app.post('/api/projects', (req, res) => {
+  const { name, fileId, originalName, tree } = req.body;
+  if (!fileId) return res.status(400).json({ error: 'missing fileId' });
+  if (!resolveUpload(res, fileId)) return;
+
+  const project = projects.create({ name, fileId, originalName, tree });
+  res.status(201).json(project);
+});
+
+app.get('/api/projects/:projectId', (req, res) => {
+  const project = projects.get(req.params.projectId);
+  if (!project) return res.status(404).json({ error: 'project not found' });
+  res.json({ ...project, fileAvailable: fs.existsSync(path.join(uploadDir, project.fileId)) });
+});
+
+app.patch('/api/projects/:projectId', (req, res) => {
+  const { name, tree, fileId } = req.body;
+  if (tree !== undefined && !Array.isArray(tree)) return res.status(400).json({ error: 'tree must be an array' });
+  // A project follows its document when the pages are organized into a new upload
+  if (fileId !== undefined && (!isFileId(fileId) || !fs.existsSync(path.join(uploadDir, fileId)))) {
+    return res.status(400).json({ error: 'fileId must be an existing upload' });
+  }
+
+  const project = projects.update(req.params.projectId, { name, tree, fileId });
+  if (!project) return res.status(404).json({ error: 'project not found' });
+  res.json(project);
+});
+
+app.delete('/api/projects/:projectId', (req, res) => {
+  if (!projects.remove(req.params.projectId)) return res.status(404).json({ error: 'project not found' });
+  res.status(204).end();
+});
+
+app.post('/api/detect-toc', async (req, res) => {
+  try {
+    const { id } = req.body;
+    if (!id) return res.status(400).json({ error: 'missing id' });
+
+    const filePath = resolveUpload(res, id);
+    if (!filePath) return;
+
+    const result = await detectToc(filePath);
+    res.json(result);
+  } catch (err) {
+    console.error('TOC detection error', err);
+    return res.status(500).json({ error: err.message || 'toc detection error' });
+  }
+});
+
+app.post('/api/generate-outline', async (req, res) => {
+  try {
+    const { id, maxDepth, minFontRatio } = req.body;
+    if (!id) return res.status(400).json({ error: 'missing id' });
+
+    const filePath = resolveUpload(res, id);
+    if (!filePath) return;
+
+    const result = await generateHeadingOutline(filePath, { maxDepth, minFontRatio });
+    res.json(result);
+  } catch (err) {
+    console.error('Outline generation error', err);
+    return res.status(500).json({ error: err.message || 'outline generation error' });
+  }
+});
+
 // ===== SERVE FRONTEND IN PRODUCTION =====
 if (process.env.NODE_ENV === 'production') {
   const frontendPath = path.join(__dirname, '../frontend/dist');
@@ -226,7 +666,8 @@ if (process.env.NODE_ENV === 'production') {
 
 // ===== START SERVER =====
 const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => console.log(`Server listening on ${PORT}`));
+// PORT=0 picks a free port; the log line names the real one
+const server = app.listen(PORT, () => console.log(`Server listening on ${server.address().port}`));
 
 // ===== FILE CLEANUP (TTL) =====
 function sweepUploadsDirectory() {
@@ -234,10 +675,13 @@ function sweepUploadsDirectory() {
     const files = fs.readdirSync(uploadDir);
     const now = Date.now();
     const ttlMs = UPLOAD_TTL_HOURS * 60 * 60 * 1000;
+    const keep = projects.referencedFiles();
     files.forEach((name) => {
+      if (keep.has(name)) return;
       const p = path.join(uploadDir, name);
       try {
         const stat = fs.statSync(p);
+        if (stat.isDirectory()) return;
         const age = now - stat.mtimeMs;
         if (age > ttlMs) {
           safeUnlink(p);
@@ -246,6 +690,8 @@ function sweepUploadsDirectory() {
         // ignore
       }
     });
+    jobQueue.sweep(ttlMs);
+    uploads.sweepQuarantine(QUARANTINE_TTL_HOURS * 60 * 60 * 1000);
   } catch (e) {
     console.warn('Sweep failed', e.message);
   }
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const JOB_ID_PATTERN = /^[a-f0-9]{32}$/;
+const FINISHED = ['done', 'failed'];
+
+// Jobs run one at a time and are persisted as jobs/<id>/job.json so finished
+// output survives a restart. `run(job, onProgress)` must write job.outputPath.
+// Progress updates may carry `results` (per-item outcomes of a batch) and `ocrSkipped` (pages OCR could not
+// read, as { page, reason }), which are kept and published.
+// `secrets` given to submit (e.g. output passwords) join job.input in memory only: job.json records just
+// their names, they are dropped once the job finishes, and a restart fails the job instead of re-running it.
+function createJobQueue({ dir, run }) {
+  const jobs = new Map();
+  const events = new EventEmitter();
+  const pending = [];
+  let running = false;
+
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  events.setMaxListeners(0);
+
+  function jobDir(id) {
+    return path.join(dir, id);
+  }
+
+  function save(job) {
+    job.updatedAt = new Date().toISOString();
+    const input = { ...job.input };
+    job.secretKeys.forEach((key) => delete input[key]);
+    fs.writeFileSync(path.join(jobDir(job.id), 'job.json'), JSON.stringify({ ...job, input }, null, 2));
+    events.emit(job.id, toPublic(job));
+  }
+
+  function toPublic(job) {
+    const { id, status, stage, percent, message, error, results, ocrSkipped, createdAt, updatedAt } = job;
+    return { id, status, stage, percent, message, error, ...(results && { results }), ...(ocrSkipped && { ocrSkipped }), createdAt, updatedAt };
+  }
+
+  async function drain() {
+    if (running) return;
+    running = true;
+    while (pending.length > 0) {
+      const job = jobs.get(pending.shift());
+      if (!job) continue;
+      job.status = 'running';
+      job.stage = 'starting';
+      save(job);
+      try {
+        await run(job, (update) => {
+          Object.assign(job, update, { status: 'running' });
+          save(job);
+        });
+        job.status = 'done';
+        job.stage = 'done';
+        job.percent = 100;
+      } catch (err) {
+        console.error('Job failed', job.id, err);
+        job.status = 'failed';
+        job.stage = 'failed';
+        job.error = err.message || 'processing error';
+      }
+      job.secretKeys.forEach((key) => delete job.input[key]);
+      save(job);
+    }
+    running = false;
+  }
+
+  function submit(input, { outputName = 'output.pdf', secrets = {} } = {}) {
+    const id = crypto.randomBytes(16).toString('hex');
+    fs.mkdirSync(jobDir(id), { recursive: true });
+    const now = new Date().toISOString();
+    const job = {
+      id,
+      status: 'queued',
+      stage: 'queued',
+      percent: 0,
+      message: 'Waiting in queue',
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      input: { ...input, ...secrets },
+      secretKeys: Object.keys(secrets),
+      outputPath: path.join(jobDir(id), outputName),
+    };
+    jobs.set(id, job);
+    save(job);
+    pending.push(id);
+    drain();
+    return toPublic(job);
+  }
+
+  function get(id) {
+    if (!JOB_ID_PATTERN.test(id || '')) return null;
+    const job = jobs.get(id);
+    return job ? toPublic(job) : null;
+  }
+
+  function getOutputPath(id) {
+    const job = JOB_ID_PATTERN.test(id || '') ? jobs.get(id) : null;
+    if (!job || job.status !== 'done' || !fs.existsSync(job.outputPath)) return null;
+    return job.outputPath;
+  }
+
+  // Calls `listener` with every state change until the job finishes; returns an unsubscribe function
+  function subscribe(id, listener) {
+    const handler = (state) => {
+      listener(state);
+      if (FINISHED.includes(state.status)) events.off(id, handler);
+    };
+    events.on(id, handler);
+    return () => events.off(id, handler);
+  }
+
+  function remove(id) {
+    jobs.delete(id);
+    fs.rmSync(jobDir(id), { recursive: true, force: true });
+  }
+
+  function sweep(ttlMs) {
+    const now = Date.now();
+    jobs.forEach((job, id) => {
+      if (FINISHED.includes(job.status) && now - Date.parse(job.updatedAt) > ttlMs) remove(id);
+    });
+  }
+
+  // Pick up jobs from a previous run; unfinished ones start again from the beginning, except those
+  // whose secrets were lost with the previous process
+  function restore() {
+    fs.readdirSync(dir).forEach((name) => {
+      if (!JOB_ID_PATTERN.test(name)) return;
+      try {
+        const job = JSON.parse(fs.readFileSync(path.join(jobDir(name), 'job.json'), 'utf8'));
+        job.secretKeys = job.secretKeys || [];
+        jobs.set(job.id, job);
+        if (!FINISHED.includes(job.status) && job.secretKeys.length > 0) {
+          job.status = 'failed';
+          job.stage = 'failed';
+          job.error = 'The server restarted before this job finished; submit it again';
+          job.secretKeys = [];
+          save(job);
+        } else if (!FINISHED.includes(job.status)) {
+          job.status = 'queued';
+          job.stage = 'queued';
+          job.percent = 0;
+          job.message = 'Restarted after server restart';
+          pending.push(job.id);
+        }
+      } catch (e) {
+        fs.rmSync(jobDir(name), { recursive: true, force: true });
+      }
+    });
+    drain();
+  }
+
+  restore();
+
+  return {
+    submit,
+    get,
+    getOutputPath,
+    subscribe,
+    sweep,
+  };
+}
+
+module.exports = {
+  createJobQueue,
+};
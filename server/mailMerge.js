@@ -0,0 +1,70 @@
+const path = require('path');
+const { processPdf } = require('./process');
+const { cleanFileName, safeUnlink, writeZip } = require('./files');
+
+function rowName(row, index, nameColumn, used) {
+  const base = cleanFileName(nameColumn ? row[nameColumn] : '', `Row ${index + 1}`);
+  let candidate = `${base}.pdf`;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${base} (${n}).pdf`;
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// Fills the form of `filePath` once per row ({ fieldName: value }, e.g. a parsed CSV line) and zips
+// the filled PDFs into `outputPath`, each named after the row's `nameColumn` value. Bookmarks, if
+// given, go into every copy. A row that fails is reported in its result and left out of the ZIP;
+// the job only fails when no row succeeds.
+async function fillFormRows({
+  filePath,
+  rows,
+  nameColumn,
+  flatten = false,
+  bookmarks,
+  preserveOrder = false,
+  outputPath,
+  onProgress = () => {},
+}) {
+  const workDir = path.dirname(outputPath);
+  const base = path.parse(outputPath).name;
+  const usedNames = new Set();
+  const results = rows.map((row, i) => ({ row: i + 1, name: null, status: 'queued', error: null }));
+  const entries = [];
+
+  const report = (index, message) => onProgress({
+    stage: 'fill',
+    percent: Math.round((index / rows.length) * 90),
+    message,
+    results,
+  });
+
+  try {
+    for (let i = 0; i < rows.length; i++) {
+      const result = results[i];
+      result.status = 'running';
+      report(i, `Filling row ${i + 1} of ${rows.length}`);
+      try {
+        const rowPath = path.join(workDir, `${base}-row-${i}.pdf`);
+        entries.push({ filePath: rowPath });
+        await processPdf({ filePath, outputPath: rowPath, bookmarks, preserveOrder, formValues: rows[i], flattenForm: flatten });
+        result.name = rowName(rows[i], i, nameColumn, usedNames);
+        entries[entries.length - 1].name = result.name;
+        result.status = 'done';
+      } catch (err) {
+        result.status = 'failed';
+        result.error = err.message || 'processing error';
+      }
+    }
+
+    const written = entries.filter((e) => e.name);
+    if (written.length === 0) throw new Error('no row could be filled');
+    onProgress({ stage: 'zip', percent: 90, message: 'Creating ZIP', results });
+    await writeZip(outputPath, written);
+    return results;
+  } finally {
+    entries.forEach((e) => safeUnlink(e.filePath));
+  }
+}
+
+module.exports = {
+  fillFormRows,
+};
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { processPdf } = require('./process');
+const { readOutline } = require('./outlineReader');
+const { safeUnlink } = require('./files');
+
+function shiftPages(nodes, offset) {
+  return nodes.map((n) => ({ ...n, page: n.page + offset, children: shiftPages(n.children || [], offset) }));
+}
+
+function fileTitle(name) {
+  const base = path.basename(name || '');
+  return (base.replace(/\.pdf$/i, '') || base || 'Untitled').trim();
+}
+
+// Concatenates `files` ({ filePath, name }) in order into `outputPath`. Each file gets a top-level
+// bookmark named after it, with the file's own outline nested underneath and shifted to its new pages.
+// Returns the bookmarks that were written.
+async function mergePdfs({ files, outputPath, onProgress = () => {} }) {
+  const merged = await PDFDocument.create();
+  const bookmarks = [];
+  const mergedPath = `${path.join(path.dirname(outputPath), path.parse(outputPath).name)}-merged.pdf`;
+
+  for (let i = 0; i < files.length; i++) {
+    const { filePath, name } = files[i];
+    onProgress({
+      stage: 'merge',
+      percent: Math.round((i / files.length) * 80),
+      message: `Adding ${name || `file ${i + 1}`} (${i + 1} of ${files.length})`,
+    });
+    if (!filePath || !fs.existsSync(filePath)) throw new Error(`file not found: ${name || i + 1}`);
+
+    let source;
+    try {
+      source = await PDFDocument.load(fs.readFileSync(filePath));
+    } catch (err) {
+      throw new Error(`${name || `file ${i + 1}`} could not be read: ${err.message}`);
+    }
+    const offset = merged.getPageCount();
+    const pages = await merged.copyPages(source, source.getPageIndices());
+    pages.forEach((p) => merged.addPage(p));
+
+    const { bookmarks: outline } = await readOutline(filePath);
+    bookmarks.push({ title: fileTitle(name), page: offset + 1, children: shiftPages(outline, offset) });
+  }
+
+  try {
+    fs.writeFileSync(mergedPath, await merged.save());
+    onProgress({ stage: 'outline', percent: 80, message: 'Adding bookmarks' });
+    await processPdf({ filePath: mergedPath, outputPath, bookmarks, preserveOrder: true });
+    return bookmarks;
+  } finally {
+    safeUnlink(mergedPath);
+  }
+}
+
+module.exports = {
+  mergePdfs,
+};
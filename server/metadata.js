@@ -0,0 +1,219 @@
+const fs = require('fs');
+const { PDFDocument, PDFName, PDFHexString, PDFRawStream, PDFStream, decodePDFRawStream } = require('pdf-lib');
+
+// Catalog /PageMode and /PageLayout values (PDF 32000 table 28)
+const PAGE_MODES = ['UseNone', 'UseOutlines', 'UseThumbs', 'FullScreen', 'UseOC', 'UseAttachments'];
+const PAGE_LAYOUTS = ['SinglePage', 'OneColumn', 'TwoColumnLeft', 'TwoColumnRight', 'TwoPageLeft', 'TwoPageRight'];
+const TEXT_FIELDS = ['title', 'author', 'subject', 'keywords', 'language'];
+const INFO_KEYS = { title: 'Title', author: 'Author', subject: 'Subject', keywords: 'Keywords' };
+
+// ===== XMP =====
+
+function xmlDecode(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+function xmlEncode(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Value of an XMP property written as an element (plain or rdf:Alt/Seq/Bag) or as an attribute;
+// list items are joined with `separator`. Null when the packet doesn't have it.
+function xmpProperty(xml, name, separator = '; ') {
+  const element = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+  if (element) {
+    const items = Array.from(element[1].matchAll(/<rdf:li(?:\s[^>]*)?>([\s\S]*?)<\/rdf:li>/g), (m) => xmlDecode(m[1]).trim());
+    return items.length > 0 ? items.filter(Boolean).join(separator) : xmlDecode(element[1]).trim();
+  }
+  const attribute = xml.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return attribute ? xmlDecode(attribute[1]).trim() : null;
+}
+
+function readXmpPacket(pdfDoc) {
+  const stream = pdfDoc.catalog.lookup(PDFName.of('Metadata'));
+  if (!(stream instanceof PDFStream)) return null;
+  try {
+    const bytes = stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getContents();
+    return Buffer.from(bytes).toString('utf8');
+  } catch (e) {
+    return null;
+  }
+}
+
+function parseXmp(xml) {
+  return {
+    title: xmpProperty(xml, 'dc:title'),
+    author: xmpProperty(xml, 'dc:creator'),
+    subject: xmpProperty(xml, 'dc:description'),
+    keywords: xmpProperty(xml, 'pdf:Keywords') || xmpProperty(xml, 'dc:subject', ', '),
+    language: xmpProperty(xml, 'dc:language', ', '),
+  };
+}
+
+// XMP properties this module writes; existing copies are removed before the new ones are added
+const XMP_MANAGED = ['dc:title', 'dc:creator', 'dc:description', 'dc:subject', 'dc:language', 'pdf:Keywords', 'pdf:Producer', 'xmp:ModifyDate', 'xmp:MetadataDate'];
+
+function xmpDescription(values, producer, now) {
+  const lines = [];
+  const alt = (name, value) => lines.push(`<${name}><rdf:Alt><rdf:li xml:lang="x-default">${xmlEncode(value)}</rdf:li></rdf:Alt></${name}>`);
+  const list = (name, kind, items) => lines.push(`<${name}><rdf:${kind}>${items.map((i) => `<rdf:li>${xmlEncode(i)}</rdf:li>`).join('')}</rdf:${kind}></${name}>`);
+  const splitList = (value, pattern) => value.split(pattern).map((s) => s.trim()).filter(Boolean);
+
+  if (values.title) alt('dc:title', values.title);
+  if (values.author) list('dc:creator', 'Seq', splitList(values.author, /;/));
+  if (values.subject) alt('dc:description', values.subject);
+  if (values.keywords) {
+    list('dc:subject', 'Bag', splitList(values.keywords, /[,;]/));
+    lines.push(`<pdf:Keywords>${xmlEncode(values.keywords)}</pdf:Keywords>`);
+  }
+  if (values.language) list('dc:language', 'Bag', [values.language]);
+  if (producer) lines.push(`<pdf:Producer>${xmlEncode(producer)}</pdf:Producer>`);
+  lines.push(`<xmp:ModifyDate>${now}</xmp:ModifyDate>`, `<xmp:MetadataDate>${now}</xmp:MetadataDate>`);
+
+  return [
+    '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:pdf="http://ns.adobe.com/pdf/1.3/" xmlns:xmp="http://ns.adobe.com/xap/1.0/">',
+    ...lines.map((l) => `  ${l}`),
+    '</rdf:Description>',
+  ].join('\n');
+}
+
+// Puts the values into the document's XMP packet, keeping every property this module doesn't manage
+// (PDF/A identification, custom schemas, ...), or builds a new packet when there is none
+function buildXmp(existing, values, producer) {
+  const now = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  const description = xmpDescription(values, producer, now);
+  if (existing && /<\/rdf:RDF>/.test(existing)) {
+    let xml = existing;
+    XMP_MANAGED.forEach((name) => {
+      xml = xml
+        .replace(new RegExp(`\\s*<${name}(?:\\s[^>]*)?>[\\s\\S]*?</${name}>`, 'g'), '')
+        .replace(new RegExp(`\\s*<${name}(?:\\s[^>]*)?/>`, 'g'), '')
+        .replace(new RegExp(`\\s${name}="[^"]*"`, 'g'), '');
+    });
+    return xml.replace('</rdf:RDF>', `${description}\n</rdf:RDF>`);
+  }
+  return [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    description,
+    '</rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>',
+  ].join('\n');
+}
+
+// ===== READ / WRITE =====
+
+function catalogText(pdfDoc, key) {
+  const value = pdfDoc.catalog.lookup(PDFName.of(key));
+  return value && typeof value.decodeText === 'function' ? value.decodeText() : null;
+}
+
+function catalogName(pdfDoc, key, allowed) {
+  const value = pdfDoc.catalog.lookup(PDFName.of(key));
+  const name = value instanceof PDFName ? value.decodeText() : null;
+  return allowed.includes(name) ? name : null;
+}
+
+// The editable text fields as the Info dictionary (and the catalog's /Lang) has them
+function infoFields(pdfDoc) {
+  return {
+    title: pdfDoc.getTitle(),
+    author: pdfDoc.getAuthor(),
+    subject: pdfDoc.getSubject(),
+    keywords: pdfDoc.getKeywords(),
+    language: catalogText(pdfDoc, 'Lang'),
+  };
+}
+
+// Document properties for the metadata panel. The editable fields come from the Info dictionary,
+// falling back to XMP where Info has nothing; `xmp` holds what the XMP packet says (null without one).
+async function readMetadata(filePath) {
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(filePath), { updateMetadata: false });
+  const packet = readXmpPacket(pdfDoc);
+  const xmp = packet ? parseXmp(packet) : null;
+  const info = infoFields(pdfDoc);
+  const fields = {};
+  TEXT_FIELDS.forEach((key) => {
+    fields[key] = info[key] || (xmp && xmp[key]) || '';
+  });
+  const prefs = pdfDoc.catalog.getViewerPreferences();
+  const dateOf = (date) => (date && !Number.isNaN(date.getTime()) ? date.toISOString() : null);
+
+  return {
+    ...fields,
+    pageMode: catalogName(pdfDoc, 'PageMode', PAGE_MODES),
+    pageLayout: catalogName(pdfDoc, 'PageLayout', PAGE_LAYOUTS),
+    displayDocTitle: prefs ? Boolean(prefs.getDisplayDocTitle()) : false,
+    creator: pdfDoc.getCreator() || null,
+    producer: pdfDoc.getProducer() || null,
+    creationDate: dateOf(pdfDoc.getCreationDate()),
+    modificationDate: dateOf(pdfDoc.getModificationDate()),
+    xmp,
+  };
+}
+
+// Writes the given properties and leaves out the rest: text fields ('' clears them), `pageMode` and
+// `pageLayout` (null removes them) and `displayDocTitle`. Info and XMP are kept in step.
+async function applyMetadata(filePath, metadata) {
+  const values = metadata || {};
+  ['pageMode', 'pageLayout'].forEach((key) => {
+    const allowed = key === 'pageMode' ? PAGE_MODES : PAGE_LAYOUTS;
+    if (values[key] && !allowed.includes(values[key])) throw new Error(`metadata: unknown ${key} "${values[key]}"`);
+  });
+
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(filePath));
+  const infoDict = pdfDoc.getInfoDict();
+  const text = (key) => (typeof values[key] === 'string' ? values[key].trim() : undefined);
+
+  Object.entries(INFO_KEYS).forEach(([key, infoKey]) => {
+    const value = text(key);
+    if (value === undefined) return;
+    if (value) infoDict.set(PDFName.of(infoKey), PDFHexString.fromText(value));
+    else infoDict.delete(PDFName.of(infoKey));
+  });
+  const language = text('language');
+  if (language) pdfDoc.setLanguage(language);
+  else if (language === '') pdfDoc.catalog.delete(PDFName.of('Lang'));
+
+  ['pageMode', 'pageLayout'].forEach((key) => {
+    if (values[key] === undefined) return;
+    const catalogKey = PDFName.of(key === 'pageMode' ? 'PageMode' : 'PageLayout');
+    if (values[key]) pdfDoc.catalog.set(catalogKey, PDFName.of(values[key]));
+    else pdfDoc.catalog.delete(catalogKey);
+  });
+  if (typeof values.displayDocTitle === 'boolean') {
+    pdfDoc.catalog.getOrCreateViewerPreferences().setDisplayDocTitle(values.displayDocTitle);
+  }
+
+  if (TEXT_FIELDS.some((key) => text(key) !== undefined)) {
+    // Fields left out keep their Info value, or the old XMP one when Info never had it
+    const packet = readXmpPacket(pdfDoc);
+    const previous = packet ? parseXmp(packet) : {};
+    const info = infoFields(pdfDoc);
+    const current = {};
+    TEXT_FIELDS.forEach((key) => {
+      current[key] = text(key) !== undefined ? text(key) : info[key] || previous[key] || '';
+    });
+    const xml = buildXmp(packet, current, pdfDoc.getProducer());
+    const stream = pdfDoc.context.stream(Buffer.from(xml, 'utf8'), { Type: 'Metadata', Subtype: 'XML' });
+    pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(stream));
+  }
+
+  fs.writeFileSync(filePath, await pdfDoc.save());
+}
+
+module.exports = {
+  PAGE_LAYOUTS,
+  PAGE_MODES,
+  applyMetadata,
+  readMetadata,
+};
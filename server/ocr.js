@@ -0,0 +1,376 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+const {
+  PDFDocument,
+  StandardFonts,
+  TextRenderingMode,
+  beginText,
+  endText,
+  popGraphicsState,
+  pushGraphicsState,
+  setCharacterSqueeze,
+  setFontAndSize,
+  setTextMatrix,
+  setTextRenderingMode,
+  showText,
+} = require('pdf-lib');
+const { openPdf } = require('./pdfText');
+const { createOcrWorker, resolveLanguages } = require('./tessdata');
+
+// Pages with at least this many characters of real text are left alone
+const MIN_TEXT_CHARS = 20;
+// Images smaller than this share of the page are logos or figures, not a scan
+const MIN_SCAN_COVERAGE = 0.5;
+
+// ===== PNG ENCODING =====
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+// Encodes raw 8-bit grey (1), RGB (3) or RGBA (4) pixels as a PNG buffer
+function encodePng(width, height, channels, pixels) {
+  const colorType = { 1: 0, 3: 2, 4: 6 }[channels];
+  const stride = width * channels;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    Buffer.from(pixels.buffer, pixels.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = colorType;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// pdf.js decodes images to 1-bit grey, RGB or RGBA; normalise to 8-bit channels.
+// In 1-bit data (incl. image masks, which JBIG2 and CCITT scans usually are) a 0 bit is ink.
+function imagePixels(img) {
+  const { width, height, kind, data } = img;
+  if (kind === pdfjs.ImageKind.RGB_24BPP) return { width, height, channels: 3, pixels: data };
+  if (kind === pdfjs.ImageKind.RGBA_32BPP) return { width, height, channels: 4, pixels: data };
+  const grey = new Uint8Array(width * height);
+  const rowBytes = (width + 7) >> 3;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const bit = (data[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+      grey[y * width + x] = bit ? 255 : 0;
+    }
+  }
+  return { width, height, channels: 1, pixels: grey };
+}
+
+// ===== PAGE IMAGES =====
+// Largest bitmap OCR gets for a page composed of several images
+const MAX_COMPOSITE_PIXELS = 40e6;
+
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+  ];
+}
+
+const tiny = (v) => Math.abs(v) < 1e-6;
+
+function isUpright(ctm) {
+  return tiny(ctm[1]) && tiny(ctm[2]) && ctm[0] > 0 && ctm[3] > 0;
+}
+
+// Upright, mirrored or turned by a quarter: the image stays a rectangle aligned with the page
+function isAxisAligned(ctm) {
+  return (tiny(ctm[1]) && tiny(ctm[2])) || (tiny(ctm[0]) && tiny(ctm[3]));
+}
+
+// Page-space rectangle the unit square of an image lands on
+function imageRect(ctm) {
+  const xs = [0, ctm[0], ctm[2], ctm[0] + ctm[2]].map((v) => v + ctm[4]);
+  const ys = [0, ctm[1], ctm[3], ctm[1] + ctm[3]].map((v) => v + ctm[5]);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+function getImageObject(page, name) {
+  return new Promise((resolve) => {
+    const store = name.startsWith('g_') ? page.commonObjs : page.objs;
+    try {
+      store.get(name, resolve);
+    } catch (e) {
+      resolve(null);
+    }
+  });
+}
+
+async function pageHasText(page) {
+  const content = await page.getTextContent();
+  const chars = content.items.reduce((sum, it) => sum + (it.str ? it.str.trim().length : 0), 0);
+  return chars >= MIN_TEXT_CHARS;
+}
+
+// Draws decoded images into one RGB bitmap of `rect` (page space, y up) as they appear on the page,
+// at `scale` pixels per point. Each part is { image: imagePixels(), ctm }.
+function composeBitmap(parts, rect, scale) {
+  const width = Math.max(1, Math.round(rect.width * scale));
+  const height = Math.max(1, Math.round(rect.height * scale));
+  const out = new Uint8Array(width * height * 3).fill(255);
+  parts.forEach(({ image, ctm }) => {
+    const [a, b, c, d, e, f] = ctm;
+    const det = a * d - b * c;
+    const r = imageRect(ctm);
+    const x0 = Math.max(0, Math.floor((r.x - rect.x) * scale));
+    const x1 = Math.min(width, Math.ceil((r.x + r.width - rect.x) * scale));
+    const y0 = Math.max(0, Math.floor((rect.y + rect.height - r.y - r.height) * scale));
+    const y1 = Math.min(height, Math.ceil((rect.y + rect.height - r.y) * scale));
+    for (let oy = y0; oy < y1; oy++) {
+      const py = rect.y + rect.height - (oy + 0.5) / scale;
+      for (let ox = x0; ox < x1; ox++) {
+        const px = rect.x + (ox + 0.5) / scale;
+        // Back to the image's unit square; its first row is the top (v = 1)
+        const u = (d * (px - e) - c * (py - f)) / det;
+        const v = (a * (py - f) - b * (px - e)) / det;
+        if (u < 0 || u >= 1 || v <= 0 || v > 1) continue;
+        const col = Math.min(image.width - 1, Math.floor(u * image.width));
+        const row = Math.min(image.height - 1, Math.floor((1 - v) * image.height));
+        const src = (row * image.width + col) * image.channels;
+        const dst = (oy * width + ox) * 3;
+        if (image.channels === 4 && image.pixels[src + 3] === 0) continue;
+        for (let k = 0; k < 3; k++) out[dst + k] = image.pixels[src + (image.channels === 1 ? 0 : k)];
+      }
+    }
+  });
+  return { width, height, channels: 3, pixels: out };
+}
+
+// Finds the scan on a page: the images it is painted with (one, or strips and tiles), turned the way
+// the page shows them. Returns { scan: { png, width, height, rect } } or { skipped: reason }.
+async function getPageScan(page) {
+  const ops = await page.getOperatorList();
+  const { OPS } = pdfjs;
+  const stack = [];
+  let ctm = [1, 0, 0, 1, 0, 0];
+  const painted = [];
+  let slanted = 0;
+
+  for (let i = 0; i < ops.fnArray.length; i++) {
+    const fn = ops.fnArray[i];
+    const args = ops.argsArray[i];
+    if (fn === OPS.save) stack.push(ctm);
+    else if (fn === OPS.restore) ctm = stack.pop() || [1, 0, 0, 1, 0, 0];
+    else if (fn === OPS.transform) ctm = multiply(ctm, args);
+    else if (fn === OPS.paintFormXObjectBegin) {
+      // A form XObject saves the state and applies its /Matrix; scanners often wrap the scan in one
+      stack.push(ctm);
+      if (Array.isArray(args[0]) && args[0].length === 6) ctm = multiply(ctm, args[0]);
+    } else if (fn === OPS.paintFormXObjectEnd) ctm = stack.pop() || [1, 0, 0, 1, 0, 0];
+    else if (fn === OPS.paintImageXObject || fn === OPS.paintInlineImageXObject || fn === OPS.paintImageMaskXObject) {
+      if (!isAxisAligned(ctm)) slanted += 1;
+      else painted.push({ ctm, ref: args[0] });
+    }
+  }
+
+  const [px0, py0, px1, py1] = page.view;
+  const pageArea = (px1 - px0) * (py1 - py0);
+  if (painted.length === 0) {
+    return { skipped: slanted > 0 ? 'the scan is rotated by an angle other than a quarter turn' : 'no scanned image on the page' };
+  }
+  // Overlaps are not subtracted: tiles of one scan don't overlap, and a logo over a scan doesn't matter
+  const coverage = painted.reduce((sum, p) => sum + imageRect(p.ctm).width * imageRect(p.ctm).height, 0) / pageArea;
+  if (coverage < MIN_SCAN_COVERAGE) return { skipped: `images cover only ${Math.round(coverage * 100)}% of the page` };
+
+  const parts = [];
+  for (const p of painted) {
+    // Images come by object id, masks as { data: object id, ... } or inline
+    let img = p.ref;
+    if (typeof img === 'string') img = await getImageObject(page, img);
+    else if (img && typeof img.data === 'string') img = await getImageObject(page, img.data);
+    if (img && img.data && img.width && img.height) parts.push({ image: imagePixels(img), ctm: p.ctm });
+  }
+  if (parts.length === 0) return { skipped: 'the scanned image could not be decoded' };
+
+  const rects = parts.map((p) => imageRect(p.ctm));
+  const left = Math.min(...rects.map((r) => r.x));
+  const bottom = Math.min(...rects.map((r) => r.y));
+  const rect = {
+    x: left,
+    y: bottom,
+    width: Math.max(...rects.map((r) => r.x + r.width)) - left,
+    height: Math.max(...rects.map((r) => r.y + r.height)) - bottom,
+  };
+  // Keep the resolution of the sharpest image, within the pixel budget
+  const sharpest = Math.max(...parts.map(({ image, ctm: m }) => {
+    const r = imageRect(m);
+    return Math.max(image.width, image.height) / Math.max(r.width, r.height);
+  }));
+  const scale = Math.min(sharpest, Math.sqrt(MAX_COMPOSITE_PIXELS / (rect.width * rect.height)));
+  const bitmap = parts.length === 1 && isUpright(parts[0].ctm)
+    ? parts[0].image
+    : composeBitmap(parts, rect, scale);
+  return {
+    scan: {
+      png: encodePng(bitmap.width, bitmap.height, bitmap.channels, bitmap.pixels),
+      width: bitmap.width,
+      height: bitmap.height,
+      rect,
+    },
+  };
+}
+
+// ===== TEXT LAYER =====
+// Flattens Tesseract's block tree into words; `paragraph` and `line` number them across the whole image
+function collectWords(blocks) {
+  const words = [];
+  let paragraphIndex = 0;
+  let lineIndex = 0;
+  (blocks || []).forEach((block) => {
+    (block.paragraphs || []).forEach((para) => {
+      (para.lines || []).forEach((line) => {
+        (line.words || []).forEach((word) => {
+          const text = (word.text || '').trim();
+          if (text) words.push({ text, confidence: word.confidence, bbox: word.bbox, paragraph: paragraphIndex, line: lineIndex });
+        });
+        lineIndex++;
+      });
+      paragraphIndex++;
+    });
+  });
+  return words;
+}
+
+function encodableText(font, text) {
+  const charset = new Set(font.getCharacterSet());
+  return Array.from(text).map((ch) => (charset.has(ch.codePointAt(0)) ? ch : '?')).join('');
+}
+
+// Writes each OCR word as invisible text (render mode 3) over the image area it was read from
+function addInvisibleText(pdfPage, font, fontKey, words, scan) {
+  const sx = scan.rect.width / scan.width;
+  const sy = scan.rect.height / scan.height;
+  const ops = [pushGraphicsState(), beginText(), setTextRenderingMode(TextRenderingMode.Invisible)];
+
+  words.forEach((word) => {
+    const text = encodableText(font, word.text);
+    const { x0, y0, x1, y1 } = word.bbox;
+    const boxWidth = (x1 - x0) * sx;
+    const size = Math.max(1, (y1 - y0) * sy);
+    const naturalWidth = font.widthOfTextAtSize(text, size);
+    if (!naturalWidth || !boxWidth) return;
+    const x = scan.rect.x + x0 * sx;
+    const y = scan.rect.y + scan.rect.height - y1 * sy + size * 0.2;
+    ops.push(
+      setFontAndSize(fontKey, size),
+      setCharacterSqueeze((boxWidth / naturalWidth) * 100),
+      setTextMatrix(1, 0, 0, 1, x, y),
+      showText(font.encodeText(text)),
+    );
+  });
+
+  ops.push(endText(), popGraphicsState());
+  pdfPage.pushOperators(...ops);
+}
+
+// ===== OCR PIPELINE =====
+// `languages` is a list of traineddata codes or 'eng+deu'; by default English (or the first installed pack).
+// `skipped` lists the pages without text that got no text layer, as { page, reason }.
+async function ocrPdf({ loadPath, savePath, languages, onProgress = () => {} }) {
+  const source = await openPdf(loadPath);
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(loadPath));
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const worker = await createOcrWorker(resolveLanguages(languages));
+  const total = source.numPages;
+  let recognized = 0;
+  const skipped = [];
+
+  try {
+    for (let p = 1; p <= total; p++) {
+      onProgress({ stage: 'ocr', page: p, total });
+      const page = await source.getPage(p);
+      const { scan, skipped: reason } = (await pageHasText(page)) ? {} : await getPageScan(page);
+      page.cleanup();
+      if (reason) skipped.push({ page: p, reason });
+      if (!scan) continue;
+
+      const { data } = await worker.recognize(scan.png, {}, { blocks: true });
+      const words = collectWords(data.blocks);
+      if (words.length === 0) {
+        skipped.push({ page: p, reason: 'no text was recognized in the scan' });
+        continue;
+      }
+
+      const pdfPage = pdfDoc.getPage(p - 1);
+      const fontKey = pdfPage.node.newFontDictionary(font.name, font.ref);
+      addInvisibleText(pdfPage, font, fontKey, words, scan);
+      recognized += 1;
+    }
+  } finally {
+    await worker.terminate();
+    await source.destroy();
+  }
+
+  fs.writeFileSync(savePath, await pdfDoc.save());
+  onProgress({ stage: 'ocr', page: total, total, done: true });
+  return { pages: total, recognized, skipped };
+}
+
+// ===== IMAGE OCR =====
+// Reads every image with one worker. Per image: { text, confidence, words } where each word has
+// its text, confidence (0-100), pixel bbox { x0, y0, x1, y1 } and paragraph/line numbers.
+async function ocrImages({ paths, languages, onProgress = () => {} }) {
+  const worker = await createOcrWorker(resolveLanguages(languages));
+  const results = [];
+  try {
+    for (let i = 0; i < paths.length; i++) {
+      onProgress({ image: i + 1, total: paths.length });
+      const { data } = await worker.recognize(paths[i], {}, { text: true, blocks: true });
+      results.push({
+        text: (data.text || '').trim(),
+        confidence: Math.round(data.confidence || 0),
+        words: collectWords(data.blocks).map((w) => ({ ...w, confidence: Math.round(w.confidence * 10) / 10 })),
+      });
+    }
+  } finally {
+    await worker.terminate();
+  }
+  return results;
+}
+
+module.exports = {
+  ocrPdf,
+  ocrImages,
+  addInvisibleText,
+  collectWords,
+  encodePng,
+  getPageScan,
+};
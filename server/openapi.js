@@ -0,0 +1,219 @@
+// Builds the OpenAPI 3 document of a versioned API from its route table (see apiV1.js), so the
+// published description always lists exactly the routes the server mounts.
+// `node server/openapi.js [file]` writes the /api/v1 document (`npm run openapi` regenerates docs/openapi.json).
+
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', example: 'FILE_NOT_FOUND' },
+          message: { type: 'string' },
+          details: { description: 'Extra information for some codes, e.g. the problems of VALIDATION_FAILED' },
+        },
+      },
+    },
+  },
+  Bookmark: {
+    type: 'object',
+    required: ['title', 'page'],
+    properties: {
+      title: { type: 'string' },
+      page: { type: 'integer', minimum: 1, description: '1-based page the bookmark opens' },
+      color: { type: 'string', pattern: '^#?[0-9a-fA-F]{6}$' },
+      bold: { type: 'boolean' },
+      italic: { type: 'boolean' },
+      open: { type: 'boolean', description: 'false shows the bookmark collapsed' },
+      dest: {
+        type: 'object',
+        properties: {
+          mode: { type: 'string', enum: ['fit', 'fitWidth', 'xyz'] },
+          left: { type: 'number', nullable: true },
+          top: { type: 'number', nullable: true },
+          zoom: { type: 'number', nullable: true },
+        },
+      },
+      children: { type: 'array', items: { $ref: '#/components/schemas/Bookmark' } },
+    },
+  },
+  Upload: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', example: '3f2c9a4b8d1e4f6a9b0c1d2e3f4a5b6c.pdf' },
+      originalName: { type: 'string' },
+      numPages: { type: 'integer' },
+      encrypted: { type: 'boolean' },
+      passwordRequired: { type: 'boolean', description: 'true until POST /files/{id}/unlock got the password' },
+    },
+  },
+  UnlockRequest: {
+    type: 'object',
+    properties: { password: { type: 'string' } },
+  },
+  Outline: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      numPages: { type: 'integer' },
+      bookmarks: { type: 'array', items: { $ref: '#/components/schemas/Bookmark' } },
+    },
+  },
+  ValidateRequest: {
+    type: 'object',
+    required: ['bookmarks'],
+    properties: {
+      bookmarks: { type: 'array', items: { $ref: '#/components/schemas/Bookmark' } },
+      fileId: { type: 'string', description: 'Check pages against this upload' },
+      numPages: { type: 'integer', minimum: 1, description: 'Check pages against this page count (ignored with fileId)' },
+    },
+  },
+  ValidationProblem: {
+    type: 'object',
+    properties: {
+      path: { type: 'string', example: 'bookmarks[0].children[2]' },
+      field: { type: 'string', nullable: true, example: 'page' },
+      code: {
+        type: 'string',
+        enum: ['NOT_AN_ARRAY', 'NOT_AN_OBJECT', 'TITLE_MISSING', 'TITLE_EMPTY', 'PAGE_INVALID', 'PAGE_OUT_OF_RANGE', 'COLOR_INVALID', 'DEST_INVALID', 'CHILDREN_INVALID'],
+      },
+      message: { type: 'string' },
+    },
+  },
+  ValidationResult: {
+    type: 'object',
+    properties: {
+      valid: { type: 'boolean' },
+      count: { type: 'integer', description: 'Number of bookmarks checked' },
+      numPages: { type: 'integer', nullable: true },
+      errors: { type: 'array', items: { $ref: '#/components/schemas/ValidationProblem' } },
+    },
+  },
+  ProcessRequest: {
+    type: 'object',
+    required: ['fileId'],
+    properties: {
+      fileId: { type: 'string' },
+      bookmarks: { type: 'array', items: { $ref: '#/components/schemas/Bookmark' } },
+      preserveOrder: { type: 'boolean', description: 'Keep the given order instead of sorting by page' },
+      ocr: { type: 'boolean', description: 'Add a text layer to scanned pages first' },
+      pageLabels: { type: 'array', items: { type: 'object' }, description: 'Page label ranges { startPage, style, prefix, start }' },
+      annotations: { type: 'array', items: { type: 'object' } },
+      formValues: { type: 'object', additionalProperties: true, description: '{ fieldName: value }' },
+      flattenForm: { type: 'boolean' },
+      metadata: { type: 'object', additionalProperties: true, description: 'Document properties and viewer preferences' },
+      encryption: {
+        type: 'object',
+        properties: {
+          userPassword: { type: 'string' },
+          ownerPassword: { type: 'string' },
+          permissions: {
+            type: 'object',
+            properties: { print: { type: 'boolean' }, copy: { type: 'boolean' }, modify: { type: 'boolean' } },
+          },
+        },
+      },
+    },
+  },
+  Job: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      status: { type: 'string', enum: ['queued', 'running', 'done', 'failed'] },
+      stage: { type: 'string', nullable: true },
+      percent: { type: 'integer' },
+      message: { type: 'string', nullable: true },
+      error: { type: 'string', nullable: true },
+      ocrSkipped: {
+        type: 'array',
+        description: 'Pages without text that OCR could not read, so they got no text layer',
+        items: {
+          type: 'object',
+          properties: { page: { type: 'integer' }, reason: { type: 'string' } },
+        },
+      },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+    },
+  },
+};
+
+function jsonContent(schema) {
+  return { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } };
+}
+
+function buildResponses(responses) {
+  const out = {};
+  Object.entries(responses).forEach(([status, { description, schema, file }]) => {
+    const response = { description };
+    if (file) response.content = Object.fromEntries(file.map((type) => [type, { schema: { type: 'string', format: 'binary' } }]));
+    else if (schema) response.content = jsonContent(schema);
+    else if (Number(status) >= 400) response.content = jsonContent('Error');
+    out[status] = response;
+  });
+  return out;
+}
+
+function buildRequestBody({ schema, multipart }) {
+  if (multipart) {
+    const properties = {};
+    Object.entries(multipart).forEach(([field, description]) => {
+      properties[field] = { type: 'string', format: 'binary', description };
+    });
+    return {
+      required: true,
+      content: { 'multipart/form-data': { schema: { type: 'object', required: Object.keys(multipart), properties } } },
+    };
+  }
+  return { required: true, content: jsonContent(schema) };
+}
+
+// `routes` are { method, path (express style, ':id'), summary, description, params, requestBody, responses }
+function buildOpenApiDocument(routes, { title, version, basePath }) {
+  const paths = {};
+  routes.forEach((route) => {
+    const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+    const parameters = (route.path.match(/:(\w+)/g) || []).map((p) => {
+      const name = p.slice(1);
+      return { name, in: 'path', required: true, schema: { type: 'string' }, description: (route.params || {})[name] };
+    });
+    const operation = {
+      summary: route.summary,
+      ...(route.description && { description: route.description }),
+      ...(parameters.length > 0 && { parameters }),
+      ...(route.requestBody && { requestBody: buildRequestBody(route.requestBody) }),
+      responses: buildResponses({
+        ...route.responses,
+        500: { description: 'Unexpected failure (INTERNAL_ERROR)' },
+      }),
+    };
+    paths[openApiPath] = { ...paths[openApiPath], [route.method]: operation };
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title,
+      version,
+      description: 'Every error response is JSON: { "error": { "code", "message", "details"? } }. Branch on `code`; `message` is for people.',
+    },
+    servers: [{ url: basePath }],
+    paths,
+    components: { schemas: SCHEMAS },
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument,
+};
+
+if (require.main === module) {
+  const fs = require('fs');
+  const { openApiDocument } = require('./apiV1');
+  const json = `${JSON.stringify(openApiDocument(), null, 2)}\n`;
+  if (process.argv[2]) fs.writeFileSync(process.argv[2], json);
+  else process.stdout.write(json);
+}
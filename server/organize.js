@@ -0,0 +1,66 @@
+const fs = require('fs');
+const { PDFDocument, PDFName, degrees } = require('pdf-lib');
+
+const ROTATIONS = [0, 90, 180, 270];
+
+// Page attributes a page can inherit from the page tree; pinned on the page before it is moved
+const INHERITABLE = ['Resources', 'MediaBox', 'CropBox', 'Rotate'];
+
+function pinInherited(page) {
+  INHERITABLE.forEach((name) => {
+    const key = PDFName.of(name);
+    if (page.node.get(key)) return;
+    const value = page.node.getInheritableAttribute(key);
+    if (value) page.node.set(key, value);
+  });
+}
+
+// Builds `outputPath` from a page plan: each entry ({ source, page, rotate }) takes one page of
+// `sources[source]` (a file path) and turns it clockwise by `rotate` degrees on top of its own rotation.
+// Pages can be repeated, dropped or taken from several files. The pages are rearranged inside `primary`,
+// so its form, page labels, document info, XMP metadata and viewer preferences are kept; pages of other
+// files are copied in.
+async function organizePdf({ sources, primary, pages, outputPath }) {
+  const loaded = new Map();
+  async function load(source) {
+    if (!loaded.has(source)) {
+      const filePath = sources[source];
+      if (!filePath || !fs.existsSync(filePath)) throw new Error(`file not found: ${source}`);
+      loaded.set(source, await PDFDocument.load(fs.readFileSync(filePath)));
+    }
+    return loaded.get(source);
+  }
+
+  const out = await load(primary);
+  const original = out.getPages();
+  const used = new Set();
+  const plan = [];
+  for (let i = 0; i < pages.length; i++) {
+    const { source, page, rotate = 0 } = pages[i];
+    const doc = await load(source);
+    if (!Number.isInteger(page) || page < 1 || page > doc.getPageCount()) {
+      throw new Error(`entry ${i + 1}: page ${page} does not exist in ${source}`);
+    }
+    if (!ROTATIONS.includes(rotate)) throw new Error(`entry ${i + 1}: rotate must be one of ${ROTATIONS.join(', ')}`);
+    let target;
+    if (doc === out && !used.has(page)) {
+      // The first use of a primary page moves the page itself; repeats are copies
+      used.add(page);
+      target = original[page - 1];
+      pinInherited(target);
+    } else {
+      [target] = await out.copyPages(doc, [page - 1]);
+    }
+    if (rotate) target.setRotation(degrees((target.getRotation().angle + rotate) % 360));
+    plan.push(target);
+  }
+
+  for (let i = out.getPageCount() - 1; i >= 0; i--) out.removePage(i);
+  plan.forEach((page) => out.addPage(page));
+  fs.writeFileSync(outputPath, await out.save());
+  return out.getPageCount();
+}
+
+module.exports = {
+  organizePdf,
+};
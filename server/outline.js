@@ -0,0 +1,50 @@
+function sortBookmarksByPage(nodes = []) {
+  return nodes
+    .slice()
+    .sort((a, b) => (Number(a.page) || 0) - (Number(b.page) || 0))
+    .map((n) => ({
+      ...n,
+      children: Array.isArray(n.children) ? sortBookmarksByPage(n.children) : [],
+    }));
+}
+
+function buildPrintedOutline(bookmarks, depth = 0, lines = []) {
+  bookmarks.forEach((b) => {
+    const page = parseInt(b.page, 10) || 1;
+    const title = (b.title || '').replace(/\n/g, ' ');
+    const depthMarkers = '-'.repeat(depth);
+    lines.push(`${page}|${depthMarkers}|${title}`);
+    if (Array.isArray(b.children) && b.children.length > 0) {
+      buildPrintedOutline(b.children, depth + 1, lines);
+    }
+  });
+  return lines.join('\n');
+}
+
+// The printed outline format requires pages that never decrease from one line to the next.
+// Returns a copy with each page raised to at least the previous line's page and whether any changed.
+function clampToPrintedOrder(nodes) {
+  let previous = 1;
+  let clamped = false;
+  function visit(list) {
+    return list.map((n) => {
+      const page = parseInt(n.page, 10) || 1;
+      const printedPage = Math.max(page, previous);
+      if (printedPage !== page) clamped = true;
+      previous = printedPage;
+      return {
+        ...n,
+        page: printedPage,
+        children: Array.isArray(n.children) ? visit(n.children) : [],
+      };
+    });
+  }
+  const bookmarks = visit(nodes);
+  return { bookmarks, clamped };
+}
+
+module.exports = {
+  sortBookmarksByPage,
+  buildPrintedOutline,
+  clampToPrintedOrder,
+};
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const { PDFDocument, PDFDict, PDFName, PDFNumber, PDFRef } = require('pdf-lib');
+
+const HEX_COLOR_PATTERN = /^#?([0-9a-f]{6})$/i;
+const DEST_MODES = ['fit', 'fitWidth', 'xyz'];
+
+// Outline item flags (PDF 32000 table 153)
+const ITALIC_FLAG = 1;
+const BOLD_FLAG = 2;
+
+// Visits outline items depth-first, which is the order outlinePdf writes them in
+function walkOutline(context, ref, visit) {
+  let current = ref;
+  while (current) {
+    const item = context.lookup(current, PDFDict);
+    visit(item, current);
+    const first = item.get(PDFName.of('First'));
+    if (first) walkOutline(context, first, visit);
+    current = item.get(PDFName.of('Next'));
+  }
+}
+
+function flattenBookmarks(nodes, out = []) {
+  nodes.forEach((n) => {
+    out.push(n);
+    if (Array.isArray(n.children) && n.children.length > 0) flattenBookmarks(n.children, out);
+  });
+  return out;
+}
+
+function hasChildren(node) {
+  return Array.isArray(node.children) && node.children.length > 0;
+}
+
+function isOpen(node) {
+  return node.open !== false;
+}
+
+// Number of descendants shown when `node` is expanded; collapsed children hide their own subtree
+function visibleDescendants(node) {
+  if (!hasChildren(node)) return 0;
+  return node.children.reduce((sum, c) => sum + 1 + (isOpen(c) ? visibleDescendants(c) : 0), 0);
+}
+
+function finiteOrNull(value) {
+  const n = Number(value);
+  return value === null || value === undefined || value === '' || !Number.isFinite(n) ? null : n;
+}
+
+function parseColor(color) {
+  const match = HEX_COLOR_PATTERN.exec(typeof color === 'string' ? color.trim() : '');
+  if (!match) return null;
+  const hex = match[1];
+  return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255);
+}
+
+// True when any bookmark asks for something the printed outline format cannot express
+function hasItemProperties(nodes) {
+  return flattenBookmarks(nodes || []).some((n) => (
+    parseColor(n.color) || n.bold || n.italic || n.open === false || (n.dest && DEST_MODES.includes(n.dest.mode))
+  ));
+}
+
+function buildDest(context, pageRef, dest) {
+  const mode = dest && DEST_MODES.includes(dest.mode) ? dest.mode : null;
+  if (mode === 'fit') return context.obj([pageRef, PDFName.of('Fit')]);
+  if (mode === 'fitWidth') return context.obj([pageRef, PDFName.of('FitH'), finiteOrNull(dest.top)]);
+  if (mode === 'xyz') {
+    const zoom = finiteOrNull(dest.zoom);
+    return context.obj([pageRef, PDFName.of('XYZ'), finiteOrNull(dest.left), finiteOrNull(dest.top), zoom && zoom > 0 ? zoom : null]);
+  }
+  return context.obj([pageRef, PDFName.of('XYZ'), null, null, null]);
+}
+
+// Rewrites the outline items written by outlinePdf so each one matches its bookmark:
+// destinations point at the bookmark's real page (even when the printed outline had to clamp it)
+// with the requested view, and color, bold/italic and open state are set on the item.
+async function applyOutlineItemProperties(filePath, bookmarks) {
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(filePath));
+  const outlines = pdfDoc.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+  if (!outlines) return;
+
+  const pageRefs = pdfDoc.getPages().map((p) => p.ref);
+  const flat = flattenBookmarks(bookmarks);
+  const { context } = pdfDoc;
+  let index = 0;
+
+  walkOutline(context, outlines.get(PDFName.of('First')), (item) => {
+    const node = flat[index++];
+    if (!node) return;
+    const pageIndex = Math.max(0, Math.min(pageRefs.length - 1, (parseInt(node.page, 10) || 1) - 1));
+    item.set(PDFName.of('Dest'), buildDest(context, pageRefs[pageIndex], node.dest));
+
+    const color = parseColor(node.color);
+    if (color) item.set(PDFName.of('C'), context.obj(color));
+    else item.delete(PDFName.of('C'));
+
+    const flags = (node.italic ? ITALIC_FLAG : 0) | (node.bold ? BOLD_FLAG : 0);
+    if (flags) item.set(PDFName.of('F'), PDFNumber.of(flags));
+    else item.delete(PDFName.of('F'));
+
+    if (hasChildren(node)) {
+      const count = visibleDescendants(node);
+      item.set(PDFName.of('Count'), PDFNumber.of(isOpen(node) ? count : -count));
+    }
+  });
+
+  const rootCount = bookmarks.reduce((sum, n) => sum + 1 + (isOpen(n) ? visibleDescendants(n) : 0), 0);
+  outlines.set(PDFName.of('Count'), PDFNumber.of(rootCount));
+
+  fs.writeFileSync(filePath, await pdfDoc.save());
+}
+
+// Removes the document outline and its items; a page mode that opened the (now empty) bookmarks
+// panel is dropped too. Returns the number of items removed.
+async function removeOutline(filePath) {
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(filePath), { updateMetadata: false });
+  const { catalog, context } = pdfDoc;
+  const outlinesRef = catalog.get(PDFName.of('Outlines'));
+  const outlines = catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+  let removed = 0;
+  if (outlines) {
+    const refs = [];
+    walkOutline(context, outlines.get(PDFName.of('First')), (item, ref) => refs.push(ref));
+    refs.forEach((ref) => {
+      if (ref instanceof PDFRef) context.delete(ref);
+    });
+    removed = refs.length;
+  }
+  if (outlinesRef instanceof PDFRef) context.delete(outlinesRef);
+  catalog.delete(PDFName.of('Outlines'));
+  if (catalog.get(PDFName.of('PageMode')) === PDFName.of('UseOutlines')) catalog.delete(PDFName.of('PageMode'));
+
+  fs.writeFileSync(filePath, await pdfDoc.save());
+  return removed;
+}
+
+module.exports = {
+  DEST_MODES,
+  applyOutlineItemProperties,
+  flattenBookmarks,
+  hasItemProperties,
+  parseColor,
+  removeOutline,
+};
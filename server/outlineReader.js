@@ -0,0 +1,65 @@
+const { openPdf } = require('./pdfText');
+
+// Maps a pdf.js outline item to the bookmark properties the outline writer understands
+function itemProperties(item, explicitDest) {
+  const props = {};
+  const [r, g, b] = item.color ? Array.from(item.color) : [0, 0, 0];
+  if (r || g || b) props.color = `#${[r, g, b].map((c) => c.toString(16).padStart(2, '0')).join('')}`;
+  if (item.bold) props.bold = true;
+  if (item.italic) props.italic = true;
+  if (typeof item.count === 'number' && item.count < 0) props.open = false;
+
+  const [, mode, ...args] = Array.isArray(explicitDest) ? explicitDest : [];
+  const name = mode && mode.name;
+  if (name === 'Fit' || name === 'FitB') props.dest = { mode: 'fit' };
+  else if (name === 'FitH' || name === 'FitBH') props.dest = { mode: 'fitWidth', top: args[0] ?? null };
+  else if (name === 'XYZ' && args.some((a) => a !== null && a !== undefined && a !== 0)) {
+    props.dest = { mode: 'xyz', left: args[0] ?? null, top: args[1] ?? null, zoom: args[2] || null };
+  }
+  return props;
+}
+
+// Reads the document outline as a bookmark tree ({ title, page, children } plus item properties).
+// Items whose destination cannot be resolved to a page (e.g. links to other files) use their parent's page.
+async function readOutline(filePath) {
+  const doc = await openPdf(filePath);
+  try {
+    const outline = (await doc.getOutline()) || [];
+
+    async function resolveDest(dest) {
+      try {
+        const explicit = typeof dest === 'string' ? await doc.getDestination(dest) : dest;
+        if (!Array.isArray(explicit)) return { explicit: null, page: null };
+        const [ref] = explicit;
+        if (Number.isInteger(ref)) return { explicit, page: ref + 1 };
+        if (ref && typeof ref === 'object') return { explicit, page: (await doc.getPageIndex(ref)) + 1 };
+        return { explicit, page: null };
+      } catch (e) {
+        return { explicit: null, page: null };
+      }
+    }
+
+    async function map(items, parentPage) {
+      const out = [];
+      for (const item of items) {
+        const { explicit, page } = await resolveDest(item.dest);
+        const resolved = page && page >= 1 && page <= doc.numPages ? page : parentPage;
+        out.push({
+          title: (item.title || '').trim() || 'Untitled',
+          page: resolved,
+          ...itemProperties(item, explicit),
+          children: await map(item.items || [], resolved),
+        });
+      }
+      return out;
+    }
+
+    return { numPages: doc.numPages, bookmarks: await map(outline, 1) };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+module.exports = {
+  readOutline,
+};
@@ -0,0 +1,59 @@
+const { DEST_MODES, parseColor } = require('./outlineItems');
+
+// Checks a bookmark tree ({ title, page, children } plus item properties) before it is written.
+// Every problem is reported against its node as { path: 'bookmarks[0].children[2]', field, code, message };
+// with `numPages` pages past the end of the document are reported too.
+function validateOutline(bookmarks, { numPages } = {}) {
+  const errors = [];
+  let count = 0;
+
+  function report(path, field, code, message) {
+    errors.push({ path, field, code, message });
+  }
+
+  function visit(list, path) {
+    list.forEach((node, i) => {
+      const where = `${path}[${i}]`;
+      if (!node || typeof node !== 'object' || Array.isArray(node)) {
+        report(where, null, 'NOT_AN_OBJECT', 'bookmark must be an object');
+        return;
+      }
+      count++;
+
+      if (typeof node.title !== 'string') report(where, 'title', 'TITLE_MISSING', 'title must be a string');
+      else if (!node.title.trim()) report(where, 'title', 'TITLE_EMPTY', 'title is empty');
+
+      const page = Number(node.page);
+      if (!Number.isInteger(page) || page < 1 || typeof node.page === 'boolean') {
+        report(where, 'page', 'PAGE_INVALID', `page ${JSON.stringify(node.page ?? null)} is not a positive whole number`);
+      } else if (numPages && page > numPages) {
+        report(where, 'page', 'PAGE_OUT_OF_RANGE', `page ${page} is beyond the last page (${numPages})`);
+      }
+
+      if (node.color !== undefined && node.color !== null && node.color !== '' && !parseColor(node.color)) {
+        report(where, 'color', 'COLOR_INVALID', 'color must be a hex color like #1e40af');
+      }
+      if (node.dest !== undefined && node.dest !== null && !(node.dest && DEST_MODES.includes(node.dest.mode))) {
+        report(where, 'dest', 'DEST_INVALID', `dest.mode must be one of ${DEST_MODES.join(', ')}`);
+      }
+
+      if (node.children === undefined || node.children === null) return;
+      if (!Array.isArray(node.children)) {
+        report(where, 'children', 'CHILDREN_INVALID', 'children must be an array');
+        return;
+      }
+      visit(node.children, `${where}.children`);
+    });
+  }
+
+  if (!Array.isArray(bookmarks)) {
+    report('bookmarks', null, 'NOT_AN_ARRAY', 'bookmarks must be an array');
+  } else {
+    visit(bookmarks, 'bookmarks');
+  }
+  return { valid: errors.length === 0, count, errors };
+}
+
+module.exports = {
+  validateOutline,
+};
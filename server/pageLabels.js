@@ -0,0 +1,54 @@
+const fs = require('fs');
+const { PDFDocument, PDFName, PDFNumber, PDFHexString } = require('pdf-lib');
+
+// Numbering styles of a page label range (PDF 32000 table 159); null numbers nothing and shows only the prefix
+const PAGE_LABEL_STYLES = ['D', 'r', 'R', 'a', 'A'];
+
+// Sorts ranges ({ startPage, style, prefix, start }) by first page, drops invalid ones and keeps the last
+// range given for a page. The label tree must cover page 1, so plain numbering is added there if needed.
+function normalizePageLabels(ranges, numPages) {
+  const byPage = new Map();
+  (Array.isArray(ranges) ? ranges : []).forEach((r) => {
+    const startPage = parseInt(r && r.startPage, 10);
+    if (!startPage || startPage < 1 || startPage > numPages) return;
+    const start = parseInt(r.start, 10);
+    byPage.set(startPage, {
+      startPage,
+      style: PAGE_LABEL_STYLES.includes(r.style) ? r.style : null,
+      prefix: typeof r.prefix === 'string' ? r.prefix : '',
+      start: start >= 1 ? start : 1,
+    });
+  });
+  const list = Array.from(byPage.values()).sort((a, b) => a.startPage - b.startPage);
+  if (list.length > 0 && list[0].startPage !== 1) list.unshift({ startPage: 1, style: 'D', prefix: '', start: 1 });
+  return list;
+}
+
+// Replaces the document's PageLabels tree with `ranges`; an empty list removes the labels
+async function applyPageLabels(filePath, ranges) {
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(filePath));
+  const { context } = pdfDoc;
+  const list = normalizePageLabels(ranges, pdfDoc.getPageCount());
+
+  if (list.length === 0) {
+    pdfDoc.catalog.delete(PDFName.of('PageLabels'));
+  } else {
+    const nums = [];
+    list.forEach(({ startPage, style, prefix, start }) => {
+      const label = context.obj({});
+      if (style) label.set(PDFName.of('S'), PDFName.of(style));
+      if (prefix) label.set(PDFName.of('P'), PDFHexString.fromText(prefix));
+      if (start !== 1) label.set(PDFName.of('St'), PDFNumber.of(start));
+      nums.push(PDFNumber.of(startPage - 1), label);
+    });
+    pdfDoc.catalog.set(PDFName.of('PageLabels'), context.obj({ Nums: context.obj(nums) }));
+  }
+
+  fs.writeFileSync(filePath, await pdfDoc.save());
+}
+
+module.exports = {
+  PAGE_LABEL_STYLES,
+  applyPageLabels,
+  normalizePageLabels,
+};
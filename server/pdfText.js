@@ -0,0 +1,110 @@
+const fs = require('fs');
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+
+// Text runs whose baselines are within this many points are treated as one line
+const LINE_TOLERANCE = 2;
+
+async function openPdf(filePath) {
+  const data = new Uint8Array(fs.readFileSync(filePath));
+  return pdfjs.getDocument({
+    data,
+    disableFontFace: true,
+    fontExtraProperties: true,
+    isEvalSupported: false,
+    verbosity: 0,
+  }).promise;
+}
+
+function resolveFont(page, fontName) {
+  try {
+    if (page.commonObjs.has(fontName)) return page.commonObjs.get(fontName);
+  } catch (e) {
+    // font not loaded yet
+  }
+  return null;
+}
+
+function isBoldFont(font, fontName) {
+  if (font && font.bold) return true;
+  const name = (font && font.name) || fontName || '';
+  return /bold|black|heavy|semibold|demi/i.test(name);
+}
+
+function isItalicFont(font, fontName) {
+  if (font && font.italic) return true;
+  const name = (font && font.name) || fontName || '';
+  return /italic|oblique/i.test(name);
+}
+
+// Returns the page's text grouped into visual lines, top to bottom.
+// With `withFonts` the operator list is loaded first so font names (and bold/italic) resolve.
+async function getPageLines(doc, pageNumber, { withFonts = false } = {}) {
+  const page = await doc.getPage(pageNumber);
+  if (withFonts) await page.getOperatorList();
+  const content = await page.getTextContent();
+  const viewport = page.getViewport({ scale: 1 });
+
+  const runs = content.items
+    .filter((it) => it.str && it.str.trim())
+    .map((it) => {
+      const [a, b, , , x, y] = it.transform;
+      const font = withFonts ? resolveFont(page, it.fontName) : null;
+      return {
+        str: it.str,
+        x,
+        y,
+        width: it.width,
+        fontSize: Math.round(Math.hypot(a, b) * 10) / 10,
+        fontName: (font && font.name) || it.fontName,
+        bold: withFonts ? isBoldFont(font, it.fontName) : false,
+        italic: withFonts ? isItalicFont(font, it.fontName) : false,
+      };
+    })
+    .sort((r1, r2) => r2.y - r1.y || r1.x - r2.x);
+
+  const lines = [];
+  runs.forEach((run) => {
+    const line = lines.find((l) => Math.abs(l.y - run.y) <= LINE_TOLERANCE);
+    if (line) line.runs.push(run);
+    else lines.push({ y: run.y, runs: [run] });
+  });
+
+  page.cleanup();
+
+  return lines.map((l) => {
+    const sorted = l.runs.sort((r1, r2) => r1.x - r2.x);
+    let text = '';
+    let lastEnd = null;
+    sorted.forEach((r) => {
+      if (lastEnd !== null && r.x - lastEnd > 1 && !text.endsWith(' ') && !r.str.startsWith(' ')) text += ' ';
+      text += r.str;
+      lastEnd = r.x + r.width;
+    });
+    const main = sorted.reduce((best, r) => (r.str.length > best.str.length ? r : best), sorted[0]);
+    return {
+      text: text.replace(/\s+/g, ' ').trim(),
+      x: sorted[0].x,
+      y: l.y,
+      fontSize: Math.max(...sorted.map((r) => r.fontSize)),
+      fontName: main.fontName,
+      bold: sorted.every((r) => r.bold),
+      italic: sorted.every((r) => r.italic),
+      pageHeight: viewport.height,
+      pageWidth: viewport.width,
+    };
+  });
+}
+
+async function getDocumentLines(doc, options = {}) {
+  const pages = [];
+  for (let p = 1; p <= doc.numPages; p++) {
+    pages.push(await getPageLines(doc, p, options));
+  }
+  return pages;
+}
+
+module.exports = {
+  openPdf,
+  getPageLines,
+  getDocumentLines,
+};
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const { outlinePdf } = require('@lillallol/outline-pdf');
+const { sortBookmarksByPage, buildPrintedOutline, clampToPrintedOrder } = require('./outline');
+const { applyOutlineItemProperties, hasItemProperties } = require('./outlineItems');
+const { applyPageLabels } = require('./pageLabels');
+const { applyAnnotations } = require('./annotations');
+const { fillForm } = require('./forms');
+const { applyMetadata } = require('./metadata');
+const { encryptPdf } = require('./encryption');
+const { ocrPdf } = require('./ocr');
+const { safeUnlink } = require('./files');
+
+// Share of the progress bar given to OCR when it runs; outlining takes the rest
+const OCR_PROGRESS_SHARE = 90;
+
+// Runs every requested step on `filePath` and writes the result to `outputPath`.
+// Intermediate files live next to the output and are removed before returning.
+// With `preserveOrder` the bookmarks keep the caller's order instead of being sorted by page.
+// `pageLabels` replaces the document's page label ranges; leave it undefined to keep the existing ones.
+// `annotations` are added to the pages on top of the annotations already in the file.
+// `formValues` ({ fieldName: value }) fill the AcroForm first; `flattenForm` then burns the fields into the pages.
+// `metadata` (see metadata.js) sets document properties and viewer preferences after the other steps, so none
+// overwrites them. `encryption` ({ userPassword, ownerPassword, permissions }) protects the final file.
+// Returns { outputPath, ocrSkipped }; ocrSkipped lists the pages without text that OCR could not read, as
+// { page, reason }.
+async function processPdf({
+  filePath,
+  outputPath,
+  bookmarks,
+  ocr = false,
+  preserveOrder = false,
+  pageLabels,
+  annotations,
+  formValues,
+  flattenForm = false,
+  metadata,
+  encryption,
+  onProgress = () => {},
+}) {
+  const list = Array.isArray(bookmarks) ? bookmarks : [];
+  const normalized = preserveOrder ? list : sortBookmarksByPage(list);
+  const { bookmarks: printable, clamped } = clampToPrintedOrder(normalized);
+  const printedOutline = printable.length > 0 ? buildPrintedOutline(printable) : '';
+  const base = path.join(path.dirname(outputPath), path.parse(outputPath).name);
+  const intermediates = [];
+  let ocrSkipped = [];
+  let workPath = filePath;
+
+  try {
+    const hasFormValues = Boolean(formValues) && Object.keys(formValues).length > 0;
+    if (hasFormValues || flattenForm) {
+      const filledPath = `${base}-filled.pdf`;
+      intermediates.push(filledPath);
+      fs.copyFileSync(workPath, filledPath);
+      await fillForm(filledPath, hasFormValues ? formValues : {}, { flatten: flattenForm });
+      workPath = filledPath;
+    }
+
+    if (ocr) {
+      const ocrPath = `${base}-ocr.pdf`;
+      intermediates.push(ocrPath);
+      ({ skipped: ocrSkipped } = await ocrPdf({
+        loadPath: workPath,
+        savePath: ocrPath,
+        onProgress: ({ page, total }) => onProgress({
+          stage: 'ocr',
+          page,
+          total,
+          percent: Math.round(((page - 1) / total) * OCR_PROGRESS_SHARE),
+          message: `OCR page ${page} of ${total}`,
+        }),
+      }));
+      workPath = ocrPath;
+    }
+
+    if (printedOutline) {
+      onProgress({ stage: 'outline', percent: ocr ? OCR_PROGRESS_SHARE : 0, message: 'Adding bookmarks' });
+      const outlinedPath = `${base}-outlined.pdf`;
+      intermediates.push(outlinedPath);
+      await outlinePdf({
+        loadPath: workPath,
+        savePath: outlinedPath,
+        outline: printedOutline,
+      });
+      if (clamped || hasItemProperties(normalized)) await applyOutlineItemProperties(outlinedPath, normalized);
+      workPath = outlinedPath;
+    }
+
+    if (Array.isArray(pageLabels)) {
+      const labeledPath = `${base}-labeled.pdf`;
+      intermediates.push(labeledPath);
+      fs.copyFileSync(workPath, labeledPath);
+      await applyPageLabels(labeledPath, pageLabels);
+      workPath = labeledPath;
+    }
+
+    if (Array.isArray(annotations) && annotations.length > 0) {
+      const annotatedPath = `${base}-annotated.pdf`;
+      intermediates.push(annotatedPath);
+      fs.copyFileSync(workPath, annotatedPath);
+      await applyAnnotations(annotatedPath, annotations);
+      workPath = annotatedPath;
+    }
+
+    if (metadata && Object.keys(metadata).length > 0) {
+      const describedPath = `${base}-described.pdf`;
+      intermediates.push(describedPath);
+      fs.copyFileSync(workPath, describedPath);
+      await applyMetadata(describedPath, metadata);
+      workPath = describedPath;
+    }
+
+    if (encryption) {
+      const encryptedPath = `${base}-encrypted.pdf`;
+      intermediates.push(encryptedPath);
+      fs.copyFileSync(workPath, encryptedPath);
+      await encryptPdf(encryptedPath, encryption);
+      workPath = encryptedPath;
+    }
+
+    fs.copyFileSync(workPath, outputPath);
+    onProgress({ stage: 'done', percent: 100, message: 'Finished', ...(ocrSkipped.length > 0 && { ocrSkipped }) });
+    return { outputPath, ocrSkipped };
+  } finally {
+    intermediates.filter((p) => p !== outputPath).forEach(safeUnlink);
+  }
+}
+
+module.exports = {
+  processPdf,
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ID_PATTERN = /^[a-f0-9]{16}$/;
+const MAX_NAME_LENGTH = 200;
+
+// Saved bookmark projects, one JSON file per project in `dir`
+function createProjectStore({ dir }) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  function projectPath(id) {
+    return path.join(dir, `${id}.json`);
+  }
+
+  function read(id) {
+    if (!PROJECT_ID_PATTERN.test(id || '')) return null;
+    try {
+      return JSON.parse(fs.readFileSync(projectPath(id), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function write(project) {
+    const tmp = `${projectPath(project.id)}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(project, null, 2));
+    fs.renameSync(tmp, projectPath(project.id));
+    return project;
+  }
+
+  function cleanName(name, fallback) {
+    const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+    return trimmed || fallback;
+  }
+
+  function countBookmarks(nodes) {
+    return (nodes || []).reduce((sum, n) => sum + 1 + countBookmarks(n.children), 0);
+  }
+
+  function summary(project) {
+    const { id, name, fileId, originalName, createdAt, updatedAt } = project;
+    return { id, name, fileId, originalName, createdAt, updatedAt, bookmarkCount: countBookmarks(project.tree) };
+  }
+
+  function list() {
+    return fs.readdirSync(dir)
+      .filter((f) => f.endsWith('.json'))
+      .map((f) => read(path.basename(f, '.json')))
+      .filter(Boolean)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(summary);
+  }
+
+  function create({ name, fileId, originalName, tree }) {
+    const now = new Date().toISOString();
+    return write({
+      id: crypto.randomBytes(8).toString('hex'),
+      name: cleanName(name, originalName || 'Untitled project'),
+      fileId,
+      originalName: originalName || null,
+      tree: Array.isArray(tree) ? tree : [],
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  function update(id, { name, tree, fileId }) {
+    const project = read(id);
+    if (!project) return null;
+    if (name !== undefined) project.name = cleanName(name, project.name);
+    if (Array.isArray(tree)) project.tree = tree;
+    if (fileId !== undefined) project.fileId = fileId;
+    project.updatedAt = new Date().toISOString();
+    return write(project);
+  }
+
+  function remove(id) {
+    if (!read(id)) return false;
+    fs.unlinkSync(projectPath(id));
+    return true;
+  }
+
+  // Upload ids that saved projects still point at; the TTL sweep must keep these
+  function referencedFiles() {
+    return new Set(list().map((p) => p.fileId).filter(Boolean));
+  }
+
+  return {
+    list,
+    get: read,
+    create,
+    update,
+    remove,
+    referencedFiles,
+  };
+}
+
+module.exports = {
+  createProjectStore,
+};
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { processPdf } = require('./process');
+const { sortBookmarksByPage } = require('./outline');
+const { cleanFileName, safeUnlink, writeZip } = require('./files');
+
+function pieceName(title, index, width) {
+  return `${String(index + 1).padStart(width, '0')} ${cleanFileName(title)}.pdf`;
+}
+
+// Bookmarks at depth <= `level`, in document order. Shallower ones are cut points too, so the
+// pages between a chapter's start and its first section still land in a piece of their own.
+function collectCuts(nodes, level, depth = 1, out = []) {
+  for (const node of nodes) {
+    out.push({ node, depth });
+    if (depth < level) collectCuts(node.children || [], level, depth + 1, out);
+  }
+  return out;
+}
+
+// The descendants of `node` that fall inside [start, end], re-based so `start` becomes page 1.
+// A bookmark outside the range is dropped together with its children.
+function rebase(nodes, start, end) {
+  return nodes
+    .filter((n) => n.page >= start && n.page <= end)
+    .map((n) => ({ ...n, page: n.page - start + 1, children: rebase(n.children || [], start, end) }));
+}
+
+// Cuts `filePath` into one PDF per bookmark at `level` (1 = top-level) and zips them into `outputPath`.
+// Each piece runs up to the page before the next cut; pieces that would be empty are skipped, as are
+// pages before the first bookmark. Returns [{ title, name, startPage, endPage }] for the written pieces.
+async function splitPdf({
+  filePath,
+  outputPath,
+  bookmarks,
+  level = 1,
+  preserveOrder = false,
+  onProgress = () => {},
+}) {
+  const source = await PDFDocument.load(fs.readFileSync(filePath));
+  const numPages = source.getPageCount();
+  const list = Array.isArray(bookmarks) ? bookmarks : [];
+  const normalized = preserveOrder ? list : sortBookmarksByPage(list);
+
+  const cuts = collectCuts(normalized, Math.max(1, Number(level) || 1))
+    .filter(({ node }) => Number.isInteger(node.page) && node.page >= 1 && node.page <= numPages)
+    .sort((a, b) => a.node.page - b.node.page);
+  const pieces = cuts
+    .map(({ node }, i) => ({
+      node,
+      startPage: node.page,
+      endPage: i + 1 < cuts.length ? cuts[i + 1].node.page - 1 : numPages,
+    }))
+    .filter((p) => p.endPage >= p.startPage);
+  if (pieces.length === 0) throw new Error('no bookmark to split at');
+
+  const workDir = path.dirname(outputPath);
+  const base = path.parse(outputPath).name;
+  const width = String(pieces.length).length;
+  const entries = [];
+  const results = [];
+
+  try {
+    for (let i = 0; i < pieces.length; i++) {
+      const { node, startPage, endPage } = pieces[i];
+      onProgress({
+        stage: 'split',
+        percent: Math.round((i / pieces.length) * 90),
+        message: `Writing ${node.title || 'piece'} (${i + 1} of ${pieces.length})`,
+      });
+
+      const piece = await PDFDocument.create();
+      const indices = [];
+      for (let p = startPage; p <= endPage; p++) indices.push(p - 1);
+      const pages = await piece.copyPages(source, indices);
+      pages.forEach((p) => piece.addPage(p));
+
+      const piecePath = path.join(workDir, `${base}-piece-${i}.pdf`);
+      const outlinedPath = path.join(workDir, `${base}-piece-${i}-outlined.pdf`);
+      entries.push({ filePath: outlinedPath, name: pieceName(node.title, i, width) });
+      try {
+        fs.writeFileSync(piecePath, await piece.save());
+        await processPdf({
+          filePath: piecePath,
+          outputPath: outlinedPath,
+          bookmarks: rebase(node.children || [], startPage, endPage),
+          preserveOrder: true,
+        });
+      } finally {
+        safeUnlink(piecePath);
+      }
+      results.push({ title: node.title, name: entries[i].name, startPage, endPage });
+    }
+
+    onProgress({ stage: 'zip', percent: 90, message: 'Creating ZIP' });
+    await writeZip(outputPath, entries);
+    return results;
+  } finally {
+    entries.forEach((e) => safeUnlink(e.filePath));
+  }
+}
+
+module.exports = {
+  splitPdf,
+};
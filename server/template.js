@@ -0,0 +1,88 @@
+const { openPdf, getPageLines } = require('./pdfText');
+
+// "last" or "last-2" (two pages before the last one)
+const LAST_PAGE_PATTERN = /^last\s*(?:-\s*(\d+))?$/i;
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Outline templates are bookmark trees whose entries may point at pages relative to each document:
+//   { title, page: 3 }                      - a fixed page
+//   { title, page: 'last' | 'last-1' }      - counted back from the last page
+//   { title, find: 'Summary', occurrence }  - the nth page (default first) containing the text,
+//                                             searched from the previous bookmark's page onward
+// Returns the resolved bookmarks plus a warning for every entry that was skipped (with its children).
+async function resolveTemplate(filePath, template) {
+  const doc = await openPdf(filePath);
+  const pageTexts = new Map();
+  const warnings = [];
+  let previousPage = 1;
+
+  async function pageText(pageNumber) {
+    if (!pageTexts.has(pageNumber)) {
+      const lines = await getPageLines(doc, pageNumber);
+      pageTexts.set(pageNumber, normalizeText(lines.map((l) => l.text).join(' ')));
+    }
+    return pageTexts.get(pageNumber);
+  }
+
+  async function findPage(text, occurrence) {
+    const needle = normalizeText(text);
+    let seen = 0;
+    for (let p = previousPage; p <= doc.numPages; p++) {
+      if ((await pageText(p)).includes(needle)) {
+        seen += 1;
+        if (seen === occurrence) return p;
+      }
+    }
+    return null;
+  }
+
+  async function resolvePage(entry) {
+    if (typeof entry.find === 'string' && entry.find.trim()) {
+      const occurrence = Math.max(1, parseInt(entry.occurrence, 10) || 1);
+      const page = await findPage(entry.find, occurrence);
+      if (!page) {
+        const nth = occurrence > 1 ? ` ${occurrence} times` : '';
+        return { error: `text "${entry.find.trim()}" not found${nth} from page ${previousPage} on` };
+      }
+      return { page };
+    }
+
+    const last = LAST_PAGE_PATTERN.exec(typeof entry.page === 'string' ? entry.page.trim() : '');
+    const page = last ? doc.numPages - (parseInt(last[1], 10) || 0) : parseInt(entry.page, 10);
+    if (!Number.isInteger(page) || page < 1 || page > doc.numPages) {
+      return { error: `page "${entry.page}" is outside 1-${doc.numPages}` };
+    }
+    return { page };
+  }
+
+  async function resolve(entries) {
+    const out = [];
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      if (!entry || typeof entry !== 'object') continue;
+      const title = typeof entry.title === 'string' ? entry.title.trim() : '';
+      const { page, error } = await resolvePage(entry);
+      if (!title || error) {
+        warnings.push(`"${title || 'Untitled'}" skipped: ${error || 'title is empty'}`);
+        continue;
+      }
+      previousPage = page;
+      const { find, occurrence, children, ...rest } = entry;
+      out.push({ ...rest, title, page, children: await resolve(children) });
+    }
+    return out;
+  }
+
+  try {
+    const bookmarks = await resolve(template);
+    return { bookmarks, warnings, numPages: doc.numPages };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+module.exports = {
+  resolveTemplate,
+};
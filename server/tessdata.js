@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const Tesseract = require('tesseract.js');
+
+// Folder with <code>.traineddata (or .traineddata.gz) packs, so OCR runs without network access
+const TESSDATA_DIR = process.env.TESSDATA_DIR || path.join(__dirname, '../tessdata');
+// Used when no pack is installed locally; tesseract.js then downloads it from its CDN
+const FALLBACK_LANGUAGE = 'eng';
+const LANGUAGE_CODE_PATTERN = /^[a-z]{3}(_[a-z]+)*$/i;
+
+const LANGUAGE_NAMES = {
+  ara: 'Arabic',
+  ces: 'Czech',
+  chi_sim: 'Chinese (Simplified)',
+  chi_tra: 'Chinese (Traditional)',
+  dan: 'Danish',
+  deu: 'German',
+  ell: 'Greek',
+  eng: 'English',
+  fin: 'Finnish',
+  fra: 'French',
+  heb: 'Hebrew',
+  hin: 'Hindi',
+  hun: 'Hungarian',
+  ita: 'Italian',
+  jpn: 'Japanese',
+  kor: 'Korean',
+  lat: 'Latin',
+  nld: 'Dutch',
+  nor: 'Norwegian',
+  osd: 'Orientation and script detection',
+  pol: 'Polish',
+  por: 'Portuguese',
+  ron: 'Romanian',
+  rus: 'Russian',
+  spa: 'Spanish',
+  swe: 'Swedish',
+  tur: 'Turkish',
+  ukr: 'Ukrainian',
+};
+
+// Installed packs as { code: 'plain' | 'gz' }; a plain pack wins when both exist
+function installedPacks() {
+  const packs = {};
+  let names = [];
+  try {
+    names = fs.readdirSync(TESSDATA_DIR);
+  } catch (e) {
+    return packs;
+  }
+  names.forEach((name) => {
+    const match = name.match(/^(.+)\.traineddata(\.gz)?$/);
+    if (!match || !LANGUAGE_CODE_PATTERN.test(match[1]) || packs[match[1]] === 'plain') return;
+    packs[match[1]] = match[2] ? 'gz' : 'plain';
+  });
+  return packs;
+}
+
+// tesseract.js reads every pack of a worker either gzipped or plain, so one worker cannot mix them.
+// Returns 'gz' or 'plain' for the local packs of `codes` (null when one is missing) and throws for a mix.
+function packFormat(codes, packs = installedPacks()) {
+  if (!codes.every((code) => packs[code])) return null;
+  const gz = codes.filter((code) => packs[code] === 'gz');
+  if (gz.length > 0 && gz.length < codes.length) {
+    const plain = codes.filter((code) => packs[code] === 'plain');
+    throw new Error(`OCR cannot combine gzipped (${gz.join(', ')}) and plain (${plain.join(', ')}) language packs; `
+      + `install them all as .traineddata or all as .traineddata.gz in ${TESSDATA_DIR}`);
+  }
+  return gz.length > 0 ? 'gz' : 'plain';
+}
+
+// Languages OCR can use: [{ code, name }] and whether they are read from the local folder
+function listLanguages() {
+  const codes = Object.keys(installedPacks()).filter((code) => code !== 'osd').sort();
+  const offline = codes.length > 0;
+  return {
+    offline,
+    languages: (offline ? codes : [FALLBACK_LANGUAGE]).map((code) => ({ code, name: LANGUAGE_NAMES[code] || code })),
+  };
+}
+
+// Turns 'eng+deu', ['eng', 'deu'] or nothing into a list of available codes.
+// Throws for a language that isn't installed and for packs that cannot be loaded together.
+function resolveLanguages(requested) {
+  const list = (Array.isArray(requested) ? requested : String(requested || '').split('+'))
+    .map((code) => String(code).trim())
+    .filter(Boolean);
+  const { languages } = listLanguages();
+  const available = new Set(languages.map((l) => l.code));
+  if (list.length === 0) return [available.has(FALLBACK_LANGUAGE) ? FALLBACK_LANGUAGE : languages[0].code];
+  const missing = list.find((code) => !available.has(code));
+  if (missing) throw new Error(`OCR language not installed: ${missing}`);
+  const codes = Array.from(new Set(list));
+  packFormat(codes);
+  return codes;
+}
+
+// Tesseract worker for the given language codes, loading local packs when they are installed.
+// tesseract.js rethrows worker failures (killing the process) unless an errorHandler is set, and with
+// one its createWorker() never settles when a language fails to load, so that case rejects here.
+function createOcrWorker(codes) {
+  return new Promise((resolve, reject) => {
+    const format = packFormat(codes);
+    let started = false;
+    const options = {
+      errorHandler: (err) => {
+        if (!started) reject(new Error(`OCR could not load ${codes.join('+')}: ${err}`));
+        else console.warn('OCR worker error', err);
+      },
+    };
+    if (format) {
+      Object.assign(options, {
+        langPath: TESSDATA_DIR,
+        gzip: format === 'gz',
+        cacheMethod: 'none',
+      });
+    }
+    Tesseract.createWorker(codes.join('+'), undefined, options).then((worker) => {
+      started = true;
+      resolve(worker);
+    }, reject);
+  });
+}
+
+module.exports = {
+  createOcrWorker,
+  listLanguages,
+  resolveLanguages,
+};
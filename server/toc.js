@@ -0,0 +1,218 @@
+const { openPdf, getPageLines } = require('./pdfText');
+
+// Only the front of the document is searched for printed contents pages
+const TOC_SEARCH_PAGES = 30;
+const TOC_HEADING = /^(table\s+of\s+)?contents$|^contents\s*[:.]?$|^inhalt(sverzeichnis)?$|^sommaire$|^[ií]ndice$/i;
+// "3.2 Installation ........ 47", "Appendix B  Glossary   212", "Preface ... xi"
+const TOC_ENTRY = /^(?<label>(?:(?:chapter|part|section|appendix)\s+)?(?:\d+(?:\.\d+)*\.?|[A-Z](?:\.\d+)*\.?|[IVXLC]+\.)\s+)?(?<title>.*?\S)\s*(?<leader>[.·…_\-\s]{2,}|\s)(?<page>\d{1,4}|[ivxlcdm]{1,7})$/i;
+// Well-formed roman numerals only, so words like "mild" or "did" at the end of a line are not page numbers
+const ROMAN_NUMERAL = /^m{0,3}(?:cm|cd|d?c{0,3})(?:xc|xl|l?x{0,3})(?:ix|iv|v?i{0,3})$/i;
+
+function romanToInt(value) {
+  const map = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+  const chars = value.toLowerCase().split('');
+  return chars.reduce((sum, ch, i) => {
+    const cur = map[ch];
+    const next = map[chars[i + 1]] || 0;
+    return cur < next ? sum - cur : sum + cur;
+  }, 0);
+}
+
+// `leader` tells whether dots, dashes or a wide gap lead to the page number; roman pages after a
+// single space are only trusted as part of a consistent run (see trustedEntries)
+function parseTocLine(text) {
+  const match = text.match(TOC_ENTRY);
+  if (!match) return null;
+  const { label = '', title, leader, page } = match.groups;
+  const cleanTitle = title.replace(/[.·…_\s]+$/, '').trim();
+  if (!cleanTitle || /^\d+$/.test(cleanTitle)) return null;
+  const numbering = label.trim().replace(/^(chapter|part|section|appendix)\s+/i, '').replace(/\.$/, '');
+  const isRoman = /^[ivxlcdm]+$/i.test(page);
+  if (isRoman && (!ROMAN_NUMERAL.test(page) || (page !== page.toLowerCase() && page !== page.toUpperCase()))) return null;
+  return {
+    title: `${label}${cleanTitle}`.replace(/\s+/g, ' ').trim(),
+    numbering,
+    printedPage: page,
+    pageNumber: isRoman ? romanToInt(page) : parseInt(page, 10),
+    roman: isRoman,
+    leader: leader.length > 1,
+  };
+}
+
+// Entries of a contents block minus roman pages that only follow a single space ("... and so do I",
+// "a quick mix") unless the block's roman pages form a run: at least two, all written in the same
+// case, in page order and before the first arabic page, the way front matter is listed.
+function trustedEntries(entries) {
+  const roman = entries.filter((e) => e.roman);
+  const firstArabic = entries.findIndex((e) => !e.roman);
+  const consistent = roman.length >= 2
+    && roman.every((e) => (e.printedPage === e.printedPage.toLowerCase()) === (roman[0].printedPage === roman[0].printedPage.toLowerCase()))
+    && roman.every((e, i) => i === 0 || e.pageNumber >= roman[i - 1].pageNumber)
+    && (firstArabic === -1 || entries.lastIndexOf(roman[roman.length - 1]) < firstArabic);
+  return consistent ? entries : entries.filter((e) => !e.roman || e.leader);
+}
+
+function looksLikeEntry(text) {
+  const entry = parseTocLine(text);
+  return Boolean(entry) && (!entry.roman || entry.leader);
+}
+
+function findTocPages(pages) {
+  const limit = Math.min(pages.length, TOC_SEARCH_PAGES);
+  let start = -1;
+  for (let i = 0; i < limit; i++) {
+    if (pages[i].some((l) => TOC_HEADING.test(l.text))) {
+      start = i;
+      break;
+    }
+  }
+  if (start === -1) return [];
+
+  // Contents usually run over several pages; keep going while most lines still look like entries
+  const tocPages = [start];
+  for (let i = start + 1; i < limit; i++) {
+    const lines = pages[i];
+    const entries = lines.filter((l) => looksLikeEntry(l.text)).length;
+    if (lines.length === 0 || entries / lines.length < 0.5) break;
+    tocPages.push(i);
+  }
+  return tocPages;
+}
+
+function assignLevels(entries) {
+  const indents = [...new Set(entries.map((e) => Math.round(e.x / 5) * 5))].sort((a, b) => a - b);
+  entries.forEach((e) => {
+    if (e.numbering && /\d/.test(e.numbering)) {
+      e.level = e.numbering.split('.').length - 1;
+    } else {
+      e.level = indents.indexOf(Math.round(e.x / 5) * 5);
+    }
+  });
+}
+
+function mode(values) {
+  const counts = new Map();
+  let best = null;
+  values.forEach((v) => {
+    const c = (counts.get(v) || 0) + 1;
+    counts.set(v, c);
+    if (best === null || c > counts.get(best)) best = v;
+  });
+  return best;
+}
+
+function normalizeText(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Works out physical index minus printed page number, in order of reliability:
+// the document's own page labels, entry titles found as text on body pages, then printed folios.
+function detectOffset(entries, pages, tocPages, pageLabels) {
+  if (Array.isArray(pageLabels)) {
+    const diffs = entries
+      .filter((e) => !e.roman)
+      .map((e) => {
+        const idx = pageLabels.indexOf(e.printedPage);
+        return idx === -1 ? null : idx + 1 - e.pageNumber;
+      })
+      .filter((d) => d !== null);
+    if (diffs.length > 0) return { offset: mode(diffs), source: 'pageLabels' };
+  }
+
+  const bodyStart = tocPages[tocPages.length - 1] + 1;
+  const titleDiffs = [];
+  entries
+    .filter((e) => !e.roman)
+    .forEach((e) => {
+      const needle = normalizeText(e.title);
+      if (needle.length < 3) return;
+      for (let i = bodyStart; i < pages.length; i++) {
+        if (pages[i].some((l) => normalizeText(l.text) === needle)) {
+          titleDiffs.push(i + 1 - e.pageNumber);
+          break;
+        }
+      }
+    });
+  if (titleDiffs.length > 0) return { offset: mode(titleDiffs), source: 'headings' };
+
+  const folioDiffs = [];
+  for (let i = bodyStart; i < pages.length; i++) {
+    const lines = pages[i];
+    if (lines.length === 0) continue;
+    const edges = [lines[0], lines[lines.length - 1]];
+    edges.forEach((l) => {
+      if (/^\d{1,4}$/.test(l.text)) folioDiffs.push(i + 1 - parseInt(l.text, 10));
+    });
+  }
+  if (folioDiffs.length > 0) return { offset: mode(folioDiffs), source: 'folios' };
+
+  return { offset: 0, source: 'none' };
+}
+
+function buildTree(entries, offset, numPages) {
+  const root = [];
+  const stack = [];
+  entries.forEach((e) => {
+    const physical = e.roman ? e.pageNumber : e.pageNumber + offset;
+    const node = {
+      title: e.title,
+      page: Math.max(1, Math.min(numPages, physical)),
+      printedPage: e.printedPage,
+      children: [],
+    };
+    while (stack.length > 0 && stack[stack.length - 1].level >= e.level) stack.pop();
+    if (stack.length === 0) root.push(node);
+    else stack[stack.length - 1].node.children.push(node);
+    stack.push({ level: e.level, node });
+  });
+  return root;
+}
+
+async function detectToc(filePath) {
+  const doc = await openPdf(filePath);
+  try {
+    const numPages = doc.numPages;
+    const pages = [];
+    for (let p = 1; p <= numPages; p++) {
+      pages.push(await getPageLines(doc, p));
+    }
+
+    const tocPages = findTocPages(pages);
+    if (tocPages.length === 0) {
+      return { found: false, tocPages: [], offset: 0, offsetSource: 'none', bookmarks: [] };
+    }
+
+    const parsed = [];
+    tocPages.forEach((idx) => {
+      pages[idx].forEach((line) => {
+        if (TOC_HEADING.test(line.text)) return;
+        const entry = parseTocLine(line.text);
+        if (entry) parsed.push({ ...entry, x: line.x });
+      });
+    });
+    const entries = trustedEntries(parsed);
+    if (entries.length === 0) {
+      return { found: false, tocPages: tocPages.map((i) => i + 1), offset: 0, offsetSource: 'none', bookmarks: [] };
+    }
+
+    assignLevels(entries);
+    const pageLabels = await doc.getPageLabels();
+    const { offset, source } = detectOffset(entries, pages, tocPages, pageLabels);
+
+    return {
+      found: true,
+      tocPages: tocPages.map((i) => i + 1),
+      offset,
+      offsetSource: source,
+      bookmarks: buildTree(entries, offset, numPages),
+    };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+module.exports = {
+  detectToc,
+  parseTocLine,
+  trustedEntries,
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { safeUnlink } = require('./files');
+
+// Upload ids are the 32 hex characters multer (and the routes creating files) generate, plus .pdf
+const FILE_ID_PATTERN = /^[a-f0-9]{32}\.pdf$/;
+const PDF_HEADER = Buffer.from('%PDF-');
+// Readers accept the header anywhere in the first 1024 bytes (PDF 32000 annex H)
+const HEADER_SEARCH_BYTES = 1024;
+
+// Errors of the upload checks; `status` and `code` go to the client as they are
+function uploadError(status, code, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+function isFileId(id) {
+  return typeof id === 'string' && FILE_ID_PATTERN.test(id);
+}
+
+function hasPdfHeader(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const head = Buffer.alloc(HEADER_SEARCH_BYTES);
+    const bytesRead = fs.readSync(fd, head, 0, HEADER_SEARCH_BYTES, 0);
+    return head.subarray(0, bytesRead).includes(PDF_HEADER);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Resolves upload ids to files in `uploadDir` and admits new uploads: files without a PDF header
+// are rejected, files pdf-lib cannot parse are moved to `quarantineDir` for inspection, and documents
+// with more than `maxPages` pages are refused.
+function createUploadGuard({ uploadDir, quarantineDir, maxPages }) {
+  if (!fs.existsSync(quarantineDir)) fs.mkdirSync(quarantineDir, { recursive: true });
+
+  // Path of an existing upload; throws INVALID_FILE_ID for anything that is not an upload id
+  // (e.g. "../package.json") and FILE_NOT_FOUND when it is gone
+  function resolve(id) {
+    if (!isFileId(id)) throw uploadError(400, 'INVALID_FILE_ID', 'invalid file id');
+    const filePath = path.join(uploadDir, id);
+    if (!fs.existsSync(filePath)) throw uploadError(404, 'FILE_NOT_FOUND', 'file not found');
+    return filePath;
+  }
+
+  function quarantine(filePath, details) {
+    const target = path.join(quarantineDir, path.basename(filePath));
+    try {
+      fs.renameSync(filePath, target);
+      fs.writeFileSync(`${target}.json`, JSON.stringify({ ...details, quarantinedAt: new Date().toISOString() }, null, 2));
+    } catch (e) {
+      console.warn('Could not quarantine upload', filePath, e.message);
+      safeUnlink(filePath);
+    }
+  }
+
+  // Checks a file multer just stored and gives it its upload id; returns { id, numPages }
+  async function admit(file) {
+    if (!hasPdfHeader(file.path)) {
+      safeUnlink(file.path);
+      throw uploadError(415, 'NOT_A_PDF', 'not a PDF file');
+    }
+    const id = `${file.filename}.pdf`;
+    const filePath = path.join(uploadDir, id);
+    fs.renameSync(file.path, filePath);
+
+    let numPages;
+    try {
+      const pdfDoc = await PDFDocument.load(fs.readFileSync(filePath), { ignoreEncryption: true, updateMetadata: false });
+      numPages = pdfDoc.getPageCount();
+    } catch (err) {
+      quarantine(filePath, { originalName: file.originalname, size: file.size, reason: err.message });
+      throw uploadError(422, 'UNREADABLE_PDF', 'the PDF is damaged and cannot be read');
+    }
+    if (numPages > maxPages) {
+      safeUnlink(filePath);
+      throw uploadError(413, 'TOO_MANY_PAGES', `the PDF has ${numPages} pages; at most ${maxPages} are allowed`);
+    }
+    return { id, numPages };
+  }
+
+  // Removes quarantined files older than `ttlMs`
+  function sweepQuarantine(ttlMs) {
+    const now = Date.now();
+    fs.readdirSync(quarantineDir).forEach((name) => {
+      const p = path.join(quarantineDir, name);
+      try {
+        if (now - fs.statSync(p).mtimeMs > ttlMs) safeUnlink(p);
+      } catch (e) {
+        // ignore
+      }
+    });
+  }
+
+  return {
+    admit,
+    resolve,
+    sweepQuarantine,
+  };
+}
+
+module.exports = {
+  createUploadGuard,
+  isFileId,
+};
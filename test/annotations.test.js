@@ -0,0 +1,74 @@
+// Highlights, notes and ink written into the PDF and read back as the annotations a viewer sees
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { applyAnnotations, normalizeAnnotations } = require('../server/annotations');
+const { openPdf } = require('../server/pdfText');
+
+let dir;
+let plainBytes;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmark-pdf-annotations-'));
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage([300, 300]);
+  pdfDoc.addPage([300, 300]);
+  plainBytes = await pdfDoc.save();
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function annotationsOf(filePath) {
+  const doc = await openPdf(filePath);
+  try {
+    const pages = [];
+    for (let i = 1; i <= doc.numPages; i++) pages.push(await (await doc.getPage(i)).getAnnotations());
+    return pages;
+  } finally {
+    await doc.destroy();
+  }
+}
+
+test('writes highlights, notes and ink next to the annotations already there', async () => {
+  const filePath = path.join(dir, 'annotated.pdf');
+  fs.writeFileSync(filePath, plainBytes);
+  const written = await applyAnnotations(filePath, [
+    { type: 'highlight', page: 1, id: 'h1', contents: 'Check this', color: '#00ff00', rects: [[10, 250, 110, 262], [10, 236, 60, 248]] },
+    { type: 'note', page: 2, contents: 'Ask about the total', x: 100, y: 200 },
+  ]);
+  assert.equal(written, 2);
+  await applyAnnotations(filePath, [{ type: 'ink', page: 1, width: 3, paths: [[[20, 20], [40, 60], [80, 30]]] }]);
+
+  const [first, second] = await annotationsOf(filePath);
+  assert.deepEqual(first.map((a) => a.subtype), ['Highlight', 'Ink']);
+  const [highlight, ink] = first;
+  assert.equal(highlight.contentsObj.str, 'Check this');
+  assert.deepEqual(Array.from(highlight.color), [0, 255, 0]);
+  assert.deepEqual(highlight.rect, [10, 236, 110, 262]);
+  assert.equal(highlight.quadPoints.length, 2);
+  assert.equal(ink.inkLists.length, 1);
+  assert.deepEqual(Array.from(ink.inkLists[0]).map((p) => [p.x, p.y]), [[20, 20], [40, 60], [80, 30]]);
+  assert.deepEqual(ink.rect, [17, 17, 83, 63]);
+
+  // pdf.js sizes sticky notes to its own icon, so only the top-left corner is ours
+  assert.deepEqual(second.map((a) => [a.subtype, a.contentsObj.str, a.rect[0], a.rect[3]]), [['Text', 'Ask about the total', 100, 200]]);
+});
+
+test('keeps only annotations it can draw', () => {
+  const list = normalizeAnnotations([
+    { type: 'highlight', page: 1, rects: [[50, 50, 10, 10], [1, 2, 3]] },
+    { type: 'highlight', page: 1, rects: [] },
+    { type: 'note', page: 3, x: 1, y: 1 },
+    { type: 'stamp', page: 1 },
+    { type: 'ink', page: 1, width: 500, paths: [[[0, 0]], [[0, 0], [5, 'x'], [5, 5]]] },
+  ], 2);
+  assert.deepEqual(list.map((a) => a.type), ['highlight', 'ink']);
+  assert.deepEqual(list[0].rects, [[10, 10, 50, 50]]);
+  assert.deepEqual(list[0].color, [1, 0.92, 0.23]);
+  assert.deepEqual([list[1].paths, list[1].width], [[[[0, 0], [5, 5]]], 50]);
+});
@@ -0,0 +1,81 @@
+// The bookmark-pdf command: exit codes, and stdout carrying nothing but the command's output
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+const BIN = path.join(__dirname, '../bin/bookmark-pdf');
+
+let dir;
+let inputPath;
+
+function run(args, input) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [BIN, ...args], { cwd: dir, input, encoding: 'utf8' });
+  return { status, stdout, stderr };
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmark-pdf-cli-'));
+  const pdfDoc = await PDFDocument.create();
+  for (let i = 0; i < 4; i++) pdfDoc.addPage([200, 200]);
+  inputPath = path.join(dir, 'input.pdf');
+  fs.writeFileSync(inputPath, await pdfDoc.save());
+  fs.writeFileSync(path.join(dir, 'outline.txt'), '1||Intro\n2|-|Scope\n4||Index\n');
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('applies an outline and dumps it back as JSON on stdout', () => {
+  const applied = run(['apply', 'input.pdf', 'outline.txt', '-o', 'out.pdf', '--json']);
+  assert.equal(applied.status, 0, applied.stderr);
+  assert.deepEqual(JSON.parse(applied.stdout), { ok: true, command: 'apply', output: 'out.pdf', bookmarks: 3 });
+
+  const dumped = run(['dump', 'out.pdf']);
+  assert.equal(dumped.status, 0, dumped.stderr);
+  const { numPages, bookmarks } = JSON.parse(dumped.stdout);
+  assert.equal(numPages, 4);
+  assert.deepEqual(bookmarks.map((b) => [b.title, b.page, b.children.length]), [['Intro', 1, 1], ['Index', 4, 0]]);
+
+  const text = run(['dump', 'out.pdf', '-f', 'txt']);
+  assert.equal(text.stdout, '1||Intro\n2|-|Scope\n4||Index\n');
+});
+
+test('reads the outline from stdin and strips it again', () => {
+  const applied = run(['apply', 'input.pdf', '-', '-o', 'stdin.pdf'], '1||Only\n');
+  assert.equal(applied.status, 0, applied.stderr);
+  assert.equal(applied.stdout, 'Wrote 1 bookmark to stdin.pdf\n');
+
+  const stripped = run(['strip', 'stdin.pdf', '-o', 'stripped.pdf', '--json']);
+  assert.equal(stripped.status, 0, stripped.stderr);
+  assert.equal(JSON.parse(stripped.stdout).removed, 1);
+  assert.deepEqual(JSON.parse(run(['dump', 'stripped.pdf']).stdout).bookmarks, []);
+});
+
+test('exits with the code of each kind of failure', () => {
+  assert.equal(run(['--help']).status, 0);
+  assert.equal(run([]).status, 2);
+  const unknown = run(['merge', 'input.pdf']);
+  assert.equal(unknown.status, 2);
+  assert.match(unknown.stderr, /USAGE: unknown command "merge"/);
+  assert.equal(run(['apply', 'input.pdf', 'outline.txt']).status, 2);
+
+  const missing = run(['dump', 'missing.pdf', '--json']);
+  assert.equal(missing.status, 3);
+  assert.equal(missing.stdout, '');
+  // Library warnings may come first on stderr; the error is the last line
+  assert.equal(JSON.parse(missing.stderr.trim().split('\n').pop()).error.code, 'INPUT_NOT_FOUND');
+  fs.writeFileSync(path.join(dir, 'broken.pdf'), 'not a pdf');
+  assert.equal(run(['dump', 'broken.pdf']).status, 3);
+
+  assert.equal(run(['apply', 'input.pdf', 'missing.txt', '-o', 'x.pdf']).status, 4);
+  fs.writeFileSync(path.join(dir, 'beyond.txt'), '9||Nowhere\n');
+  const invalid = run(['apply', 'input.pdf', 'beyond.txt', '-o', 'x.pdf']);
+  assert.equal(invalid.status, 4);
+  assert.match(invalid.stderr, /line 1: page 9 is beyond the last page \(4\)/);
+  assert.ok(!fs.existsSync(path.join(dir, 'x.pdf')));
+});
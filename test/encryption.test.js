@@ -0,0 +1,78 @@
+// Encrypted output and uploads: encrypting, checking a fresh upload and unlocking it with its password
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { decryptPdf, encryptPdf, normalizeEncryption, prepareUpload } = require('../server/encryption');
+
+let dir;
+let plainBytes;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmark-pdf-encryption-'));
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle('Quarterly report');
+  for (let i = 0; i < 3; i++) pdfDoc.addPage([200, 200]);
+  plainBytes = await pdfDoc.save();
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function copyOfPlain(name) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, plainBytes);
+  return filePath;
+}
+
+test('unlocks a file encrypted with a user password only with that password', async () => {
+  const filePath = copyOfPlain('locked.pdf');
+  await encryptPdf(filePath, { userPassword: 'open sesame', ownerPassword: 'owner' });
+  await assert.rejects(PDFDocument.load(fs.readFileSync(filePath)), /encrypted/i);
+
+  assert.deepEqual(await prepareUpload(filePath), { encrypted: true, passwordRequired: true });
+  await assert.rejects(decryptPdf(filePath, 'wrong'), (err) => err.code === 'INCORRECT_PASSWORD');
+
+  await decryptPdf(filePath, 'open sesame');
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(filePath));
+  assert.equal(pdfDoc.getPageCount(), 3);
+  assert.equal(pdfDoc.getTitle(), 'Quarterly report');
+  assert.deepEqual(await prepareUpload(filePath), { encrypted: false, passwordRequired: false });
+});
+
+test('unlocks with the owner password as well', async () => {
+  const filePath = copyOfPlain('owner.pdf');
+  await encryptPdf(filePath, { userPassword: 'user', ownerPassword: 'owner' });
+  await decryptPdf(filePath, 'owner');
+  assert.equal((await PDFDocument.load(fs.readFileSync(filePath))).getPageCount(), 3);
+});
+
+test('decrypts uploads that only restrict permissions right away', async () => {
+  const filePath = copyOfPlain('restricted.pdf');
+  await encryptPdf(filePath, { permissions: { print: false } });
+  assert.deepEqual(await prepareUpload(filePath), { encrypted: true, passwordRequired: false });
+  assert.equal((await PDFDocument.load(fs.readFileSync(filePath))).getPageCount(), 3);
+});
+
+test('leaves plain uploads alone', async () => {
+  const filePath = copyOfPlain('plain.pdf');
+  assert.deepEqual(await prepareUpload(filePath), { encrypted: false, passwordRequired: false });
+  assert.deepEqual(fs.readFileSync(filePath), Buffer.from(plainBytes));
+});
+
+test('normalizes encryption options', () => {
+  assert.equal(normalizeEncryption(undefined), null);
+  assert.equal(normalizeEncryption({ permissions: { print: true } }), null);
+  assert.deepEqual(normalizeEncryption({ userPassword: 'u', permissions: { copy: false } }), {
+    userPassword: 'u',
+    ownerPassword: '',
+    permissions: { print: true, copy: false, modify: true },
+  });
+  assert.throws(
+    () => normalizeEncryption({ userPassword: 'same', ownerPassword: 'same', permissions: { modify: false } }),
+    /owner password must differ/,
+  );
+});
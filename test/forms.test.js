@@ -0,0 +1,127 @@
+// AcroForm fields: listing them with their current values and filling, checking and flattening them
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { fillForm, readFormFields } = require('../server/forms');
+
+let dir;
+let formBytes;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmark-pdf-forms-'));
+  const pdfDoc = await PDFDocument.create();
+  const first = pdfDoc.addPage([400, 400]);
+  const second = pdfDoc.addPage([400, 400]);
+  const form = pdfDoc.getForm();
+
+  const name = form.createTextField('applicant.name');
+  name.setText('Ada');
+  name.enableRequired();
+  name.addToPage(first, { x: 20, y: 340, width: 200, height: 24 });
+  const notes = form.createTextField('notes');
+  notes.enableMultiline();
+  notes.setMaxLength(200);
+  notes.addToPage(first, { x: 20, y: 200, width: 300, height: 100 });
+  form.createCheckBox('agree').addToPage(first, { x: 20, y: 160, width: 16, height: 16 });
+
+  const plan = form.createRadioGroup('plan');
+  plan.addOptionToPage('basic', second, { x: 20, y: 340, width: 16, height: 16 });
+  plan.addOptionToPage('pro', second, { x: 60, y: 340, width: 16, height: 16 });
+  const country = form.createDropdown('country');
+  country.addOptions(['France', 'Japan', 'Peru']);
+  country.addToPage(second, { x: 20, y: 280, width: 120, height: 24 });
+  const topics = form.createOptionList('topics');
+  topics.addOptions(['Maps', 'Music', 'Math']);
+  topics.enableMultiselect();
+  topics.addToPage(second, { x: 20, y: 180, width: 120, height: 60 });
+  const id = form.createTextField('id');
+  id.setText('A-17');
+  id.enableReadOnly();
+  id.addToPage(second, { x: 20, y: 120, width: 120, height: 24 });
+
+  formBytes = await pdfDoc.save();
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function copyOfForm(name) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, formBytes);
+  return filePath;
+}
+
+function valuesOf(fields) {
+  return Object.fromEntries(fields.map((f) => [f.name, f.value]));
+}
+
+test('lists every field with its type, value, options and page', async () => {
+  const fields = await readFormFields(copyOfForm('list.pdf'));
+  assert.deepEqual(fields.map((f) => [f.name, f.type, f.page]), [
+    ['applicant.name', 'text', 1],
+    ['notes', 'text', 1],
+    ['agree', 'checkbox', 1],
+    ['plan', 'radio', 2],
+    ['country', 'dropdown', 2],
+    ['topics', 'optionList', 2],
+    ['id', 'text', 2],
+  ]);
+  const byName = Object.fromEntries(fields.map((f) => [f.name, f]));
+  assert.deepEqual(
+    [byName['applicant.name'].value, byName['applicant.name'].required, byName['applicant.name'].multiline],
+    ['Ada', true, false],
+  );
+  assert.deepEqual([byName.notes.multiline, byName.notes.maxLength], [true, 200]);
+  assert.equal(byName.agree.value, false);
+  assert.deepEqual(byName.plan.options, ['basic', 'pro']);
+  assert.deepEqual([byName.country.options, byName.country.value, byName.country.editable], [['France', 'Japan', 'Peru'], '', false]);
+  assert.deepEqual([byName.topics.multiSelect, byName.topics.value], [true, []]);
+  assert.equal(byName.id.readOnly, true);
+});
+
+test('fills the fields and reads the values back', async () => {
+  const filePath = copyOfForm('filled.pdf');
+  const result = await fillForm(filePath, {
+    'applicant.name': 'Grace',
+    notes: 'Line one\nLine two',
+    agree: 'Yes',
+    plan: 'pro',
+    country: 'Japan',
+    topics: 'Maps; Math',
+    nickname: 'G',
+  });
+  assert.deepEqual(result, { filled: 6, ignored: ['nickname'] });
+
+  assert.deepEqual(valuesOf(await readFormFields(filePath)), {
+    'applicant.name': 'Grace',
+    notes: 'Line one\nLine two',
+    agree: true,
+    plan: 'pro',
+    country: 'Japan',
+    topics: ['Maps', 'Math'],
+    id: 'A-17',
+  });
+
+  await fillForm(filePath, { agree: 'no', country: '', topics: [] });
+  const cleared = valuesOf(await readFormFields(filePath));
+  assert.deepEqual([cleared.agree, cleared.country, cleared.topics], [false, '', []]);
+});
+
+test('names the field whose value is not one of its options', async () => {
+  const filePath = copyOfForm('bad.pdf');
+  await assert.rejects(fillForm(filePath, { country: 'Chile' }), /field "country": "Chile" is not one of its options/);
+  await assert.rejects(fillForm(filePath, { plan: 'gold' }), /field "plan": "gold" is not one of its options/);
+  assert.deepEqual(fs.readFileSync(filePath), Buffer.from(formBytes));
+});
+
+test('flattening leaves the values on the page and no fields', async () => {
+  const filePath = copyOfForm('flat.pdf');
+  await fillForm(filePath, { 'applicant.name': 'Grace' }, { flatten: true });
+  assert.deepEqual(await readFormFields(filePath), []);
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(filePath));
+  assert.equal(pdfDoc.getPageCount(), 2);
+});
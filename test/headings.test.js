@@ -0,0 +1,79 @@
+// Outline suggestions from heading fonts: levels by font size, running headers left out
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { generateHeadingOutline } = require('../server/headings');
+
+const BODY = 'The quick brown fox jumps over the lazy dog while the report goes on at length.';
+
+// Each page lists [text, size, bold] from the top down; every page gets a running header and body text
+const PAGES = [
+  [['Chapter 1 Introduction', 20, true], ['1.1 Overview', 14, true], ['Key terms', 10, true], ['1.2 Scope', 14, false]],
+  [['Chapter 2 Methods', 20, true], ['2.1 Sampling', 14, true]],
+  [['2.2 Analysis', 14, false]],
+];
+
+let dir;
+let filePath;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmark-pdf-headings-'));
+  const pdfDoc = await PDFDocument.create();
+  const regular = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  PAGES.forEach((headings) => {
+    const page = pdfDoc.addPage([600, 800]);
+    page.drawText('Annual Report 2024', { x: 50, y: 770, size: 9, font: regular });
+    let y = 720;
+    headings.forEach(([text, size, isBold]) => {
+      page.drawText(text, { x: 50, y, size, font: isBold ? bold : regular });
+      y -= size * 2;
+      for (let i = 0; i < 4; i++) {
+        page.drawText(BODY, { x: 50, y, size: 10, font: regular });
+        y -= 14;
+      }
+      y -= 10;
+    });
+  });
+  filePath = path.join(dir, 'report.pdf');
+  fs.writeFileSync(filePath, await pdfDoc.save());
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function titles(nodes) {
+  return nodes.map((n) => (n.children.length > 0 ? [n.title, n.page, titles(n.children)] : [n.title, n.page]));
+}
+
+test('nests headings by font size, bold or not', async () => {
+  const { bodyFontSize, levels, bookmarks } = await generateHeadingOutline(filePath);
+  assert.equal(bodyFontSize, 10);
+  assert.deepEqual(levels, [
+    { fontSize: 20, bold: true, italic: false },
+    { fontSize: 14, bold: false, italic: false },
+    { fontSize: 10, bold: true, italic: false },
+  ]);
+  assert.deepEqual(titles(bookmarks), [
+    ['Chapter 1 Introduction', 1, [['1.1 Overview', 1, [['Key terms', 1]]], ['1.2 Scope', 1]]],
+    ['Chapter 2 Methods', 2, [['2.1 Sampling', 2], ['2.2 Analysis', 3]]],
+  ]);
+});
+
+test('stops at the maximum depth', async () => {
+  const { levels, bookmarks } = await generateHeadingOutline(filePath, { maxDepth: 1 });
+  assert.equal(levels.length, 1);
+  assert.deepEqual(titles(bookmarks), [['Chapter 1 Introduction', 1], ['Chapter 2 Methods', 2]]);
+});
+
+test('keeps only bold headings below the font-size ratio', async () => {
+  const { bookmarks } = await generateHeadingOutline(filePath, { minFontRatio: 1.6 });
+  assert.deepEqual(titles(bookmarks), [
+    ['Chapter 1 Introduction', 1, [['1.1 Overview', 1, [['Key terms', 1]]]]],
+    ['Chapter 2 Methods', 2, [['2.1 Sampling', 2]]],
+  ]);
+});
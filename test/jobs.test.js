@@ -0,0 +1,91 @@
+// Job queue persistence: what job.json keeps and what a restart does with unfinished jobs
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJobQueue } = require('../server/jobs');
+
+const encryption = { userPassword: 'open-sesame', ownerPassword: 'owner-secret', permissions: { print: true, copy: false, modify: false } };
+
+let dir;
+
+function jobFile(id) {
+  return fs.readFileSync(path.join(dir, id, 'job.json'), 'utf8');
+}
+
+function waitFor(queue, id) {
+  return new Promise((resolve) => {
+    const state = queue.get(id);
+    if (state.status === 'done' || state.status === 'failed') return resolve(state);
+    queue.subscribe(id, (next) => {
+      if (next.status === 'done' || next.status === 'failed') resolve(next);
+    });
+  });
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmark-pdf-jobs-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('passes secrets to the run but never writes them to job.json', async () => {
+  let seen;
+  const queue = createJobQueue({
+    dir,
+    run: async (job) => {
+      seen = job.input.encryption;
+      assert.doesNotMatch(jobFile(job.id), /open-sesame|owner-secret/);
+      fs.writeFileSync(job.outputPath, 'pdf');
+    },
+  });
+  const { id } = queue.submit({ id: 'file.pdf', bookmarks: [] }, { secrets: { encryption } });
+  assert.doesNotMatch(jobFile(id), /open-sesame|owner-secret/);
+
+  assert.equal((await waitFor(queue, id)).status, 'done');
+  assert.deepEqual(seen, encryption);
+  const saved = JSON.parse(jobFile(id));
+  assert.equal(saved.input.encryption, undefined);
+  assert.equal(saved.input.id, 'file.pdf');
+  assert.deepEqual(saved.secretKeys, ['encryption']);
+});
+
+test('fails unfinished jobs with secrets after a restart instead of running them', async () => {
+  // The first queue never finishes its job, like a server that stopped mid-way
+  const first = createJobQueue({ dir, run: () => new Promise(() => {}) });
+  const locked = first.submit({ id: 'a.pdf' }, { secrets: { encryption } });
+  const plain = first.submit({ id: 'b.pdf' });
+
+  const ran = [];
+  const second = createJobQueue({
+    dir,
+    run: async (job) => {
+      ran.push(job.input.id);
+      fs.writeFileSync(job.outputPath, 'pdf');
+    },
+  });
+  const lockedState = await waitFor(second, locked.id);
+  assert.equal(lockedState.status, 'failed');
+  assert.match(lockedState.error, /submit it again/);
+  assert.equal((await waitFor(second, plain.id)).status, 'done');
+  assert.deepEqual(ran, ['b.pdf']);
+});
+
+test('publishes the pages OCR skipped', async () => {
+  const ocrSkipped = [{ page: 2, reason: 'no scanned image on the page' }];
+  const queue = createJobQueue({
+    dir,
+    run: async (job, onProgress) => {
+      fs.writeFileSync(job.outputPath, 'pdf');
+      onProgress({ stage: 'done', percent: 100, message: 'Finished', ocrSkipped });
+    },
+  });
+  const { id } = queue.submit({ id: 'scan.pdf', ocr: true });
+  const finished = await waitFor(queue, id);
+  assert.equal(finished.status, 'done');
+  assert.deepEqual(finished.ocrSkipped, ocrSkipped);
+  assert.deepEqual(queue.get(id).ocrSkipped, ocrSkipped);
+});
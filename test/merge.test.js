@@ -0,0 +1,68 @@
+// Merging PDFs: one top-level bookmark per file with its own outline moved to the new pages
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { mergePdfs } = require('../server/merge');
+const { processPdf } = require('../server/process');
+const { readOutline } = require('../server/outlineReader');
+
+async function writeBlankPdf(filePath, numPages) {
+  const pdfDoc = await PDFDocument.create();
+  for (let i = 0; i < numPages; i++) pdfDoc.addPage([200, 200]);
+  fs.writeFileSync(filePath, await pdfDoc.save());
+}
+
+test('nests each file\'s outline under its name on the merged pages', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmark-pdf-merge-'));
+  try {
+    const first = path.join(dir, 'first.pdf');
+    const plain = path.join(dir, 'second.pdf');
+    const second = path.join(dir, 'second-outlined.pdf');
+    await writeBlankPdf(first, 2);
+    await writeBlankPdf(plain, 3);
+    await processPdf({
+      filePath: plain,
+      outputPath: second,
+      bookmarks: [{ title: 'Results', page: 2, children: [{ title: 'Tables', page: 3, children: [] }] }],
+    });
+
+    const outputPath = path.join(dir, 'merged.pdf');
+    const bookmarks = await mergePdfs({
+      files: [{ filePath: first, name: 'Intro.pdf' }, { filePath: second, name: 'Annual report.PDF' }],
+      outputPath,
+    });
+    assert.deepEqual(bookmarks.map((b) => [b.title, b.page]), [['Intro', 1], ['Annual report', 3]]);
+
+    const merged = await PDFDocument.load(fs.readFileSync(outputPath));
+    assert.equal(merged.getPageCount(), 5);
+    const { bookmarks: written } = await readOutline(outputPath);
+    const report = written[1];
+    assert.equal(report.page, 3);
+    assert.deepEqual([report.children[0].title, report.children[0].page], ['Results', 4]);
+    assert.deepEqual([report.children[0].children[0].title, report.children[0].children[0].page], ['Tables', 5]);
+    assert.ok(!fs.existsSync(path.join(dir, 'merged-merged.pdf')));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('names the file that cannot be read', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmark-pdf-merge-'));
+  try {
+    const broken = path.join(dir, 'broken.pdf');
+    fs.writeFileSync(broken, 'not a pdf');
+    await assert.rejects(
+      mergePdfs({ files: [{ filePath: broken, name: 'broken.pdf' }], outputPath: path.join(dir, 'out.pdf') }),
+      /broken\.pdf could not be read/,
+    );
+    await assert.rejects(
+      mergePdfs({ files: [{ filePath: path.join(dir, 'missing.pdf'), name: 'missing.pdf' }], outputPath: path.join(dir, 'out.pdf') }),
+      /file not found: missing\.pdf/,
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
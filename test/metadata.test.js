@@ -0,0 +1,117 @@
+// Document properties and viewer preferences: written by applyMetadata, read back by readMetadata,
+// with the Info dictionary and the XMP packet kept in step
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, PDFName, decodePDFRawStream } = require('pdf-lib');
+const { applyMetadata, readMetadata } = require('../server/metadata');
+
+// A PDF/A packet with an old title and a custom schema, as another tool would leave it
+const PDFA_PACKET = [
+  '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+  '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+  '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+  '<rdf:Description rdf:about="" xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/" pdfaid:part="2" pdfaid:conformance="B"/>',
+  '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:acme="http://example.com/acme/1.0/">',
+  '  <dc:title><rdf:Alt><rdf:li xml:lang="x-default">Draft &amp; notes</rdf:li></rdf:Alt></dc:title>',
+  '  <dc:creator><rdf:Seq><rdf:li>Ada</rdf:li><rdf:li>Grace</rdf:li></rdf:Seq></dc:creator>',
+  '  <acme:Project>Bridge 7</acme:Project>',
+  '</rdf:Description>',
+  '</rdf:RDF>',
+  '</x:xmpmeta>',
+  '<?xpacket end="w"?>',
+].join('\n');
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmark-pdf-metadata-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function writePdf(name, { packet, title } = {}) {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage([200, 200]);
+  pdfDoc.setCreator('Report builder');
+  if (title) pdfDoc.setTitle(title);
+  if (packet) {
+    const stream = pdfDoc.context.stream(Buffer.from(packet, 'utf8'), { Type: 'Metadata', Subtype: 'XML' });
+    pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(stream));
+  }
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, await pdfDoc.save());
+  return filePath;
+}
+
+async function packetOf(filePath) {
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(filePath), { updateMetadata: false });
+  return Buffer.from(decodePDFRawStream(pdfDoc.catalog.lookup(PDFName.of('Metadata'))).decode()).toString('utf8');
+}
+
+test('writes the properties and viewer preferences that read back the same', async () => {
+  const filePath = await writePdf('plain.pdf');
+  await applyMetadata(filePath, {
+    title: '  Annual report  ',
+    author: 'Ada; Grace',
+    subject: 'Results <2025>',
+    keywords: 'finance, audit',
+    language: 'en-GB',
+    pageMode: 'UseOutlines',
+    pageLayout: 'TwoPageRight',
+    displayDocTitle: true,
+  });
+
+  const metadata = await readMetadata(filePath);
+  assert.deepEqual(
+    [metadata.title, metadata.author, metadata.subject, metadata.keywords, metadata.language],
+    ['Annual report', 'Ada; Grace', 'Results <2025>', 'finance, audit', 'en-GB'],
+  );
+  assert.deepEqual([metadata.pageMode, metadata.pageLayout, metadata.displayDocTitle], ['UseOutlines', 'TwoPageRight', true]);
+  assert.equal(metadata.creator, 'Report builder');
+  assert.deepEqual(metadata.xmp, {
+    title: 'Annual report',
+    author: 'Ada; Grace',
+    subject: 'Results <2025>',
+    keywords: 'finance, audit',
+    language: 'en-GB',
+  });
+});
+
+test('clears the fields given as empty and leaves the others alone', async () => {
+  const filePath = await writePdf('clear.pdf', { title: 'Old title' });
+  await applyMetadata(filePath, { author: 'Ada', language: 'fr', pageMode: 'UseThumbs' });
+  await applyMetadata(filePath, { author: '', language: '', pageMode: null, displayDocTitle: false });
+
+  const metadata = await readMetadata(filePath);
+  assert.deepEqual([metadata.title, metadata.author, metadata.language], ['Old title', '', '']);
+  assert.deepEqual([metadata.pageMode, metadata.displayDocTitle], [null, false]);
+  assert.deepEqual([metadata.xmp.title, metadata.xmp.author], ['Old title', null]);
+});
+
+test('updates an existing XMP packet and keeps the properties it does not manage', async () => {
+  const filePath = await writePdf('pdfa.pdf', { packet: PDFA_PACKET });
+  const original = await readMetadata(filePath);
+  assert.deepEqual([original.title, original.author], ['Draft & notes', 'Ada; Grace']);
+
+  await applyMetadata(filePath, { title: 'Final', keywords: 'bridge' });
+  const metadata = await readMetadata(filePath);
+  assert.deepEqual([metadata.title, metadata.author, metadata.keywords], ['Final', 'Ada; Grace', 'bridge']);
+  assert.deepEqual([metadata.xmp.title, metadata.xmp.author], ['Final', 'Ada; Grace']);
+
+  const packet = await packetOf(filePath);
+  assert.match(packet, /pdfaid:part="2" pdfaid:conformance="B"/);
+  assert.match(packet, /<acme:Project>Bridge 7<\/acme:Project>/);
+  assert.equal(packet.match(/<dc:title>/g).length, 1);
+  assert.doesNotMatch(packet, /Draft/);
+});
+
+test('rejects unknown page modes and layouts', async () => {
+  const filePath = await writePdf('bad.pdf');
+  await assert.rejects(applyMetadata(filePath, { pageMode: 'Sideways' }), /unknown pageMode "Sideways"/);
+  await assert.rejects(applyMetadata(filePath, { pageLayout: 'Grid' }), /unknown pageLayout "Grid"/);
+});
@@ -0,0 +1,138 @@
+// Finding the scan OCR reads on a page: rotated images, strips and pages it has to skip
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const {
+  PDFDocument,
+  concatTransformationMatrix,
+  degrees,
+  drawObject,
+  popGraphicsState,
+  pushGraphicsState,
+  rgb,
+} = require('pdf-lib');
+const { openPdf } = require('../server/pdfText');
+const { encodePng, getPageScan } = require('../server/ocr');
+
+const PAGE = [200, 100];
+
+let dir;
+let source;
+
+// Solid RGB image, optionally with its top row black so the orientation can be checked
+function solidPng(width, height, color, { topRow } = {}) {
+  const pixels = new Uint8Array(width * height * 3);
+  for (let i = 0; i < width * height; i++) pixels.set(i < width && topRow ? topRow : color, i * 3);
+  return encodePng(width, height, 3, pixels);
+}
+
+// Reads back the RGB pixels of an 8-bit PNG written by encodePng
+function decodePng(png) {
+  const width = png.readUInt32BE(16);
+  const height = png.readUInt32BE(20);
+  const channels = { 0: 1, 2: 3, 6: 4 }[png[25]];
+  const raw = zlib.inflateSync(png.subarray(41, png.length - 12 - 4));
+  const pixel = (x, y) => Array.from(raw.subarray(y * (width * channels + 1) + 1 + x * channels, y * (width * channels + 1) + 1 + (x + 1) * channels));
+  return { width, height, pixel };
+}
+
+function rounded(rect) {
+  return Object.fromEntries(Object.entries(rect).map(([key, value]) => [key, Math.round(value * 1000) / 1000]));
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmark-pdf-ocr-'));
+  const pdfDoc = await PDFDocument.create();
+
+  // A landscape scan stored upright and turned a quarter onto the page
+  const turned = await pdfDoc.embedPng(solidPng(50, 100, [255, 255, 255], { topRow: [0, 0, 0] }));
+  pdfDoc.addPage(PAGE).drawImage(turned, { x: 0, y: 100, width: 100, height: 200, rotate: degrees(-90) });
+
+  // A scan stored as two horizontal strips
+  const strips = pdfDoc.addPage(PAGE);
+  strips.drawImage(await pdfDoc.embedPng(solidPng(20, 5, [255, 0, 0])), { x: 0, y: 50, width: 200, height: 50 });
+  strips.drawImage(await pdfDoc.embedPng(solidPng(20, 5, [0, 0, 255])), { x: 0, y: 0, width: 200, height: 50 });
+
+  pdfDoc.addPage(PAGE).drawRectangle({ x: 10, y: 10, width: 50, height: 50, color: rgb(0, 0, 0) });
+
+  pdfDoc.addPage(PAGE).drawImage(await pdfDoc.embedPng(solidPng(4, 4, [0, 0, 0])), { x: 10, y: 10, width: 20, height: 20 });
+
+  pdfDoc.addPage(PAGE).drawImage(turned, { x: 50, y: 0, width: 100, height: 100, rotate: degrees(30) });
+
+  // A 1-bit stencil mask, the way JBIG2 and CCITT scans are stored: only its top row is ink
+  const mask = Buffer.alloc(8 * 8, 0xff).fill(0, 0, 8);
+  const maskRef = pdfDoc.context.register(pdfDoc.context.stream(mask, {
+    Type: 'XObject',
+    Subtype: 'Image',
+    Width: 64,
+    Height: 8,
+    ImageMask: true,
+    BitsPerComponent: 1,
+  }));
+  const maskPage = pdfDoc.addPage(PAGE);
+  const maskName = maskPage.node.newXObject('Scan', maskRef);
+  maskPage.pushOperators(pushGraphicsState(), concatTransformationMatrix(200, 0, 0, 100, 0, 0), drawObject(maskName), popGraphicsState());
+
+  // A scan inside a form XObject whose /Matrix doubles it to fill the page
+  const formImage = await pdfDoc.embedPng(solidPng(20, 10, [0, 128, 0]));
+  const form = pdfDoc.context.stream('q 100 0 0 50 0 0 cm /Im Do Q', {
+    Type: 'XObject',
+    Subtype: 'Form',
+    BBox: [0, 0, 100, 50],
+    Matrix: [2, 0, 0, 2, 0, 0],
+    Resources: { XObject: { Im: formImage.ref } },
+  });
+  const formPage = pdfDoc.addPage(PAGE);
+  formPage.pushOperators(drawObject(formPage.node.newXObject('Fm', pdfDoc.context.register(form))));
+
+  const filePath = path.join(dir, 'scans.pdf');
+  fs.writeFileSync(filePath, await pdfDoc.save());
+  source = await openPdf(filePath);
+});
+
+after(async () => {
+  if (source) await source.destroy();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('turns a quarter-turned scan the way the page shows it', async () => {
+  const { scan } = await getPageScan(await source.getPage(1));
+  assert.deepEqual(rounded(scan.rect), { x: 0, y: 0, width: 200, height: 100 });
+  const png = decodePng(scan.png);
+  assert.equal(png.width, 100);
+  assert.equal(png.height, 50);
+  // The image's top row ends up along the right edge of the page
+  assert.deepEqual(png.pixel(png.width - 1, 10), [0, 0, 0]);
+  assert.deepEqual(png.pixel(0, 10), [255, 255, 255]);
+});
+
+test('joins strips into one scan', async () => {
+  const { scan } = await getPageScan(await source.getPage(2));
+  assert.deepEqual(scan.rect, { x: 0, y: 0, width: 200, height: 100 });
+  const png = decodePng(scan.png);
+  assert.deepEqual(png.pixel(0, 0), [255, 0, 0]);
+  assert.deepEqual(png.pixel(png.width - 1, png.height - 1), [0, 0, 255]);
+});
+
+test('reads stencil masks with ink as black', async () => {
+  const { scan } = await getPageScan(await source.getPage(6));
+  const png = decodePng(scan.png);
+  assert.equal(png.width, 64);
+  assert.deepEqual(png.pixel(30, 0), [0]);
+  assert.deepEqual(png.pixel(30, 1), [255]);
+});
+
+test('applies the matrix of a form XObject around the scan', async () => {
+  const { scan } = await getPageScan(await source.getPage(7));
+  assert.deepEqual(rounded(scan.rect), { x: 0, y: 0, width: 200, height: 100 });
+  assert.deepEqual(decodePng(scan.png).pixel(0, 0), [0, 128, 0]);
+});
+
+test('reports the pages it cannot read', async () => {
+  assert.deepEqual(await getPageScan(await source.getPage(3)), { skipped: 'no scanned image on the page' });
+  assert.deepEqual(await getPageScan(await source.getPage(4)), { skipped: 'images cover only 2% of the page' });
+  assert.deepEqual(await getPageScan(await source.getPage(5)), { skipped: 'the scan is rotated by an angle other than a quarter turn' });
+});
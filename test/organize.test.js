@@ -0,0 +1,109 @@
+// Organizing pages: reordering, rotating, repeating and inserting pages while keeping the document's own data
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, PDFName, StandardFonts } = require('pdf-lib');
+const { organizePdf } = require('../server/organize');
+const { applyPageLabels } = require('../server/pageLabels');
+const { applyMetadata, readMetadata } = require('../server/metadata');
+const { fillForm, readFormFields } = require('../server/forms');
+const { openPdf, getDocumentLines } = require('../server/pdfText');
+
+let dir;
+let formPath;
+let otherPath;
+
+async function pageTexts(filePath) {
+  const doc = await openPdf(filePath);
+  try {
+    const pages = await getDocumentLines(doc);
+    return { texts: pages.map((lines) => lines.map((l) => l.text).join(' ')), labels: await doc.getPageLabels() };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmark-pdf-organize-'));
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const form = pdfDoc.getForm();
+  ['Page A', 'Page B', 'Page C'].forEach((text, i) => {
+    const page = pdfDoc.addPage([300, 300]);
+    page.drawText(text, { x: 30, y: 250, size: 14, font });
+    if (i === 1) form.createTextField('name').addToPage(page, { x: 30, y: 100, width: 200, height: 24 });
+  });
+  formPath = path.join(dir, 'form.pdf');
+  fs.writeFileSync(formPath, await pdfDoc.save());
+  await applyPageLabels(formPath, [{ startPage: 1, style: 'r', prefix: '', start: 1 }, { startPage: 2, style: 'D', prefix: '', start: 1 }]);
+  await applyMetadata(formPath, { title: 'Application', subject: 'Permit', displayDocTitle: true });
+
+  const other = await PDFDocument.create();
+  other.addPage([300, 300]).drawText('Inserted', { x: 30, y: 250, size: 14, font: await other.embedFont(StandardFonts.Helvetica) });
+  otherPath = path.join(dir, 'other.pdf');
+  fs.writeFileSync(otherPath, await other.save());
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('keeps the form, page labels and document properties of the primary file', async () => {
+  const outputPath = path.join(dir, 'organized.pdf');
+  const numPages = await organizePdf({
+    sources: { form: formPath, other: otherPath },
+    primary: 'form',
+    pages: [
+      { source: 'form', page: 2, rotate: 90 },
+      { source: 'other', page: 1 },
+      { source: 'form', page: 1 },
+      { source: 'form', page: 2 },
+    ],
+    outputPath,
+  });
+  assert.equal(numPages, 4);
+
+  const { texts, labels } = await pageTexts(outputPath);
+  assert.deepEqual(texts, ['Page B', 'Inserted', 'Page A', 'Page B']);
+  assert.deepEqual(labels, ['i', '1', '2', '3']);
+
+  const organized = await PDFDocument.load(fs.readFileSync(outputPath));
+  assert.equal(organized.getPage(0).getRotation().angle, 90);
+  assert.equal(organized.getPage(2).getRotation().angle, 0);
+
+  const metadata = await readMetadata(outputPath);
+  assert.equal(metadata.title, 'Application');
+  assert.equal(metadata.subject, 'Permit');
+  assert.equal(metadata.displayDocTitle, true);
+  assert.equal(metadata.xmp.subject, 'Permit');
+
+  const fields = await readFormFields(outputPath);
+  assert.deepEqual(fields.map((f) => [f.name, f.page]), [['name', 1]]);
+  assert.deepEqual(await fillForm(outputPath, { name: 'Ada' }), { filled: 1, ignored: [] });
+  assert.equal((await readFormFields(outputPath))[0].value, 'Ada');
+});
+
+test('keeps attributes pages inherit from the page tree', async () => {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage([300, 300]);
+  pdfDoc.addPage([300, 300]);
+  pdfDoc.getPages().forEach((page) => page.node.delete(PDFName.of('MediaBox')));
+  pdfDoc.catalog.Pages().set(PDFName.of('MediaBox'), pdfDoc.context.obj([0, 0, 200, 400]));
+  const inheritedPath = path.join(dir, 'inherited.pdf');
+  fs.writeFileSync(inheritedPath, await pdfDoc.save());
+
+  const outputPath = path.join(dir, 'inherited-organized.pdf');
+  await organizePdf({ sources: { doc: inheritedPath }, primary: 'doc', pages: [{ source: 'doc', page: 2 }], outputPath });
+  const organized = await PDFDocument.load(fs.readFileSync(outputPath));
+  assert.equal(organized.getPageCount(), 1);
+  assert.deepEqual(organized.getPage(0).getSize(), { width: 200, height: 400 });
+});
+
+test('rejects pages that do not exist', async () => {
+  await assert.rejects(
+    organizePdf({ sources: { form: formPath }, primary: 'form', pages: [{ source: 'form', page: 4 }], outputPath: path.join(dir, 'bad.pdf') }),
+    /entry 1: page 4 does not exist in form/,
+  );
+});
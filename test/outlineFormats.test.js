@@ -0,0 +1,44 @@
+// Outline files as the app and the bookmark-pdf command read them (frontend/src/lib/outlineFormats.js)
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let formats;
+
+before(async () => {
+  formats = await import('../frontend/src/lib/outlineFormats.js');
+});
+
+test('reads the printed text format with nesting', () => {
+  const { bookmarks, errors } = formats.importOutline('1||Intro\n2|-|Scope\n5||Methods\n', 'txt', { numPages: 5 });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(bookmarks, [
+    { title: 'Intro', page: 1, children: [{ title: 'Scope', page: 2, children: [] }] },
+    { title: 'Methods', page: 5, children: [] },
+  ]);
+});
+
+test('reports negative, zero and missing pages instead of fixing them', () => {
+  const { bookmarks, errors } = formats.importOutline('1||Intro\n-3|-|Scope\n0||Methods\n9||Index\n', 'txt', { numPages: 5 });
+  assert.deepEqual(bookmarks, []);
+  assert.deepEqual(errors, [
+    { line: 2, message: 'page "-3" is not a positive whole number' },
+    { line: 3, message: 'page "0" is not a positive whole number' },
+    { line: 4, message: 'page 9 is beyond the last page (5)' },
+  ]);
+});
+
+test('reads CSV with a header and quoted titles', () => {
+  const { bookmarks, errors } = formats.importOutline('level,title,page\r\n0,"Intro, part 1",1\r\n1,Scope,2\r\n', 'csv');
+  assert.deepEqual(errors, []);
+  assert.equal(bookmarks[0].title, 'Intro, part 1');
+  assert.equal(bookmarks[0].children[0].page, 2);
+});
+
+test('exports what it imports', () => {
+  const tree = [{ title: 'Intro', page: 1, color: '#1e40af', children: [{ title: 'Scope', page: 2, children: [] }] }];
+  ['json', 'csv', 'txt'].forEach((format) => {
+    const { bookmarks, errors } = formats.importOutline(formats.exportOutline(tree, format), format);
+    assert.deepEqual(errors, [], format);
+    assert.equal(bookmarks[0].children[0].title, 'Scope', format);
+  });
+});
@@ -0,0 +1,88 @@
+// Outline items written by processPdf and read back: manual order, color, bold/italic, open state and destination view
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { processPdf } = require('../server/process');
+const { readOutline } = require('../server/outlineReader');
+const { parseColor, hasItemProperties } = require('../server/outlineItems');
+
+let dir;
+let filePath;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmark-pdf-outline-items-'));
+  const pdfDoc = await PDFDocument.create();
+  for (let i = 0; i < 6; i++) pdfDoc.addPage([200, 300]);
+  filePath = path.join(dir, 'plain.pdf');
+  fs.writeFileSync(filePath, await pdfDoc.save());
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('writes color, bold, italic, open state and destinations that read back the same', async () => {
+  const bookmarks = [
+    {
+      title: 'Intro',
+      page: 1,
+      color: '#1E40AF',
+      bold: true,
+      open: false,
+      dest: { mode: 'fit' },
+      children: [{ title: 'Scope', page: 2, italic: true, dest: { mode: 'fitWidth', top: 250 }, children: [] }],
+    },
+    { title: 'Methods', page: 3, bold: true, italic: true, dest: { mode: 'xyz', left: 10, top: 200, zoom: 1.5 }, children: [] },
+    { title: 'Results', page: 5, children: [] },
+  ];
+  const outputPath = path.join(dir, 'styled.pdf');
+  await processPdf({ filePath, outputPath, bookmarks });
+
+  const { bookmarks: written } = await readOutline(outputPath);
+  assert.deepEqual(written, [
+    {
+      title: 'Intro',
+      page: 1,
+      color: '#1e40af',
+      bold: true,
+      open: false,
+      dest: { mode: 'fit' },
+      children: [{ title: 'Scope', page: 2, italic: true, dest: { mode: 'fitWidth', top: 250 }, children: [] }],
+    },
+    { title: 'Methods', page: 3, bold: true, italic: true, dest: { mode: 'xyz', left: 10, top: 200, zoom: 1.5 }, children: [] },
+    { title: 'Results', page: 5, children: [] },
+  ]);
+});
+
+test('keeps a manual order whose pages go backwards, pointing each item at its own page', async () => {
+  const bookmarks = [
+    { title: 'Summary', page: 5, children: [{ title: 'Background', page: 2, children: [] }] },
+    { title: 'Cover', page: 1, children: [] },
+  ];
+  const outputPath = path.join(dir, 'manual.pdf');
+  await processPdf({ filePath, outputPath, bookmarks, preserveOrder: true });
+  const { bookmarks: written } = await readOutline(outputPath);
+  assert.deepEqual(written, bookmarks);
+
+  const sortedPath = path.join(dir, 'sorted.pdf');
+  await processPdf({ filePath, outputPath: sortedPath, bookmarks });
+  assert.deepEqual((await readOutline(sortedPath)).bookmarks.map((b) => [b.title, b.page]), [['Cover', 1], ['Summary', 5]]);
+});
+
+test('parses six-digit hex colors only', () => {
+  assert.deepEqual(parseColor(' ff0000 '), [1, 0, 0]);
+  assert.deepEqual(parseColor('#00FF00'), [0, 1, 0]);
+  assert.equal(parseColor('#f00'), null);
+  assert.equal(parseColor('red'), null);
+  assert.equal(parseColor(undefined), null);
+});
+
+test('tells when the printed outline format is not enough', () => {
+  assert.equal(hasItemProperties([{ title: 'A', page: 1, children: [{ title: 'B', page: 2, children: [] }] }]), false);
+  assert.equal(hasItemProperties([{ title: 'A', page: 1, children: [{ title: 'B', page: 2, italic: true, children: [] }] }]), true);
+  assert.equal(hasItemProperties([{ title: 'A', page: 1, color: 'blue', dest: { mode: 'zoom' }, children: [] }]), false);
+  assert.equal(hasItemProperties([{ title: 'A', page: 1, open: false, children: [] }]), true);
+});
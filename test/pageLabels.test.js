@@ -0,0 +1,64 @@
+// Page label ranges written into the PDF and read back the way viewers (and pdf.js in the app) show them
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { applyPageLabels, normalizePageLabels } = require('../server/pageLabels');
+const { openPdf } = require('../server/pdfText');
+
+let dir;
+let plainBytes;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmark-pdf-page-labels-'));
+  const pdfDoc = await PDFDocument.create();
+  for (let i = 0; i < 8; i++) pdfDoc.addPage([200, 200]);
+  plainBytes = await pdfDoc.save();
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function labelsOf(filePath) {
+  const doc = await openPdf(filePath);
+  try {
+    return await doc.getPageLabels();
+  } finally {
+    await doc.destroy();
+  }
+}
+
+test('writes labels that read back page by page', async () => {
+  const filePath = path.join(dir, 'labeled.pdf');
+  fs.writeFileSync(filePath, plainBytes);
+  await applyPageLabels(filePath, [
+    { startPage: 3, style: 'D', prefix: '', start: 1 },
+    { startPage: 1, style: 'r' },
+    { startPage: 6, style: 'A', prefix: 'App. ', start: 2 },
+    { startPage: 8, style: null, prefix: 'Back cover' },
+  ]);
+  assert.deepEqual(await labelsOf(filePath), ['i', 'ii', '1', '2', '3', 'App. B', 'App. C', 'Back cover']);
+
+  await applyPageLabels(filePath, []);
+  assert.equal(await labelsOf(filePath), null);
+});
+
+test('numbers the pages before the first range plainly', async () => {
+  const filePath = path.join(dir, 'late.pdf');
+  fs.writeFileSync(filePath, plainBytes);
+  await applyPageLabels(filePath, [{ startPage: 4, style: 'a', start: 3 }]);
+  assert.deepEqual(await labelsOf(filePath), ['1', '2', '3', 'c', 'd', 'e', 'f', 'g']);
+});
+
+test('drops ranges outside the document and keeps the last one given for a page', () => {
+  assert.deepEqual(normalizePageLabels([
+    { startPage: 1, style: 'R' },
+    { startPage: 1, style: 'x', prefix: 7, start: -2 },
+    { startPage: 0, style: 'D' },
+    { startPage: 9, style: 'D' },
+  ], 8), [{ startPage: 1, style: null, prefix: '', start: 1 }]);
+  assert.deepEqual(normalizePageLabels('none', 8), []);
+});
@@ -0,0 +1,118 @@
+// Saved projects over HTTP: create, list, read, update and delete. Starts the real server (server/index.js)
+// on a free port with its own upload and data folders.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+let server;
+let baseUrl;
+let workDir;
+
+function startServer(env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, '../server/index.js')], {
+      env: { ...process.env, ...env },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let output = '';
+    const onData = (chunk) => {
+      output += chunk;
+      const match = /Server listening on (\d+)/.exec(output);
+      if (match) {
+        child.stdout.off('data', onData);
+        resolve({ child, port: Number(match[1]) });
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', (chunk) => {
+      output += chunk;
+    });
+    child.on('exit', (code) => reject(new Error(`server exited with ${code}:\n${output}`)));
+  });
+}
+
+function request(method, route, body) {
+  return fetch(`${baseUrl}${route}`, {
+    method,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+async function uploadPdf(pages) {
+  const pdfDoc = await PDFDocument.create();
+  for (let i = 0; i < pages; i++) pdfDoc.addPage();
+  const form = new FormData();
+  form.append('pdf', new Blob([await pdfDoc.save()], { type: 'application/pdf' }), 'manual.pdf');
+  return (await fetch(`${baseUrl}/api/upload`, { method: 'POST', body: form })).json();
+}
+
+before(async () => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmark-pdf-projects-'));
+  const started = await startServer({
+    PORT: '0',
+    UPLOAD_DIR: path.join(workDir, 'uploads'),
+    DATA_DIR: path.join(workDir, 'data'),
+    NODE_ENV: 'test',
+  });
+  server = started.child;
+  baseUrl = `http://127.0.0.1:${started.port}`;
+});
+
+after(() => {
+  if (server) {
+    server.removeAllListeners('exit');
+    server.kill();
+  }
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('creates, lists, updates and deletes a project', async () => {
+  const { id: fileId } = await uploadPdf(3);
+  const tree = [{ title: 'Intro', page: 1, color: '#1e40af', children: [{ title: 'Scope', page: 2, children: [] }] }];
+
+  const created = await request('POST', '/api/projects', { name: '  Manual  ', fileId, originalName: 'manual.pdf', tree });
+  assert.equal(created.status, 201);
+  const project = await created.json();
+  assert.match(project.id, /^[a-f0-9]{16}$/);
+  assert.equal(project.name, 'Manual');
+  assert.deepEqual(project.tree, tree);
+
+  const listed = await (await request('GET', '/api/projects')).json();
+  assert.deepEqual(listed.projects.map((p) => [p.id, p.name, p.bookmarkCount]), [[project.id, 'Manual', 2]]);
+
+  const read = await (await request('GET', `/api/projects/${project.id}`)).json();
+  assert.equal(read.fileAvailable, true);
+  assert.equal(read.fileId, fileId);
+
+  const { id: organizedId } = await uploadPdf(2);
+  const patched = await request('PATCH', `/api/projects/${project.id}`, { tree: [], name: 'Renamed', fileId: organizedId });
+  assert.equal(patched.status, 200);
+  const updated = await patched.json();
+  assert.deepEqual([updated.name, updated.tree, updated.fileId], ['Renamed', [], organizedId]);
+  assert.ok(updated.updatedAt >= project.updatedAt);
+  assert.equal((await (await request('GET', `/api/projects/${project.id}`)).json()).name, 'Renamed');
+
+  assert.equal((await request('DELETE', `/api/projects/${project.id}`)).status, 204);
+  assert.equal((await request('GET', `/api/projects/${project.id}`)).status, 404);
+  assert.equal((await request('DELETE', `/api/projects/${project.id}`)).status, 404);
+  assert.deepEqual((await (await request('GET', '/api/projects')).json()).projects, []);
+});
+
+test('names a project after its file and rejects bad input', async () => {
+  const { id: fileId } = await uploadPdf(1);
+  const project = await (await request('POST', '/api/projects', { fileId, originalName: 'scan.pdf' })).json();
+  assert.equal(project.name, 'scan.pdf');
+  assert.deepEqual(project.tree, []);
+
+  assert.equal((await request('POST', '/api/projects', { name: 'No file' })).status, 400);
+  assert.equal((await request('POST', '/api/projects', { fileId: `${'0'.repeat(32)}.pdf` })).status, 404);
+  assert.equal((await request('PATCH', `/api/projects/${project.id}`, { tree: 'nope' })).status, 400);
+  assert.equal((await request('PATCH', `/api/projects/${project.id}`, { fileId: '../package.json' })).status, 400);
+  assert.equal((await request('PATCH', '/api/projects/0123456789abcdef', { name: 'x' })).status, 404);
+  assert.equal((await request('GET', '/api/projects/..%2F..%2Fpackage')).status, 404);
+});
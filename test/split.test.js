@@ -0,0 +1,67 @@
+// Splitting at bookmarks: which pages each piece gets and what goes into the ZIP
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { splitPdf } = require('../server/split');
+
+const BOOKMARKS = [
+  {
+    title: 'Part 1',
+    page: 2,
+    children: [
+      { title: 'Chapter A', page: 2, children: [] },
+      { title: 'Chapter B', page: 4, children: [{ title: 'Section', page: 5, children: [] }] },
+    ],
+  },
+  { title: 'Part 2', page: 7, children: [{ title: 'Chapter C', page: 8, children: [] }] },
+  { title: 'Beyond the end', page: 12, children: [] },
+];
+
+let dir;
+let filePath;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmark-pdf-split-'));
+  const pdfDoc = await PDFDocument.create();
+  for (let i = 0; i < 9; i++) pdfDoc.addPage([200, 200]);
+  filePath = path.join(dir, 'book.pdf');
+  fs.writeFileSync(filePath, await pdfDoc.save());
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('cuts at top-level bookmarks, leaving out the pages before the first one', async () => {
+  const outputPath = path.join(dir, 'top.zip');
+  const pieces = await splitPdf({ filePath, outputPath, bookmarks: BOOKMARKS });
+  assert.deepEqual(pieces, [
+    { title: 'Part 1', name: '1 Part 1.pdf', startPage: 2, endPage: 6 },
+    { title: 'Part 2', name: '2 Part 2.pdf', startPage: 7, endPage: 9 },
+  ]);
+
+  const zip = fs.readFileSync(outputPath);
+  assert.equal(zip.subarray(0, 2).toString(), 'PK');
+  pieces.forEach(({ name }) => assert.ok(zip.includes(name), name));
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['book.pdf', 'top.zip']);
+});
+
+test('skips pieces that would be empty when splitting deeper', async () => {
+  const pieces = await splitPdf({ filePath, outputPath: path.join(dir, 'deep.zip'), bookmarks: BOOKMARKS, level: 2 });
+  assert.deepEqual(pieces.map((p) => [p.title, p.startPage, p.endPage]), [
+    ['Chapter A', 2, 3],
+    ['Chapter B', 4, 6],
+    ['Part 2', 7, 7],
+    ['Chapter C', 8, 9],
+  ]);
+});
+
+test('refuses an outline with nothing to cut at', async () => {
+  await assert.rejects(
+    splitPdf({ filePath, outputPath: path.join(dir, 'none.zip'), bookmarks: [{ title: 'Nowhere', page: 20, children: [] }] }),
+    /no bookmark to split at/,
+  );
+});
@@ -0,0 +1,74 @@
+// Outline templates for batches: fixed pages, pages counted from the end and pages found by their text
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { resolveTemplate } = require('../server/template');
+
+// Text of each page of the test document
+const PAGES = ['Cover', 'Summary of results', 'Details', 'Summary  of  costs', 'Appendix', 'Back'];
+
+let dir;
+let filePath;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmark-pdf-template-'));
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  PAGES.forEach((text) => pdfDoc.addPage([300, 300]).drawText(text, { x: 30, y: 250, size: 14, font }));
+  filePath = path.join(dir, 'report.pdf');
+  fs.writeFileSync(filePath, await pdfDoc.save());
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('resolves fixed pages and pages counted back from the last one', async () => {
+  const { bookmarks, warnings, numPages } = await resolveTemplate(filePath, [
+    { title: 'Cover', page: 1 },
+    { title: 'Appendix', page: 'last-1' },
+    { title: 'Back', page: ' LAST ' },
+  ]);
+  assert.equal(numPages, 6);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(bookmarks.map((b) => [b.title, b.page]), [['Cover', 1], ['Appendix', 5], ['Back', 6]]);
+});
+
+test('finds pages by their text, case and spacing aside', async () => {
+  const { bookmarks, warnings } = await resolveTemplate(filePath, [
+    { title: 'First summary', find: 'SUMMARY OF' },
+    { title: 'Second summary', find: 'summary of', occurrence: 2, color: '#1e40af' },
+  ]);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(bookmarks, [
+    { title: 'First summary', page: 2, children: [] },
+    { title: 'Second summary', page: 4, color: '#1e40af', children: [] },
+  ]);
+});
+
+test('searches from the previous bookmark onward', async () => {
+  const { bookmarks } = await resolveTemplate(filePath, [
+    { title: 'Details', page: 3 },
+    { title: 'Next summary', find: 'summary' },
+  ]);
+  assert.equal(bookmarks[1].page, 4);
+});
+
+test('skips entries it cannot resolve, with their children', async () => {
+  const { bookmarks, warnings } = await resolveTemplate(filePath, [
+    { title: 'Cover', page: 1, children: [{ title: 'Inside', page: 'last-9' }] },
+    { title: 'Glossary', find: 'glossary', children: [{ title: 'Terms', page: 2 }] },
+    { title: 'Third summary', find: 'summary of', occurrence: 3 },
+    { title: ' ', page: 2 },
+  ]);
+  assert.deepEqual(bookmarks, [{ title: 'Cover', page: 1, children: [] }]);
+  assert.deepEqual(warnings, [
+    '"Inside" skipped: page "last-9" is outside 1-6',
+    '"Glossary" skipped: text "glossary" not found from page 1 on',
+    '"Third summary" skipped: text "summary of" not found 3 times from page 1 on',
+    '"Untitled" skipped: title is empty',
+  ]);
+});
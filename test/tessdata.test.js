@@ -0,0 +1,44 @@
+// Local OCR language packs: which languages are offered and which combinations a worker accepts
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmark-pdf-tessdata-'));
+process.env.TESSDATA_DIR = dir;
+const { createOcrWorker, listLanguages, resolveLanguages } = require('../server/tessdata');
+
+before(() => {
+  ['eng.traineddata', 'fra.traineddata', 'deu.traineddata.gz', 'ita.traineddata.gz', 'osd.traineddata'].forEach((name) => {
+    fs.writeFileSync(path.join(dir, name), '');
+  });
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('lists the installed packs except osd', () => {
+  assert.deepEqual(listLanguages(), {
+    offline: true,
+    languages: [
+      { code: 'deu', name: 'German' },
+      { code: 'eng', name: 'English' },
+      { code: 'fra', name: 'French' },
+      { code: 'ita', name: 'Italian' },
+    ],
+  });
+});
+
+test('resolves language lists of one pack format', () => {
+  assert.deepEqual(resolveLanguages(undefined), ['eng']);
+  assert.deepEqual(resolveLanguages('eng+fra+eng'), ['eng', 'fra']);
+  assert.deepEqual(resolveLanguages(['deu', 'ita']), ['deu', 'ita']);
+  assert.throws(() => resolveLanguages('eng+spa'), /not installed: spa/);
+});
+
+test('refuses to mix gzipped and plain packs', async () => {
+  assert.throws(() => resolveLanguages('eng+deu'), /cannot combine gzipped \(deu\) and plain \(eng\)/);
+  await assert.rejects(createOcrWorker(['fra', 'ita']), /cannot combine gzipped \(ita\) and plain \(fra\)/);
+});
@@ -0,0 +1,86 @@
+// Printed table of contents detection: reading entry lines and turning a contents page into bookmarks
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { detectToc, parseTocLine, trustedEntries } = require('../server/toc');
+
+function entry(text) {
+  return { ...parseTocLine(text), text };
+}
+
+test('reads numbered, lettered and dotted entries', () => {
+  assert.deepEqual(parseTocLine('3.2 Installation ........ 47'), {
+    title: '3.2 Installation',
+    numbering: '3.2',
+    printedPage: '47',
+    pageNumber: 47,
+    roman: false,
+    leader: true,
+  });
+  assert.equal(parseTocLine('Appendix B Glossary 212').numbering, 'B');
+  assert.equal(parseTocLine('Chapter 4 Results 61').title, 'Chapter 4 Results');
+  assert.equal(parseTocLine('Preface ... xi').pageNumber, 11);
+  assert.equal(parseTocLine('Just a heading'), null);
+  assert.equal(parseTocLine('1999 2000'), null);
+});
+
+test('only accepts well-formed roman page numbers', () => {
+  assert.equal(parseTocLine('Foreword .... xiv').pageNumber, 14);
+  assert.equal(parseTocLine('They were mild'), null);
+  assert.equal(parseTocLine('Something he did'), null);
+  assert.equal(parseTocLine('Foreword .... Xiv'), null);
+});
+
+test('keeps roman pages after a single space only as a consistent run', () => {
+  const frontMatter = ['Foreword ix', 'Preface xi', '1 Introduction 1', '2 Methods 9'].map(entry);
+  assert.equal(trustedEntries(frontMatter).length, 4);
+
+  const bodyText = ['1 Introduction 1', 'and then so do I', '2 Methods 9', 'with a quick mix'].map(entry);
+  assert.deepEqual(trustedEntries(bodyText).map((e) => e.text), ['1 Introduction 1', '2 Methods 9']);
+
+  const outOfOrder = ['Preface xi', 'Foreword ix', '1 Introduction 1'].map(entry);
+  assert.deepEqual(trustedEntries(outOfOrder).map((e) => e.text), ['1 Introduction 1']);
+
+  const dotted = ['1 Introduction 1', 'Index ..... xi'].map(entry);
+  assert.equal(trustedEntries(dotted).length, 2);
+});
+
+test('turns a contents page into bookmarks on the right pages', async () => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const contents = pdfDoc.addPage([400, 600]);
+  const lines = [['Contents', ''], ['1 Introduction', '1'], ['1.1 Scope', '2'], ['2 Methods', '3']];
+  lines.forEach(([title, page], i) => {
+    const y = 550 - i * 30;
+    contents.drawText(title, { x: 50, y, size: 12, font });
+    if (page) contents.drawText(page, { x: 340, y, size: 12, font });
+  });
+  ['1 Introduction', '1.1 Scope', '2 Methods'].forEach((heading) => {
+    pdfDoc.addPage([400, 600]).drawText(heading, { x: 50, y: 550, size: 18, font });
+  });
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmark-pdf-toc-'));
+  try {
+    const filePath = path.join(dir, 'book.pdf');
+    fs.writeFileSync(filePath, await pdfDoc.save());
+    const result = await detectToc(filePath);
+    assert.equal(result.found, true);
+    assert.deepEqual(result.tocPages, [1]);
+    assert.equal(result.offset, 1);
+    assert.equal(result.offsetSource, 'headings');
+    assert.deepEqual(result.bookmarks, [
+      {
+        title: '1 Introduction',
+        page: 2,
+        printedPage: '1',
+        children: [{ title: '1.1 Scope', page: 3, printedPage: '2', children: [] }],
+      },
+      { title: '2 Methods', page: 4, printedPage: '3', children: [] },
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
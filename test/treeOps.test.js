@@ -0,0 +1,58 @@
+// Moving bookmarks around the tree (frontend/src/lib/treeOps.js)
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let ops;
+
+before(async () => {
+  ops = await import('../frontend/src/lib/treeOps.js');
+});
+
+function tree() {
+  return [
+    { id: 'a', title: 'A', children: [{ id: 'a1', title: 'A1', children: [] }, { id: 'a2', title: 'A2', children: [] }] },
+    { id: 'b', title: 'B', children: [] },
+    { id: 'c', title: 'C', children: [] },
+  ];
+}
+
+// Nested ids, e.g. ['a', ['a1', 'a2'], 'b']
+function shape(nodes) {
+  return nodes.flatMap((n) => ((n.children || []).length > 0 ? [n.id, shape(n.children)] : [n.id]));
+}
+
+test('moves a node before, after or inside another without touching the input', () => {
+  const nodes = tree();
+  const snapshot = JSON.stringify(nodes);
+  assert.deepEqual(shape(ops.moveNode(nodes, 'c', 'a', 'before')), ['c', 'a', ['a1', 'a2'], 'b']);
+  assert.deepEqual(shape(ops.moveNode(nodes, 'a1', 'b', 'after')), ['a', ['a2'], 'b', 'a1', 'c']);
+  assert.deepEqual(shape(ops.moveNode(nodes, 'c', 'a2', 'inside')), ['a', ['a1', 'a2', ['c']], 'b']);
+  assert.equal(JSON.stringify(nodes), snapshot);
+});
+
+test('refuses to move a node into itself or its own descendants', () => {
+  const nodes = tree();
+  assert.equal(ops.moveNode(nodes, 'a', 'a1', 'inside'), nodes);
+  assert.equal(ops.moveNode(nodes, 'a', 'a', 'after'), nodes);
+  assert.equal(ops.moveNode(nodes, 'missing', 'a', 'after'), nodes);
+});
+
+test('indents, outdents and shifts with the keyboard helpers', () => {
+  const nodes = tree();
+  assert.deepEqual(shape(ops.indentNode(nodes, 'b')), ['a', ['a1', 'a2', 'b'], 'c']);
+  assert.equal(ops.indentNode(nodes, 'a1'), nodes);
+  assert.deepEqual(shape(ops.outdentNode(nodes, 'a1')), ['a', ['a2'], 'a1', 'b', 'c']);
+  assert.equal(ops.outdentNode(nodes, 'b'), nodes);
+  assert.deepEqual(shape(ops.shiftNode(nodes, 'c', -1)), ['a', ['a1', 'a2'], 'c', 'b']);
+  assert.deepEqual(shape(ops.shiftNode(nodes, 'a1', 1)), ['a', ['a2', 'a1'], 'b', 'c']);
+  assert.equal(ops.shiftNode(nodes, 'a', -1), nodes);
+});
+
+test('finds nodes and their parents', () => {
+  const nodes = tree();
+  assert.equal(ops.findNode(nodes, 'a2').title, 'A2');
+  assert.equal(ops.findNode(nodes, 'x'), null);
+  assert.equal(ops.findParent(nodes, 'a2').id, 'a');
+  assert.equal(ops.findParent(nodes, 'b'), null);
+  assert.equal(ops.findParent(nodes, 'x'), undefined);
+});
@@ -0,0 +1,226 @@
+// Integration tests for upload validation and file id handling. Each run starts the real server
+// (server/index.js) on a free port with its own upload and data folders and small limits.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+const MAX_UPLOAD_MB = 1;
+const MAX_UPLOAD_PAGES = 3;
+const FILE_ID_PATTERN = /^[a-f0-9]{32}\.pdf$/;
+
+let server;
+let baseUrl;
+let workDir;
+let uploadDir;
+
+function startServer(env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, '../server/index.js')], {
+      env: { ...process.env, ...env },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let output = '';
+    const onData = (chunk) => {
+      output += chunk;
+      const match = /Server listening on (\d+)/.exec(output);
+      if (match) {
+        child.stdout.off('data', onData);
+        resolve({ child, port: Number(match[1]) });
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', (chunk) => {
+      output += chunk;
+    });
+    child.on('exit', (code) => reject(new Error(`server exited with ${code}:\n${output}`)));
+  });
+}
+
+async function makePdf(pages) {
+  const pdfDoc = await PDFDocument.create();
+  for (let i = 0; i < pages; i++) pdfDoc.addPage();
+  return Buffer.from(await pdfDoc.save());
+}
+
+function upload(route, bytes, name = 'file.pdf') {
+  const form = new FormData();
+  form.append('pdf', new Blob([bytes], { type: 'application/pdf' }), name);
+  return fetch(`${baseUrl}${route}`, { method: 'POST', body: form });
+}
+
+function postJson(route, body) {
+  return fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+// Files directly in the upload folder (the subfolders hold images, jobs and the quarantine)
+function storedUploads() {
+  return fs.readdirSync(uploadDir).filter((name) => fs.statSync(path.join(uploadDir, name)).isFile());
+}
+
+before(async () => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmark-pdf-test-'));
+  uploadDir = path.join(workDir, 'uploads');
+  const started = await startServer({
+    PORT: '0',
+    UPLOAD_DIR: uploadDir,
+    DATA_DIR: path.join(workDir, 'data'),
+    MAX_UPLOAD_MB: String(MAX_UPLOAD_MB),
+    MAX_UPLOAD_PAGES: String(MAX_UPLOAD_PAGES),
+    NODE_ENV: 'test',
+  });
+  server = started.child;
+  baseUrl = `http://127.0.0.1:${started.port}`;
+});
+
+after(() => {
+  if (server) {
+    server.removeAllListeners('exit');
+    server.kill();
+  }
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('accepts a PDF and returns an upload id', async () => {
+  const res = await upload('/api/upload', await makePdf(2), 'manual.pdf');
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.match(body.id, FILE_ID_PATTERN);
+  assert.equal(body.originalName, 'manual.pdf');
+  assert.equal(body.numPages, 2);
+  assert.ok(fs.existsSync(path.join(uploadDir, body.id)));
+});
+
+test('rejects files without a PDF header and keeps nothing', async () => {
+  const existing = storedUploads();
+  const res = await upload('/api/upload', Buffer.from('just some text, named like a PDF'), 'notes.pdf');
+  assert.equal(res.status, 415);
+  assert.equal((await res.json()).code, 'NOT_A_PDF');
+  assert.deepEqual(storedUploads(), existing);
+});
+
+test('quarantines PDFs that cannot be parsed', async () => {
+  const res = await upload('/api/upload', Buffer.from('%PDF-1.7\nthis is not a PDF body'), 'broken.pdf');
+  assert.equal(res.status, 422);
+  assert.equal((await res.json()).code, 'UNREADABLE_PDF');
+
+  const quarantined = fs.readdirSync(path.join(uploadDir, 'quarantine'));
+  const pdf = quarantined.find((name) => name.endsWith('.pdf'));
+  assert.ok(pdf, 'the file is kept in quarantine');
+  const details = JSON.parse(fs.readFileSync(path.join(uploadDir, 'quarantine', `${pdf}.json`), 'utf8'));
+  assert.equal(details.originalName, 'broken.pdf');
+  assert.ok(!storedUploads().includes(pdf));
+});
+
+test('finds the PDF header after leading bytes', async () => {
+  const bytes = Buffer.concat([Buffer.from('\n\n'), await makePdf(1)]);
+  const res = await upload('/api/upload', bytes);
+  assert.equal(res.status, 200);
+});
+
+test('enforces the page limit', async () => {
+  const res = await upload('/api/upload', await makePdf(MAX_UPLOAD_PAGES + 1));
+  assert.equal(res.status, 413);
+  const body = await res.json();
+  assert.equal(body.code, 'TOO_MANY_PAGES');
+  assert.match(body.error, new RegExp(`at most ${MAX_UPLOAD_PAGES}`));
+});
+
+test('enforces the size limit', async () => {
+  const bytes = Buffer.concat([Buffer.from('%PDF-1.7\n'), Buffer.alloc(MAX_UPLOAD_MB * 1024 * 1024 + 1)]);
+  const res = await upload('/api/upload', bytes);
+  assert.equal(res.status, 413);
+  assert.equal((await res.json()).code, 'FILE_TOO_LARGE');
+});
+
+test('rejects ids that are not upload ids', async () => {
+  const ids = ['../package.json', '../../etc/passwd', 'server/index.js', 'abc.pdf', `${'a'.repeat(32)}.pdf/..`];
+  for (const id of ids) {
+    const res = await postJson('/api/process', { id, bookmarks: [] });
+    assert.equal(res.status, 400, id);
+    assert.equal((await res.json()).code, 'INVALID_FILE_ID', id);
+  }
+
+  const fileRes = await fetch(`${baseUrl}/api/files/..%2Fpackage.json`);
+  assert.equal(fileRes.status, 400);
+
+  for (const route of ['/api/jobs', '/api/detect-toc', '/api/generate-outline', '/api/split']) {
+    const res = await postJson(route, { id: '../package.json', bookmarks: [{ title: 'A', page: 1 }] });
+    assert.equal(res.status, 400, route);
+    assert.equal((await res.json()).code, 'INVALID_FILE_ID', route);
+  }
+
+  const mergeRes = await postJson('/api/merge', { files: [{ id: '../a.pdf' }, { id: '../b.pdf' }] });
+  assert.equal(mergeRes.status, 400);
+  assert.equal((await mergeRes.json()).code, 'INVALID_FILE_ID');
+});
+
+test('reports well-formed ids that do not exist as not found', async () => {
+  const res = await postJson('/api/process', { id: `${'0'.repeat(32)}.pdf`, bookmarks: [] });
+  assert.equal(res.status, 404);
+  assert.equal((await res.json()).code, 'FILE_NOT_FOUND');
+});
+
+test('applies the same checks to /api/v1', async () => {
+  const ok = await upload('/api/v1/files', await makePdf(1));
+  assert.equal(ok.status, 201);
+  const { id } = await ok.json();
+  assert.match(id, FILE_ID_PATTERN);
+
+  const notPdf = await upload('/api/v1/files', Buffer.from('hello'));
+  assert.equal(notPdf.status, 415);
+  assert.deepEqual(await notPdf.json(), { error: { code: 'NOT_A_PDF', message: 'not a PDF file' } });
+
+  const tooLong = await upload('/api/v1/files', await makePdf(MAX_UPLOAD_PAGES + 1));
+  assert.equal(tooLong.status, 413);
+  assert.equal((await tooLong.json()).error.code, 'TOO_MANY_PAGES');
+
+  const outline = await fetch(`${baseUrl}/api/v1/files/..%2Fpackage.json/outline`);
+  assert.equal(outline.status, 400);
+  assert.equal((await outline.json()).error.code, 'INVALID_FILE_ID');
+
+  const job = await postJson('/api/v1/jobs', { fileId: '../package.json' });
+  assert.equal(job.status, 400);
+  assert.equal((await job.json()).error.code, 'INVALID_FILE_ID');
+});
+
+// Polls /api/v1/jobs/:jobId until the job has finished, for at most 20 seconds
+async function finishedJob(jobId) {
+  let job;
+  for (let i = 0; i < 200; i++) {
+    job = await (await fetch(`${baseUrl}/api/v1/jobs/${jobId}`)).json();
+    if (job.status === 'done' || job.status === 'failed') return job;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  return job;
+}
+
+test('sends v1 job results as PDF or ZIP depending on the job', async () => {
+  const { id } = await (await upload('/api/v1/files', await makePdf(2))).json();
+  const bookmarks = [{ title: 'One', page: 1 }, { title: 'Two', page: 2 }];
+
+  const pdfJob = await (await postJson('/api/v1/jobs', { fileId: id, bookmarks })).json();
+  assert.equal((await finishedJob(pdfJob.id)).status, 'done');
+  const pdf = await fetch(`${baseUrl}/api/v1/jobs/${pdfJob.id}/download`);
+  assert.equal(pdf.status, 200);
+  assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+  assert.match(pdf.headers.get('content-disposition'), /filename="bookmarked\.pdf"/);
+  assert.equal(Buffer.from(await pdf.arrayBuffer()).subarray(0, 5).toString(), '%PDF-');
+
+  // A finished job releases its upload, so the split gets its own
+  const split = await (await upload('/api/v1/files', await makePdf(2))).json();
+  const splitJob = await (await postJson('/api/split', { id: split.id, bookmarks })).json();
+  assert.equal((await finishedJob(splitJob.id)).status, 'done');
+  const zip = await fetch(`${baseUrl}/api/v1/jobs/${splitJob.id}/download`);
+  assert.equal(zip.status, 200);
+  assert.equal(zip.headers.get('content-type'), 'application/zip');
+  assert.match(zip.headers.get('content-disposition'), /filename="bookmarked\.zip"/);
+  assert.equal(Buffer.from(await zip.arrayBuffer()).subarray(0, 2).toString(), 'PK');
+});